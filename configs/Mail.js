@@ -103,7 +103,7 @@ const getOtpHtml = (otp) => `
   </div>
 `;
 
-const sendViaSendGrid = async (to, otp) => {
+const sendViaSendGrid = async ({ to, subject, html, attachments = [] }) => {
   const response = await axios.post(
     "https://api.sendgrid.com/v3/mail/send",
     {
@@ -112,8 +112,16 @@ const sendViaSendGrid = async (to, otp) => {
         email: SEND_GRID_FROM_EMAIL,
         name: SEND_GRID_FROM_NAME || "Learnify",
       },
-      subject: "Reset Your Password - Learnify",
-      content: [{ type: "text/html", value: getOtpHtml(otp) }],
+      subject,
+      content: [{ type: "text/html", value: html }],
+      ...(attachments.length && {
+        attachments: attachments.map((item) => ({
+          content: Buffer.from(item.content).toString("base64"),
+          filename: item.filename,
+          type: item.contentType || "application/octet-stream",
+          disposition: "attachment",
+        })),
+      }),
     },
     {
       timeout: MAIL_TIMEOUT_MS,
@@ -140,11 +148,11 @@ const sendViaSendGrid = async (to, otp) => {
   }
 
   const messageId = response.headers?.["x-message-id"] || "n/a";
-  console.log(`OTP email sent to ${to} via SendGrid. Message ID: ${messageId}`);
+  console.log(`Email "${subject}" sent to ${to} via SendGrid. Message ID: ${messageId}`);
   return { messageId };
 };
 
-const sendViaSmtp = async (to, otp) => {
+const sendViaSmtp = async ({ to, subject, html, attachments = [] }) => {
   if (!smtpTransporter) {
     throw new Error("SMTP transporter is not initialized.");
   }
@@ -160,12 +168,17 @@ const sendViaSmtp = async (to, otp) => {
     const sendPromise = smtpTransporter.sendMail({
       from: `"Learnify" <${MAIL_FROM}>`,
       to,
-      subject: "Reset Your Password - Learnify",
-      html: getOtpHtml(otp),
+      subject,
+      html,
+      attachments: attachments.map((item) => ({
+        filename: item.filename,
+        content: item.content,
+        contentType: item.contentType,
+      })),
     });
 
     const info = await Promise.race([sendPromise, timeoutPromise]);
-    console.log(`OTP email sent to ${to} via SMTP. Message ID: ${info.messageId}`);
+    console.log(`Email "${subject}" sent to ${to} via SMTP. Message ID: ${info.messageId}`);
     return info;
   } finally {
     clearTimeout(timeoutId);
@@ -205,7 +218,11 @@ const normalizeProviderError = (error, provider) => {
   return error;
 };
 
-const sendMail = async (to, otp) => {
+/**
+ * Send an email through the active provider (SendGrid, falling back to SMTP in auto mode).
+ * @param {Object} message - { to, subject, html, attachments?: [{ filename, content: Buffer, contentType }] }
+ */
+export const sendEmail = async (message) => {
   if (!isMailConfigured) {
     throw new Error("Email configuration missing. Set SEND_GRID_API_KEY or EMAIL + EMAIL_PASS.");
   }
@@ -213,24 +230,27 @@ const sendMail = async (to, otp) => {
   try {
     if (activeMailProvider === "sendgrid") {
       try {
-        return await sendViaSendGrid(to, otp);
+        return await sendViaSendGrid(message);
       } catch (sendGridError) {
         // In auto mode, fallback to SMTP when SendGrid credentials/sender are broken.
         if (preferredMailProvider !== "sendgrid" && isSmtpConfigured) {
           console.warn(
             `[Mail] SendGrid failed (${sendGridError.message}). Falling back to SMTP.`
           );
-          return await sendViaSmtp(to, otp);
+          return await sendViaSmtp(message);
         }
         throw sendGridError;
       }
     }
 
-    return await sendViaSmtp(to, otp);
+    return await sendViaSmtp(message);
   } catch (error) {
     console.error("Error sending email:", error.message);
     throw normalizeProviderError(error, activeMailProvider);
   }
 };
 
+const sendMail = (to, otp) =>
+  sendEmail({ to, subject: "Reset Your Password - Learnify", html: getOtpHtml(otp) });
+
 export default sendMail;
@@ -0,0 +1,318 @@
+import User from "../models/userModel.js";
+import { isMailConfigured, sendEmail } from "./Mail.js";
+import { describeUserAgent } from "./authSession.js";
+
+// Per-account protection that holds up against guessing spread over many IPs (authLimiter
+// only counts per IP): progressive lockout after failed logins, OTP attempt/send limits,
+// and email alerts on lockout or a login from an unfamiliar device or network.
+
+export const LOGIN_MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+// First lockout lasts this long; every further lockout doubles it, up to a day
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_MAX_REQUESTS_PER_HOUR = 5;
+const KNOWN_DEVICE_LIMIT = 20;
+
+const formatAlertTime = (date) =>
+  new Date(date).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short", timeZone: "Asia/Kolkata" });
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// "Location" without a GeoIP database: the /24 (IPv4) or /48 (IPv6) network of the address
+export const getIpNetwork = (ip = "") => {
+  const address = String(ip).replace(/^::ffff:/, "");
+  if (address.includes(".")) return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+  if (address.includes(":")) return `${address.split(":").slice(0, 3).join(":")}::/48`;
+  return address || "unknown";
+};
+
+/* ===== ALERT EMAILS ===== */
+
+const getAlertHtml = ({ heading, intro, details, advice }) => `
+  <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #333;">${escapeHtml(heading)}</h2>
+    <p>${escapeHtml(intro)}</p>
+    <div style="background-color: #f4f4f4; padding: 15px; border-radius: 5px; margin: 20px 0;">
+      ${details.map(([label, value]) => `<p style="margin: 4px 0;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join("")}
+    </div>
+    <p>${escapeHtml(advice)}</p>
+    <p style="color: #666; font-size: 12px; margin-top: 30px;">
+      This is an automated security notice from Learnify.
+    </p>
+  </div>
+`;
+
+// Alerts never block or fail the request that triggered them
+const sendSecurityAlert = (to, subject, content) => {
+  if (!to) return;
+  if (!isMailConfigured) {
+    console.log(`[AccountSecurity] Email not configured, alert "${subject}" for ${to} not sent`);
+    return;
+  }
+  sendEmail({ to, subject, html: getAlertHtml(content) }).catch((error) =>
+    console.error(`[AccountSecurity] Alert "${subject}" to ${to} failed:`, error.message)
+  );
+};
+
+/* ===== LOCKOUT ===== */
+
+/**
+ * @param {Object} user - User document (loginSecurity is selected by default)
+ * @returns {{ locked: boolean, lockedUntil: Date|null, retryAfterSeconds: number }}
+ */
+export const getLockoutState = (user) => {
+  const lockedUntil = user?.loginSecurity?.lockedUntil ? new Date(user.loginSecurity.lockedUntil) : null;
+  const remainingMs = lockedUntil ? lockedUntil.getTime() - Date.now() : 0;
+  return {
+    locked: remainingMs > 0,
+    lockedUntil: remainingMs > 0 ? lockedUntil : null,
+    retryAfterSeconds: remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0,
+  };
+};
+
+// 423 body shared by login and the 2FA step. Without lockedUntil, the attempt budget is
+// momentarily held by other in-flight attempts and a retry shortly after may go through.
+export const sendAccountLocked = (res, lockedUntil) => {
+  if (!lockedUntil) {
+    res.set("Retry-After", "5");
+    return res.status(423).json({
+      message: "Too many sign-in attempts in progress. Please try again in a moment.",
+      code: "ACCOUNT_LOCKED",
+      lockedUntil: null,
+      retryAfterSeconds: 5,
+    });
+  }
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(423).json({
+    message: `Account temporarily locked after too many failed sign-in attempts. Try again after ${formatAlertTime(lockedUntil)} or reset your password.`,
+    code: "ACCOUNT_LOCKED",
+    lockedUntil,
+    retryAfterSeconds,
+  });
+};
+
+/**
+ * Reserve one password or second-factor attempt before checking it. The attempt is counted
+ * up front with a conditional update, so parallel guesses can never exceed
+ * LOGIN_MAX_FAILED_ATTEMPTS; a correct guess hands its attempt back (releaseLoginAttempt).
+ * @returns {Promise<{ allowed: boolean, lockedUntil?: Date|null }>}
+ */
+export const reserveLoginAttempt = async (user, req, { reason = "password" } = {}) => {
+  for (let tries = 0; tries < 2; tries += 1) {
+    const reserved = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        // $not also matches accounts that have never failed (field missing)
+        "loginSecurity.failedAttempts": { $not: { $gte: LOGIN_MAX_FAILED_ATTEMPTS } },
+        "loginSecurity.lockedUntil": { $not: { $gt: new Date() } },
+      },
+      { $inc: { "loginSecurity.failedAttempts": 1 } },
+      { new: true }
+    ).select("_id");
+    if (reserved) return { allowed: true };
+
+    const current = await User.findById(user._id).select("loginSecurity");
+    if (!current) return { allowed: false, lockedUntil: null };
+    const lockout = getLockoutState(current);
+    if (lockout.locked) return { allowed: false, lockedUntil: lockout.lockedUntil };
+
+    // The remaining attempts are all held by requests still in flight: the threshold is reached
+    const outcome = await lockIfAtThreshold(user._id, req, reason);
+    if (outcome.locked) return { allowed: false, lockedUntil: outcome.lockedUntil };
+  }
+  return { allowed: false, lockedUntil: null };
+};
+
+// A reserved attempt that turned out correct (or could not be checked) is not a failure
+export const releaseLoginAttempt = (userId) =>
+  User.updateOne(
+    { _id: userId, "loginSecurity.failedAttempts": { $gt: 0 } },
+    { $inc: { "loginSecurity.failedAttempts": -1 } }
+  );
+
+/**
+ * Record that a reserved attempt failed, and lock the account once the threshold is reached.
+ * @returns {Promise<{ locked: boolean, lockedUntil?: Date, attemptsRemaining?: number }>}
+ */
+export const recordFailedLogin = async (user, req, { reason = "password" } = {}) => {
+  await User.updateOne({ _id: user._id }, { $set: { "loginSecurity.lastFailedAt": new Date() } });
+  return lockIfAtThreshold(user._id, req, reason);
+};
+
+const lockIfAtThreshold = async (userId, req, reason) => {
+  const current = await User.findById(userId).select("loginSecurity email name");
+  if (!current) return { locked: false };
+
+  const { failedAttempts = 0, lockoutCount = 0 } = current.loginSecurity || {};
+  if (failedAttempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return { locked: false, attemptsRemaining: LOGIN_MAX_FAILED_ATTEMPTS - failedAttempts };
+  }
+
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  // Only the request that still sees the counter at the threshold applies the lock
+  const locked = await User.findOneAndUpdate(
+    { _id: userId, "loginSecurity.failedAttempts": { $gte: LOGIN_MAX_FAILED_ATTEMPTS } },
+    {
+      $set: { "loginSecurity.failedAttempts": 0, "loginSecurity.lockedUntil": lockedUntil },
+      $inc: { "loginSecurity.lockoutCount": 1 },
+    },
+    { new: true }
+  ).select("_id");
+  if (!locked) {
+    const lockout = getLockoutState(await User.findById(userId).select("loginSecurity"));
+    return lockout.locked ? { locked: true, lockedUntil: lockout.lockedUntil } : { locked: false, attemptsRemaining: 0 };
+  }
+
+  console.warn(`[AccountSecurity] Locked ${current.email} for ${minutes} min after ${failedAttempts} failed ${reason} attempts`);
+  sendSecurityAlert(current.email, "Your Learnify account was temporarily locked", {
+    heading: "Account temporarily locked",
+    intro: `Hi ${current.name || ""}, we locked your account after ${failedAttempts} failed sign-in attempts in a row.`,
+    details: [
+      ["Locked until", formatAlertTime(lockedUntil)],
+      ["Last attempt from", `${describeUserAgent(req?.headers?.["user-agent"] || "")} (IP ${req?.ip || "unknown"})`],
+    ],
+    advice: "If this was you, wait until the lock expires or reset your password. If it was not you, reset your password now; someone may be guessing it.",
+  });
+  return { locked: true, lockedUntil };
+};
+
+// Successful sign-in or password reset: forget failures and the progressive lockout level
+export const clearFailedLogins = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "loginSecurity.failedAttempts": 0,
+        "loginSecurity.lockoutCount": 0,
+        "loginSecurity.lockedUntil": null,
+      },
+    }
+  );
+
+// Admin unlock also lifts OTP limits so the user can recover right away
+export const unlockAccount = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "loginSecurity.failedAttempts": 0,
+        "loginSecurity.lockoutCount": 0,
+        "loginSecurity.lockedUntil": null,
+        resetOtpAttempts: 0,
+        otpRequestCount: 0,
+      },
+    }
+  );
+
+/* ===== OTP LIMITS ===== */
+
+/**
+ * Reserve one OTP send for the account (OTP_MAX_REQUESTS_PER_HOUR per hour window).
+ * Updates the counters on the document; the caller saves it along with the new OTP.
+ * @returns {{ allowed: boolean, retryAfterSeconds?: number }}
+ */
+export const reserveOtpRequest = (user) => {
+  const windowStart = user.otpWindowStartedAt ? new Date(user.otpWindowStartedAt).getTime() : 0;
+  const windowOpen = Date.now() - windowStart < 60 * 60 * 1000;
+
+  if (windowOpen && (user.otpRequestCount || 0) >= OTP_MAX_REQUESTS_PER_HOUR) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((windowStart + 60 * 60 * 1000 - Date.now()) / 1000) };
+  }
+  user.otpRequestCount = windowOpen ? (user.otpRequestCount || 0) + 1 : 1;
+  if (!windowOpen) user.otpWindowStartedAt = new Date();
+  user.resetOtpAttempts = 0;
+  return { allowed: true };
+};
+
+/**
+ * Check an OTP guess. An attempt is reserved atomically before comparing, so parallel guesses
+ * cannot exceed OTP_MAX_ATTEMPTS; the OTP is discarded once they are used up. A correct guess
+ * only counts if the OTP it matched is still the stored one.
+ * @returns {Promise<{ status: "verified"|"invalid"|"expired"|"exhausted"|"missing", attemptsRemaining?: number }>}
+ */
+export const verifyOtpAttempt = async (user, otp) => {
+  const reserved = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      resetOtp: { $exists: true, $ne: null },
+      resetOtpAttempts: { $not: { $gte: OTP_MAX_ATTEMPTS } },
+    },
+    { $inc: { resetOtpAttempts: 1 } },
+    { new: true }
+  ).select("resetOtp otpExpires resetOtpAttempts");
+  if (!reserved) {
+    const current = await User.findById(user._id).select("resetOtp");
+    return { status: current?.resetOtp ? "exhausted" : "missing", attemptsRemaining: 0 };
+  }
+
+  const attempts = reserved.resetOtpAttempts;
+  if (reserved.resetOtp !== String(otp)) {
+    if (attempts < OTP_MAX_ATTEMPTS) {
+      return { status: "invalid", attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+    }
+    await User.updateOne(
+      { _id: user._id, resetOtp: reserved.resetOtp },
+      { $unset: { resetOtp: 1, otpExpires: 1 }, $set: { isOtpVerifed: false } }
+    );
+    console.warn(`[AccountSecurity] OTP discarded for user ${user._id} after ${attempts} wrong attempts`);
+    return { status: "exhausted", attemptsRemaining: 0 };
+  }
+
+  if (!reserved.otpExpires || new Date(reserved.otpExpires).getTime() < Date.now()) {
+    return { status: "expired", attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+  }
+
+  // Conditional on the OTP, so a guess racing the discard (or a new OTP) cannot verify
+  const verified = await User.updateOne({ _id: user._id, resetOtp: reserved.resetOtp }, { $set: { isOtpVerifed: true } });
+  return verified.matchedCount ? { status: "verified" } : { status: "missing", attemptsRemaining: 0 };
+};
+
+/* ===== NEW DEVICE / LOCATION ===== */
+
+/**
+ * Remember the device and network of a completed sign-in and email the user when either
+ * has not been seen before. The first recorded sign-in never alerts.
+ */
+export const recordLoginContext = async (user, req, { method } = {}) => {
+  const stored = await User.findById(user._id).select("email name +loginSecurity.knownDevices");
+  if (!stored) return;
+
+  const userAgent = String(req?.headers?.["user-agent"] || "");
+  const device = describeUserAgent(userAgent);
+  const network = getIpNetwork(req?.ip);
+  const known = stored.loginSecurity?.knownDevices || [];
+  const now = new Date();
+
+  const newDevice = !known.some((entry) => entry.device === device);
+  const newNetwork = !known.some((entry) => entry.network === network);
+
+  const existing = known.find((entry) => entry.device === device && entry.network === network);
+  const devices = existing
+    ? known.map((entry) => (entry === existing ? { ...entry.toObject(), lastSeenAt: now } : entry.toObject()))
+    : [...known.map((entry) => entry.toObject()), { device, network, firstSeenAt: now, lastSeenAt: now }];
+  devices.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+
+  await User.updateOne(
+    { _id: stored._id },
+    { $set: { "loginSecurity.knownDevices": devices.slice(0, KNOWN_DEVICE_LIMIT) } }
+  );
+
+  if (!known.length || (!newDevice && !newNetwork)) return;
+
+  console.log(`[AccountSecurity] New ${newDevice ? "device" : "location"} sign-in for ${stored.email}: ${device}, ${network}`);
+  sendSecurityAlert(stored.email, "New sign-in to your Learnify account", {
+    heading: newDevice ? "New device signed in" : "Sign-in from a new location",
+    intro: `Hi ${stored.name || ""}, your account was just used to sign in from ${newDevice ? "a device" : "a network"} we have not seen before.`,
+    details: [
+      ["When", formatAlertTime(now)],
+      ["Device", device],
+      ["IP address", req?.ip || "unknown"],
+      ["Sign-in method", method === "google" ? "Google" : "Password"],
+    ],
+    advice: "If this was you, no action is needed. If not, reset your password and use \"Log out everywhere\" in your account settings.",
+  });
+};
@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/sessionModel.js";
+import { ACCESS_TOKEN_TTL_MINUTES, genToken, verifyToken } from "./token.js";
+
+// Server-side sessions with rotating refresh tokens.
+// Refresh token format: "<sessionId>.<secret>"; only sha256(secret) is stored.
+
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const REFRESH_TOKEN_COOKIE = "refreshToken";
+// The refresh cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Parallel refreshes (two tabs, a retried request) may present the token that was just
+// rotated; within this window that is not treated as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const newSecret = () => crypto.randomBytes(48).toString("base64url");
+
+const secretsMatch = (secret, storedHash) => {
+  const presented = Buffer.from(hashSecret(secret), "hex");
+  const stored = Buffer.from(String(storedHash || ""), "hex");
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Short "Chrome on Windows" style label for the session list
+export const describeUserAgent = (userAgent = "") => {
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Chrome\//, "Chrome"],
+    [/Firefox\//, "Firefox"],
+    [/Version\/.*Safari\//, "Safari"],
+  ];
+  const systems = [
+    [/Windows/, "Windows"],
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (!browser && !system) return "Unknown device";
+  return [browser || "Browser", system].filter(Boolean).join(" on ");
+};
+
+const requestMetadata = (req) => ({
+  userAgent: String(req.headers?.["user-agent"] || "").slice(0, 512),
+  ip: String(req.ip || ""),
+});
+
+/**
+ * Start a session for a user who just authenticated.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device and IP metadata)
+ * @param {Object} [options] - { method: "password" | "google" | "signup" }
+ * @returns {Promise<{ session: Object, accessToken: string, refreshToken: string }>}
+ */
+export const startSession = async (user, req, { method = "password" } = {}) => {
+  const secret = newSecret();
+  const { userAgent, ip } = requestMetadata(req);
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    loginMethod: method,
+    device: describeUserAgent(userAgent),
+    userAgent,
+    ip,
+    lastIp: ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+  });
+
+  const accessToken = await genToken(user._id, session._id);
+  return { session, accessToken, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. Presenting a refresh token that
+ * was already rotated revokes the session, since it means the token was copied; the token
+ * rotated away in the last ROTATION_GRACE_MS only gets a new access token (`refreshToken`
+ * is null, the client keeps the one issued by the parallel refresh).
+ * @returns {Promise<{ session, accessToken, refreshToken } | { error: string, code: string }>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: "Invalid refresh token", code: "REFRESH_INVALID" };
+
+  const loadSession = () => Session.findById(parsed.sessionId).select("+refreshTokenHash +previousRefreshTokenHash");
+  const isLive = (session) => session && !session.revokedAt && session.expiresAt > new Date();
+
+  let session = await loadSession();
+  if (!isLive(session)) {
+    return { error: "Session has ended. Please login again.", code: "SESSION_REVOKED" };
+  }
+
+  if (secretsMatch(parsed.secret, session.refreshTokenHash)) {
+    const secret = newSecret();
+    const now = new Date();
+    // Conditional on the presented hash, so only one of several parallel refreshes rotates
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashSecret(secret),
+          previousRefreshTokenHash: session.refreshTokenHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          lastIp: requestMetadata(req).ip,
+        },
+        $inc: { rotationCount: 1 },
+      },
+      { new: true }
+    );
+    if (rotated) {
+      const accessToken = await genToken(rotated.user, rotated._id);
+      return { session: rotated, accessToken, refreshToken: `${rotated._id}.${secret}` };
+    }
+
+    session = await loadSession();
+    if (!isLive(session)) {
+      return { error: "Session has ended. Please login again.", code: "SESSION_REVOKED" };
+    }
+  }
+
+  const justRotated =
+    session.rotatedAt &&
+    Date.now() - new Date(session.rotatedAt).getTime() <= ROTATION_GRACE_MS &&
+    secretsMatch(parsed.secret, session.previousRefreshTokenHash);
+  if (justRotated) {
+    const accessToken = await genToken(session.user, session._id);
+    return { session, accessToken, refreshToken: null };
+  }
+
+  await revokeSession(session._id, "refresh_token_reuse");
+  console.warn(`[Session] Refresh token reuse detected, session ${session._id} revoked`);
+  return { error: "Session has ended. Please login again.", code: "REFRESH_REUSED" };
+};
+
+export const revokeSession = (sessionId, reason) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+/**
+ * Revoke every active session of a user (password change, account removal, "log out everywhere").
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount || 0;
+};
+
+/**
+ * The live session behind a verified access token, or null when it was revoked or expired.
+ * Bumps lastUsedAt at most once every few minutes.
+ */
+export const findActiveSession = async (decodedToken) => {
+  if (!decodedToken?.sid || !mongoose.isValidObjectId(decodedToken.sid)) return null;
+  const session = await Session.findById(decodedToken.sid).select("user revokedAt expiresAt lastUsedAt");
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  if (String(session.user) !== String(decodedToken.userId)) return null;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > 5 * 60 * 1000) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch((error) =>
+      console.warn("[Session] lastUsedAt update failed:", error.message)
+    );
+  }
+  return session;
+};
+
+// Session id of the caller from the refresh cookie (secret must match) or the access token
+export const getRequestSessionId = async (req) => {
+  const parsed = parseRefreshToken(req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken);
+  if (parsed) {
+    const session = await Session.findById(parsed.sessionId).select("+refreshTokenHash");
+    if (session && secretsMatch(parsed.secret, session.refreshTokenHash)) return String(session._id);
+  }
+
+  const authHeader = req.headers?.authorization || "";
+  const accessToken = req.cookies?.token || (authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : "");
+  if (!accessToken) return null;
+  try {
+    return verifyToken(accessToken, { ignoreExpiration: true })?.sid || null;
+  } catch {
+    return null;
+  }
+};
+
+/* ===== COOKIES ===== */
+
+const baseCookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === "production";
+  const cookieOptions = {
+    httpOnly: true,
+    secure: isProduction, // Use secure cookies in production (HTTPS only)
+    sameSite: isProduction ? "None" : "Lax", // None for cross-site in production, Lax for development
+  };
+  // Only set domain for production if explicitly needed and known, otherwise let browser handle
+  if (isProduction && process.env.COOKIE_DOMAIN) {
+    cookieOptions.domain = process.env.COOKIE_DOMAIN;
+  }
+  return cookieOptions;
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const cookieOptions = baseCookieOptions();
+  res.cookie("token", accessToken, {
+    ...cookieOptions,
+    path: "/",
+    maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+  });
+  // No refresh token: keep the cookie the browser already has (see rotateSession)
+  if (!refreshToken) return;
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * DAY_MS,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  const cookieOptions = baseCookieOptions();
+  res.clearCookie("token", { ...cookieOptions, path: "/" });
+  // Fallback clear for legacy/default-path cookies
+  res.clearCookie("token", { path: "/" });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
@@ -0,0 +1,134 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+
+// Per-user iCalendar subscription feeds. The feed URL carries "<userId>.<secret>"; only
+// sha256(secret) is stored, so a lost URL cannot be shown again, only regenerated (which
+// stops the old one from working).
+
+const CALENDAR_DOMAIN = "learnify-platform";
+const PRODUCT_ID = "-//Learnify//Learnify Platform//EN";
+// How often subscribed calendar apps are asked to refresh
+const REFRESH_INTERVAL = "PT1H";
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/* ===== FEED TOKENS ===== */
+
+/**
+ * Create (or replace) the user's feed secret.
+ * @returns {Promise<string>} Token to put in the feed URL
+ */
+export const issueCalendarFeedToken = async (userId) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "calendarFeed.secretHash": hashSecret(secret), "calendarFeed.createdAt": new Date() } }
+  );
+  return `${userId}.${secret}`;
+};
+
+export const revokeCalendarFeedToken = (userId) => User.updateOne({ _id: userId }, { $unset: { calendarFeed: "" } });
+
+/**
+ * Owner of a feed token, or null when the token is unknown, regenerated or revoked.
+ */
+export const findCalendarFeedUser = async (token) => {
+  const [userId, secret] = String(token || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(userId)) return null;
+
+  const user = await User.findById(userId).select("+calendarFeed.secretHash name role status enrolledCourses");
+  const storedHash = user?.calendarFeed?.secretHash;
+  if (!storedHash) return null;
+
+  const presented = Buffer.from(hashSecret(secret), "hex");
+  const stored = Buffer.from(storedHash, "hex");
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) return null;
+  return user;
+};
+
+// API_PUBLIC_URL overrides the request host (the feed is fetched by calendar servers, not the app)
+export const buildCalendarFeedUrls = (req, token) => {
+  const origin = String(process.env.API_PUBLIC_URL || "").replace(/\/$/, "") || `${req.protocol}://${req.get("host")}`;
+  const url = `${origin}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+/* ===== ICS ===== */
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets (RFC 5545 section 3.1) without splitting characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Serialize events to an iCalendar (RFC 5545) document.
+ *
+ * Event: { uid, start, end?, allDay?, summary, description?, location?, url?,
+ *          cancelled?, sequence?, lastModified?, created? }
+ * `start`/`end` are Dates, or "YYYY-MM-DD" strings for all-day events. `sequence` must grow
+ * with every change so calendar apps replace their copy.
+ */
+export const buildICalendar = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  for (const event of events) {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}@${CALENDAR_DOMAIN}`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      const day = String(event.start).replace(/-/g, "");
+      lines.push(`DTSTART;VALUE=DATE:${day}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(`STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    if (event.created) lines.push(`CREATED:${formatDateTime(event.created)}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push("TRANSP:OPAQUE", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+// SEQUENCE is the document's calendarSequence (models/calendarSequencePlugin.js), which only
+// grows when something shown in the feed changes
+export const sequenceOf = (doc) => Number(doc?.calendarSequence) || 0;
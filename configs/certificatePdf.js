@@ -0,0 +1,573 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Certificate PDF rendering: the built-in layout, admin-managed templates and a
+// plain fallback used when rendering fails.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let cachedCertificateLogoBuffer = null;
+let didTryCertificateLogoLoad = false;
+
+const resolveCertificateLogoPath = () => {
+  const configuredPath = String(process.env.CERT_LOGO_PATH || "").trim();
+  const candidates = [
+    configuredPath
+      ? path.isAbsolute(configuredPath)
+        ? configuredPath
+        : path.resolve(process.cwd(), configuredPath)
+      : "",
+    path.resolve(__dirname, "../../frontend/src/assets/logo.jpg"),
+    path.resolve(process.cwd(), "frontend/src/assets/logo.jpg"),
+  ].filter(Boolean);
+
+  return candidates.find((candidatePath) => fs.existsSync(candidatePath)) || null;
+};
+
+export const getCertificateLogoBuffer = async () => {
+  if (didTryCertificateLogoLoad) {
+    return cachedCertificateLogoBuffer;
+  }
+
+  didTryCertificateLogoLoad = true;
+  const logoPath = resolveCertificateLogoPath();
+  if (!logoPath) {
+    return null;
+  }
+
+  try {
+    cachedCertificateLogoBuffer = await fs.promises.readFile(logoPath);
+    return cachedCertificateLogoBuffer;
+  } catch (error) {
+    console.warn("[Certificate] Unable to read logo file:", error?.message || error);
+    return null;
+  }
+};
+
+export const toPdfSafeText = (value, fallback = "") => {
+  const normalized = String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[^\x20-\x7E]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return normalized || fallback;
+};
+
+const createPdfBuffer = (render, { layout = "landscape" } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      layout,
+      size: "A4",
+      margin: 20,
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      render(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+export const formatDateLabel = (value) =>
+  new Date(value || Date.now()).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+export const buildStructuredCertificatePdf = async ({
+  organisationName,
+  organisationWebsite,
+  organisationEmail,
+  organisationSocial,
+  studentName,
+  studentEmail,
+  registrationId,
+  courseTitle,
+  courseMode,
+  totalHoursLabel,
+  certificateId,
+  certificateNumber,
+  issueDateLabel,
+  verifyUrl,
+  creatorName,
+  qrBuffer,
+  logoBuffer,
+}) =>
+  createPdfBuffer((doc) => {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const colors = {
+      primary: "#2D4FA3",
+      dark: "#1E293B",
+      text: "#1F2937",
+      muted: "#475569",
+      border: "#2D4FA3",
+    };
+
+    const drawCornerAccent = (x, y, horizontalDirection, verticalDirection) => {
+      const arm = 22;
+      doc.moveTo(x, y + verticalDirection * arm)
+        .lineTo(x, y)
+        .lineTo(x + horizontalDirection * arm, y)
+        .lineWidth(4)
+        .strokeColor(colors.border)
+        .stroke();
+    };
+
+    doc.rect(0, 0, pageWidth, pageHeight).fill("#FFFFFF");
+    doc.rect(18, 18, pageWidth - 36, pageHeight - 36).lineWidth(1.5).strokeColor(colors.border).stroke();
+    doc.rect(26, 26, pageWidth - 52, pageHeight - 52).lineWidth(0.8).strokeColor(colors.border).stroke();
+
+    drawCornerAccent(24, 24, 1, 1);
+    drawCornerAccent(pageWidth - 24, 24, -1, 1);
+    drawCornerAccent(24, pageHeight - 24, 1, -1);
+    drawCornerAccent(pageWidth - 24, pageHeight - 24, -1, -1);
+
+    doc.font("Helvetica-Oblique")
+      .fontSize(14)
+      .fillColor(colors.text)
+      .text(`Certificate ID: ${certificateId}`, 52, 64);
+
+    doc.font("Helvetica-Bold")
+      .fontSize(34)
+      .fillColor(colors.primary)
+      .text("learnify", pageWidth - 248, 52, { width: 200, align: "right" });
+    doc.font("Helvetica")
+      .fontSize(10)
+      .fillColor(colors.muted)
+      .text("credentials that matter", pageWidth - 248, 84, { width: 200, align: "right" });
+
+    const logoSize = 64;
+    const logoX = pageWidth / 2 - logoSize / 2;
+    const logoY = 48;
+    const drawFallbackLogo = () => {
+      doc.rect(logoX, logoY, logoSize, logoSize).fillAndStroke(colors.dark, colors.primary);
+      doc.font("Helvetica-Bold")
+        .fontSize(30)
+        .fillColor("#FFFFFF")
+        .text("L", logoX + logoSize / 2 - 9, logoY + 16);
+    };
+
+    if (logoBuffer) {
+      doc.roundedRect(logoX - 2, logoY - 2, logoSize + 4, logoSize + 4, 4).fillAndStroke("#FFFFFF", "#CBD5E1");
+      try {
+        doc.image(logoBuffer, logoX, logoY, {
+          fit: [logoSize, logoSize],
+          align: "center",
+          valign: "center",
+        });
+      } catch (error) {
+        console.warn("[Certificate] Logo render fallback:", error?.message || error);
+        drawFallbackLogo();
+      }
+    } else {
+      drawFallbackLogo();
+    }
+
+    doc.font("Helvetica-Bold")
+      .fontSize(38)
+      .fillColor(colors.text)
+      .text(organisationName, 0, 132, { align: "center" });
+    doc.font("Helvetica-Oblique")
+      .fontSize(15)
+      .fillColor(colors.muted)
+      .text(`Supported by online education standards | ${organisationWebsite}`, 0, 176, { align: "center" });
+    doc.font("Helvetica")
+      .fontSize(12.5)
+      .fillColor(colors.muted)
+      .text(`Contact: ${organisationEmail} | ${organisationSocial}`, 0, 197, { align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(50)
+      .fillColor(colors.primary)
+      .text("CERTIFICATE OF COMPLETION", 0, 220, { align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(20)
+      .fillColor(colors.text)
+      .text("This is to certify that Mr./Ms.", 0, 280, { align: "center" });
+    doc.font("Helvetica-Bold")
+      .fontSize(48)
+      .fillColor("#111827")
+      .text(studentName, 65, 310, { align: "center", width: pageWidth - 130 });
+
+    doc.font("Helvetica")
+      .fontSize(18)
+      .fillColor(colors.text)
+      .text("has successfully completed the online", 0, 365, { align: "center" });
+    doc.font("Helvetica-Bold")
+      .fontSize(35)
+      .fillColor("#1E3A8A")
+      .text(`"${courseTitle}"`, 85, 389, { align: "center", width: pageWidth - 170 });
+
+    doc.font("Helvetica")
+      .fontSize(14.5)
+      .fillColor(colors.muted)
+      .text(`Mode: ${courseMode} | Total Hours: ${totalHoursLabel}`, 0, 437, { align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(10.5)
+      .fillColor(colors.text)
+      .text(`Registration ID: ${registrationId}`, 58, 458)
+      .text(`Email: ${studentEmail || "Not provided"}`, 58, 474)
+      .text(`Program Director: ${creatorName}`, 58, 490);
+
+    doc.font("Helvetica")
+      .fontSize(10.5)
+      .fillColor(colors.text)
+      .text(`Certificate Number: ${certificateNumber}`, 315, 458)
+      .text(`Issued On: ${issueDateLabel}`, 315, 474)
+      .text(`Verify at: ${verifyUrl}`, 315, 490, { width: 255 });
+
+    const qrX = pageWidth - 150;
+    const qrY = 448;
+    const qrSize = 86;
+    if (qrBuffer) {
+      doc.roundedRect(qrX - 5, qrY - 5, qrSize + 10, qrSize + 10, 8).fillAndStroke("#FFFFFF", "#CBD5E1");
+      doc.image(qrBuffer, qrX, qrY, { width: qrSize, height: qrSize });
+      doc.font("Helvetica-Bold")
+        .fontSize(8.8)
+        .fillColor(colors.dark)
+        .text("SCAN TO VERIFY", qrX - 3, qrY + qrSize + 5, { width: qrSize + 6, align: "center" });
+    }
+
+    const sealX = qrX - 52;
+    const sealY = 490;
+    doc.circle(sealX, sealY, 28).fillAndStroke("#DBEAFE", colors.primary);
+    doc.font("Helvetica-Bold")
+      .fontSize(7.2)
+      .fillColor(colors.primary)
+      .text("DIGITAL", sealX - 15, sealY - 11, { width: 30, align: "center" })
+      .text("SEAL", sealX - 15, sealY - 1, { width: 30, align: "center" })
+      .text("VERIFIED", sealX - 15, sealY + 9, { width: 30, align: "center" });
+
+    const leftSignX = 95;
+    const rightSignX = pageWidth - 300;
+    const signY = 510;
+    const signW = 190;
+    doc.moveTo(leftSignX, signY).lineTo(leftSignX + signW, signY).lineWidth(1).strokeColor("#94A3B8").stroke();
+    doc.moveTo(rightSignX, signY).lineTo(rightSignX + signW, signY).lineWidth(1).strokeColor("#94A3B8").stroke();
+
+    doc.font("Times-Italic")
+      .fontSize(24)
+      .fillColor(colors.text)
+      .text("Nitin", leftSignX, signY - 28, { width: signW, align: "center" });
+    doc.font("Times-Italic")
+      .fontSize(24)
+      .fillColor(colors.text)
+      .text("Himanshu Sagar", rightSignX, signY - 28, { width: signW, align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(9.2)
+      .fillColor(colors.muted)
+      .text("Administrator", leftSignX, signY + 5, { width: signW, align: "center" })
+      .text(organisationName, leftSignX, signY + 17, { width: signW, align: "center" })
+      .text("Administrator", rightSignX, signY + 5, { width: signW, align: "center" })
+      .text(organisationName, rightSignX, signY + 17, { width: signW, align: "center" });
+
+    doc.font("Helvetica-Oblique")
+      .fontSize(11)
+      .fillColor(colors.muted)
+      .text(
+        "This is an online certification issued through Learnify secure verification system.",
+        0,
+        pageHeight - 34,
+        { align: "center" }
+      );
+  });
+
+export const buildFallbackCertificatePdf = async ({
+  studentName,
+  courseTitle,
+  certificateId,
+  issuedOn,
+  verifyUrl,
+}) =>
+  createPdfBuffer((doc) => {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const issueDate = new Date(issuedOn || Date.now()).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+
+    doc.rect(0, 0, pageWidth, pageHeight).fill("#FFFFFF");
+    doc.rect(18, 18, pageWidth - 36, pageHeight - 36).lineWidth(2).stroke("#0F172A");
+    doc.rect(30, 30, pageWidth - 60, 64).fill("#0F172A");
+
+    doc.font("Helvetica-Bold")
+      .fontSize(28)
+      .fillColor("#FFFFFF")
+      .text("CERTIFICATE OF COMPLETION", 0, 48, { align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(14)
+      .fillColor("#475569")
+      .text("This certifies that", 0, 160, { align: "center" });
+
+    doc.font("Helvetica-Bold")
+      .fontSize(36)
+      .fillColor("#111827")
+      .text(studentName, 0, 195, { align: "center" });
+
+    doc.font("Helvetica")
+      .fontSize(15)
+      .fillColor("#475569")
+      .text("has successfully completed the course", 0, 250, { align: "center" });
+
+    doc.font("Helvetica-Bold")
+      .fontSize(25)
+      .fillColor("#3B82F6")
+      .text(courseTitle, 90, 282, { align: "center", width: pageWidth - 180 });
+
+    doc.font("Helvetica-Bold")
+      .fontSize(11)
+      .fillColor("#1E3A8A")
+      .text(`Certificate ID: ${certificateId}`, 70, pageHeight - 95);
+
+    doc.font("Helvetica-Bold")
+      .fontSize(11)
+      .fillColor("#1E3A8A")
+      .text(`Issued On: ${issueDate}`, 70, pageHeight - 75);
+
+    doc.font("Helvetica")
+      .fontSize(9)
+      .fillColor("#64748B")
+      .text(`Verification URL: ${verifyUrl}`, 60, pageHeight - 42, {
+        width: pageWidth - 120,
+        align: "center",
+      });
+
+    doc.moveTo(pageWidth - 300, pageHeight - 120)
+      .lineTo(pageWidth - 90, pageHeight - 120)
+      .lineWidth(1)
+      .strokeColor("#94A3B8")
+      .stroke();
+
+    doc.font("Times-Italic")
+      .fontSize(25)
+      .fillColor("#0F172A")
+      .text("Himanshu Sagar", pageWidth - 305, pageHeight - 154, {
+        width: 220,
+        align: "center",
+      });
+
+    doc.font("Helvetica")
+      .fontSize(10)
+      .fillColor("#475569")
+      .text("Authorized Signatory", pageWidth - 305, pageHeight - 108, {
+        width: 220,
+        align: "center",
+      });
+  });
+
+// Verification QR code as a PNG buffer; null when it cannot be generated
+export const buildVerificationQr = async (verifyUrl) => {
+  try {
+    const qrData = await QRCode.toDataURL(verifyUrl, {
+      errorCorrectionLevel: "H",
+      type: "image/png",
+      quality: 0.92,
+      margin: 1,
+      width: 300
+    });
+    const base64Payload = String(qrData || "").split(",")[1];
+    return base64Payload ? Buffer.from(base64Payload, "base64") : null;
+  } catch (qrError) {
+    console.warn("[Certificate] QR generation skipped:", qrError?.message || qrError);
+    return null;
+  }
+};
+
+/* ===== TEMPLATES ===== */
+
+export const CERTIFICATE_PLACEHOLDERS = [
+  "studentName",
+  "courseTitle",
+  "totalHours",
+  "grade",
+  "issueDate",
+  "certificateId",
+  "organisationName",
+  "instructorName",
+];
+
+export const DEFAULT_TEMPLATE_PALETTE = {
+  primary: "#2D4FA3",
+  dark: "#1E293B",
+  text: "#1F2937",
+  muted: "#475569",
+  border: "#2D4FA3",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Placeholder names used in a text that the renderer does not know
+export const findUnknownPlaceholders = (text) =>
+  [...String(text || "").matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !CERTIFICATE_PLACEHOLDERS.includes(name));
+
+export const fillPlaceholders = (text, values) =>
+  String(text || "").replace(PLACEHOLDER_PATTERN, (match, name) =>
+    CERTIFICATE_PLACEHOLDERS.includes(name) ? String(values[name] ?? "") : match
+  );
+
+const IMAGE_CACHE_LIMIT = 20;
+const imageCache = new Map();
+
+/**
+ * Download a template image (background or signature). PDFKit only embeds PNG and JPEG;
+ * anything else fails at render time and is skipped there.
+ * @returns {Promise<Buffer|null>}
+ */
+export const loadCertificateImage = async (url) => {
+  if (!/^https?:\/\//i.test(String(url || ""))) return null;
+  if (imageCache.has(url)) return imageCache.get(url);
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(8000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (imageCache.size >= IMAGE_CACHE_LIMIT) {
+      imageCache.delete(imageCache.keys().next().value);
+    }
+    imageCache.set(url, buffer);
+    return buffer;
+  } catch (error) {
+    console.warn(`[Certificate] Unable to load template image ${url}:`, error?.message || error);
+    return null;
+  }
+};
+
+const drawImageSafely = (doc, buffer, x, y, options) => {
+  if (!buffer) return false;
+  try {
+    doc.image(buffer, x, y, options);
+    return true;
+  } catch (error) {
+    console.warn("[Certificate] Template image skipped:", error?.message || error);
+    return false;
+  }
+};
+
+/**
+ * Render a certificate from an admin template.
+ * Body lines that consist of a single {{studentName}} or {{courseTitle}} placeholder
+ * are printed large, so templates keep the emphasis of the built-in layout.
+ * @param {Object} params - { template, values, verifyUrl, qrBuffer, logoBuffer }
+ */
+export const buildTemplatedCertificatePdf = async ({ template, values, verifyUrl, qrBuffer, logoBuffer }) => {
+  const [backgroundBuffer, ...signatureBuffers] = await Promise.all([
+    loadCertificateImage(template.backgroundImageUrl),
+    ...(template.signatories || []).map((signatory) => loadCertificateImage(signatory.signatureImageUrl)),
+  ]);
+  const colors = { ...DEFAULT_TEMPLATE_PALETTE, ...(template.palette?.toObject?.() || template.palette || {}) };
+  const safe = (text) => toPdfSafeText(text);
+
+  return createPdfBuffer((doc) => {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+    const isPortrait = template.orientation === "portrait";
+    const margin = 60;
+    const contentWidth = pageWidth - margin * 2;
+
+    doc.rect(0, 0, pageWidth, pageHeight).fill("#FFFFFF");
+    const hasBackground = drawImageSafely(doc, backgroundBuffer, 0, 0, { width: pageWidth, height: pageHeight });
+    if (!hasBackground) {
+      doc.rect(18, 18, pageWidth - 36, pageHeight - 36).lineWidth(1.5).strokeColor(colors.border).stroke();
+      doc.rect(26, 26, pageWidth - 52, pageHeight - 52).lineWidth(0.8).strokeColor(colors.border).stroke();
+    }
+
+    let y = isPortrait ? 70 : 48;
+    if (template.showLogo !== false && logoBuffer) {
+      const logoSize = 64;
+      if (drawImageSafely(doc, logoBuffer, pageWidth / 2 - logoSize / 2, y, { fit: [logoSize, logoSize], align: "center", valign: "center" })) {
+        y += logoSize + 16;
+      }
+    }
+
+    const heading = safe(fillPlaceholders(template.heading, values));
+    if (heading) {
+      doc.font("Helvetica").fontSize(isPortrait ? 30 : 40).fillColor(colors.primary);
+      doc.text(heading, margin, y, { width: contentWidth, align: "center" });
+      y = doc.y + (isPortrait ? 28 : 18);
+    }
+
+    for (const rawLine of String(template.bodyText || "").split(/\r?\n/)) {
+      const trimmed = rawLine.trim();
+      if (!trimmed) {
+        y += 10;
+        continue;
+      }
+      const emphasis = trimmed.match(/^\{\{\s*(studentName|courseTitle)\s*\}\}$/)?.[1];
+      const line = safe(fillPlaceholders(trimmed, values));
+      if (emphasis === "studentName") {
+        doc.font("Helvetica-Bold").fontSize(isPortrait ? 34 : 42).fillColor(colors.dark);
+      } else if (emphasis === "courseTitle") {
+        doc.font("Helvetica-Bold").fontSize(isPortrait ? 24 : 30).fillColor(colors.primary);
+      } else {
+        doc.font("Helvetica").fontSize(isPortrait ? 15 : 17).fillColor(colors.text);
+      }
+      doc.text(line, margin, y, { width: contentWidth, align: "center" });
+      y = doc.y + 6;
+    }
+
+    // Signatories sit in equal columns above the footer
+    const signatories = (template.signatories || []).slice(0, 3);
+    const footerTop = pageHeight - (isPortrait ? 150 : 110);
+    const signY = footerTop - 40;
+    if (signatories.length) {
+      const columnWidth = contentWidth / signatories.length;
+      signatories.forEach((signatory, index) => {
+        const columnX = margin + columnWidth * index;
+        const lineWidth = Math.min(190, columnWidth - 20);
+        const lineX = columnX + (columnWidth - lineWidth) / 2;
+        const drewSignature = drawImageSafely(doc, signatureBuffers[index], lineX + 20, signY - 46, {
+          fit: [lineWidth - 40, 42],
+          align: "center",
+          valign: "bottom",
+        });
+        if (!drewSignature) {
+          doc.font("Times-Italic").fontSize(22).fillColor(colors.text)
+            .text(safe(signatory.name), lineX, signY - 28, { width: lineWidth, align: "center" });
+        }
+        doc.moveTo(lineX, signY).lineTo(lineX + lineWidth, signY).lineWidth(1).strokeColor("#94A3B8").stroke();
+        doc.font("Helvetica").fontSize(9.5).fillColor(colors.muted)
+          .text(safe(signatory.name), lineX, signY + 5, { width: lineWidth, align: "center" })
+          .text(safe(signatory.title), lineX, signY + 17, { width: lineWidth, align: "center" });
+      });
+    }
+
+    const qrSize = 72;
+    const qrX = pageWidth - margin - qrSize;
+    const footerWidth = qrBuffer ? contentWidth - qrSize - 20 : contentWidth;
+    doc.font("Helvetica").fontSize(10).fillColor(colors.text)
+      .text(`Certificate ID: ${safe(values.certificateId)}`, margin, footerTop + 12, { width: footerWidth })
+      .text(`Issued On: ${safe(values.issueDate)}`, { width: footerWidth })
+      .text(`Verify at: ${safe(verifyUrl)}`, { width: footerWidth });
+    if (template.footerText) {
+      doc.font("Helvetica-Oblique").fontSize(9).fillColor(colors.muted)
+        .text(safe(fillPlaceholders(template.footerText, values)), { width: footerWidth });
+    }
+    if (qrBuffer) {
+      drawImageSafely(doc, qrBuffer, qrX, footerTop + 6, { width: qrSize, height: qrSize });
+    }
+  }, { layout: template.orientation === "portrait" ? "portrait" : "landscape" });
+};
+
+export const getCertificateOrganisationName = () =>
+  toPdfSafeText(process.env.CERT_ORG_NAME || process.env.ORG_NAME, "Learnify");
@@ -57,7 +57,8 @@ const cleanupLocalFile = (filePath) => {
   }
 };
 
-const uploadOnCloudinary = async (filePath) => {
+// Returns the raw Cloudinary upload result (or null); callers pick what they need from it.
+const uploadAssetOnCloudinary = async (filePath) => {
   lastCloudinaryError = "";
   if (!filePath) {
     console.warn("[Cloudinary] No file path provided");
@@ -83,7 +84,7 @@ const uploadOnCloudinary = async (filePath) => {
       chunk_size: 6000000,
     });
     cleanupLocalFile(filePath);
-    return uploadResult?.secure_url || null;
+    return uploadResult || null;
   } catch (error) {
     cleanupLocalFile(filePath);
     const errMsg = error?.error?.message || error?.message || "Unknown Cloudinary upload error";
@@ -97,6 +98,46 @@ const uploadOnCloudinary = async (filePath) => {
   }
 };
 
+const uploadOnCloudinary = async (filePath) => {
+  const uploadResult = await uploadAssetOnCloudinary(filePath);
+  return uploadResult?.secure_url || null;
+};
+
+const toDurationSeconds = (duration) => {
+  const seconds = Number(duration);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : null;
+};
+
+// Video uploads also report the media duration, which lecture completion is measured against.
+export const uploadVideoOnCloudinary = async (filePath) => {
+  const uploadResult = await uploadAssetOnCloudinary(filePath);
+  if (!uploadResult?.secure_url) return null;
+  return {
+    url: uploadResult.secure_url,
+    durationSeconds: toDurationSeconds(uploadResult.duration),
+  };
+};
+
+// ".../video/upload/v1700000000/folder/name.mp4" -> "folder/name"
+const getPublicIdFromUrl = (url) => {
+  const match = String(url || "").match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? match[1] : "";
+};
+
+// Looks up the duration of an already uploaded video (used to backfill older lectures).
+export const getCloudinaryVideoDuration = async (url) => {
+  const publicId = getPublicIdFromUrl(url);
+  if (!publicId || !ensureCloudinaryConfigured()) return null;
+  try {
+    const resource = await cloudinary.api.resource(publicId, { resource_type: "video" });
+    return toDurationSeconds(resource?.duration);
+  } catch (error) {
+    lastCloudinaryError = error?.error?.message || error?.message || "Unknown Cloudinary lookup error";
+    console.error("[Cloudinary] Video lookup failed:", { publicId, message: lastCloudinaryError });
+    return null;
+  }
+};
+
 export const testCloudinary = async () => {
   if (!ensureCloudinaryConfigured()) {
     return {
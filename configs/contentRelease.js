@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import { RELEASE_TYPES } from "../models/releaseRuleSchema.js";
+
+// Drip-feed evaluation for lectures and sections. Pure helpers: callers load the
+// student's context (enrollment date, completed lectures) and pass it in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS_AFTER_ENROLLMENT = 3650;
+
+// Lecture fields that are withheld while a lecture is locked
+export const LOCKED_CONTENT_FIELDS = ["videoUrl", "articleContent", "documentUrl", "externalUrl", "quiz", "attachments"];
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric", timeZone: "Asia/Kolkata" });
+
+/**
+ * Validate a release rule from a request body (object or JSON string).
+ * @returns {{ value?: Object, error?: string }}
+ */
+export const parseReleaseRule = (input) => {
+  let rule = input;
+  if (typeof rule === "string") {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      return { error: "release must be valid JSON" };
+    }
+  }
+  const type = String(rule?.type || "immediate");
+  if (!RELEASE_TYPES.includes(type)) {
+    return { error: `release.type must be one of: ${RELEASE_TYPES.join(", ")}` };
+  }
+
+  if (type === "date") {
+    const releaseAt = new Date(rule.releaseAt);
+    if (!rule.releaseAt || Number.isNaN(releaseAt.getTime())) {
+      return { error: "release.releaseAt must be a valid date" };
+    }
+    return { value: { type, releaseAt } };
+  }
+  if (type === "after_enrollment") {
+    const days = Number(rule.daysAfterEnrollment);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_DAYS_AFTER_ENROLLMENT) {
+      return { error: `release.daysAfterEnrollment must be a whole number between 0 and ${MAX_DAYS_AFTER_ENROLLMENT}` };
+    }
+    return { value: { type, daysAfterEnrollment: days } };
+  }
+  if (type === "after_lecture") {
+    if (!mongoose.isValidObjectId(rule.prerequisiteLecture)) {
+      return { error: "release.prerequisiteLecture must be a lecture id" };
+    }
+    return { value: { type, prerequisiteLecture: String(rule.prerequisiteLecture) } };
+  }
+  return { value: { type: "immediate" } };
+};
+
+/**
+ * Evaluate one rule for a student.
+ * @param {Object} rule - releaseRuleSchema value
+ * @param {Object} context - { enrolledAt, completedLectureIds: Set, courseLectureIds: Set, now }
+ * @returns {{ available: boolean, unlockAt: Date|null, prerequisiteLecture: string|null, reason: string }}
+ */
+export const evaluateReleaseRule = (rule, context) => {
+  const open = { available: true, unlockAt: null, prerequisiteLecture: null, reason: "" };
+  const now = context.now || new Date();
+
+  switch (rule?.type) {
+    case "date": {
+      const unlockAt = rule.releaseAt ? new Date(rule.releaseAt) : null;
+      if (!unlockAt || unlockAt <= now) return open;
+      return { available: false, unlockAt, prerequisiteLecture: null, reason: `Available on ${formatDate(unlockAt)}` };
+    }
+    case "after_enrollment": {
+      const days = Number(rule.daysAfterEnrollment || 0);
+      if (!context.enrolledAt) {
+        return { available: false, unlockAt: null, prerequisiteLecture: null, reason: `Available ${days} day(s) after enrollment` };
+      }
+      const unlockAt = new Date(new Date(context.enrolledAt).getTime() + days * DAY_MS);
+      if (unlockAt <= now) return open;
+      return { available: false, unlockAt, prerequisiteLecture: null, reason: `Available on ${formatDate(unlockAt)}` };
+    }
+    case "after_lecture": {
+      const prerequisite = idOf(rule.prerequisiteLecture);
+      // A prerequisite that was removed from the course no longer blocks anything
+      if (!prerequisite || !context.courseLectureIds?.has(prerequisite)) return open;
+      if (context.completedLectureIds?.has(prerequisite)) return open;
+      return { available: false, unlockAt: null, prerequisiteLecture: prerequisite, reason: "Complete the prerequisite lecture first" };
+    }
+    default:
+      return open;
+  }
+};
+
+/**
+ * Availability of a lecture: its own rule and the rule of the section it sits in.
+ * Course managers (`context.bypass`) and free-preview lectures are always available.
+ * `unlockAt` is the latest known date among the blocking rules (null when a rule has no date).
+ */
+export const getLectureAvailability = (course, lecture, context) => {
+  if (context.bypass || lecture.isPreviewFree) {
+    return { available: true, unlockAt: null, prerequisiteLecture: null, reason: "" };
+  }
+
+  const lectureId = idOf(lecture);
+  const section = (course.sections || []).find((item) => item.lectures.some((id) => idOf(id) === lectureId));
+  const blocking = [
+    section ? evaluateReleaseRule(section.release, context) : null,
+    evaluateReleaseRule(lecture.release, context),
+  ].filter((result) => result && !result.available);
+
+  if (!blocking.length) {
+    return { available: true, unlockAt: null, prerequisiteLecture: null, reason: "" };
+  }
+
+  const undated = blocking.some((result) => !result.unlockAt);
+  const latest = blocking.reduce((max, result) => (result.unlockAt && (!max || result.unlockAt > max) ? result.unlockAt : max), null);
+  return {
+    available: false,
+    unlockAt: undated ? null : latest,
+    prerequisiteLecture: blocking.find((result) => result.prerequisiteLecture)?.prerequisiteLecture || null,
+    reason: blocking.map((result) => result.reason).join("; "),
+  };
+};
+
+/**
+ * Plain lecture object with availability attached and content removed when locked.
+ */
+export const applyLectureLock = (course, lecture, context) => {
+  const plain = typeof lecture?.toObject === "function" ? lecture.toObject() : { ...lecture };
+  const availability = getLectureAvailability(course, plain, context);
+  if (!availability.available) {
+    LOCKED_CONTENT_FIELDS.forEach((field) => delete plain[field]);
+  }
+  return { ...plain, isLocked: !availability.available, availability };
+};
+
+// Context for viewers with no enrollment (public listings)
+export const anonymousReleaseContext = (course) => ({
+  bypass: false,
+  enrolledAt: null,
+  completedLectureIds: new Set(),
+  courseLectureIds: new Set((course.lectures || []).map(idOf)),
+  now: new Date(),
+});
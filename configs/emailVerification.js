@@ -0,0 +1,119 @@
+import jwt from "jsonwebtoken";
+import User from "../models/userModel.js";
+import { isMailConfigured, sendEmail } from "./Mail.js";
+
+// Email verification for password self-signups: a signed link (JWT, 24 h) is emailed on
+// signup and on request. Until the address is verified, isAuth only lets the account reach
+// the routes in isAllowedBeforeVerification.
+
+const VERIFICATION_TTL = "24h";
+const VERIFICATION_AUDIENCE = "learnify-email-verify";
+// Per-account resend limits; passwordResetLimiter also caps requests per IP
+export const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+export const VERIFICATION_MAX_SENDS_PER_HOUR = 5;
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[char]);
+
+/* ===== TOKENS ===== */
+
+// The email is part of the token, so a link stops working if the address changes
+export const signEmailVerificationToken = (user) =>
+  jwt.sign({ userId: String(user._id), email: user.email }, process.env.JWT_SECRET, {
+    expiresIn: VERIFICATION_TTL,
+    issuer: "learnify-platform",
+    audience: VERIFICATION_AUDIENCE,
+  });
+
+/**
+ * @returns {{ payload: Object|null, expired: boolean }}
+ */
+export const verifyEmailVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ""), process.env.JWT_SECRET, {
+      issuer: "learnify-platform",
+      audience: VERIFICATION_AUDIENCE,
+    });
+    return { payload, expired: false };
+  } catch (error) {
+    return { payload: null, expired: error.name === "TokenExpiredError" };
+  }
+};
+
+// The frontend page reads the token and posts it to /api/auth/verify-email
+export const buildVerificationUrl = (token) =>
+  `${(process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "")}/verify-email?token=${encodeURIComponent(token)}`;
+
+/* ===== SENDING ===== */
+
+/**
+ * Reserve one verification email for the account (cooldown plus hourly cap).
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds?: number }>}
+ */
+export const reserveVerificationEmail = async (user) => {
+  const now = Date.now();
+  const { lastSentAt, sendCount = 0, windowStartedAt } = user.emailVerification || {};
+
+  const sinceLast = lastSentAt ? (now - new Date(lastSentAt).getTime()) / 1000 : Infinity;
+  if (sinceLast < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+    return { allowed: false, retryAfterSeconds: Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - sinceLast) };
+  }
+
+  const windowStart = windowStartedAt ? new Date(windowStartedAt).getTime() : 0;
+  const windowOpen = now - windowStart < 60 * 60 * 1000;
+  if (windowOpen && sendCount >= VERIFICATION_MAX_SENDS_PER_HOUR) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((windowStart + 60 * 60 * 1000 - now) / 1000) };
+  }
+
+  const emailVerification = {
+    lastSentAt: new Date(now),
+    sendCount: windowOpen ? sendCount + 1 : 1,
+    windowStartedAt: windowOpen ? new Date(windowStart) : new Date(now),
+  };
+  await User.updateOne({ _id: user._id }, { $set: { emailVerification } });
+  user.emailVerification = emailVerification;
+  return { allowed: true };
+};
+
+const getVerificationHtml = (name, verificationUrl) => `
+  <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #333;">Verify your email address</h2>
+    <p>Hi ${escapeHtml(name)}, thanks for signing up for Learnify. Please confirm that this is your email address.</p>
+    <p style="margin: 30px 0;">
+      <a href="${escapeHtml(verificationUrl)}" style="background-color: #000; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Verify email</a>
+    </p>
+    <p>Or open this link: <br /><a href="${escapeHtml(verificationUrl)}">${escapeHtml(verificationUrl)}</a></p>
+    <p>This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>
+  </div>
+`;
+
+/**
+ * Email a fresh verification link. Never throws; callers decide what to tell the user.
+ * @returns {Promise<{ sent: boolean, verificationUrl: string }>}
+ */
+export const sendVerificationEmail = async (user) => {
+  const verificationUrl = buildVerificationUrl(signEmailVerificationToken(user));
+  if (!isMailConfigured) {
+    console.log(`[EmailVerification] Email not configured, verification link for ${user.email} not sent`);
+    return { sent: false, verificationUrl };
+  }
+  try {
+    await sendEmail({ to: user.email, subject: "Verify your email - Learnify", html: getVerificationHtml(user.name, verificationUrl) });
+    console.log(`[EmailVerification] Verification link sent to ${user.email}`);
+    return { sent: true, verificationUrl };
+  } catch (error) {
+    console.error(`[EmailVerification] Sending to ${user.email} failed:`, error.message);
+    return { sent: false, verificationUrl };
+  }
+};
+
+/* ===== ACCESS ===== */
+
+// Sign-in, session and verification routes plus the current user check stay open to
+// unverified accounts so they can verify (or sign out) from the app
+const UNVERIFIED_ALLOWED_PREFIXES = ["/api/auth/", "/api/user/currentuser"];
+
+export const isAllowedBeforeVerification = (req) => {
+  const path = String(req.originalUrl || "").split("?")[0];
+  return UNVERIFIED_ALLOWED_PREFIXES.some((prefix) => path.startsWith(prefix));
+};
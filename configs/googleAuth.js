@@ -0,0 +1,51 @@
+// Server-side check of Google Sign-In ID tokens. Google's tokeninfo endpoint validates the
+// signature and expiry; the audience must be one of our OAuth client IDs (GOOGLE_CLIENT_ID,
+// comma-separated), otherwise a token issued to another app would be accepted.
+
+const TOKENINFO_URL = "https://oauth2.googleapis.com/tokeninfo";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+
+const getClientIds = () =>
+  String(process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+export const isGoogleTokenVerificationConfigured = () => getClientIds().length > 0;
+
+/**
+ * Validate a Google ID token.
+ * @param {string} idToken
+ * @returns {Promise<{ value: { email: string, emailVerified: boolean, name?: string, picture?: string } | null, error: string | null }>}
+ */
+export const verifyGoogleIdToken = async (idToken) => {
+  const clientIds = getClientIds();
+  if (!clientIds.length) return { value: null, error: "GOOGLE_CLIENT_ID is not configured" };
+  if (!idToken || typeof idToken !== "string") return { value: null, error: "Google ID token is missing" };
+
+  try {
+    const response = await fetch(`${TOKENINFO_URL}?id_token=${encodeURIComponent(idToken)}`, {
+      signal: AbortSignal.timeout(8000),
+    });
+    if (!response.ok) return { value: null, error: "Google ID token is invalid or expired" };
+
+    const claims = await response.json();
+    if (!clientIds.includes(claims.aud)) return { value: null, error: "Google ID token was issued to another client" };
+    if (!GOOGLE_ISSUERS.includes(claims.iss)) return { value: null, error: "Google ID token has an unexpected issuer" };
+    if (Number(claims.exp) * 1000 <= Date.now()) return { value: null, error: "Google ID token has expired" };
+
+    return {
+      value: {
+        email: String(claims.email || "").toLowerCase().trim(),
+        // tokeninfo returns claims as strings
+        emailVerified: claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name,
+        picture: claims.picture,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.warn("[GoogleAuth] ID token verification failed:", error?.message || error);
+    return { value: null, error: "Unable to verify Google ID token" };
+  }
+};
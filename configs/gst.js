@@ -0,0 +1,155 @@
+// GST configuration for tax invoices.
+// Seller details come from environment variables and are snapshotted into each
+// invoice when it is issued, so later config changes never alter an old invoice.
+
+const sanitizeEnvValue = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/^['"]+|['"]+$/g, "")
+    .trim();
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state / UT codes used for place of supply
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory",
+};
+
+export const normalizeGstin = (value) => sanitizeEnvValue(value).toUpperCase().replace(/\s+/g, "");
+
+export const isValidGstin = (value) => GSTIN_PATTERN.test(normalizeGstin(value));
+
+export const normalizeStateCode = (value) => {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (!digits) return "";
+  const code = digits.padStart(2, "0").slice(-2);
+  return GST_STATE_CODES[code] ? code : "";
+};
+
+export const getStateName = (stateCode) => GST_STATE_CODES[stateCode] || "";
+
+/**
+ * Seller (institute) details for invoices
+ * @returns {{ name: string, address: string, gstin: string, stateCode: string, stateName: string }}
+ */
+export const getSellerDetails = () => {
+  const gstin = normalizeGstin(process.env.INSTITUTE_GSTIN);
+  const stateCode =
+    normalizeStateCode(process.env.INSTITUTE_STATE_CODE) ||
+    (isValidGstin(gstin) ? gstin.slice(0, 2) : "");
+
+  return {
+    name: sanitizeEnvValue(process.env.INSTITUTE_NAME) || "Learnify",
+    address: sanitizeEnvValue(process.env.INSTITUTE_ADDRESS),
+    gstin,
+    stateCode,
+    stateName: getStateName(stateCode),
+  };
+};
+
+export const getGstRate = () => {
+  const rate = Number(process.env.GST_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 28 ? rate : 18;
+};
+
+// SAC 999293: commercial training and coaching services
+export const getSacCode = () => sanitizeEnvValue(process.env.INVOICE_SAC_CODE) || "999293";
+
+// GST caps invoice numbers at 16 characters, so the prefix is kept short.
+export const getInvoicePrefix = () =>
+  (sanitizeEnvValue(process.env.INVOICE_PREFIX) || "LRN").replace(/[^A-Za-z0-9]/g, "").slice(0, 4).toUpperCase() || "LRN";
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Indian financial year (April-March) for a date, evaluated in IST
+ * @param {Date} date
+ * @returns {{ label: string, short: string }} e.g. { label: "2026-27", short: "2627" }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  const endYY = String((startYear + 1) % 100).padStart(2, "0");
+  return {
+    label: `${startYear}-${endYY}`,
+    short: `${String(startYear % 100).padStart(2, "0")}${endYY}`,
+  };
+};
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Split a tax-inclusive amount into taxable value and CGST/SGST or IGST.
+ * Intra-state supply (same state as seller) uses CGST + SGST, otherwise IGST.
+ * @param {number} grossAmount - Amount actually paid (inclusive of GST)
+ * @param {Object} options - { rate, sellerStateCode, placeOfSupply }
+ */
+export const computeGstSplit = (grossAmount, { rate, sellerStateCode, placeOfSupply }) => {
+  const total = round2(grossAmount);
+  const taxableValue = round2(total / (1 + rate / 100));
+  const totalTax = round2(total - taxableValue);
+  const isInterState = Boolean(sellerStateCode && placeOfSupply && sellerStateCode !== placeOfSupply);
+
+  const cgst = isInterState ? 0 : round2(totalTax / 2);
+  const sgst = isInterState ? 0 : round2(totalTax - cgst);
+  const igst = isInterState ? totalTax : 0;
+
+  return {
+    supplyType: isInterState ? "inter-state" : "intra-state",
+    taxableValue,
+    cgstRate: isInterState ? 0 : rate / 2,
+    sgstRate: isInterState ? 0 : rate / 2,
+    igstRate: isInterState ? rate : 0,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+    totalAmount: total,
+  };
+};
+
+export default {
+  getSellerDetails,
+  getGstRate,
+  getSacCode,
+  getInvoicePrefix,
+  getFinancialYear,
+  computeGstSplit,
+};
@@ -1,4 +1,4 @@
-import { AccessToken } from 'livekit-server-sdk';
+import { AccessToken, WebhookReceiver } from 'livekit-server-sdk';
 
 // LiveKit configuration - all values should come from environment variables
 // No hardcoded defaults for production deployment
@@ -129,8 +129,24 @@ export const generateLiveKitToken = async (roomName, participantName, participan
 
 export const getLiveKitURL = () => LIVEKIT_URL;
 
+/**
+ * Verify and parse a LiveKit webhook. LiveKit signs each delivery with a JWT (API key/secret)
+ * in the Authorization header that carries the SHA-256 of the body.
+ * @param {string} body - Raw request body
+ * @param {string} authHeader - Authorization header
+ * @returns {Promise<Object>} WebhookEvent
+ */
+export const receiveLiveKitWebhook = async (body, authHeader) => {
+  if (!LIVEKIT_API_KEY.trim() || !LIVEKIT_API_SECRET.trim()) {
+    throw new Error("LiveKit API credentials are not configured");
+  }
+  const receiver = new WebhookReceiver(LIVEKIT_API_KEY.trim(), LIVEKIT_API_SECRET.trim());
+  return receiver.receive(body, authHeader);
+};
+
 export default {
   generateLiveKitToken,
   getLiveKitURL,
+  receiveLiveKitWebhook,
 };
 
@@ -0,0 +1,47 @@
+import crypto from "crypto";
+
+// Open Badges 2.0 signing. Set OPEN_BADGES_PRIVATE_KEY to an RSA private key (PEM,
+// "\n" escapes allowed). Without it a temporary key is generated at startup, so
+// previously exported signed assertions stop verifying after a restart.
+
+export const OPEN_BADGES_CONTEXT = "https://w3id.org/openbadges/v2";
+
+let cachedKeys = null;
+
+export const getBadgeSigningKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const pem = String(process.env.OPEN_BADGES_PRIVATE_KEY || "").replace(/\\n/g, "\n").trim();
+  let privateKey;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem);
+  } else {
+    console.warn("[OpenBadges] OPEN_BADGES_PRIVATE_KEY not set, using a temporary signing key");
+    privateKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  }
+
+  cachedKeys = {
+    privateKey,
+    publicKeyPem: crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" }),
+    persistent: Boolean(pem),
+  };
+  return cachedKeys;
+};
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Sign an assertion as a compact JWS (RS256), the Open Badges "SignedBadge" format.
+ * @param {Object} assertion - Assertion whose verification.creator points at the public key
+ * @returns {string}
+ */
+export const signBadgeAssertion = (assertion) => {
+  const { privateKey } = getBadgeSigningKeys();
+  const signingInput = `${base64url(JSON.stringify({ alg: "RS256" }))}.${base64url(JSON.stringify(assertion))}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(signingInput), privateKey).toString("base64url");
+  return `${signingInput}.${signature}`;
+};
+
+// Recipients are identified by a salted email hash so the assertion does not expose the address
+export const hashBadgeRecipient = (email, salt) =>
+  `sha256$${crypto.createHash("sha256").update(`${String(email || "").trim().toLowerCase()}${salt}`).digest("hex")}`;
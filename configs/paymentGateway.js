@@ -0,0 +1,83 @@
+import { createRazorpayProvider } from "./paymentProviders/razorpayProvider.js";
+import { createSandboxProvider } from "./paymentProviders/sandboxProvider.js";
+
+// Payment provider registry.
+//
+// Every provider implements the same interface (amounts in minor units, e.g. paise):
+//   name, publicKey, isConfigured
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, status, raw }
+//   fetchOrder(orderId)                               -> { id, status, amount, amountPaid }
+//   fetchOrderPayments(orderId)                       -> [{ id, status, amount, amountRefunded }]
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   refund(paymentId, { amount, notes })              -> { id, amount, status }
+//   parseWebhook({ rawBody, headers, body })          -> { valid, eventId, event, type, entityId, data }
+//
+// To add a gateway (Stripe, PayU, ...), create configs/paymentProviders/<name>Provider.js
+// and register its factory below; controllers only talk to this module.
+
+const providerFactories = {
+  razorpay: () => createRazorpayProvider(),
+  sandbox: () => createSandboxProvider(),
+};
+
+const providerInstances = new Map();
+
+export const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providerInstances.delete(name);
+};
+
+// Replace a provider instance (tests inject fakes this way).
+export const setPaymentProvider = (name, provider) => {
+  providerInstances.set(name, provider);
+};
+
+// The sandbox settles payments without real money, so it is off unless explicitly enabled
+// with PAYMENT_SANDBOX_ENABLED=true and a PAYMENT_SANDBOX_SECRET to sign its webhooks.
+export const isSandboxEnabled = () =>
+  process.env.PAYMENT_SANDBOX_ENABLED === "true" && Boolean(process.env.PAYMENT_SANDBOX_SECRET);
+
+export const getDefaultProviderName = () => {
+  const configured = String(process.env.PAYMENT_PROVIDER || "").trim().toLowerCase();
+  if (configured) return configured;
+
+  const hasRazorpayKeys = Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+  if (!hasRazorpayKeys && isSandboxEnabled()) {
+    return "sandbox";
+  }
+  return "razorpay";
+};
+
+/**
+ * Get a payment provider by name (defaults to PAYMENT_PROVIDER / environment default).
+ * Records store the provider that created them, so always pass it back when known.
+ * @param {string} [name]
+ */
+export const getPaymentProvider = (name) => {
+  const providerName = String(name || getDefaultProviderName()).trim().toLowerCase();
+  if (providerInstances.has(providerName)) {
+    return providerInstances.get(providerName);
+  }
+
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+  if (providerName === "sandbox" && !isSandboxEnabled()) {
+    throw new Error("Sandbox payment provider is disabled (set PAYMENT_SANDBOX_ENABLED=true and PAYMENT_SANDBOX_SECRET)");
+  }
+
+  const provider = factory();
+  providerInstances.set(providerName, provider);
+  return provider;
+};
+
+export const getRegisteredProviderNames = () => Object.keys(providerFactories);
+
+export default {
+  getPaymentProvider,
+  registerPaymentProvider,
+  setPaymentProvider,
+  getDefaultProviderName,
+  isSandboxEnabled,
+};
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(String(expected), "utf8");
+  const receivedBuffer = Buffer.from(String(received || ""), "utf8");
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const toGatewayError = (error) => {
+  const wrapped = new Error(error?.error?.description || error?.message || "Razorpay request failed");
+  wrapped.statusCode = error?.statusCode;
+  wrapped.gatewayCode = error?.error?.code;
+  return wrapped;
+};
+
+const WEBHOOK_EVENT_TYPES = {
+  "payment.captured": "payment.succeeded",
+  "order.paid": "payment.succeeded",
+  "payment.failed": "payment.failed",
+  "refund.processed": "refund.processed",
+};
+
+/**
+ * Razorpay implementation of the payment provider interface.
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Razorpay SDK-compatible client (e.g. scripts/fakeRazorpayClient.js)
+ * @param {string} [options.keyId]
+ * @param {string} [options.keySecret]
+ * @param {string} [options.webhookSecret]
+ */
+export const createRazorpayProvider = ({
+  client,
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET,
+} = {}) => {
+  const sdk = client || (keyId && keySecret ? new Razorpay({ key_id: keyId, key_secret: keySecret }) : null);
+
+  const requireSdk = () => {
+    if (!sdk) {
+      throw new Error("Razorpay is not configured");
+    }
+    return sdk;
+  };
+
+  return {
+    name: "razorpay",
+    publicKey: keyId || "",
+    isConfigured: Boolean(sdk),
+
+    createOrder: async ({ amount, currency = "INR", receipt, notes }) => {
+      try {
+        const order = await requireSdk().orders.create({
+          amount,
+          currency,
+          receipt,
+          ...(notes ? { notes } : {}),
+        });
+        return { id: order.id, amount: order.amount, currency: order.currency || currency, status: order.status, raw: order };
+      } catch (error) {
+        throw toGatewayError(error);
+      }
+    },
+
+    fetchOrder: async (orderId) => {
+      try {
+        const order = await requireSdk().orders.fetch(orderId);
+        return {
+          id: order.id,
+          status: order.status,
+          amount: Number(order.amount || 0),
+          amountPaid: Number(order.amount_paid || 0),
+        };
+      } catch (error) {
+        throw toGatewayError(error);
+      }
+    },
+
+    fetchOrderPayments: async (orderId) => {
+      try {
+        const list = await requireSdk().orders.fetchPayments(orderId);
+        return (Array.isArray(list?.items) ? list.items : []).map((payment) => ({
+          id: payment.id,
+          status: payment.status,
+          amount: Number(payment.amount || 0),
+          amountRefunded: Number(payment.amount_refunded || 0),
+        }));
+      } catch (error) {
+        throw toGatewayError(error);
+      }
+    },
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) => {
+      if (!keySecret || !orderId || !paymentId || !signature) return false;
+      const expected = crypto.createHmac("sha256", keySecret).update(`${orderId}|${paymentId}`).digest("hex");
+      return safeEqual(expected, signature);
+    },
+
+    refund: async (paymentId, { amount, notes }) => {
+      try {
+        const refund = await requireSdk().payments.refund(paymentId, { amount, ...(notes ? { notes } : {}) });
+        return {
+          id: refund.id,
+          amount: Number(refund.amount || amount),
+          status: refund.status === "processed" ? "processed" : refund.status === "failed" ? "failed" : "pending",
+        };
+      } catch (error) {
+        throw toGatewayError(error);
+      }
+    },
+
+    // Razorpay signs the exact request bytes with the webhook secret.
+    parseWebhook: ({ rawBody, headers = {}, body = {} }) => {
+      const secret = String(webhookSecret || "").trim();
+      const signature = headers["x-razorpay-signature"];
+      if (!secret || !rawBody || !signature) {
+        return { valid: false };
+      }
+      const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+      if (!safeEqual(expected, signature)) {
+        return { valid: false };
+      }
+
+      const payment = body.payload?.payment?.entity || {};
+      const order = body.payload?.order?.entity || {};
+      const refund = body.payload?.refund?.entity || {};
+      const event = String(body.event || "").trim();
+
+      return {
+        valid: true,
+        // Stable across retries of the same event; fall back to a hash of the body.
+        eventId:
+          String(headers["x-razorpay-event-id"] || "").trim() ||
+          crypto.createHash("sha256").update(rawBody).digest("hex"),
+        event,
+        type: WEBHOOK_EVENT_TYPES[event] || null,
+        entityId: String(refund.id || payment.id || order.id || ""),
+        data: {
+          orderId: order.id || payment.order_id || "",
+          paymentId: event === "refund.processed" ? refund.payment_id : payment.id,
+          failureReason: payment.error_description || "",
+          refundId: refund.id || "",
+          amount: Number(refund.amount || 0),
+          refundStatus: refund.status || "",
+        },
+      };
+    },
+  };
+};
+
+export default createRazorpayProvider;
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+
+// Local payment gateway for development and automated tests.
+// Orders live in memory; `simulatePayment` plays the role of the hosted checkout
+// and returns the same fields the Razorpay checkout hands to the browser.
+
+const randomId = (prefix) => `${prefix}_sandbox_${crypto.randomBytes(7).toString("hex")}`;
+
+const sign = (secret, value) => crypto.createHmac("sha256", secret).update(value).digest("hex");
+
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(String(expected), "utf8");
+  const receivedBuffer = Buffer.from(String(received || ""), "utf8");
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const notFound = (id) => {
+  const error = new Error(`Sandbox order or payment not found: ${id}`);
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Signs checkout results and webhooks (required)
+ * @param {"success"|"failure"} [options.defaultOutcome] - Used when simulatePayment gets no outcome
+ */
+export const createSandboxProvider = ({
+  secret = process.env.PAYMENT_SANDBOX_SECRET,
+  defaultOutcome = process.env.PAYMENT_SANDBOX_DEFAULT_OUTCOME === "failure" ? "failure" : "success",
+} = {}) => {
+  // A well-known default would let anyone sign sandbox webhooks
+  if (!secret) {
+    throw new Error("PAYMENT_SANDBOX_SECRET is required for the sandbox payment provider");
+  }
+  const orders = new Map();
+  const payments = new Map();
+
+  const getOrder = (orderId) => {
+    const order = orders.get(orderId);
+    if (!order) throw notFound(orderId);
+    return order;
+  };
+
+  return {
+    name: "sandbox",
+    publicKey: "sandbox",
+    isConfigured: true,
+
+    createOrder: async ({ amount, currency = "INR", receipt, notes }) => {
+      const order = {
+        id: randomId("order"),
+        entity: "order",
+        amount,
+        amount_paid: 0,
+        currency,
+        receipt,
+        notes: notes || {},
+        status: "created",
+        paymentIds: [],
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      orders.set(order.id, order);
+      const { paymentIds, ...raw } = order;
+      return { id: order.id, amount, currency, status: order.status, raw };
+    },
+
+    fetchOrder: async (orderId) => {
+      const order = getOrder(orderId);
+      return { id: order.id, status: order.status, amount: order.amount, amountPaid: order.amount_paid };
+    },
+
+    fetchOrderPayments: async (orderId) => {
+      const order = getOrder(orderId);
+      return order.paymentIds.map((paymentId) => {
+        const payment = payments.get(paymentId);
+        return {
+          id: payment.id,
+          status: payment.status,
+          amount: payment.amount,
+          amountRefunded: payment.amountRefunded,
+        };
+      });
+    },
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) => {
+      if (!orderId || !paymentId || !signature) return false;
+      return safeEqual(sign(secret, `${orderId}|${paymentId}`), signature);
+    },
+
+    refund: async (paymentId, { amount }) => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== "captured") throw notFound(paymentId);
+      const refundAmount = Number(amount || payment.amount - payment.amountRefunded);
+      if (refundAmount <= 0 || payment.amountRefunded + refundAmount > payment.amount) {
+        throw new Error("Refund amount exceeds captured amount");
+      }
+      payment.amountRefunded += refundAmount;
+      // Like Razorpay: fully refunded payments leave the "captured" state
+      if (payment.amountRefunded >= payment.amount) payment.status = "refunded";
+      return { id: randomId("rfnd"), amount: refundAmount, status: "processed" };
+    },
+
+    parseWebhook: ({ rawBody, headers = {}, body = {} }) => {
+      if (!rawBody || !safeEqual(sign(secret, rawBody), headers["x-sandbox-signature"])) {
+        return { valid: false };
+      }
+      return {
+        valid: true,
+        eventId: String(body.id || crypto.createHash("sha256").update(rawBody).digest("hex")),
+        event: String(body.event || ""),
+        type: ["payment.succeeded", "payment.failed", "refund.processed"].includes(body.event) ? body.event : null,
+        entityId: String(body.data?.refundId || body.data?.paymentId || body.data?.orderId || ""),
+        data: {
+          orderId: body.data?.orderId || "",
+          paymentId: body.data?.paymentId || "",
+          failureReason: body.data?.failureReason || "",
+          refundId: body.data?.refundId || "",
+          amount: Number(body.data?.amount || 0),
+          refundStatus: body.data?.refundStatus || "processed",
+        },
+      };
+    },
+
+    /**
+     * Sandbox-only: complete checkout for an order.
+     * @param {string} orderId
+     * @param {{ outcome?: "success"|"failure" }} [options]
+     * @returns {{ orderId, paymentId, signature, status }}
+     */
+    simulatePayment: (orderId, { outcome } = {}) => {
+      const order = getOrder(orderId);
+      const succeeded = (outcome || defaultOutcome) !== "failure";
+      const payment = {
+        id: randomId("pay"),
+        orderId,
+        amount: order.amount,
+        amountRefunded: 0,
+        status: succeeded ? "captured" : "failed",
+      };
+      payments.set(payment.id, payment);
+      order.paymentIds.push(payment.id);
+
+      if (succeeded) {
+        order.status = "paid";
+        order.amount_paid = order.amount;
+      } else if (order.status === "created") {
+        order.status = "attempted";
+      }
+
+      return {
+        orderId,
+        paymentId: payment.id,
+        signature: succeeded ? sign(secret, `${orderId}|${payment.id}`) : "",
+        status: payment.status,
+      };
+    },
+
+    // Sandbox-only: sign a webhook body the way parseWebhook expects.
+    signWebhook: (rawBody) => sign(secret, rawBody),
+  };
+};
+
+export default createSandboxProvider;
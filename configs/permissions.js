@@ -0,0 +1,160 @@
+import Role from "../models/roleModel.js";
+
+// Named permissions and their default role mappings. Roles live in the Role collection so
+// admins can edit them; until a system role's document exists its defaults below apply.
+
+export const PERMISSIONS = {
+  "users.manage": "Create, edit, delete and unlock user accounts",
+  "roles.manage": "Manage roles and their permissions",
+  "security.manage": "Change security settings such as the two-factor policy",
+  "portal.view": "View admin portal statistics, activity and problem reports",
+  "courses.access_all": "Work with every course, not only courses you created",
+  "grades.view": "View course grades and grade statistics",
+  "grades.manage": "Record, edit and delete grades",
+  "grades.publish": "Publish grades to students",
+  "notifications.send": "Send announcements and manage your own",
+  "notifications.manage_all": "See and remove every announcement",
+  "doubts.ask": "Ask doubts",
+  "doubts.answer": "Respond to doubts assigned to you or raised in your courses",
+  "doubts.manage": "See, assign and delete every doubt",
+  "attendance.view_all": "View attendance across all courses",
+  "fees.view": "View fee records of all students",
+  "fees.create_plan": "Create fee plans",
+  "fees.record_payment": "Record offline fee payments",
+  "payments.refund": "Refund course orders",
+  "payments.reconcile": "View and run payment reconciliation",
+  "invoices.export": "Export the invoice register",
+  "coupons.manage": "Create and edit coupons",
+  "marketing.edit": "Edit marketing content, gallery and team",
+  "marketing.demo_bookings": "View and update demo bookings",
+  "feedback.view_all": "View all feedback, statistics and reports",
+  "feedback.manage": "Update feedback status",
+  "certificates.manage": "Manage certificate templates, revocation and reissue",
+};
+
+// Granted every permission, including ones added later
+export const ALL_PERMISSIONS = "*";
+
+// Built-in roles: cannot be deleted, and the admin role cannot be edited
+export const SYSTEM_ROLES = ["admin", "educator", "student"];
+
+export const DEFAULT_ROLES = [
+  {
+    key: "admin",
+    name: "Admin",
+    description: "Full access to the platform",
+    permissions: [ALL_PERMISSIONS],
+    isSystem: true,
+  },
+  {
+    key: "educator",
+    name: "Educator",
+    description: "Teaches and manages their own courses",
+    permissions: ["grades.view", "grades.manage", "grades.publish", "notifications.send", "doubts.answer"],
+    isSystem: true,
+  },
+  {
+    key: "student",
+    name: "Student",
+    description: "Enrolls in and studies courses",
+    permissions: ["doubts.ask"],
+    isSystem: true,
+  },
+  {
+    key: "accountant",
+    name: "Accountant",
+    description: "Handles fees, payments and invoices",
+    permissions: ["fees.view", "fees.create_plan", "fees.record_payment", "payments.reconcile", "invoices.export"],
+    isSystem: false,
+  },
+  {
+    key: "teaching_assistant",
+    name: "Teaching Assistant",
+    description: "Helps educators with grading and doubts across courses",
+    permissions: ["courses.access_all", "grades.view", "grades.manage", "notifications.send", "doubts.answer"],
+    isSystem: false,
+  },
+  {
+    key: "center_manager",
+    name: "Center Manager",
+    description: "Runs day-to-day operations of a center",
+    permissions: [
+      "portal.view",
+      "courses.access_all",
+      "grades.view",
+      "attendance.view_all",
+      "fees.view",
+      "notifications.send",
+      "notifications.manage_all",
+      "doubts.manage",
+      "marketing.edit",
+      "marketing.demo_bookings",
+      "feedback.view_all",
+      "feedback.manage",
+    ],
+    isSystem: false,
+  },
+];
+
+export const isKnownPermission = (permission) =>
+  permission === ALL_PERMISSIONS || Object.hasOwn(PERMISSIONS, permission);
+
+/* ===== ROLE LOOKUP ===== */
+
+// Role permissions are read on every protected request, so they are cached briefly.
+// Edits through the roles API clear the cache; other instances catch up within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+export const clearPermissionCache = () => permissionCache.clear();
+
+/**
+ * Permissions granted to a role key. Unknown roles get none.
+ * @returns {Promise<Set<string>>}
+ */
+export const getRolePermissions = async (roleKey) => {
+  const key = String(roleKey || "");
+  // The admin role is never narrowed, so nobody can lock the platform out of role management
+  if (key === "admin") return new Set([ALL_PERMISSIONS]);
+
+  const cached = permissionCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.permissions;
+
+  const role = await Role.findOne({ key }).select("permissions").lean();
+  const fallback = SYSTEM_ROLES.includes(key) ? DEFAULT_ROLES.find((entry) => entry.key === key).permissions : [];
+  const permissions = new Set(role ? role.permissions : fallback);
+  permissionCache.set(key, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+export const roleHasPermission = (permissions, permission) =>
+  permissions.has(ALL_PERMISSIONS) || permissions.has(permission);
+
+/**
+ * Whether the signed-in user (req.userRole from isAuth) holds a permission.
+ * Reuses req.permissions when requirePermission() already resolved them.
+ */
+export const hasPermission = async (req, permission) => {
+  if (!req.permissions) req.permissions = await getRolePermissions(req.userRole);
+  return roleHasPermission(req.permissions, permission);
+};
+
+export const roleExists = async (roleKey) =>
+  SYSTEM_ROLES.includes(roleKey) || Boolean(await Role.exists({ key: roleKey }));
+
+// Seed the default roles without touching ones an admin has already edited. The sample
+// custom roles are only added on the first run, so deleting one keeps it deleted.
+export const ensureDefaultRoles = async () => {
+  const firstRun = !(await Role.exists({}));
+  const roles = firstRun ? DEFAULT_ROLES : DEFAULT_ROLES.filter((role) => role.isSystem);
+  await Role.bulkWrite(
+    roles.map((role) => ({
+      updateOne: {
+        filter: { key: role.key },
+        update: { $setOnInsert: role },
+        upsert: true,
+      },
+    }))
+  );
+  clearPermissionCache();
+};
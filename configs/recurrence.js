@@ -0,0 +1,166 @@
+// Weekly recurrence rules for live-class series. Pure helpers: occurrences are calendar
+// dates ("YYYY-MM-DD") in the series time zone plus a local start time, so "Mon/Wed/Fri at
+// 18:00" stays at 18:00 local time whatever the server's zone is.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// A series may span at most a year and generate at most this many sessions
+const MAX_SERIES_DAYS = 366;
+export const MAX_OCCURRENCES = 300;
+
+export const DEFAULT_TIMEZONE = process.env.TIMETABLE_TIMEZONE || "Asia/Kolkata";
+export const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/* ===== DATES ===== */
+
+export const isValidDateKey = (value) =>
+  DATE_KEY_PATTERN.test(String(value || "")) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar date of an instant in the given zone
+export const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(date));
+
+// Local "HH:mm" of an instant in the given zone
+export const toTimeOfDay = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(new Date(date));
+
+export const addDays = (dateKey, days) =>
+  new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+export const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Weeks start on Monday
+export const startOfWeek = (dateKey) => addDays(dateKey, -((weekdayOf(dateKey) + 6) % 7));
+
+const getZoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant of a local date and "HH:mm" in the given zone (DST-aware)
+export const zonedTimeToDate = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getZoneOffsetMs(new Date(guess), timeZone);
+  const corrected = getZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+};
+
+/* ===== RULES ===== */
+
+const parseWeekday = (value) => {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const name = String(value ?? "").trim().toLowerCase();
+  if (/^[0-6]$/.test(name)) return Number(name);
+  const index = WEEKDAY_NAMES.findIndex((weekday) => name.length >= 3 && weekday.startsWith(name));
+  return index === -1 ? null : index;
+};
+
+/**
+ * Validate a weekly recurrence rule from a request body (object or JSON string).
+ * `base` supplies fields the input leaves out, so partial edits can be merged.
+ *
+ *   { daysOfWeek: ["mon", "wed", "fri"], startTime: "18:00", startDate: "2026-01-05",
+ *     endDate: "2026-03-31", interval: 1, skipDates: ["2026-01-26"], timezone: "Asia/Kolkata" }
+ *
+ * @returns {{ value?: Object, error?: string }}
+ */
+export const parseRecurrence = (input, base = {}) => {
+  let rule = input;
+  if (typeof rule === "string") {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      return { error: "recurrence must be valid JSON" };
+    }
+  }
+  if (!rule || typeof rule !== "object") return { error: "recurrence is required" };
+  const merged = { ...base, ...rule };
+
+  const days = Array.isArray(merged.daysOfWeek) ? merged.daysOfWeek.map(parseWeekday) : [];
+  if (!days.length || days.includes(null)) {
+    return { error: "recurrence.daysOfWeek must list weekdays (0-6 or names such as \"mon\")" };
+  }
+
+  const startTime = String(merged.startTime || "");
+  if (!TIME_PATTERN.test(startTime)) return { error: "recurrence.startTime must be HH:mm (24-hour)" };
+
+  if (!isValidDateKey(merged.startDate)) return { error: "recurrence.startDate must be a YYYY-MM-DD date" };
+  if (!isValidDateKey(merged.endDate)) return { error: "recurrence.endDate must be a YYYY-MM-DD date" };
+  if (merged.endDate < merged.startDate) return { error: "recurrence.endDate must not be before startDate" };
+  if ((new Date(merged.endDate) - new Date(merged.startDate)) / DAY_MS > MAX_SERIES_DAYS) {
+    return { error: `A series can span at most ${MAX_SERIES_DAYS} days` };
+  }
+
+  const interval = merged.interval === undefined ? 1 : Number(merged.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+    return { error: "recurrence.interval must be a whole number of weeks between 1 and 4" };
+  }
+
+  const skipDates = Array.isArray(merged.skipDates) ? merged.skipDates.map(String) : [];
+  const invalidSkip = skipDates.find((dateKey) => !isValidDateKey(dateKey));
+  if (invalidSkip) return { error: `recurrence.skipDates has an invalid date: ${invalidSkip}` };
+
+  const timezone = String(merged.timezone || DEFAULT_TIMEZONE);
+  if (!isValidTimeZone(timezone)) return { error: "recurrence.timezone must be an IANA time zone" };
+
+  return {
+    value: {
+      frequency: "weekly",
+      interval,
+      daysOfWeek: [...new Set(days)].sort((a, b) => a - b),
+      startTime,
+      startDate: merged.startDate,
+      endDate: merged.endDate,
+      skipDates: [...new Set(skipDates)].sort(),
+      timezone,
+    },
+  };
+};
+
+/**
+ * Sessions of a rule, in date order, optionally only from `fromDate` (YYYY-MM-DD) on.
+ * @returns {Array<{ occurrenceDate: string, scheduledDate: Date }>}
+ */
+export const generateOccurrences = (rule, { fromDate } = {}) => {
+  const skipDates = new Set(rule.skipDates || []);
+  const days = new Set(rule.daysOfWeek);
+  const firstWeek = startOfWeek(rule.startDate);
+  const occurrences = [];
+
+  for (let dateKey = rule.startDate; dateKey <= rule.endDate; dateKey = addDays(dateKey, 1)) {
+    if (fromDate && dateKey < fromDate) continue;
+    if (!days.has(weekdayOf(dateKey)) || skipDates.has(dateKey)) continue;
+    const weekIndex = Math.round((new Date(startOfWeek(dateKey)) - new Date(firstWeek)) / (7 * DAY_MS));
+    if (weekIndex % (rule.interval || 1) !== 0) continue;
+
+    occurrences.push({ occurrenceDate: dateKey, scheduledDate: zonedTimeToDate(dateKey, rule.startTime, rule.timezone) });
+    if (occurrences.length > MAX_OCCURRENCES) break;
+  }
+  return occurrences;
+};
@@ -0,0 +1,132 @@
+import LiveClass from "../models/liveClassModel.js";
+import Course from "../models/courseModel.js";
+
+// Overlap checks for live-class scheduling. A session occupies [scheduledDate, scheduledDate +
+// duration). It conflicts with scheduled or live classes that overlap it and share
+//  - educator:  the same educator
+//  - classroom: the same center and classroom (offline and hybrid sessions)
+//  - batch:     students; the same course, or another course with common enrolled students
+
+export const CONFLICT_TYPES = ["educator", "classroom", "batch"];
+const ACTIVE_STATUSES = ["scheduled", "live"];
+const MINUTE_MS = 60 * 1000;
+// Longest session considered when looking back for classes that started before a slot
+const MAX_SESSION_MS = 12 * 60 * MINUTE_MS;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const sameText = (value) => new RegExp(`^${escapeRegex(String(value || "").trim())}$`, "i");
+
+const endOf = (start, duration) => new Date(new Date(start).getTime() + (Number(duration) || 60) * MINUTE_MS);
+
+const usesClassroom = ({ deliveryMode, offlineDetails }) =>
+  (deliveryMode === "offline" || deliveryMode === "hybrid") && !!String(offlineDetails?.classroom || "").trim();
+
+// Courses whose students would be double-booked, with how many students each shares
+const findBatchCourses = async (courseId) => {
+  const course = await Course.findById(courseId).select("enrolledStudents");
+  const students = course?.enrolledStudents || [];
+  const shared = new Map([[String(courseId), students.length]]);
+  if (!students.length) return shared;
+
+  const studentIds = new Set(students.map(String));
+  const others = await Course.find({ _id: { $ne: courseId }, enrolledStudents: { $in: students } }).select("enrolledStudents");
+  for (const other of others) {
+    shared.set(String(other._id), other.enrolledStudents.filter((id) => studentIds.has(String(id))).length);
+  }
+  return shared;
+};
+
+/**
+ * Conflicts of one or more planned sessions with existing classes.
+ *
+ * @param {Object} plan
+ * @param {Array<{ scheduledDate: Date, occurrenceDate?: string }>} plan.slots
+ * @param {number} plan.duration Minutes per session
+ * @param {string} plan.educatorId
+ * @param {string|null} plan.courseId null for general sessions (no batch check)
+ * @param {string} plan.deliveryMode
+ * @param {Object} plan.offlineDetails
+ * @param {Array} [plan.excludeIds] Classes being edited
+ * @param {string} [plan.excludeSeriesId] Sessions of a series being regenerated
+ * @returns {Promise<Array<Object>>}
+ */
+export const findScheduleConflicts = async (plan) => {
+  const slots = (plan.slots || []).map((slot) => ({
+    ...slot,
+    start: new Date(slot.scheduledDate),
+    end: endOf(slot.scheduledDate, plan.duration),
+  }));
+  if (!slots.length) return [];
+
+  const checkClassroom = usesClassroom(plan);
+  const batchCourses = plan.courseId ? await findBatchCourses(plan.courseId) : new Map();
+
+  const criteria = [{ educatorId: plan.educatorId }];
+  if (checkClassroom) {
+    criteria.push({
+      deliveryMode: { $in: ["offline", "hybrid"] },
+      "offlineDetails.centerName": sameText(plan.offlineDetails.centerName),
+      "offlineDetails.classroom": sameText(plan.offlineDetails.classroom),
+    });
+  }
+  if (batchCourses.size) criteria.push({ courseId: { $in: [...batchCourses.keys()] } });
+
+  const filter = {
+    status: { $in: ACTIVE_STATUSES },
+    scheduledDate: {
+      $gte: new Date(Math.min(...slots.map((slot) => slot.start.getTime())) - MAX_SESSION_MS),
+      $lt: new Date(Math.max(...slots.map((slot) => slot.end.getTime()))),
+    },
+    $or: criteria,
+  };
+  if (plan.excludeIds?.length) filter._id = { $nin: plan.excludeIds };
+  if (plan.excludeSeriesId) filter.seriesId = { $ne: plan.excludeSeriesId };
+
+  const existing = await LiveClass.find(filter)
+    .select("title courseId educatorId scheduledDate duration deliveryMode offlineDetails seriesId")
+    .sort({ scheduledDate: 1 })
+    .lean();
+
+  const classroomOf = (entry) => ({
+    centerName: entry.offlineDetails?.centerName || "",
+    classroom: entry.offlineDetails?.classroom || "",
+  });
+  const conflicts = [];
+  for (const slot of slots) {
+    for (const entry of existing) {
+      const entryStart = new Date(entry.scheduledDate);
+      const entryEnd = endOf(entry.scheduledDate, entry.duration);
+      if (!(entryStart < slot.end && slot.start < entryEnd)) continue;
+
+      const base = {
+        slot: { scheduledDate: slot.start, endDate: slot.end, occurrenceDate: slot.occurrenceDate },
+        liveClass: {
+          _id: entry._id,
+          title: entry.title,
+          courseId: entry.courseId,
+          educatorId: entry.educatorId,
+          seriesId: entry.seriesId || null,
+          scheduledDate: entryStart,
+          endDate: entryEnd,
+        },
+        overlapMinutes: Math.round((Math.min(slot.end, entryEnd) - Math.max(slot.start, entryStart)) / MINUTE_MS),
+      };
+
+      if (String(entry.educatorId) === String(plan.educatorId)) {
+        conflicts.push({ type: "educator", ...base });
+      }
+      if (
+        checkClassroom &&
+        usesClassroom(entry) &&
+        sameText(plan.offlineDetails.centerName).test(entry.offlineDetails.centerName || "") &&
+        sameText(plan.offlineDetails.classroom).test(entry.offlineDetails.classroom || "")
+      ) {
+        conflicts.push({ type: "classroom", ...base, classroom: classroomOf(entry) });
+      }
+      if (entry.courseId && batchCourses.has(String(entry.courseId))) {
+        conflicts.push({ type: "batch", ...base, sharedStudents: batchCourses.get(String(entry.courseId)) });
+      }
+    }
+  }
+  return conflicts;
+};
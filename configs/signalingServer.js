@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { WebSocketServer } from "ws";
+import LiveClass from "../models/liveClassModel.js";
+import Course from "../models/courseModel.js";
+import User from "../models/userModel.js";
+import { verifyToken } from "./token.js";
+import { findActiveSession } from "./authSession.js";
+import { getRolePermissions, roleHasPermission } from "./permissions.js";
+import { createSignalingStore } from "./signalingStore.js";
+import { isAllowedOrigin } from "../middlewares/security.js";
+
+// WebRTC signaling for live classes over WebSocket.
+//
+//   ws(s)://<api>/api/liveclass/signaling?liveClassId=<id>
+//
+// Authenticated like isAuth: the access token comes from the `token` cookie, a `token` query
+// parameter (browsers cannot set headers on WebSocket requests) or an Authorization header.
+// WebSocket upgrades are not covered by CORS, so browser upgrades from origins outside
+// getAllowedOrigins() are refused; otherwise any site could open a socket with the cookie.
+// Each connection is a peer in the live-class room; a user may join from several tabs.
+//
+// Server -> client: welcome { peerId, peers }, peer-joined { peer }, peer-left { peerId },
+//                   offer | answer | ice-candidate { from, data }, pong, error { message }
+// Client -> server: offer | answer | ice-candidate { to?, data } (no `to` = everyone else), ping
+
+export const SIGNALING_PATH = "/api/liveclass/signaling";
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// Per-connection flood guard
+const MESSAGE_WINDOW_MS = 10 * 1000;
+const MAX_MESSAGES_PER_WINDOW = 300;
+const RELAY_TYPES = new Set(["offer", "answer", "ice-candidate"]);
+const CLOSED_CLASS_STATUSES = new Set(["completed", "cancelled"]);
+
+class UpgradeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const parseCookies = (header = "") =>
+  Object.fromEntries(
+    header
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name, ...value]) => name && value.length)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join("="))])
+  );
+
+const getUpgradeToken = (request, url) => {
+  const cookieToken = parseCookies(request.headers.cookie).token;
+  if (cookieToken) return cookieToken;
+  if (url.searchParams.get("token")) return url.searchParams.get("token");
+  const authHeader = request.headers.authorization || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : "";
+};
+
+/* ===== AUTH ===== */
+
+// Same checks as isAuth: valid token, live session, approved and verified account
+const authenticateUpgrade = async (request, url) => {
+  if (!process.env.JWT_SECRET) throw new UpgradeError(500, "Server configuration error");
+  // Browsers always send Origin on WebSocket upgrades; non-browser clients carry no ambient cookies
+  const origin = request.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    console.warn(`[Signaling] Blocked upgrade from origin: ${origin}`);
+    throw new UpgradeError(403, "Forbidden request origin");
+  }
+  if (mongoose.connection.readyState !== 1) throw new UpgradeError(503, "Database connection unavailable");
+
+  const token = getUpgradeToken(request, url);
+  if (!token) throw new UpgradeError(401, "Authentication required");
+
+  let decodedToken;
+  try {
+    decodedToken = verifyToken(token);
+  } catch (error) {
+    throw new UpgradeError(401, error.message);
+  }
+  if (!decodedToken?.userId || !(await findActiveSession(decodedToken))) {
+    throw new UpgradeError(401, "Session has ended");
+  }
+
+  const user = await User.findById(decodedToken.userId).select("_id name role status emailVerified");
+  if (!user || user.status !== "approved" || user.emailVerified === false) {
+    throw new UpgradeError(403, "Account cannot join live classes");
+  }
+  return user;
+};
+
+// Class creator and roles with courses.access_all host; enrolled students (any approved user
+// for general sessions) participate
+const authorizeRoom = async (user, liveClassId) => {
+  if (!mongoose.isValidObjectId(liveClassId)) throw new UpgradeError(400, "Invalid live class ID");
+
+  const liveClass = await LiveClass.findById(liveClassId).select("educatorId courseId status");
+  if (!liveClass) throw new UpgradeError(404, "Live class not found");
+  if (CLOSED_CLASS_STATUSES.has(liveClass.status)) throw new UpgradeError(409, "Live class has ended");
+
+  const isCreator = liveClass.educatorId.toString() === user._id.toString();
+  if (isCreator || roleHasPermission(await getRolePermissions(user.role), "courses.access_all")) {
+    return { isHost: true };
+  }
+
+  if (liveClass.courseId) {
+    const isEnrolled = await Course.exists({ _id: liveClass.courseId, enrolledStudents: user._id });
+    if (!isEnrolled) throw new UpgradeError(403, "You must be enrolled in the course to join");
+  }
+  return { isHost: false };
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  const reason = { 400: "Bad Request", 401: "Unauthorized", 403: "Forbidden", 404: "Not Found", 409: "Conflict", 503: "Service Unavailable" }[status] || "Internal Server Error";
+  const body = JSON.stringify({ message });
+  socket.write(
+    `HTTP/1.1 ${status} ${reason}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+  );
+  socket.destroy();
+};
+
+/* ===== SERVER ===== */
+
+/**
+ * Attach the signaling WebSocket endpoint to the HTTP server returned by app.listen().
+ * @returns {Promise<{ close: () => Promise<void> }>}
+ */
+export const attachSignalingServer = async (server) => {
+  const store = await createSignalingStore();
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  // Sockets connected to this instance: Map<liveClassId, Map<peerId, WebSocket>>
+  const rooms = new Map();
+
+  const send = (ws, payload) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+  };
+
+  // Deliver to this instance's sockets: one peer (`to`) or everyone except the sender
+  const deliverLocal = (roomId, event) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    if (event.to) {
+      const target = room.get(event.to);
+      if (target) send(target, event);
+      return;
+    }
+    for (const [peerId, ws] of room) {
+      if (peerId !== event.from) send(ws, event);
+    }
+  };
+
+  const emit = (roomId, event) => {
+    deliverLocal(roomId, event);
+    if (event.to && rooms.get(roomId)?.has(event.to)) return;
+    store.publish(roomId, event).catch((error) => console.error("[Signaling] Publish failed:", error.message));
+  };
+
+  await store.subscribe(deliverLocal);
+
+  const handleMessage = (ws, raw) => {
+    const now = Date.now();
+    if (now - ws.windowStartedAt > MESSAGE_WINDOW_MS) {
+      ws.windowStartedAt = now;
+      ws.messageCount = 0;
+    }
+    if (++ws.messageCount > MAX_MESSAGES_PER_WINDOW) {
+      ws.close(1008, "Too many messages");
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      send(ws, { type: "error", message: "Messages must be JSON" });
+      return;
+    }
+
+    if (message?.type === "ping") {
+      send(ws, { type: "pong" });
+      return;
+    }
+    if (!RELAY_TYPES.has(message?.type) || message.data === undefined) {
+      send(ws, { type: "error", message: "Unsupported message" });
+      return;
+    }
+
+    emit(ws.roomId, {
+      type: message.type,
+      from: ws.peer.peerId,
+      fromUserId: ws.peer.userId,
+      to: typeof message.to === "string" ? message.to : undefined,
+      data: message.data,
+    });
+  };
+
+  const handleConnection = async (ws, roomId, peer) => {
+    ws.roomId = roomId;
+    ws.peer = peer;
+    ws.isAlive = true;
+    ws.windowStartedAt = Date.now();
+    ws.messageCount = 0;
+
+    if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+    const room = rooms.get(roomId);
+    room.set(peer.peerId, ws);
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (raw) => handleMessage(ws, raw));
+    ws.on("close", () => {
+      room.delete(peer.peerId);
+      if (!room.size) rooms.delete(roomId);
+      store.removePeer(roomId, peer.peerId).catch((error) => console.error("[Signaling] Presence update failed:", error.message));
+      emit(roomId, { type: "peer-left", from: peer.peerId, peerId: peer.peerId, userId: peer.userId });
+      console.log(`[Signaling] ${peer.name} (${peer.peerId}) left live class ${roomId}`);
+    });
+
+    try {
+      await store.addPeer(roomId, peer);
+      const remotePeers = await store.listPeers(roomId);
+      const localPeers = [...room.values()].map((socket) => socket.peer);
+      const peers = [...new Map([...remotePeers, ...localPeers].map((entry) => [entry.peerId, entry])).values()].filter(
+        (entry) => entry.peerId !== peer.peerId
+      );
+      send(ws, { type: "welcome", peerId: peer.peerId, peers });
+    } catch (error) {
+      console.error("[Signaling] Presence lookup failed:", error.message);
+      send(ws, { type: "welcome", peerId: peer.peerId, peers: [...room.values()].map((socket) => socket.peer).filter((entry) => entry.peerId !== peer.peerId) });
+    }
+    emit(roomId, { type: "peer-joined", from: peer.peerId, peer });
+    console.log(`[Signaling] ${peer.name} (${peer.peerId}) joined live class ${roomId}`);
+  };
+
+  const onUpgrade = async (request, socket, head) => {
+    const url = new URL(request.url, "http://localhost");
+    if (url.pathname !== SIGNALING_PATH) return;
+
+    try {
+      const user = await authenticateUpgrade(request, url);
+      const roomId = url.searchParams.get("liveClassId") || "";
+      const { isHost } = await authorizeRoom(user, roomId);
+
+      const peer = {
+        peerId: crypto.randomUUID(),
+        userId: user._id.toString(),
+        name: user.name,
+        role: user.role,
+        isHost,
+      };
+      wss.handleUpgrade(request, socket, head, (ws) => {
+        handleConnection(ws, roomId, peer).catch((error) => {
+          console.error("[Signaling] Connection setup failed:", error);
+          ws.close(1011, "Connection setup failed");
+        });
+      });
+    } catch (error) {
+      if (!(error instanceof UpgradeError)) console.error("[Signaling] Upgrade error:", error);
+      rejectUpgrade(socket, error.status || 500, error instanceof UpgradeError ? error.message : "Signaling unavailable");
+    }
+  };
+  server.on("upgrade", onUpgrade);
+
+  // Drop dead sockets and keep this instance's presence entries fresh
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+    for (const [roomId, room] of rooms) {
+      store
+        .refreshPeers(roomId, [...room.values()].map((ws) => ws.peer))
+        .catch((error) => console.error("[Signaling] Presence refresh failed:", error.message));
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  console.log(`[Signaling] WebSocket signaling on ${SIGNALING_PATH} (${store.kind} store)`);
+
+  return {
+    close: async () => {
+      clearInterval(heartbeat);
+      server.off("upgrade", onUpgrade);
+      for (const ws of wss.clients) ws.close(1001, "Server shutting down");
+      await new Promise((resolve) => wss.close(resolve));
+      await store.close();
+    },
+  };
+};
@@ -0,0 +1,116 @@
+import crypto from "crypto";
+import { createClient } from "redis";
+
+// Cross-instance state for the live-class signaling server (configs/signalingServer.js).
+// Every instance keeps its own sockets; the store only carries what other instances need:
+// room presence and messages addressed to peers connected elsewhere.
+//  - memory (default): single instance, nothing is shared
+//  - redis (REDIS_URL set): presence in a hash per room, messages over pub/sub
+
+const CHANNEL = "learnify:signaling";
+const PRESENCE_PREFIX = "learnify:signaling:presence:";
+// Presence entries not refreshed for this long belong to a crashed instance and are ignored
+export const PRESENCE_TTL_MS = 90 * 1000;
+
+const createMemoryStore = () => ({
+  kind: "memory",
+  instanceId: crypto.randomUUID(),
+  async publish() {},
+  async subscribe() {},
+  async addPeer() {},
+  async removePeer() {},
+  async refreshPeers() {},
+  async listPeers() {
+    return [];
+  },
+  async close() {},
+});
+
+const createRedisStore = async (url) => {
+  const instanceId = crypto.randomUUID();
+  // Give up quickly when Redis is unreachable at startup; keep reconnecting once it has worked
+  let connected = false;
+  const reconnectStrategy = (retries) =>
+    !connected && retries >= 3 ? new Error("Could not connect to Redis") : Math.min(retries * 500, 5000);
+  const client = createClient({ url, socket: { reconnectStrategy } });
+  const subscriber = client.duplicate();
+  client.on("error", (error) => console.error("[Signaling] Redis error:", error.message));
+  subscriber.on("error", (error) => console.error("[Signaling] Redis subscriber error:", error.message));
+  try {
+    await Promise.all([client.connect(), subscriber.connect()]);
+  } catch (error) {
+    await Promise.allSettled([client.disconnect(), subscriber.disconnect()]);
+    throw error;
+  }
+  connected = true;
+
+  const presenceKey = (roomId) => `${PRESENCE_PREFIX}${roomId}`;
+  const presenceEntry = (peer) => JSON.stringify({ ...peer, instanceId, seenAt: Date.now() });
+
+  return {
+    kind: "redis",
+    instanceId,
+
+    // Events published here reach every other instance; the sender delivers locally itself
+    async publish(roomId, event) {
+      await client.publish(CHANNEL, JSON.stringify({ instanceId, roomId, event }));
+    },
+
+    async subscribe(handler) {
+      await subscriber.subscribe(CHANNEL, (raw) => {
+        try {
+          const message = JSON.parse(raw);
+          if (message.instanceId !== instanceId) handler(message.roomId, message.event);
+        } catch (error) {
+          console.error("[Signaling] Dropped malformed store message:", error.message);
+        }
+      });
+    },
+
+    async addPeer(roomId, peer) {
+      await client.hSet(presenceKey(roomId), peer.peerId, presenceEntry(peer));
+      await client.pExpire(presenceKey(roomId), PRESENCE_TTL_MS * 2);
+    },
+
+    async removePeer(roomId, peerId) {
+      await client.hDel(presenceKey(roomId), peerId);
+    },
+
+    // Called on every heartbeat for the peers this instance holds
+    async refreshPeers(roomId, peers) {
+      if (!peers.length) return;
+      await client.hSet(presenceKey(roomId), Object.fromEntries(peers.map((peer) => [peer.peerId, presenceEntry(peer)])));
+      await client.pExpire(presenceKey(roomId), PRESENCE_TTL_MS * 2);
+    },
+
+    async listPeers(roomId) {
+      const entries = await client.hGetAll(presenceKey(roomId));
+      const cutoff = Date.now() - PRESENCE_TTL_MS;
+      return Object.values(entries)
+        .map((raw) => JSON.parse(raw))
+        .filter((peer) => peer.seenAt >= cutoff)
+        .map(({ seenAt, instanceId: _instanceId, ...peer }) => peer);
+    },
+
+    async close() {
+      await Promise.allSettled([subscriber.quit(), client.quit()]);
+    },
+  };
+};
+
+/**
+ * Redis store when REDIS_URL is set, otherwise the in-process memory store.
+ * Falls back to memory if Redis cannot be reached at startup.
+ */
+export const createSignalingStore = async () => {
+  const url = process.env.REDIS_URL;
+  if (!url) return createMemoryStore();
+  try {
+    const store = await createRedisStore(url);
+    console.log("[Signaling] Using Redis store for multi-instance signaling");
+    return store;
+  } catch (error) {
+    console.error("[Signaling] Redis unavailable, signaling limited to this instance:", error.message);
+    return createMemoryStore();
+  }
+};
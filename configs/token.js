@@ -1,7 +1,10 @@
 import jwt from "jsonwebtoken"
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens (configs/authSession.js)
+export const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
 // Enhanced token generation with security options
-export const genToken = async (userId) => {
+export const genToken = async (userId, sessionId) => {
     try {
         if (!process.env.JWT_SECRET) {
             throw new Error("JWT_SECRET is not configured");
@@ -14,11 +17,12 @@ export const genToken = async (userId) => {
         const token = jwt.sign(
             { 
                 userId,
+                sid: sessionId ? String(sessionId) : undefined,
                 iat: Math.floor(Date.now() / 1000) // Issued at time
             }, 
             process.env.JWT_SECRET, 
             {
-                expiresIn: "7d",
+                expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`,
                 issuer: "learnify-platform",
                 audience: "learnify-users"
             }
@@ -32,7 +36,8 @@ export const genToken = async (userId) => {
 }
 
 // Verify token with enhanced security
-export const verifyToken = (token) => {
+// options.ignoreExpiration lets logout identify the session of an expired token
+export const verifyToken = (token, { ignoreExpiration = false } = {}) => {
     try {
         if (!process.env.JWT_SECRET) {
             throw new Error("JWT_SECRET is not configured");
@@ -40,7 +45,8 @@ export const verifyToken = (token) => {
         
         const decoded = jwt.verify(token, process.env.JWT_SECRET, {
             issuer: "learnify-platform",
-            audience: "learnify-users"
+            audience: "learnify-users",
+            ignoreExpiration
         });
         
         return decoded;
@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import SecuritySetting from "../models/securitySettingModel.js";
+
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 s steps).
+// Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY (falls back to
+// JWT_SECRET), so a database dump alone cannot generate codes.
+
+export const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || "Learnify";
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept the previous and next step to tolerate clock drift on phones
+const TOTP_WINDOW = 1;
+export const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+const CHALLENGE_AUDIENCE = "learnify-2fa";
+
+/* ===== BASE32 ===== */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/* ===== TOTP ===== */
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a 6-digit code against a secret.
+ * @param {string} secret - base32 secret
+ * @param {string} code - code typed by the user
+ * @param {Object} [options] - { lastUsedStep: reject steps at or before this one (replay) }
+ * @returns {number|null} The matched time step, or null
+ */
+export const verifyTotp = (secret, code, { lastUsedStep = 0 } = {}) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset += 1) {
+    const candidate = step + offset;
+    if (candidate <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return candidate;
+  }
+  return null;
+};
+
+export const buildOtpAuthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Enrollment payload: authenticator apps scan the QR; the secret is shown for manual entry
+export const buildEnrollmentQr = async (secret, accountName) => {
+  const otpauthUrl = buildOtpAuthUrl(secret, accountName);
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 });
+  return { otpauthUrl, qrCodeDataUrl, secret };
+};
+
+/* ===== SECRET ENCRYPTION ===== */
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || ""))
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+};
+
+export const decryptSecret = (stored) => {
+  if (!stored) return null;
+  try {
+    const [iv, tag, encrypted] = String(stored).split(".").map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+  } catch (error) {
+    console.error("[2FA] Could not decrypt TOTP secret (encryption key changed?):", error.message);
+    return null;
+  }
+};
+
+/* ===== BACKUP CODES ===== */
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, "")).digest("hex");
+
+/**
+ * Fresh one-time backup codes ("ABCD-EFGH"). Only the hashes are stored.
+ * @returns {{ codes: string[], records: Array<{ hash: string }> }}
+ */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, records: codes.map((code) => ({ hash: hashBackupCode(code) })) };
+};
+
+// Index of the unused backup code matching `code`, or -1
+export const findBackupCode = (records = [], code) => {
+  const hash = hashBackupCode(code);
+  return records.findIndex((record) => !record.usedAt && record.hash === hash);
+};
+
+/* ===== LOGIN CHALLENGE ===== */
+
+// Password/Google step passed, second factor pending. The audience keeps it from working as an access token.
+export const signTwoFactorChallenge = ({ userId, method, purpose }) =>
+  jwt.sign({ userId: String(userId), method, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+    issuer: "learnify-platform",
+    audience: CHALLENGE_AUDIENCE,
+  });
+
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    return jwt.verify(String(challengeToken || ""), process.env.JWT_SECRET, {
+      issuer: "learnify-platform",
+      audience: CHALLENGE_AUDIENCE,
+    });
+  } catch {
+    return null;
+  }
+};
+
+export const isTwoFactorRequiredFor = async (role) => {
+  const settings = await SecuritySetting.getGlobal();
+  return (settings.twoFactorRequiredRoles || []).includes(role);
+};
+
+/**
+ * What login should answer instead of a session, or null when no second factor is needed.
+ * @param {Object} user - User document that passed the first factor
+ * @param {string} method - "password" | "google", carried through to the session
+ */
+export const getTwoFactorLoginChallenge = async (user, method) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge({ userId: user._id, method, purpose: "login" }),
+      message: "Enter the code from your authenticator app or a backup code",
+    };
+  }
+  if (await isTwoFactorRequiredFor(user.role)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signTwoFactorChallenge({ userId: user._id, method, purpose: "setup" }),
+      message: "Two-factor authentication is required for your role. Set it up to continue.",
+    };
+  }
+  return null;
+};
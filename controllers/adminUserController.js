@@ -2,6 +2,16 @@ import bcrypt from "bcryptjs";
 import mongoose from "mongoose";
 import User from "../models/userModel.js";
 import Course from "../models/courseModel.js";
+import Session from "../models/sessionModel.js";
+import { revokeUserSessions } from "../configs/authSession.js";
+import { getLockoutState, unlockAccount } from "../configs/accountSecurity.js";
+import { hasPermission, roleExists } from "../configs/permissions.js";
+
+// users.manage can be granted to custom roles; only admins may act on admin accounts
+export const canManageUser = (req, target) => target.role !== "admin" || req.userRole === "admin";
+
+const sendAdminOnly = (res) =>
+  res.status(403).json({ message: "Only admins can change admin accounts" });
 
 export const createUserByAdmin = async (req, res) => {
   try {
@@ -11,10 +21,17 @@ export const createUserByAdmin = async (req, res) => {
       return res.status(400).json({ message: "Name, email, password, role are required" });
     }
     
-    // Validate role
-    if (!["student", "educator", "admin"].includes(role)) {
+    // Validate role (built-in or custom)
+    if (!(await roleExists(role))) {
       return res.status(400).json({ message: "Invalid role" });
     }
+    // Creating staff accounts hands out permissions, which needs roles.manage
+    if (role !== "student" && !(await hasPermission(req, "roles.manage"))) {
+      return res.status(403).json({ message: "You can only create student accounts" });
+    }
+    if (!canManageUser(req, { role })) {
+      return sendAdminOnly(res);
+    }
     
     // Validate status
     if (!["pending", "approved", "rejected"].includes(status)) {
@@ -66,7 +83,7 @@ export const createUserByAdmin = async (req, res) => {
 export const listUsers = async (req, res) => {
   try {
     console.log(`[ListUsers] Fetching users for admin: ${req.userId}`);
-    const { role, status } = req.query;
+    const { role, status, emailVerified } = req.query;
     const filter = {};
     
     if (role && role.trim() !== "") {
@@ -75,16 +92,23 @@ export const listUsers = async (req, res) => {
     if (status && status.trim() !== "") {
       filter.status = status;
     }
+    // Only password self-signups are ever stored unverified; older accounts have no flag
+    if (emailVerified === "false") {
+      filter.emailVerified = false;
+    } else if (emailVerified === "true") {
+      filter.emailVerified = { $ne: false };
+    }
     
     console.log(`[ListUsers] Filter:`, filter);
     const users = await User.find(filter)
-      .select("-password -resetOtp -otpExpires -isOtpVerifed")
+      .select("-password -resetOtp -otpExpires -isOtpVerifed -resetOtpAttempts -otpRequestCount -otpWindowStartedAt -emailVerification")
       .sort({ createdAt: -1 })
       .lean(); // Use lean() for better performance
 
     const usersWithCounts = (users || []).map((user) => ({
       ...user,
       enrolledCoursesCount: Array.isArray(user.enrolledCourses) ? user.enrolledCourses.length : 0,
+      emailVerified: user.emailVerified !== false,
     }));
 
     console.log(`[ListUsers] Found ${usersWithCounts.length} users`);
@@ -113,6 +137,9 @@ export const deleteUserByAdmin = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    if (!canManageUser(req, user)) {
+      return sendAdminOnly(res);
+    }
 
     if (user.role === "educator") {
       const createdCoursesCount = await Course.countDocuments({ creator: user._id });
@@ -127,10 +154,12 @@ export const deleteUserByAdmin = async (req, res) => {
     // Remove user from enrollment lists to avoid stale references.
     await Course.updateMany(
       { enrolledStudents: user._id },
-      { $pull: { enrolledStudents: user._id } }
+      { $pull: { enrolledStudents: user._id, enrollments: { student: user._id } } }
     );
 
     await User.findByIdAndDelete(user._id);
+    // Tokens of a deleted account must stop working immediately
+    await Session.deleteMany({ user: user._id });
 
     return res.status(200).json({
       message: "User deleted successfully",
@@ -154,16 +183,55 @@ export const updateUserStatus = async (req, res) => {
     if (!["pending", "approved", "rejected"].includes(status)) {
       return res.status(400).json({ message: "Invalid status" });
     }
+    const target = await User.findById(userId).select("role");
+    if (!target) return res.status(404).json({ message: "User not found" });
+    if (!canManageUser(req, target)) return sendAdminOnly(res);
+
     const user = await User.findByIdAndUpdate(userId, { status }, { new: true }).select(
       "-password"
     );
     if (!user) return res.status(404).json({ message: "User not found" });
+    if (status !== "approved") {
+      await revokeUserSessions(user._id, `status_${status}`);
+    }
     return res.status(200).json(user);
   } catch (error) {
     return res.status(500).json({ message: `Update status failed: ${error}` });
   }
 };
 
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+    if (!role || !(await roleExists(role))) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    // Keeps an admin from removing their own access by accident
+    if (req.userId?.toString() === userId.toString()) {
+      return res.status(403).json({ message: "You cannot change your own role" });
+    }
+
+    const target = await User.findById(userId).select("role");
+    if (!target) return res.status(404).json({ message: "User not found" });
+    if (!canManageUser(req, target) || !canManageUser(req, { role })) return sendAdminOnly(res);
+
+    const user = await User.findByIdAndUpdate(userId, { role }, { new: true }).select("_id name email role status");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    console.log(`[UpdateUserRole] Admin ${req.userId} set role of ${user.email} to ${role}`);
+    return res.status(200).json({ message: "Role updated", user });
+  } catch (error) {
+    console.error("[UpdateUserRole] Error:", error);
+    return res.status(500).json({ message: `Update role failed: ${error.message || String(error)}` });
+  }
+};
+
 export const updateUserPassword = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -181,6 +249,9 @@ export const updateUserPassword = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    if (!canManageUser(req, user)) {
+      return sendAdminOnly(res);
+    }
 
     // Prevent admin from changing their own password through this endpoint
     // (they should use regular password change)
@@ -191,9 +262,11 @@ export const updateUserPassword = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     user.password = hashedPassword;
     await user.save();
+    const revokedSessions = await revokeUserSessions(user._id, "admin_password_change");
 
     return res.status(200).json({ 
       message: "Password updated successfully",
+      revokedSessions,
       user: {
         _id: user._id,
         name: user.name,
@@ -206,3 +279,35 @@ export const updateUserPassword = async (req, res) => {
   }
 };
 
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("_id name email role loginSecurity resetOtpAttempts");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const wasLocked = getLockoutState(user).locked;
+    await unlockAccount(user._id);
+    console.log(`[UnlockUser] Admin ${req.userId} unlocked ${user.email} (was locked: ${wasLocked})`);
+
+    return res.status(200).json({
+      message: wasLocked ? "Account unlocked" : "Account was not locked; failed-attempt counters reset",
+      wasLocked,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("[UnlockUser] Error:", error);
+    return res.status(500).json({ message: `Unlock user failed: ${error.message || String(error)}` });
+  }
+};
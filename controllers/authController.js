@@ -1,4 +1,4 @@
-import { genToken } from "../configs/token.js"
+import { clearAuthCookies, getRequestSessionId, revokeSession, revokeUserSessions, setAuthCookies, startSession } from "../configs/authSession.js"
 import validator from "validator"
 
 import bcrypt from "bcryptjs"
@@ -6,6 +6,24 @@ import User from "../models/userModel.js"
 import mongoose from "mongoose"
 
 import sendMail, { getMailProvider, isMailConfigured } from "../configs/Mail.js"
+import { getTwoFactorLoginChallenge } from "../configs/twoFactor.js"
+import {
+    clearFailedLogins,
+    getLockoutState,
+    recordFailedLogin,
+    recordLoginContext,
+    releaseLoginAttempt,
+    reserveLoginAttempt,
+    reserveOtpRequest,
+    sendAccountLocked,
+    verifyOtpAttempt
+} from "../configs/accountSecurity.js"
+import {
+    reserveVerificationEmail,
+    sendVerificationEmail,
+    verifyEmailVerificationToken
+} from "../configs/emailVerification.js"
+import { isGoogleTokenVerificationConfigured, verifyGoogleIdToken } from "../configs/googleAuth.js"
 
 const isDevelopment = process.env.NODE_ENV !== "production";
 const debugLog = (...args) => {
@@ -14,7 +32,41 @@ const debugLog = (...args) => {
 const debugError = (...args) => {
     if (isDevelopment) console.error(...args);
 };
+// Local development without a mail provider gets OTPs and verification links in the response
+const exposeDevSecrets = () => !process.env.NODE_ENV || process.env.NODE_ENV === "development";
 
+// User document as returned to the client: no password hash or 2FA secrets
+export const toAuthUserResponse = (user) => {
+    const userResponse = user.toObject()
+    delete userResponse.password
+    delete userResponse.emailVerification
+    userResponse.twoFactor = {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt
+    }
+    return userResponse
+}
+
+// Start a session, set the auth cookies and send the user with both tokens
+export const sendSessionResponse = async (req, res, user, { method, status = 200, extra = {} }) => {
+    const { session, accessToken, refreshToken } = await startSession(user, req, { method })
+    setAuthCookies(res, { accessToken, refreshToken })
+    debugLog(`[Auth] Session ${session._id} started for user: ${user._id} (${method})`)
+
+    if (user.loginSecurity?.failedAttempts || user.loginSecurity?.lockoutCount) {
+        await clearFailedLogins(user._id)
+    }
+    // New-device alert runs after the response; it must never fail the sign-in
+    recordLoginContext(user, req, { method }).catch((error) =>
+        console.error("[Auth] Login context update failed:", error.message)
+    )
+    return res.status(status).json({
+        ...toAuthUserResponse(user),
+        ...extra,
+        authToken: accessToken,
+        refreshToken
+    })
+}
 
 export const signUp=async (req,res)=>{
  
@@ -64,26 +116,17 @@ export const signUp=async (req,res)=>{
             class: studentBranch,
             subject: subject || "",
             status:"pending",
-            createdByAdmin:false
+            createdByAdmin:false,
+            emailVerified:false
             })
-        let token = await genToken(user._id)
-        
-        // Cookie settings - use secure in production
-        const isProduction = process.env.NODE_ENV === 'production';
-        res.cookie("token",token,{
-            httpOnly:true,
-            secure: isProduction, // Use secure cookies in production (HTTPS only)
-            sameSite: isProduction ? "None" : "Lax", // None for cross-site in production, Lax for development
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        })
-        
-        // Return user without password
-        const userResponse = user.toObject();
-        delete userResponse.password;
-        return res.status(201).json({
-            ...userResponse,
-            authToken: token
-        })
+
+        await reserveVerificationEmail(user)
+        const verification = await sendVerificationEmail(user)
+        const extra = { emailVerificationRequired: true, verificationEmailSent: verification.sent }
+        if (!verification.sent && exposeDevSecrets()) {
+            extra.verificationUrl = verification.verificationUrl
+        }
+        return sendSessionResponse(req, res, user, { method: "signup", status: 201, extra })
 
     } catch (error) {
         console.log("signUp error")
@@ -157,6 +200,19 @@ export const login=async(req,res)=>{
             })
         }
         
+        // Per-account lockout applies no matter which IP the attempt comes from
+        const lockout = getLockoutState(user);
+        if (lockout.locked) {
+            debugLog(`[Login] Account locked until ${lockout.lockedUntil.toISOString()}: ${email}`);
+            return sendAccountLocked(res, lockout.lockedUntil);
+        }
+        
+        // Counted before comparing, so parallel guesses cannot get past the threshold
+        const attempt = await reserveLoginAttempt(user, req, { reason: "password" });
+        if (!attempt.allowed) {
+            return sendAccountLocked(res, attempt.lockedUntil);
+        }
+        
         // Verify password
         debugLog(`[Login] Comparing password for: ${email}`);
         
@@ -166,6 +222,7 @@ export const login=async(req,res)=>{
             debugLog(`[Login] Password comparison result: ${isMatch}`);
         } catch (compareError) {
             debugError(`[Login] Password comparison error:`, compareError);
+            await releaseLoginAttempt(user._id);
             return res.status(500).json({
                 message:"Error verifying password. Please try again.",
                 error: process.env.NODE_ENV === 'development' ? compareError.message : undefined
@@ -174,7 +231,22 @@ export const login=async(req,res)=>{
         
         if(!isMatch){
             debugLog(`[Login] Incorrect password for: ${email}`);
-            return res.status(400).json({message:"Incorrect password"})
+            const failure = await recordFailedLogin(user, req, { reason: "password" });
+            if (failure.locked) {
+                return sendAccountLocked(res, failure.lockedUntil);
+            }
+            return res.status(400).json({
+                message: "Incorrect password",
+                attemptsRemaining: failure.attemptsRemaining
+            })
+        }
+        await releaseLoginAttempt(user._id);
+
+        // Second factor: no session until /api/auth/2fa/verify (or setup) succeeds
+        const twoFactorChallenge = await getTwoFactorLoginChallenge(user, "password");
+        if (twoFactorChallenge) {
+            debugLog(`[Login] Second factor required for: ${email}`);
+            return res.status(200).json(twoFactorChallenge);
         }
         
         // Update last login - user is a Mongoose document, so save() will work
@@ -187,11 +259,10 @@ export const login=async(req,res)=>{
             // Don't fail login if save fails, just log the error
         }
         
-        // Generate token
-        let token;
+        // Start a session (access + refresh token)
         try {
-            token = await genToken(user._id);
-            debugLog(`[Login] Token generated successfully for: ${email}`);
+            debugLog(`[Login] Login successful for: ${email}, Role: ${user.role}, UserID: ${user._id}`);
+            return await sendSessionResponse(req, res, user, { method: "password" });
         } catch (tokenError) {
             debugError(`[Login] Token generation failed:`, tokenError);
             return res.status(500).json({
@@ -199,35 +270,6 @@ export const login=async(req,res)=>{
                 error: process.env.NODE_ENV === 'development' ? tokenError.message : undefined
             });
         }
-        
-        // Cookie settings - use secure in production
-        const isProduction = process.env.NODE_ENV === 'production';
-        const cookieOptions = {
-            httpOnly: true,
-            secure: isProduction, // Use secure cookies in production (HTTPS only)
-            sameSite: isProduction ? "None" : "Lax", // None for cross-site in production, Lax for development
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-            path: "/", // Ensure cookie is available for all paths
-        };
-        
-        // Only set domain for production if explicitly needed and known, otherwise let browser handle
-        if (isProduction && process.env.COOKIE_DOMAIN) {
-            cookieOptions.domain = process.env.COOKIE_DOMAIN;
-        }
-        
-        // Set cookie
-        res.cookie("token", token, cookieOptions);
-        debugLog(`[Login] Cookie set - secure: ${cookieOptions.secure}, sameSite: ${cookieOptions.sameSite}, path: ${cookieOptions.path}`);
-        
-        // Return user without password
-        const userResponse = user.toObject();
-        delete userResponse.password;
-        
-        debugLog(`[Login] Login successful for: ${email}, Role: ${user.role}, UserID: ${user._id}`);
-        return res.status(200).json({
-            ...userResponse,
-            authToken: token
-        })
 
     } catch (error) {
         console.error("[Login] Login error:", error?.message || error);
@@ -267,28 +309,13 @@ export const login=async(req,res)=>{
 
 export const logOut = async(req,res)=>{
     try {
-        const isProduction = process.env.NODE_ENV === "production";
-        const cookieOptions = {
-            httpOnly: true,
-            secure: isProduction,
-            sameSite: isProduction ? "None" : "Lax",
-            path: "/",
-        };
-
-        if (isProduction && process.env.COOKIE_DOMAIN) {
-            cookieOptions.domain = process.env.COOKIE_DOMAIN;
-        }
-
-        // Clear with full options (most reliable for cross-site cookies)
-        res.clearCookie("token", cookieOptions);
-        // Fallback clear for legacy/default-path cookies
-        res.clearCookie("token", { path: "/" });
-        // Explicitly expire cookie as extra safeguard
-        res.cookie("token", "", {
-            ...cookieOptions,
-            maxAge: 0,
-            expires: new Date(0),
-        });
+        // End the server-side session so its tokens stop working everywhere
+        const sessionId = await getRequestSessionId(req);
+        if (sessionId) {
+            await revokeSession(sessionId, "logout");
+        }
+
+        clearAuthCookies(res);
 
         return res.status(200).json({message:"logOut Successfully"})
     } catch (error) {
@@ -299,13 +326,32 @@ export const logOut = async(req,res)=>{
 
 export const googleSignup = async (req,res) => {
     try {
-        const {name , email , role, photoUrl, class: studentClass, branch, subject} = req.body
+        const {name , email , role, photoUrl, class: studentClass, branch, subject, idToken} = req.body
         const studentBranch = String(branch || studentClass || "").trim();
         const normalizedEmail = email?.toLowerCase().trim();
         
         if (!normalizedEmail) {
             return res.status(400).json({message:"Email is required"})
         }
+
+        // With GOOGLE_CLIENT_ID set, a Google ID token checked server-side is the only proof of the
+        // address; without one this endpoint would sign anyone in from an email alone
+        let googleVerified = false
+        if (isGoogleTokenVerificationConfigured()) {
+            if (!idToken) {
+                return res.status(401).json({message:"Google ID token is required"})
+            }
+            const google = await verifyGoogleIdToken(idToken)
+            if (google.error) {
+                return res.status(401).json({message: google.error})
+            }
+            if (google.value.email !== normalizedEmail) {
+                return res.status(400).json({message:"Google account email does not match"})
+            }
+            googleVerified = google.value.emailVerified
+        } else {
+            console.warn("[GoogleSignup] GOOGLE_CLIENT_ID is not set; signing in without a verified Google ID token")
+        }
         
         // Prevent educator/teacher signup - only students can sign up
         if(role && role !== "student"){
@@ -315,6 +361,7 @@ export const googleSignup = async (req,res) => {
         }
         
         let user = await User.findOne({email: normalizedEmail})
+        let verificationExtra
         
         if(!user){
             // New user - always create as student
@@ -326,8 +373,18 @@ export const googleSignup = async (req,res) => {
                 class: studentBranch,
                 subject: subject || "",
                 status: "approved", // Auto-approve Google signups
-                createdByAdmin: false
+                createdByAdmin: false,
+                emailVerified: googleVerified,
+                ...(googleVerified ? { emailVerifiedAt: new Date() } : {})
             })
+            if (!googleVerified) {
+                await reserveVerificationEmail(user)
+                const verification = await sendVerificationEmail(user)
+                verificationExtra = { emailVerificationRequired: true, verificationEmailSent: verification.sent }
+                if (!verification.sent && exposeDevSecrets()) {
+                    verificationExtra.verificationUrl = verification.verificationUrl
+                }
+            }
         } else {
             // Existing user - update last login and photo if provided
             user.lastLoginAt = new Date()
@@ -337,6 +394,11 @@ export const googleSignup = async (req,res) => {
             if (name && user.name !== name) {
                 user.name = name
             }
+            // Google has confirmed the address, which settles a pending password-signup verification
+            if (googleVerified && user.emailVerified === false) {
+                user.emailVerified = true
+                user.emailVerifiedAt = new Date()
+            }
             await user.save()
         }
         
@@ -348,34 +410,14 @@ export const googleSignup = async (req,res) => {
             return res.status(403).json({message:"Account rejected by admin"})
         }
         
-        let token = await genToken(user._id)
-        
-        // Cookie settings - use secure in production
-        const isProduction = process.env.NODE_ENV === 'production';
-        const cookieOptions = {
-            httpOnly: true,
-            secure: isProduction, // Use secure cookies in production (HTTPS only)
-            sameSite: isProduction ? "None" : "Lax", // None for cross-site in production, Lax for development
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-            path: "/", // Ensure cookie is available for all paths
-        };
-        
-        // Only set domain for production if explicitly needed and known, otherwise let browser handle
-        if (isProduction && process.env.COOKIE_DOMAIN) {
-            cookieOptions.domain = process.env.COOKIE_DOMAIN;
+        const twoFactorChallenge = await getTwoFactorLoginChallenge(user, "google")
+        if (twoFactorChallenge) {
+            console.log(`[GoogleSignup] Second factor required for user: ${user._id}`);
+            return res.status(200).json(twoFactorChallenge)
         }
-        
-        // Set cookie
-        res.cookie("token", token, cookieOptions);
-        console.log(`[GoogleSignup] Cookie set - secure: ${cookieOptions.secure}, sameSite: ${cookieOptions.sameSite}, path: ${cookieOptions.path}`);
-        
-        // Return user without password
-        const userResponse = user.toObject()
-        delete userResponse.password
-        return res.status(200).json({
-            ...userResponse,
-            authToken: token
-        })
+
+        console.log(`[GoogleSignup] Signing in user: ${user._id}`);
+        return sendSessionResponse(req, res, user, { method: "google", extra: verificationExtra })
 
     } catch (error) {
         console.error("Google signup error:", error)
@@ -410,6 +452,16 @@ export const sendOtp = async (req,res) => {
             })
         }
         
+        const otpQuota = reserveOtpRequest(user);
+        if (!otpQuota.allowed) {
+            console.log(`[SendOTP] OTP request limit reached for: ${user.email}`);
+            res.set("Retry-After", String(otpQuota.retryAfterSeconds));
+            return res.status(429).json({
+                message: "Too many OTP requests for this account. Please try again later.",
+                retryAfterSeconds: otpQuota.retryAfterSeconds
+            })
+        }
+        
         console.log(`[SendOTP] User found: ${user.email}, Generating OTP...`);
         const otp = Math.floor(1000 + Math.random() * 9000).toString()
 
@@ -521,19 +573,26 @@ export const verifyOtp = async (req,res) => {
             return res.status(400).json({message:"No OTP found. Please request a new OTP."})
         }
         
-        if(user.resetOtp !== otp){
-            console.log(`[VerifyOTP] Invalid OTP for user: ${user.email}. Expected: ${user.resetOtp}, Received: ${otp}`);
-            return res.status(400).json({message:"Invalid OTP. Please check and try again."})
+        const attempt = await verifyOtpAttempt(user, otp);
+        if (attempt.status === "exhausted") {
+            return res.status(429).json({message:"Too many incorrect attempts. Please request a new OTP."})
         }
-        
-        if(user.otpExpires < Date.now()){
-            console.log(`[VerifyOTP] OTP expired for user: ${user.email}. Expires: ${new Date(user.otpExpires)}, Now: ${new Date()}`);
+        if (attempt.status === "missing") {
+            return res.status(400).json({message:"No OTP found. Please request a new OTP."})
+        }
+        if (attempt.status === "invalid") {
+            console.log(`[VerifyOTP] Invalid OTP for user: ${user.email}`);
+            return res.status(400).json({
+                message:"Invalid OTP. Please check and try again.",
+                attemptsRemaining: attempt.attemptsRemaining
+            })
+        }
+        if (attempt.status === "expired") {
+            console.log(`[VerifyOTP] OTP expired for user: ${user.email}`);
             return res.status(400).json({message:"OTP has expired. Please request a new OTP."})
         }
         
-        user.isOtpVerifed = true;
-        // Keep OTP until password is reset
-        await user.save();
+        // OTP is kept until the password is reset
         console.log(`[VerifyOTP] OTP verified successfully for: ${user.email}`);
         
         return res.status(200).json({message:"OTP verified successfully. You can now reset your password."})
@@ -575,12 +634,96 @@ export const resetPassword = async (req,res) => {
         user.isOtpVerifed=false
         user.resetOtp=undefined
         user.otpExpires=undefined
+        // The OTP went to this address, so it is verified too
+        if (user.emailVerified === false) {
+            user.emailVerified = true
+            user.emailVerifiedAt = new Date()
+        }
         await user.save()
+
+        // Sessions opened with the old password must not survive the reset
+        const revokedSessions = await revokeUserSessions(user._id, "password_reset")
+        // Proving email ownership lifts any lockout
+        await clearFailedLogins(user._id)
         
-        console.log(`[ResetPassword] Password reset successfully for: ${normalizedEmail}`);
+        console.log(`[ResetPassword] Password reset successfully for: ${normalizedEmail}, sessions revoked: ${revokedSessions}`);
         return res.status(200).json({message:"Password Reset Successfully"})
     } catch (error) {
         console.error("[ResetPassword] Reset password error:", error);
         return res.status(500).json({message:`Reset Password error: ${error.message}`})
     }
 }
+
+// POST /api/auth/verify-email { token } - token from the emailed link
+export const verifyEmail = async (req,res) => {
+    try {
+        const { token } = req.body || {}
+        if (!token) {
+            return res.status(400).json({message:"Verification token is required"})
+        }
+
+        const { payload, expired } = verifyEmailVerificationToken(token)
+        if (!payload) {
+            return res.status(400).json({
+                message: expired
+                    ? "This verification link has expired. Request a new one."
+                    : "This verification link is invalid.",
+                code: expired ? "VERIFICATION_EXPIRED" : "VERIFICATION_INVALID"
+            })
+        }
+
+        const user = await User.findById(payload.userId)
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({message:"This verification link is invalid.", code: "VERIFICATION_INVALID"})
+        }
+        if (user.emailVerified !== false) {
+            return res.status(200).json({message:"Email already verified", emailVerified: true})
+        }
+
+        user.emailVerified = true
+        user.emailVerifiedAt = new Date()
+        await user.save()
+
+        console.log(`[VerifyEmail] Email verified for: ${user.email}`);
+        return res.status(200).json({message:"Email verified successfully", emailVerified: true})
+    } catch (error) {
+        console.error("[VerifyEmail] Error:", error);
+        return res.status(500).json({message:`Verify email error: ${error.message}`})
+    }
+}
+
+// POST /api/auth/verify-email/resend { email }
+export const resendVerificationEmail = async (req,res) => {
+    try {
+        const normalizedEmail = String(req.body?.email || "").toLowerCase().trim()
+        if (!normalizedEmail) {
+            return res.status(400).json({message:"Email is required"})
+        }
+
+        // Same answer whether or not the account exists or still needs verifying
+        const genericResponse = { message: "If this email needs verification, a new link has been sent." }
+
+        const user = await User.findOne({email: normalizedEmail})
+        if (!user || user.emailVerified !== false) {
+            return res.status(200).json(genericResponse)
+        }
+
+        const quota = await reserveVerificationEmail(user)
+        if (!quota.allowed) {
+            res.set("Retry-After", String(quota.retryAfterSeconds))
+            return res.status(429).json({
+                message: "Please wait before requesting another verification email.",
+                retryAfterSeconds: quota.retryAfterSeconds
+            })
+        }
+
+        const verification = await sendVerificationEmail(user)
+        if (!verification.sent && exposeDevSecrets()) {
+            return res.status(200).json({ ...genericResponse, verificationUrl: verification.verificationUrl })
+        }
+        return res.status(200).json(genericResponse)
+    } catch (error) {
+        console.error("[ResendVerification] Error:", error);
+        return res.status(500).json({message:`Resend verification error: ${error.message}`})
+    }
+}
@@ -0,0 +1,255 @@
+import LiveClass from "../models/liveClassModel.js";
+import Assignment from "../models/assignmentModel.js";
+import Notification from "../models/notificationModel.js";
+import FeeRecord from "../models/feeRecordModel.js";
+import Course from "../models/courseModel.js";
+import User from "../models/userModel.js";
+import {
+  buildCalendarFeedUrls,
+  buildICalendar,
+  findCalendarFeedUser,
+  issueCalendarFeedToken,
+  revokeCalendarFeedToken,
+  sequenceOf,
+} from "../configs/calendarFeed.js";
+import { getRolePermissions, roleHasPermission } from "../configs/permissions.js";
+import { DEFAULT_TIMEZONE, toDateKey } from "../configs/recurrence.js";
+import { getNotificationAudience } from "./notificationController.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Feeds cover recent history and the upcoming year
+const FEED_PAST_DAYS = 60;
+const FEED_FUTURE_DAYS = 400;
+const MAX_EVENTS_PER_SOURCE = 1000;
+
+/* =====================================================
+    FEED EVENTS
+=====================================================*/
+
+const liveClassLocation = (liveClass) => {
+  if (liveClass.deliveryMode === "offline" || liveClass.deliveryMode === "hybrid") {
+    const { centerName, classroom, address } = liveClass.offlineDetails || {};
+    const venue = [centerName, classroom, address].filter(Boolean).join(", ");
+    if (liveClass.deliveryMode === "offline" || !venue) return venue;
+    return `${venue} / Online`;
+  }
+  return liveClass.meetingLink || "Online (Learnify live class)";
+};
+
+const liveClassEvent = (liveClass) => {
+  const courseTitle = liveClass.courseId?.title;
+  return {
+    uid: `liveclass-${liveClass._id}`,
+    start: liveClass.scheduledDate,
+    end: new Date(new Date(liveClass.scheduledDate).getTime() + (liveClass.duration || 60) * 60 * 1000),
+    summary: liveClass.status === "cancelled" ? `Cancelled: ${liveClass.title}` : liveClass.title,
+    description: [
+      courseTitle ? `Course: ${courseTitle}` : "General session",
+      liveClass.educatorId?.name ? `Educator: ${liveClass.educatorId.name}` : "",
+      liveClass.description || "",
+      liveClass.meetingLink ? `Join: ${liveClass.meetingLink}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: liveClassLocation(liveClass),
+    url: liveClass.meetingLink || undefined,
+    cancelled: liveClass.status === "cancelled",
+    sequence: sequenceOf(liveClass),
+    created: liveClass.createdAt,
+    lastModified: liveClass.updatedAt,
+  };
+};
+
+const assignmentEvent = (assignment) => ({
+  uid: `assignment-${assignment._id}`,
+  start: assignment.dueDate,
+  summary: `Assignment due: ${assignment.title}`,
+  description: [assignment.courseId?.title ? `Course: ${assignment.courseId.title}` : "", assignment.description || ""]
+    .filter(Boolean)
+    .join("\n"),
+  sequence: sequenceOf(assignment),
+  created: assignment.createdAt,
+  lastModified: assignment.updatedAt,
+});
+
+// Removed announcements stay in the feed as cancelled so subscribed calendars drop them
+const notificationEvent = (notification) => ({
+  uid: `notification-${notification._id}`,
+  start: notification.eventDate,
+  summary: notification.isActive === false ? `Cancelled: ${notification.title}` : notification.title,
+  description: [notification.courseId?.title ? `Course: ${notification.courseId.title}` : "", notification.message]
+    .filter(Boolean)
+    .join("\n"),
+  cancelled: notification.isActive === false,
+  sequence: sequenceOf(notification),
+  created: notification.createdAt,
+  lastModified: notification.updatedAt,
+});
+
+// Fee due dates are whole days in the platform time zone
+const feeEvent = (fee) => ({
+  uid: `fee-${fee._id}`,
+  allDay: true,
+  start: toDateKey(fee.dueDate, DEFAULT_TIMEZONE),
+  summary: `Fee due: ${fee.title} (${fee.currency || "INR"} ${fee.dueAmount})`,
+  description: [
+    fee.courseId?.title ? `Course: ${fee.courseId.title}` : "",
+    fee.totalInstallments > 1 ? `Installment ${fee.installmentNumber} of ${fee.totalInstallments}` : "",
+    `Amount due: ${fee.currency || "INR"} ${fee.dueAmount}`,
+  ]
+    .filter(Boolean)
+    .join("\n"),
+  sequence: sequenceOf(fee),
+  created: fee.createdAt,
+  lastModified: fee.updatedAt,
+});
+
+/**
+ * Everything on a user's calendar: live classes of their enrolled and created courses (plus
+ * general sessions and classes they teach), assignment deadlines, announcement events and
+ * their unpaid fee due dates.
+ */
+const collectFeedEvents = async (user) => {
+  const now = Date.now();
+  const window = { $gte: new Date(now - FEED_PAST_DAYS * DAY_MS), $lte: new Date(now + FEED_FUTURE_DAYS * DAY_MS) };
+
+  const createdCourses = await Course.find({ creator: user._id }).select("_id");
+  const courseIds = [...(user.enrolledCourses || []), ...createdCourses.map((course) => course._id)];
+
+  const audience = await getNotificationAudience(user, async () =>
+    roleHasPermission(await getRolePermissions(user.role), "notifications.manage_all")
+  );
+  const notificationFilter = { eventDate: window };
+  if (audience) notificationFilter.$or = audience;
+
+  const [liveClasses, assignments, notifications, fees] = await Promise.all([
+    LiveClass.find({
+      scheduledDate: window,
+      $or: [{ courseId: { $in: courseIds } }, { courseId: null }, { educatorId: user._id }],
+    })
+      .select("title description courseId educatorId scheduledDate duration status deliveryMode meetingLink offlineDetails calendarSequence createdAt updatedAt")
+      .populate("courseId", "title")
+      .populate("educatorId", "name")
+      .sort({ scheduledDate: 1 })
+      .limit(MAX_EVENTS_PER_SOURCE)
+      .lean(),
+    Assignment.find({ courseId: { $in: courseIds }, dueDate: window })
+      .select("title description courseId dueDate calendarSequence createdAt updatedAt")
+      .populate("courseId", "title")
+      .sort({ dueDate: 1 })
+      .limit(MAX_EVENTS_PER_SOURCE)
+      .lean(),
+    Notification.find(notificationFilter)
+      .select("title message courseId eventDate isActive calendarSequence createdAt updatedAt")
+      .populate("courseId", "title")
+      .sort({ eventDate: 1 })
+      .limit(MAX_EVENTS_PER_SOURCE)
+      .lean(),
+    // Paid records drop out of the feed; calendar apps remove events that disappear
+    FeeRecord.find({ studentId: user._id, dueDate: window, status: { $ne: "paid" } })
+      .select("title courseId dueDate dueAmount currency installmentNumber totalInstallments calendarSequence createdAt updatedAt")
+      .populate("courseId", "title")
+      .sort({ dueDate: 1 })
+      .limit(MAX_EVENTS_PER_SOURCE)
+      .lean(),
+  ]);
+
+  return [
+    ...liveClasses.map(liveClassEvent),
+    ...assignments.map(assignmentEvent),
+    ...notifications.map(notificationEvent),
+    ...fees.map(feeEvent),
+  ];
+};
+
+/* =====================================================
+    SUBSCRIPTION URL
+=====================================================*/
+
+// GET /api/calendar/feed - whether a feed URL exists (the URL itself is only shown on creation)
+export const getCalendarFeedStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("calendarFeed.createdAt calendarFeed.lastAccessedAt");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({
+      enabled: !!user.calendarFeed?.createdAt,
+      createdAt: user.calendarFeed?.createdAt || null,
+      lastAccessedAt: user.calendarFeed?.lastAccessedAt || null,
+    });
+  } catch (error) {
+    console.error("[CalendarFeed] Status error:", error);
+    return res.status(500).json({
+      message: "Failed to load calendar feed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// POST /api/calendar/feed - create the feed URL, or replace it (the old URL stops working)
+export const regenerateCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("calendarFeed.createdAt");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const replaced = !!user.calendarFeed?.createdAt;
+    const token = await issueCalendarFeedToken(user._id);
+    console.log(`[CalendarFeed] Feed URL ${replaced ? "regenerated" : "created"} for ${user._id}`);
+
+    return res.status(replaced ? 200 : 201).json({
+      message: replaced ? "Calendar feed URL regenerated; the previous URL no longer works" : "Calendar feed URL created",
+      ...buildCalendarFeedUrls(req, token),
+    });
+  } catch (error) {
+    console.error("[CalendarFeed] Regenerate error:", error);
+    return res.status(500).json({
+      message: "Failed to create calendar feed URL",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// DELETE /api/calendar/feed
+export const revokeCalendarFeed = async (req, res) => {
+  try {
+    await revokeCalendarFeedToken(req.userId);
+    console.log(`[CalendarFeed] Feed URL revoked for ${req.userId}`);
+    return res.status(200).json({ message: "Calendar feed URL revoked" });
+  } catch (error) {
+    console.error("[CalendarFeed] Revoke error:", error);
+    return res.status(500).json({
+      message: "Failed to revoke calendar feed URL",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    FEED
+=====================================================*/
+
+// GET /api/calendar/feed/:token.ics - public; the token in the URL is the credential
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await findCalendarFeedUser(req.params.token);
+    if (!user || user.status !== "approved") {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const events = await collectFeedEvents(user);
+    await User.updateOne({ _id: user._id }, { $set: { "calendarFeed.lastAccessedAt": new Date() } });
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="learnify.ics"',
+      "Cache-Control": "private, no-store",
+    });
+    return res.status(200).send(buildICalendar({ name: `Learnify - ${user.name}`, events }));
+  } catch (error) {
+    console.error("[CalendarFeed] Feed error:", error);
+    return res.status(500).json({
+      message: "Failed to build calendar feed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
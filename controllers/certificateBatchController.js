@@ -0,0 +1,370 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import archiver from "archiver";
+import mongoose from "mongoose";
+import Certificate from "../models/certificateModel.js";
+import CertificateBatchJob from "../models/certificateBatchJobModel.js";
+import Course from "../models/courseModel.js";
+import User from "../models/userModel.js";
+import { isMailConfigured, sendEmail } from "../configs/Mail.js";
+import {
+  evaluateCertificateEligibility,
+  getCertificateStatus,
+  issueCertificate,
+  renderCertificatePdf,
+  resolveCertificateFrontendUrl,
+} from "./certificateController.js";
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const canManageCourse = (course, req) =>
+  req.userRole === "admin" || idOf(course.creator) === String(req.userId);
+
+// Larger batches always run as a background job instead of a streamed ZIP
+const SYNC_ZIP_LIMIT = 25;
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+// A running job with no progress for this long was cut off (e.g. by a restart)
+const STALE_JOB_MS = 15 * 60 * 1000;
+const BATCH_DIR = path.join(os.tmpdir(), "learnify-certificate-batches");
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[<>&'"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&#39;", '"': "&quot;" })[char]);
+
+const escapeCsv = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildManifestCsv = (outcomes) =>
+  [
+    ["Student", "Student ID", "Certificate ID", "Outcome", "Reason", "Emailed", "Email Error"].join(","),
+    ...outcomes.map((item) =>
+      [item.studentName, idOf(item.student), item.certificateId, item.outcome, item.reason, item.emailed ? "yes" : "no", item.emailError]
+        .map(escapeCsv)
+        .join(",")
+    ),
+  ].join("\n");
+
+const getCertificateEmailHtml = ({ studentName, courseTitle, verifyUrl }) => `
+  <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2D4FA3;">Congratulations, ${escapeHtml(studentName)}!</h2>
+    <p>You have earned your certificate for <strong>${escapeHtml(courseTitle)}</strong>. It is attached to this email as a PDF.</p>
+    <p>Anyone can confirm it at <a href="${escapeHtml(verifyUrl)}">${escapeHtml(verifyUrl)}</a>.</p>
+    <p style="color: #666; font-size: 12px; margin-top: 30px;">Learnify</p>
+  </div>
+`;
+
+/**
+ * Issue (or reuse) and render certificates for a list of students into a ZIP archive.
+ * Students who are not eligible and have no certificate are skipped; a failure for one
+ * student is recorded and does not stop the batch. A manifest.csv closes the archive.
+ * @param {Object} params - { course, students: [{ user, eligibility }], actorId, frontendUrl, emailStudents, archive, onProgress }
+ * @returns {Promise<Object[]>} One outcome per student
+ */
+const processCertificateBatch = async ({ course, students, actorId, frontendUrl, emailStudents, archive, onProgress }) => {
+  const outcomes = [];
+
+  for (const { user, eligibility } of students) {
+    const outcome = { student: user._id, studentName: user.name, certificateId: "", outcome: "existing", reason: "", emailed: false, emailError: "" };
+    try {
+      let certificate = await Certificate.findOne({ userId: user._id, courseId: course._id, isActive: true });
+
+      if (!certificate) {
+        const latest = await Certificate.findOne({ userId: user._id, courseId: course._id }).sort({ createdAt: -1 }).lean();
+        if (latest && getCertificateStatus(latest) === "revoked") {
+          outcome.outcome = "skipped";
+          outcome.certificateId = latest.certificateId;
+          outcome.reason = "Certificate was revoked; an admin has to reissue it";
+        } else if (!eligibility?.eligible) {
+          outcome.outcome = "skipped";
+          outcome.reason = `Criteria not met: ${(eligibility?.checklist || []).filter((item) => !item.met).map((item) => item.label).join("; ")}`;
+        } else {
+          try {
+            certificate = await issueCertificate({
+              userId: user._id,
+              courseId: course._id,
+              recipientName: user.name,
+              courseTitle: course.title,
+              actor: actorId,
+              reason: "Bulk issuance",
+            });
+            outcome.outcome = "issued";
+          } catch (issueError) {
+            // The student (or another batch) issued it in the meantime
+            if (issueError?.code !== 11000) throw issueError;
+            certificate = await Certificate.findOne({ userId: user._id, courseId: course._id, isActive: true });
+            if (!certificate) throw issueError;
+          }
+        }
+      }
+
+      if (certificate) {
+        outcome.certificateId = certificate.certificateId;
+        const { pdfBuffer, fileName } = await renderCertificatePdf({ certificate, user, course, frontendUrl });
+        archive.append(pdfBuffer, { name: `${certificate.certificateId}-${fileName}` });
+
+        if (emailStudents && user.email) {
+          try {
+            await sendEmail({
+              to: user.email,
+              subject: `Your certificate for ${course.title}`,
+              html: getCertificateEmailHtml({
+                studentName: certificate.recipientName || user.name,
+                courseTitle: certificate.courseTitle || course.title,
+                verifyUrl: `${frontendUrl}/certificate/verify/${certificate.certificateId}`,
+              }),
+              attachments: [{ filename: fileName, content: pdfBuffer, contentType: "application/pdf" }],
+            });
+            outcome.emailed = true;
+          } catch (mailError) {
+            outcome.emailError = mailError.message;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`[CertificateBatch] Student ${user._id} failed:`, error);
+      outcome.outcome = "failed";
+      outcome.reason = error.message;
+    }
+
+    outcomes.push(outcome);
+    if (onProgress) await onProgress(outcomes);
+  }
+
+  archive.append(buildManifestCsv(outcomes), { name: "manifest.csv" });
+  return outcomes;
+};
+
+const summarizeOutcomes = (outcomes) => ({
+  issued: outcomes.filter((item) => item.outcome === "issued").length,
+  existing: outcomes.filter((item) => item.outcome === "existing").length,
+  skipped: outcomes.filter((item) => item.outcome === "skipped").length,
+  failed: outcomes.filter((item) => item.outcome === "failed").length,
+  emailed: outcomes.filter((item) => item.emailed).length,
+});
+
+// Drop ZIPs whose jobs have expired
+const sweepExpiredBatchFiles = async () => {
+  try {
+    const entries = await fs.promises.readdir(BATCH_DIR, { withFileTypes: true });
+    const cutoff = Date.now() - JOB_TTL_MS;
+    await Promise.all(
+      entries
+        .filter((entry) => entry.isFile() && entry.name.endsWith(".zip"))
+        .map(async (entry) => {
+          const filePath = path.join(BATCH_DIR, entry.name);
+          const stats = await fs.promises.stat(filePath);
+          if (stats.mtimeMs < cutoff) await fs.promises.unlink(filePath);
+        })
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") console.warn("[CertificateBatch] Sweep failed:", error.message);
+  }
+};
+
+const runCertificateBatchJob = async (jobId, context) => {
+  const zipPath = path.join(BATCH_DIR, `${jobId}.zip`);
+  try {
+    await fs.promises.mkdir(BATCH_DIR, { recursive: true });
+    await CertificateBatchJob.updateOne({ _id: jobId }, { status: "running", startedAt: new Date() });
+
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    const written = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      archive.on("error", reject);
+    });
+    archive.pipe(output);
+
+    const outcomes = await processCertificateBatch({
+      ...context,
+      archive,
+      onProgress: (done) => CertificateBatchJob.updateOne({ _id: jobId }, { processed: done.length, outcomes: done }),
+    });
+    await archive.finalize();
+    await written;
+
+    await CertificateBatchJob.updateOne({ _id: jobId }, {
+      status: "completed",
+      processed: outcomes.length,
+      outcomes,
+      zipPath,
+      zipSize: archive.pointer(),
+      completedAt: new Date(),
+    });
+    console.log(`[CertificateBatch] Job ${jobId} completed`, summarizeOutcomes(outcomes));
+  } catch (error) {
+    console.error(`[CertificateBatch] Job ${jobId} failed:`, error);
+    await fs.promises.unlink(zipPath).catch(() => {});
+    await CertificateBatchJob.updateOne({ _id: jobId }, { status: "failed", error: error.message, completedAt: new Date() });
+  }
+};
+
+/* ===== START (course creator / admin) ===== */
+
+/**
+ * POST /api/cert/bulk/:courseId  { mode?: "zip" | "job", sendEmail?: boolean, studentIds?: string[] }
+ * "zip" streams the archive back directly (up to SYNC_ZIP_LIMIT students); "job" or larger
+ * batches answer 202 with a job id to poll.
+ */
+export const startCertificateBatch = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).populate("creator", "name");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+    if (!canManageCourse(course, req)) {
+      return res.status(403).json({ message: "Only the course creator or an admin can issue certificates in bulk" });
+    }
+
+    const { mode = "zip", studentIds } = req.body || {};
+    const emailStudents = req.body?.sendEmail === true || req.body?.sendEmail === "true";
+    if (!["zip", "job"].includes(mode)) {
+      return res.status(400).json({ message: 'mode must be "zip" or "job"' });
+    }
+    if (emailStudents && !isMailConfigured) {
+      return res.status(400).json({ message: "Email is not configured on this server; retry without sendEmail" });
+    }
+
+    const enrolled = new Set((course.enrolledStudents || []).map(idOf));
+    let targetIds = [...enrolled];
+    if (studentIds !== undefined) {
+      if (!Array.isArray(studentIds) || studentIds.some((id) => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: "studentIds must be an array of user ids" });
+      }
+      const notEnrolled = studentIds.map(String).filter((id) => !enrolled.has(id));
+      if (notEnrolled.length) {
+        return res.status(400).json({ message: "Some students are not enrolled in this course", notEnrolled });
+      }
+      targetIds = [...new Set(studentIds.map(String))];
+    }
+    if (!targetIds.length) {
+      return res.status(400).json({ message: "No enrolled students to issue certificates for" });
+    }
+
+    const [users, eligibility] = await Promise.all([
+      User.find({ _id: { $in: targetIds } }).select("name email registrationId").sort({ name: 1 }),
+      evaluateCertificateEligibility(course, targetIds),
+    ]);
+    const students = users.map((user) => ({ user, eligibility: eligibility.get(idOf(user._id)) }));
+    const context = {
+      course,
+      students,
+      actorId: req.userId,
+      frontendUrl: resolveCertificateFrontendUrl(req),
+      emailStudents,
+    };
+
+    console.log(`[CertificateBatch] ${req.userId} started a ${mode} batch of ${students.length} for course ${course._id}`);
+
+    if (mode === "job" || students.length > SYNC_ZIP_LIMIT) {
+      await sweepExpiredBatchFiles();
+      const job = await CertificateBatchJob.create({
+        course: course._id,
+        requestedBy: req.userId,
+        sendEmail: emailStudents,
+        total: students.length,
+        expiresAt: new Date(Date.now() + JOB_TTL_MS),
+      });
+      setImmediate(() => runCertificateBatchJob(job._id, context));
+
+      return res.status(202).json({
+        message: mode === "job" ? "Certificate batch queued" : `More than ${SYNC_ZIP_LIMIT} students; the batch runs as a job`,
+        jobId: job._id,
+        total: students.length,
+        statusUrl: `/api/cert/bulk/jobs/${job._id}`,
+      });
+    }
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    archive.on("error", (error) => {
+      console.error("[CertificateBatch] ZIP stream error:", error);
+      res.destroy(error);
+    });
+    const safeCourseName = String(course.title || "course").replace(/[^a-zA-Z0-9._-]+/g, "-").replace(/^-|-$/g, "") || "course";
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${safeCourseName}-certificates.zip"`);
+    archive.pipe(res);
+
+    const outcomes = await processCertificateBatch({ ...context, archive });
+    await archive.finalize();
+    console.log(`[CertificateBatch] ZIP sent for course ${course._id}`, summarizeOutcomes(outcomes));
+  } catch (error) {
+    console.error("[CertificateBatch] Start error:", error);
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({
+      message: "Failed to generate certificates",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ===== POLL & DOWNLOAD ===== */
+
+const findVisibleJob = async (req, res, { withZip = false } = {}) => {
+  const query = CertificateBatchJob.findById(req.params.jobId);
+  const job = await (withZip ? query.select("+zipPath") : query);
+  if (!job) {
+    res.status(404).json({ message: "Batch job not found or expired" });
+    return null;
+  }
+  if (idOf(job.requestedBy) !== String(req.userId) && req.userRole !== "admin") {
+    res.status(403).json({ message: "You can only view batch jobs you started" });
+    return null;
+  }
+  return job;
+};
+
+export const getCertificateBatchJob = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req, res);
+    if (!job) return;
+
+    if (["queued", "running"].includes(job.status) && Date.now() - job.updatedAt.getTime() > STALE_JOB_MS) {
+      job.status = "failed";
+      job.error = "Job stopped making progress (the server may have restarted); start a new batch";
+      job.completedAt = new Date();
+      await job.save();
+    }
+
+    return res.status(200).json({
+      jobId: job._id,
+      course: job.course,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      summary: summarizeOutcomes(job.outcomes),
+      outcomes: job.outcomes,
+      error: job.error || undefined,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      ...(job.status === "completed" && { downloadUrl: `/api/cert/bulk/jobs/${job._id}/download`, zipSize: job.zipSize }),
+    });
+  } catch (error) {
+    console.error("[CertificateBatch] Status error:", error);
+    return res.status(500).json({
+      message: "Failed to fetch batch job",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const downloadCertificateBatch = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req, res, { withZip: true });
+    if (!job) return;
+    if (job.status !== "completed") {
+      return res.status(409).json({ message: `Batch job is ${job.status}`, status: job.status });
+    }
+    if (!job.zipPath || !fs.existsSync(job.zipPath)) {
+      return res.status(410).json({ message: "The archive is no longer available; start a new batch" });
+    }
+    return res.download(job.zipPath, `certificates-${job.course}-${job._id}.zip`);
+  } catch (error) {
+    console.error("[CertificateBatch] Download error:", error);
+    return res.status(500).json({
+      message: "Failed to download batch archive",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,755 @@
+import Course from "../models/courseModel.js";
+import Progress from "../models/progress.js";
+import Assignment from "../models/assignmentModel.js";
+import Submission from "../models/submissionModel.js";
+import Grade from "../models/gradeModel.js";
+import Attendance from "../models/attendanceModel.js";
+import Certificate, { normalizeCertificateId } from "../models/certificateModel.js";
+import CertificateEvent from "../models/certificateEventModel.js";
+import User from "../models/userModel.js";
+import Lecture from "../models/lectureModel.js";
+import CertificateTemplate from "../models/certificateTemplateModel.js";
+import {
+  buildFallbackCertificatePdf,
+  buildStructuredCertificatePdf,
+  buildTemplatedCertificatePdf,
+  buildVerificationQr,
+  formatDateLabel,
+  getCertificateLogoBuffer,
+  getCertificateOrganisationName,
+  toPdfSafeText,
+} from "../configs/certificatePdf.js";
+import { computeCompletion } from "./progressController.js";
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+const canManageCourse = (course, req) =>
+  req.userRole === "admin" || idOf(course.creator) === String(req.userId);
+
+const CRITERIA_DEFAULTS = {
+  minCompletion: 100,
+  requireAllAssignments: false,
+  minGradeAverage: null,
+  minAttendancePercent: null,
+};
+
+export const getCertificateCriteriaFor = (course) => ({
+  ...CRITERIA_DEFAULTS,
+  ...(course?.certificateCriteria?.toObject?.() || course?.certificateCriteria || {}),
+});
+
+/* ===== ELIGIBILITY ===== */
+
+/**
+ * Evaluate certificate criteria for several students of one course with a fixed
+ * number of queries.
+ * @param {Document|Object} course - needs _id, lectures, certificateCriteria
+ * @param {Array<string|ObjectId>} studentIds
+ * @returns {Promise<Map<string, { eligible: boolean, checklist: Object[] }>>}
+ */
+export const evaluateCertificateEligibility = async (course, studentIds) => {
+  const criteria = getCertificateCriteriaFor(course);
+  const ids = [...new Set(studentIds.map(idOf))];
+  const courseId = course._id;
+
+  const needsGrades = criteria.minGradeAverage !== null && criteria.minGradeAverage !== undefined;
+  const needsAttendance = criteria.minAttendancePercent !== null && criteria.minAttendancePercent !== undefined;
+
+  const [progressDocs, assignments, grades, sessions] = await Promise.all([
+    Progress.find({ courseId, userId: { $in: ids } }).select("userId watchedLectures").lean(),
+    criteria.requireAllAssignments ? Assignment.find({ courseId }).select("_id title").lean() : [],
+    needsGrades
+      ? Grade.find({ courseId, studentId: { $in: ids }, isPublished: true }).select("studentId percentage").lean()
+      : [],
+    needsAttendance ? Attendance.find({ courseId }).select("records").lean() : [],
+  ]);
+  const submissions = assignments.length
+    ? await Submission.find({ assignmentId: { $in: assignments.map((item) => item._id) }, studentId: { $in: ids } })
+        .select("assignmentId studentId")
+        .lean()
+    : [];
+
+  const progressByStudent = new Map(progressDocs.map((doc) => [idOf(doc.userId), doc]));
+
+  const results = new Map();
+  for (const studentId of ids) {
+    const checklist = [];
+
+    const progress = progressByStudent.get(studentId);
+    const completion = progress ? computeCompletion(progress, course) : 0;
+    checklist.push({
+      key: "completion",
+      label: `Complete at least ${criteria.minCompletion}% of the course`,
+      required: criteria.minCompletion,
+      actual: completion,
+      met: completion >= criteria.minCompletion,
+    });
+
+    if (criteria.requireAllAssignments) {
+      const submitted = new Set(
+        submissions.filter((item) => idOf(item.studentId) === studentId).map((item) => idOf(item.assignmentId))
+      );
+      const missing = assignments.filter((item) => !submitted.has(idOf(item._id)));
+      checklist.push({
+        key: "assignments",
+        label: "Submit every assignment",
+        required: assignments.length,
+        actual: assignments.length - missing.length,
+        met: missing.length === 0,
+        ...(missing.length && { missing: missing.map((item) => ({ assignmentId: item._id, title: item.title })) }),
+      });
+    }
+
+    if (needsGrades) {
+      const studentGrades = grades.filter((item) => idOf(item.studentId) === studentId);
+      const average = studentGrades.length
+        ? round2(studentGrades.reduce((sum, item) => sum + Number(item.percentage || 0), 0) / studentGrades.length)
+        : null;
+      checklist.push({
+        key: "gradeAverage",
+        label: `Average at least ${criteria.minGradeAverage}% across published grades`,
+        required: criteria.minGradeAverage,
+        actual: average,
+        met: average !== null && average >= criteria.minGradeAverage,
+        ...(average === null && { detail: "No published grades yet" }),
+      });
+    }
+
+    if (needsAttendance) {
+      // Only sessions that list the student count; a course without sessions has nothing to attend
+      const records = sessions
+        .map((session) => session.records.find((record) => idOf(record.studentId) === studentId))
+        .filter(Boolean);
+      const attended = records.filter((record) => record.status === "present" || record.status === "late").length;
+      const percent = records.length ? round2((attended / records.length) * 100) : sessions.length ? 0 : null;
+      checklist.push({
+        key: "attendance",
+        label: `Attend at least ${criteria.minAttendancePercent}% of sessions`,
+        required: criteria.minAttendancePercent,
+        actual: percent,
+        met: percent === null || percent >= criteria.minAttendancePercent,
+        ...(percent === null && { detail: "No attendance sessions recorded for this course" }),
+      });
+    }
+
+    results.set(studentId, { eligible: checklist.every((item) => item.met), checklist });
+  }
+  return results;
+};
+
+/* ===== CRITERIA (course creator / admin) ===== */
+
+export const getCertificateCriteria = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("certificateCriteria");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+    return res.status(200).json({ criteria: getCertificateCriteriaFor(course) });
+  } catch (error) {
+    console.error("[Certificate] Get criteria error:", error);
+    return res.status(500).json({
+      message: "Failed to fetch certificate criteria",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+const parsePercentOrNull = (value, field) => {
+  if (value === null || value === "") return { value: null };
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    return { error: `${field} must be between 0 and 100, or null to disable it` };
+  }
+  return { value: number };
+};
+
+export const updateCertificateCriteria = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("creator certificateCriteria");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+    if (!canManageCourse(course, req)) {
+      return res.status(403).json({ message: "Only the course creator or an admin can change certificate criteria" });
+    }
+
+    const { minCompletion, requireAllAssignments, minGradeAverage, minAttendancePercent } = req.body || {};
+    const next = getCertificateCriteriaFor(course);
+
+    if (minCompletion !== undefined) {
+      const parsed = parsePercentOrNull(minCompletion, "minCompletion");
+      if (parsed.error || parsed.value === null) {
+        return res.status(400).json({ message: "minCompletion must be between 0 and 100" });
+      }
+      next.minCompletion = parsed.value;
+    }
+    if (requireAllAssignments !== undefined) {
+      next.requireAllAssignments = requireAllAssignments === true || requireAllAssignments === "true";
+    }
+    for (const [field, value] of Object.entries({ minGradeAverage, minAttendancePercent })) {
+      if (value === undefined) continue;
+      const parsed = parsePercentOrNull(value, field);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      next[field] = parsed.value;
+    }
+
+    course.certificateCriteria = next;
+    await course.save();
+
+    return res.status(200).json({ message: "Certificate criteria updated", criteria: getCertificateCriteriaFor(course) });
+  } catch (error) {
+    console.error("[Certificate] Update criteria error:", error);
+    return res.status(500).json({
+      message: "Failed to update certificate criteria",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ===== ELIGIBILITY ENDPOINTS ===== */
+
+// Signed-in student's checklist for one course
+export const getMyCertificateEligibility = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("lectures certificateCriteria");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+
+    const results = await evaluateCertificateEligibility(course, [req.userId]);
+    const issued = await Certificate.exists({ userId: req.userId, courseId: course._id, isActive: true });
+
+    return res.status(200).json({
+      courseId: course._id,
+      criteria: getCertificateCriteriaFor(course),
+      alreadyIssued: Boolean(issued),
+      ...results.get(String(req.userId)),
+    });
+  } catch (error) {
+    console.error("[Certificate] Eligibility error:", error);
+    return res.status(500).json({
+      message: "Failed to check certificate eligibility",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Enrolled students with their checklist (course creator / admin). ?eligibleOnly=true filters.
+export const listCertificateEligibleStudents = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select(
+      "title creator lectures enrolledStudents certificateCriteria"
+    );
+    if (!course) return res.status(404).json({ message: "Course not found" });
+    if (!canManageCourse(course, req)) {
+      return res.status(403).json({ message: "Only the course creator or an admin can view certificate eligibility" });
+    }
+
+    const studentIds = (course.enrolledStudents || []).map(idOf);
+    const [results, students, certificates] = await Promise.all([
+      evaluateCertificateEligibility(course, studentIds),
+      User.find({ _id: { $in: studentIds } }).select("name email").lean(),
+      Certificate.find({ courseId: course._id, userId: { $in: studentIds }, isActive: true })
+        .select("userId certificateId issuedOn")
+        .lean(),
+    ]);
+    const certificateByStudent = new Map(certificates.map((item) => [idOf(item.userId), item]));
+
+    const eligibleOnly = String(req.query.eligibleOnly || "").toLowerCase() === "true";
+    const rows = students
+      .map((student) => {
+        const result = results.get(idOf(student._id));
+        const certificate = certificateByStudent.get(idOf(student._id));
+        return {
+          studentId: student._id,
+          name: student.name,
+          email: student.email,
+          eligible: result.eligible,
+          unmet: result.checklist.filter((item) => !item.met).map((item) => item.key),
+          checklist: result.checklist,
+          certificateId: certificate?.certificateId || null,
+          issuedOn: certificate?.issuedOn || null,
+        };
+      })
+      .filter((row) => !eligibleOnly || row.eligible)
+      .sort((a, b) => Number(b.eligible) - Number(a.eligible) || String(a.name).localeCompare(String(b.name)));
+
+    return res.status(200).json({
+      courseId: course._id,
+      courseTitle: course.title,
+      criteria: getCertificateCriteriaFor(course),
+      total: studentIds.length,
+      eligibleCount: [...results.values()].filter((item) => item.eligible).length,
+      students: rows,
+    });
+  } catch (error) {
+    console.error("[Certificate] Eligible students error:", error);
+    return res.status(500).json({
+      message: "Failed to list eligible students",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ===== PRINTED FIGURES ===== */
+
+/**
+ * Hours and grade as printed on a certificate.
+ * Hours come from lecture durations when known, otherwise the module count.
+ * @returns {Promise<{ totalHours: string, grade: string }>}
+ */
+export const getCertificateFigures = async (course, userId) => {
+  const [lectures, grades] = await Promise.all([
+    Lecture.find({ _id: { $in: course.lectures || [] } }).select("durationSeconds").lean(),
+    Grade.find({ courseId: course._id, studentId: userId, isPublished: true }).select("percentage").lean(),
+  ]);
+
+  const totalSeconds = lectures.reduce((sum, lecture) => sum + Number(lecture.durationSeconds || 0), 0);
+  const moduleCount = (course.lectures || []).length;
+  let totalHours = "As per curriculum";
+  if (totalSeconds > 0) {
+    totalHours = `${Math.round((totalSeconds / 3600) * 10) / 10} hours`;
+  } else if (moduleCount > 0) {
+    totalHours = `${moduleCount} learning module${moduleCount > 1 ? "s" : ""}`;
+  }
+
+  const grade = grades.length
+    ? `${round2(grades.reduce((sum, item) => sum + Number(item.percentage || 0), 0) / grades.length)}%`
+    : "N/A";
+
+  return { totalHours, grade };
+};
+
+/* ===== PDF RENDERING ===== */
+
+// Get frontend URL from environment variable
+// In production, FRONTEND_URL should be set (e.g., https://yourdomain.com)
+// In development, it can fallback to localhost
+const getFrontendUrl = () => {
+  // Priority: FRONTEND_URL > construct from request > localhost fallback
+  if (process.env.FRONTEND_URL) {
+    // Remove trailing slash if present
+    return process.env.FRONTEND_URL.replace(/\/$/, '');
+  }
+  
+  // Try to construct from request origin (for deployment behind proxy)
+  // This will be handled in the route handler if needed
+  
+  // Development fallback
+  if (process.env.NODE_ENV === 'development') {
+    return 'http://localhost:5173';
+  }
+  
+  // Production fallback - should not reach here if FRONTEND_URL is set
+  console.warn('[Certificate] FRONTEND_URL not set! Using fallback. Please set FRONTEND_URL environment variable.');
+  return 'http://localhost:5173';
+};
+
+// Verification links point at the frontend; without FRONTEND_URL use the caller's origin
+export const resolveCertificateFrontendUrl = (req) => {
+  let frontendUrl = getFrontendUrl();
+
+  // If FRONTEND_URL is not set, try to construct from request
+  if (!process.env.FRONTEND_URL && req.headers.origin) {
+    // Use request origin as fallback (works in deployment behind proxy)
+    frontendUrl = req.headers.origin.replace(/\/$/, '');
+    console.log(`[Certificate] Using request origin as frontend URL: ${frontendUrl}`);
+  } else if (!process.env.FRONTEND_URL && req.headers.referer) {
+    // Try to extract from referer
+    try {
+      const url = new URL(req.headers.referer);
+      frontendUrl = `${url.protocol}//${url.host}`;
+      console.log(`[Certificate] Using referer as frontend URL: ${frontendUrl}`);
+    } catch (e) {
+      console.warn('[Certificate] Could not parse referer, using default');
+    }
+  }
+  return frontendUrl;
+};
+
+const toFileSlug = (value, fallback) =>
+  String(value || fallback)
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "") || fallback;
+
+/**
+ * Render the PDF of an issued certificate with the course's template, or the built-in
+ * layout when none is selected. Falls back to the plain layout if rendering fails.
+ * @param {Object} params - { certificate, user, course (creator populated with name), frontendUrl }
+ * @returns {Promise<{ pdfBuffer: Buffer, fileName: string }>}
+ */
+export const renderCertificatePdf = async ({ certificate, user, course, frontendUrl }) => {
+  const verifyUrl = `${frontendUrl}/certificate/verify/${certificate.certificateId}`;
+  console.log(`[Certificate] Verification URL: ${verifyUrl}`);
+
+  const studentDisplayName = toPdfSafeText(certificate.recipientName || user.name, "Student");
+  const courseDisplayTitle = toPdfSafeText(certificate.courseTitle || course.title, "Course");
+  const creatorDisplayName = toPdfSafeText(course.creator?.name, "Course Creator");
+  const fileName = `${toFileSlug(studentDisplayName, "student")}-${toFileSlug(courseDisplayTitle, "course")}-certificate.pdf`;
+
+  try {
+    // Generate QR Code with verification URL (fallback-safe)
+    const qrBuffer = await buildVerificationQr(verifyUrl);
+
+    const organisationName = getCertificateOrganisationName();
+    const organisationWebsite = toPdfSafeText(frontendUrl, "https://learnifyedu.store");
+    const organisationEmail = toPdfSafeText(
+      process.env.CERT_ORG_EMAIL || process.env.ORG_EMAIL || process.env.SMTP_USER,
+      "support@learnifyedu.store"
+    );
+    const organisationSocial = toPdfSafeText(
+      process.env.CERT_ORG_SOCIAL || process.env.ORG_SOCIAL,
+      "@learnifyedu"
+    );
+    const registrationId = toPdfSafeText(
+      user.registrationId || `REG-${String(user._id).slice(-8).toUpperCase()}`
+    );
+    const certificateNumber = toPdfSafeText(`CERT-${certificate.certificateId}`, certificate.certificateId);
+    const { totalHours: totalHoursLabel, grade: gradeLabel } = await getCertificateFigures(course, user._id);
+    const issueDateLabel = formatDateLabel(certificate.issuedOn);
+    const studentEmail = toPdfSafeText(user.email);
+    const logoBuffer = await getCertificateLogoBuffer();
+
+    // Archived templates keep rendering for the courses that still select them
+    const template = course.certificateTemplate
+      ? await CertificateTemplate.findById(course.certificateTemplate).lean()
+      : null;
+
+    const pdfBuffer = template
+      ? await buildTemplatedCertificatePdf({
+          template,
+          values: {
+            studentName: studentDisplayName,
+            courseTitle: courseDisplayTitle,
+            totalHours: totalHoursLabel,
+            grade: gradeLabel,
+            issueDate: issueDateLabel,
+            certificateId: certificate.certificateId,
+            organisationName,
+            instructorName: creatorDisplayName,
+          },
+          verifyUrl,
+          qrBuffer,
+          logoBuffer,
+        })
+      : await buildStructuredCertificatePdf({
+          organisationName,
+          organisationWebsite,
+          organisationEmail,
+          organisationSocial,
+          studentName: studentDisplayName,
+          studentEmail,
+          registrationId,
+          courseTitle: courseDisplayTitle,
+          courseMode: "Online / Virtual",
+          totalHoursLabel,
+          certificateId: certificate.certificateId,
+          certificateNumber,
+          issueDateLabel,
+          verifyUrl,
+          creatorName: creatorDisplayName,
+          qrBuffer,
+          logoBuffer,
+        });
+    return { pdfBuffer, fileName };
+  } catch (error) {
+    console.error("[Certificate] Render error, using fallback layout:", error);
+    const pdfBuffer = await buildFallbackCertificatePdf({
+      studentName: studentDisplayName,
+      courseTitle: courseDisplayTitle,
+      certificateId: certificate.certificateId,
+      issuedOn: certificate.issuedOn,
+      verifyUrl,
+    });
+    return { pdfBuffer, fileName };
+  }
+};
+
+/* ===== LIFECYCLE & AUDIT HISTORY ===== */
+
+// Certificates deactivated before statuses existed read as revoked
+export const getCertificateStatus = (certificate) => {
+  if (certificate?.status && certificate.status !== "active") return certificate.status;
+  return certificate?.isActive === false ? "revoked" : "active";
+};
+
+export const recordCertificateEvent = (certificate, type, { reason = "", actor = null, details = {} } = {}) =>
+  CertificateEvent.create({
+    certificate: certificate._id,
+    certificateId: certificate.certificateId,
+    type,
+    reason,
+    actor,
+    details,
+  });
+
+// Whatever case the ID was typed in; an exact match so public lookups stay on the unique index
+export const findCertificateByPublicId = (certificateId) =>
+  Certificate.findOne({ certificateId: normalizeCertificateId(certificateId) });
+
+/**
+ * Create a certificate and its history entry.
+ * @param {Object} params - { userId, courseId, recipientName, courseTitle, actor, supersedes, reason }
+ */
+export const issueCertificate = async ({ userId, courseId, recipientName, courseTitle, actor = null, supersedes = "", reason = "" }) => {
+  const certificate = await Certificate.create({ userId, courseId, recipientName, courseTitle, supersedes });
+  await recordCertificateEvent(certificate, supersedes ? "reissued" : "issued", {
+    reason,
+    actor,
+    details: { recipientName, courseTitle, courseId: String(courseId), ...(supersedes && { supersedes }) },
+  });
+  return certificate;
+};
+
+/**
+ * Revoke an active certificate and log it. No-op for certificates that are not active.
+ * @returns {Promise<boolean>} Whether the certificate was revoked by this call
+ */
+export const revokeCertificateRecord = async (certificate, { reason, actor = null }) => {
+  if (getCertificateStatus(certificate) !== "active") return false;
+
+  certificate.status = "revoked";
+  certificate.isActive = false;
+  certificate.revokedAt = new Date();
+  certificate.revokedBy = actor;
+  certificate.revocationReason = reason;
+  await certificate.save();
+
+  await recordCertificateEvent(certificate, "revoked", { reason, actor });
+  return true;
+};
+
+const toAdminCertificate = (certificate) => ({
+  id: certificate._id,
+  certificateId: certificate.certificateId,
+  status: getCertificateStatus(certificate),
+  userId: certificate.userId?._id || certificate.userId,
+  studentName: certificate.recipientName || certificate.userId?.name || "",
+  studentEmail: certificate.userId?.email || "",
+  courseId: certificate.courseId?._id || certificate.courseId,
+  courseTitle: certificate.courseTitle || certificate.courseId?.title || "",
+  issuedOn: certificate.issuedOn,
+  revokedAt: certificate.revokedAt || null,
+  revocationReason: certificate.revocationReason || "",
+  supersedes: certificate.supersedes || "",
+  supersededBy: certificate.supersededBy || "",
+  verificationCount: certificate.verificationCount || 0,
+});
+
+const readReason = (req) => String(req.body?.reason || "").trim();
+
+// GET /api/cert/admin/certificates?status=&courseId=&userId=&page=&limit=
+export const listCertificatesAdmin = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const filter = {};
+    if (req.query.courseId) filter.courseId = String(req.query.courseId);
+    if (req.query.userId) filter.userId = String(req.query.userId);
+    if (req.query.status === "active") filter.isActive = true;
+    if (req.query.status === "superseded") filter.status = "superseded";
+    if (req.query.status === "revoked") {
+      filter.$or = [{ status: "revoked" }, { status: { $in: [null, "active"] }, isActive: false }];
+    }
+
+    const [certificates, total] = await Promise.all([
+      Certificate.find(filter)
+        .populate("userId", "name email")
+        .populate("courseId", "title")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Certificate.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      certificates: certificates.map(toAdminCertificate),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("[Certificate] Admin list error:", error);
+    return res.status(500).json({
+      message: "Failed to fetch certificates",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// POST /api/cert/admin/:certificateId/revoke  { reason }
+export const revokeCertificate = async (req, res) => {
+  try {
+    const reason = readReason(req);
+    if (reason.length < 3) {
+      return res.status(400).json({ message: "A revocation reason is required" });
+    }
+
+    const certificate = await findCertificateByPublicId(req.params.certificateId);
+    if (!certificate) return res.status(404).json({ message: "Certificate not found" });
+
+    const status = getCertificateStatus(certificate);
+    if (status !== "active") {
+      return res.status(409).json({ message: `Certificate is already ${status}`, status });
+    }
+
+    await revokeCertificateRecord(certificate, { reason, actor: req.userId });
+    console.log(`[Certificate] ${certificate.certificateId} revoked by ${req.userId}: ${reason}`);
+
+    return res.status(200).json({
+      message: "Certificate revoked",
+      certificate: toAdminCertificate(certificate),
+    });
+  } catch (error) {
+    console.error("[Certificate] Revoke error:", error);
+    return res.status(500).json({
+      message: "Failed to revoke certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * POST /api/cert/admin/:certificateId/reissue  { reason, recipientName?, courseTitle?, courseId? }
+ * Issues a new certificate ID carrying the corrections; an active original becomes superseded,
+ * a revoked one keeps its revoked status and only gains `supersededBy`.
+ */
+export const reissueCertificate = async (req, res) => {
+  try {
+    const reason = readReason(req);
+    if (reason.length < 3) {
+      return res.status(400).json({ message: "A reason for the reissue is required" });
+    }
+
+    const previous = await findCertificateByPublicId(req.params.certificateId);
+    if (!previous) return res.status(404).json({ message: "Certificate not found" });
+    if (previous.supersededBy || getCertificateStatus(previous) === "superseded") {
+      return res.status(409).json({
+        message: `Certificate was already reissued as ${previous.supersededBy}; reissue that one instead`,
+        supersededBy: previous.supersededBy,
+      });
+    }
+
+    const targetCourseId = req.body?.courseId ? String(req.body.courseId) : idOf(previous.courseId);
+    const [user, course] = await Promise.all([
+      User.findById(previous.userId).select("name"),
+      Course.findById(targetCourseId).select("title"),
+    ]);
+    if (!course) return res.status(404).json({ message: "Course not found" });
+
+    if (targetCourseId !== idOf(previous.courseId)) {
+      const clash = await Certificate.exists({ userId: previous.userId, courseId: targetCourseId, isActive: true });
+      if (clash) {
+        return res.status(409).json({ message: "Student already has an active certificate for that course" });
+      }
+    }
+
+    const recipientName = String(req.body?.recipientName || "").trim() || previous.recipientName || user?.name || "";
+    const courseTitle =
+      String(req.body?.courseTitle || "").trim() ||
+      (targetCourseId === idOf(previous.courseId) ? previous.courseTitle : "") ||
+      course.title;
+
+    // Only one certificate per student and course may be active (unique index), so the
+    // original is deactivated before its replacement is created and restored if that fails
+    const wasActive = getCertificateStatus(previous) === "active";
+    if (wasActive) {
+      previous.isActive = false;
+      await previous.save();
+    }
+
+    let replacement;
+    try {
+      replacement = await issueCertificate({
+        userId: previous.userId,
+        courseId: targetCourseId,
+        recipientName,
+        courseTitle,
+        actor: req.userId,
+        supersedes: previous.certificateId,
+        reason,
+      });
+    } catch (issueError) {
+      if (wasActive) {
+        previous.isActive = true;
+        await previous.save();
+      }
+      if (issueError?.code === 11000) {
+        return res.status(409).json({ message: "Student already has an active certificate for that course" });
+      }
+      throw issueError;
+    }
+
+    // A revoked certificate stays revoked; the link to its replacement is recorded alongside
+    if (wasActive) {
+      previous.status = "superseded";
+    }
+    previous.supersededBy = replacement.certificateId;
+    previous.supersededAt = new Date();
+    await previous.save();
+    await recordCertificateEvent(previous, "superseded", {
+      reason,
+      actor: req.userId,
+      details: { supersededBy: replacement.certificateId },
+    });
+
+    console.log(`[Certificate] ${previous.certificateId} reissued as ${replacement.certificateId} by ${req.userId}`);
+
+    return res.status(201).json({
+      message: "Certificate reissued",
+      previous: toAdminCertificate(previous),
+      certificate: toAdminCertificate(replacement),
+    });
+  } catch (error) {
+    console.error("[Certificate] Reissue error:", error);
+    return res.status(500).json({
+      message: "Failed to reissue certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// GET /api/cert/admin/:certificateId/history - events across the whole reissue chain
+export const getCertificateHistory = async (req, res) => {
+  try {
+    const start = await findCertificateByPublicId(req.params.certificateId);
+    if (!start) return res.status(404).json({ message: "Certificate not found" });
+
+    // Walk back to the original certificate, then forward through every reissue
+    let first = start;
+    const seen = new Set([first.certificateId]);
+    while (first.supersedes && !seen.has(first.supersedes)) {
+      const previous = await Certificate.findOne({ certificateId: first.supersedes });
+      if (!previous) break;
+      seen.add(previous.certificateId);
+      first = previous;
+    }
+    const chain = [first];
+    while (chain[chain.length - 1].supersededBy && chain.length < 50) {
+      const next = await Certificate.findOne({ certificateId: chain[chain.length - 1].supersededBy });
+      if (!next) break;
+      chain.push(next);
+    }
+
+    const events = await CertificateEvent.find({ certificate: { $in: chain.map((item) => item._id) } })
+      .populate("actor", "name email role")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return res.status(200).json({
+      certificateId: start.certificateId,
+      chain: chain.map(toAdminCertificate),
+      events: events.map((event) => ({
+        certificateId: event.certificateId,
+        type: event.type,
+        reason: event.reason,
+        details: event.details,
+        actor: event.actor ? { id: event.actor._id, name: event.actor.name, email: event.actor.email, role: event.actor.role } : null,
+        at: event.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error("[Certificate] History error:", error);
+    return res.status(500).json({
+      message: "Failed to fetch certificate history",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,302 @@
+import mongoose from "mongoose";
+import CertificateTemplate from "../models/certificateTemplateModel.js";
+import Course from "../models/courseModel.js";
+import uploadOnCloudinary, { getLastCloudinaryError } from "../configs/cloudinary.js";
+import {
+  CERTIFICATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATE_PALETTE,
+  buildTemplatedCertificatePdf,
+  buildVerificationQr,
+  findUnknownPlaceholders,
+  formatDateLabel,
+  getCertificateLogoBuffer,
+  getCertificateOrganisationName,
+} from "../configs/certificatePdf.js";
+import { hasPermission } from "../configs/permissions.js";
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const canManageCourse = (course, req) =>
+  req.userRole === "admin" || idOf(course.creator) === String(req.userId);
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(String(value || ""));
+
+const MAX_SIGNATORIES = 3;
+
+// Multipart requests send structured fields as JSON strings
+const parseJsonField = (value, field) => {
+  if (typeof value !== "string") return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { error: `${field} must be valid JSON` };
+  }
+};
+
+const parseSignatories = (input) => {
+  const parsed = parseJsonField(input, "signatories");
+  if (parsed.error) return parsed;
+  if (!Array.isArray(parsed.value)) return { error: "signatories must be an array" };
+  if (parsed.value.length > MAX_SIGNATORIES) {
+    return { error: `A template can have at most ${MAX_SIGNATORIES} signatories` };
+  }
+
+  const signatories = [];
+  for (const [index, item] of parsed.value.entries()) {
+    const name = String(item?.name || "").trim();
+    if (!name) return { error: `Signatory ${index + 1} needs a name` };
+    const signatureImageUrl = String(item?.signatureImageUrl || "").trim();
+    if (signatureImageUrl && !isHttpUrl(signatureImageUrl)) {
+      return { error: `Signatory ${index + 1} signatureImageUrl must be an http(s) url` };
+    }
+    signatories.push({ name, title: String(item?.title || "").trim(), signatureImageUrl });
+  }
+  return { value: signatories };
+};
+
+const parsePalette = (input) => {
+  const parsed = parseJsonField(input, "palette");
+  if (parsed.error) return parsed;
+  if (!parsed.value || typeof parsed.value !== "object" || Array.isArray(parsed.value)) {
+    return { error: "palette must be an object" };
+  }
+
+  const palette = {};
+  for (const [key, color] of Object.entries(parsed.value)) {
+    if (!Object.hasOwn(DEFAULT_TEMPLATE_PALETTE, key)) {
+      return { error: `Unknown palette colour "${key}". Use: ${Object.keys(DEFAULT_TEMPLATE_PALETTE).join(", ")}` };
+    }
+    if (!/^#[0-9a-fA-F]{6}$/.test(String(color))) {
+      return { error: `palette.${key} must be a 6-digit hex colour like #2D4FA3` };
+    }
+    palette[key] = String(color);
+  }
+  return { value: palette };
+};
+
+/**
+ * Copy request fields and uploaded images onto a template document.
+ * Files (upload.fields): "background", "signature0".."signature2" (matched to signatories by position).
+ * @returns {Promise<string|null>} An error message, or null when the input is valid
+ */
+const applyTemplateInput = async (template, body = {}, files = {}) => {
+  const textFields = ["name", "description", "heading", "bodyText", "footerText"];
+  for (const field of textFields) {
+    if (body[field] !== undefined) template[field] = String(body[field]);
+  }
+  if (!String(template.name || "").trim()) return "Template name is required";
+
+  for (const field of ["heading", "bodyText", "footerText"]) {
+    const unknown = findUnknownPlaceholders(template[field]);
+    if (unknown.length) {
+      return `Unknown placeholder(s) in ${field}: ${unknown.join(", ")}. Available: ${CERTIFICATE_PLACEHOLDERS.join(", ")}`;
+    }
+  }
+
+  if (body.orientation !== undefined) {
+    if (!["landscape", "portrait"].includes(body.orientation)) {
+      return "orientation must be landscape or portrait";
+    }
+    template.orientation = body.orientation;
+  }
+  if (body.showLogo !== undefined) template.showLogo = body.showLogo === true || body.showLogo === "true";
+  if (body.isActive !== undefined) template.isActive = body.isActive === true || body.isActive === "true";
+
+  if (body.palette !== undefined) {
+    const parsed = parsePalette(body.palette);
+    if (parsed.error) return parsed.error;
+    template.palette = { ...(template.palette?.toObject?.() || DEFAULT_TEMPLATE_PALETTE), ...parsed.value };
+  }
+
+  if (body.backgroundImageUrl !== undefined) {
+    const url = String(body.backgroundImageUrl).trim();
+    if (url && !isHttpUrl(url)) return "backgroundImageUrl must be an http(s) url";
+    template.backgroundImageUrl = url;
+  }
+
+  let signatories = template.signatories.map((item) => item.toObject?.() || item);
+  if (body.signatories !== undefined) {
+    const parsed = parseSignatories(body.signatories);
+    if (parsed.error) return parsed.error;
+    signatories = parsed.value;
+  }
+
+  const backgroundFile = files?.background?.[0];
+  if (backgroundFile) {
+    const url = await uploadOnCloudinary(backgroundFile.path);
+    if (!url) return `Background upload failed: ${getLastCloudinaryError()}`;
+    template.backgroundImageUrl = url;
+  }
+  for (let index = 0; index < MAX_SIGNATORIES; index++) {
+    const file = files?.[`signature${index}`]?.[0];
+    if (!file) continue;
+    if (!signatories[index]) return `signature${index} was uploaded but there is no signatory ${index + 1}`;
+    const url = await uploadOnCloudinary(file.path);
+    if (!url) return `Signature upload failed: ${getLastCloudinaryError()}`;
+    signatories[index].signatureImageUrl = url;
+  }
+  template.signatories = signatories;
+
+  return null;
+};
+
+const sendTemplateError = (res, error, message) => {
+  if (error?.code === 11000) {
+    return res.status(409).json({ message: "A template with that name already exists" });
+  }
+  if (error?.name === "ValidationError") {
+    return res.status(400).json({ message: Object.values(error.errors)[0]?.message || error.message });
+  }
+  return res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/* ===== TEMPLATE CRUD (admin) ===== */
+
+// GET /api/cert/templates - course creators see active templates to choose from
+export const listCertificateTemplates = async (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === "true" && (await hasPermission(req, "certificates.manage"));
+    const filter = includeArchived ? {} : { isActive: true };
+    const templates = await CertificateTemplate.find(filter).sort({ name: 1 }).lean();
+    return res.status(200).json({ templates, placeholders: CERTIFICATE_PLACEHOLDERS });
+  } catch (error) {
+    console.error("[CertificateTemplate] List error:", error);
+    return sendTemplateError(res, error, "Failed to fetch certificate templates");
+  }
+};
+
+export const getCertificateTemplate = async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId).lean();
+    if (!template) return res.status(404).json({ message: "Template not found" });
+    const usedByCourses = await Course.countDocuments({ certificateTemplate: template._id });
+    return res.status(200).json({ template, usedByCourses, placeholders: CERTIFICATE_PLACEHOLDERS });
+  } catch (error) {
+    console.error("[CertificateTemplate] Get error:", error);
+    return sendTemplateError(res, error, "Failed to fetch certificate template");
+  }
+};
+
+export const createCertificateTemplate = async (req, res) => {
+  try {
+    const template = new CertificateTemplate({ createdBy: req.userId, updatedBy: req.userId });
+    const inputError = await applyTemplateInput(template, req.body, req.files);
+    if (inputError) return res.status(400).json({ message: inputError });
+
+    await template.save();
+    console.log(`[CertificateTemplate] "${template.name}" created by ${req.userId}`);
+    return res.status(201).json({ message: "Template created", template });
+  } catch (error) {
+    console.error("[CertificateTemplate] Create error:", error);
+    return sendTemplateError(res, error, "Failed to create certificate template");
+  }
+};
+
+export const updateCertificateTemplate = async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+    if (!template) return res.status(404).json({ message: "Template not found" });
+
+    const inputError = await applyTemplateInput(template, req.body, req.files);
+    if (inputError) return res.status(400).json({ message: inputError });
+
+    template.updatedBy = req.userId;
+    await template.save();
+    console.log(`[CertificateTemplate] "${template.name}" updated by ${req.userId}`);
+    return res.status(200).json({ message: "Template updated", template });
+  } catch (error) {
+    console.error("[CertificateTemplate] Update error:", error);
+    return sendTemplateError(res, error, "Failed to update certificate template");
+  }
+};
+
+// Templates still selected by a course are archived (isActive: false) instead
+export const deleteCertificateTemplate = async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+    if (!template) return res.status(404).json({ message: "Template not found" });
+
+    const usedByCourses = await Course.countDocuments({ certificateTemplate: template._id });
+    if (usedByCourses > 0) {
+      return res.status(409).json({
+        message: `Template is used by ${usedByCourses} course(s). Archive it or switch those courses first.`,
+        usedByCourses,
+      });
+    }
+
+    await template.deleteOne();
+    console.log(`[CertificateTemplate] "${template.name}" deleted by ${req.userId}`);
+    return res.status(200).json({ message: "Template deleted" });
+  } catch (error) {
+    console.error("[CertificateTemplate] Delete error:", error);
+    return sendTemplateError(res, error, "Failed to delete certificate template");
+  }
+};
+
+/* ===== PREVIEW (admin) ===== */
+
+// GET /api/cert/templates/:templateId/preview - the template rendered with sample data
+export const previewCertificateTemplate = async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId).lean();
+    if (!template) return res.status(404).json({ message: "Template not found" });
+
+    const certificateId = "Learnify-PREVIEW-000000";
+    const verifyUrl = `${(process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "")}/certificate/verify/${certificateId}`;
+    const values = {
+      studentName: "Aarav Sharma",
+      courseTitle: "Full-Stack Web Development",
+      totalHours: "42.5 hours",
+      grade: "91.25%",
+      issueDate: formatDateLabel(new Date()),
+      certificateId,
+      organisationName: getCertificateOrganisationName(),
+      instructorName: "Course Instructor",
+    };
+
+    const [qrBuffer, logoBuffer] = await Promise.all([buildVerificationQr(verifyUrl), getCertificateLogoBuffer()]);
+    const pdfBuffer = await buildTemplatedCertificatePdf({ template, values, verifyUrl, qrBuffer, logoBuffer });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="certificate-template-preview.pdf"`);
+    return res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error("[CertificateTemplate] Preview error:", error);
+    return sendTemplateError(res, error, "Failed to render template preview");
+  }
+};
+
+/* ===== COURSE SELECTION (course creator / admin) ===== */
+
+// PUT /api/cert/course-template/:courseId  { templateId } - null returns to the built-in layout
+export const setCourseCertificateTemplate = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("creator certificateTemplate");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+    if (!canManageCourse(course, req)) {
+      return res.status(403).json({ message: "Only the course creator or an admin can change the certificate template" });
+    }
+
+    const { templateId } = req.body || {};
+    let template = null;
+    if (templateId) {
+      if (!mongoose.isValidObjectId(templateId)) return res.status(400).json({ message: "Invalid templateId" });
+      template = await CertificateTemplate.findOne({ _id: String(templateId), isActive: true }).select("name orientation");
+      if (!template) return res.status(404).json({ message: "Template not found or archived" });
+    }
+
+    course.certificateTemplate = template?._id || null;
+    await course.save();
+
+    return res.status(200).json({
+      message: template ? `Certificates will use "${template.name}"` : "Certificates will use the default layout",
+      certificateTemplate: template,
+    });
+  } catch (error) {
+    console.error("[CertificateTemplate] Course selection error:", error);
+    return sendTemplateError(res, error, "Failed to update course certificate template");
+  }
+};
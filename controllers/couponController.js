@@ -0,0 +1,456 @@
+import mongoose from "mongoose";
+import Coupon from "../models/couponModel.js";
+import Course from "../models/courseModel.js";
+import Order from "../models/orderModel.js";
+
+const ALLOWED_DISCOUNT_TYPES = new Set(["percentage", "flat"]);
+const ALLOWED_SCOPES = new Set(["global", "course"]);
+// Razorpay rejects orders below ₹1, so a coupon may not push the price under it.
+const MIN_CHARGE_AMOUNT = 1;
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+const parseBoolean = (value, fallback = false) => {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return fallback;
+};
+
+const parseNonNegative = (value, fallback = 0) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return parsed;
+};
+
+const parseOptionalDate = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return parsed;
+};
+
+export const normalizeCouponCode = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "");
+
+const normalizeCouponInput = (payload = {}, existing = null) => {
+  const source = { ...(existing ? existing.toObject() : {}), ...payload };
+
+  const code = normalizeCouponCode(source.code);
+  if (!code || !/^[A-Z0-9_-]{3,40}$/.test(code)) {
+    throw new Error("Coupon code must be 3-40 characters (letters, numbers, - or _)");
+  }
+
+  const discountType = String(source.discountType || "").trim();
+  if (!ALLOWED_DISCOUNT_TYPES.has(discountType)) {
+    throw new Error("discountType must be 'percentage' or 'flat'");
+  }
+
+  const discountValue = parseNonNegative(source.discountValue, -1);
+  if (discountValue <= 0) {
+    throw new Error("discountValue must be greater than 0");
+  }
+  if (discountType === "percentage" && discountValue > 100) {
+    throw new Error("Percentage discount cannot exceed 100");
+  }
+
+  const scope = ALLOWED_SCOPES.has(String(source.scope)) ? String(source.scope) : "global";
+  const courses = scope === "course"
+    ? Array.from(new Set((Array.isArray(source.courses) ? source.courses : [source.courses])
+        .filter(Boolean)
+        .map((id) => String(id?._id || id))))
+    : [];
+  if (scope === "course") {
+    if (!courses.length) {
+      throw new Error("At least one course is required for course-scoped coupons");
+    }
+    if (courses.some((id) => !isValidObjectId(id))) {
+      throw new Error("Invalid course id in courses");
+    }
+  }
+
+  const validFrom = parseOptionalDate(source.validFrom, "validFrom");
+  const validUntil = parseOptionalDate(source.validUntil, "validUntil");
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    throw new Error("validUntil must be after validFrom");
+  }
+
+  return {
+    code,
+    description: String(source.description || "").trim(),
+    discountType,
+    discountValue: round2(discountValue),
+    maxDiscountAmount: round2(parseNonNegative(source.maxDiscountAmount, 0)),
+    minOrderAmount: round2(parseNonNegative(source.minOrderAmount, 0)),
+    scope,
+    courses,
+    validFrom,
+    validUntil,
+    usageLimit: Math.floor(parseNonNegative(source.usageLimit, 0)),
+    perUserLimit: Math.floor(parseNonNegative(source.perUserLimit, 1)),
+    firstPurchaseOnly: parseBoolean(source.firstPurchaseOnly, false),
+    isActive: parseBoolean(source.isActive, true),
+  };
+};
+
+// Usage is derived from paid orders so abandoned checkouts never consume a coupon.
+const countCouponUsage = (couponId, studentId = null) =>
+  Order.countDocuments({
+    coupon: couponId,
+    isPaid: true,
+    status: { $ne: "refunded" },
+    ...(studentId ? { student: studentId } : {}),
+  });
+
+// How long a created order holds its coupon use while the buyer pays
+const COUPON_RESERVATION_MINUTES = 30;
+
+// Limits count paid orders plus checkouts still holding a reservation, so parallel
+// checkouts cannot redeem a coupon beyond them
+const countCouponClaims = (couponId, studentId = null, extra = {}) =>
+  Order.countDocuments({
+    coupon: couponId,
+    ...(studentId ? { student: studentId } : {}),
+    $or: [
+      { isPaid: true, status: { $ne: "refunded" } },
+      { isPaid: false, status: "pending", couponReservedUntil: { $gt: new Date() } },
+    ],
+    ...extra,
+  });
+
+export const getCouponReservationExpiry = () => new Date(Date.now() + COUPON_RESERVATION_MINUTES * 60 * 1000);
+
+// A new checkout replaces the buyer's earlier unpaid ones for the same coupon
+export const releaseCouponReservations = (userId, couponId) =>
+  Order.updateMany(
+    { student: userId, coupon: couponId, isPaid: false, couponReservedUntil: { $ne: null } },
+    { $unset: { couponReservedUntil: 1 } }
+  );
+
+/**
+ * Re-check the coupon limits once `order` holds its reservation. Earlier reservations win,
+ * so of several parallel checkouts only those within the limits keep the coupon.
+ * @returns {Promise<{ valid: boolean, reason?: string }>}
+ */
+export const confirmCouponReservation = async (coupon, order) => {
+  const stillReserved = await Order.exists({ _id: order._id, couponReservedUntil: { $gt: new Date() } });
+  if (!stillReserved) {
+    return { valid: false, reason: "This checkout was replaced by a newer one" };
+  }
+
+  const upToThisOrder = { _id: { $lte: order._id } };
+  if (coupon.usageLimit > 0 && (await countCouponClaims(coupon._id, null, upToThisOrder)) > coupon.usageLimit) {
+    return { valid: false, reason: "This coupon has reached its usage limit" };
+  }
+  if (coupon.perUserLimit > 0 && (await countCouponClaims(coupon._id, order.student, upToThisOrder)) > coupon.perUserLimit) {
+    return { valid: false, reason: "You have already used this coupon" };
+  }
+  return { valid: true };
+};
+
+const computeDiscount = (coupon, price) => {
+  let discount = coupon.discountType === "percentage"
+    ? (price * coupon.discountValue) / 100
+    : coupon.discountValue;
+
+  if (coupon.discountType === "percentage" && coupon.maxDiscountAmount > 0) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+  return round2(Math.min(discount, price));
+};
+
+/**
+ * Check a coupon code against a course and buyer and price the checkout.
+ * @param {Object} params - { code, course, userId }
+ * @returns {Promise<Object>} `{ valid: false, reason }` or
+ *   `{ valid: true, coupon, code, originalAmount, discountAmount, finalAmount }`
+ */
+export const evaluateCoupon = async ({ code, course, userId }) => {
+  const normalizedCode = normalizeCouponCode(code);
+  if (!normalizedCode) {
+    return { valid: false, reason: "Coupon code is required" };
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode });
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, reason: "Invalid or inactive coupon code" };
+  }
+
+  const now = Date.now();
+  if (coupon.validFrom && new Date(coupon.validFrom).getTime() > now) {
+    return { valid: false, reason: "This coupon is not active yet" };
+  }
+  if (coupon.validUntil && new Date(coupon.validUntil).getTime() < now) {
+    return { valid: false, reason: "This coupon has expired" };
+  }
+
+  if (
+    coupon.scope === "course" &&
+    !coupon.courses.some((id) => id.toString() === course._id.toString())
+  ) {
+    return { valid: false, reason: "This coupon is not valid for this course" };
+  }
+
+  const price = round2(course.price);
+  if (coupon.minOrderAmount > 0 && price < coupon.minOrderAmount) {
+    return {
+      valid: false,
+      reason: `This coupon requires a minimum order of ₹${coupon.minOrderAmount.toFixed(2)}`,
+    };
+  }
+
+  // The buyer's own unpaid checkouts are replaced by the next one, so they do not count here
+  const otherCheckouts = userId ? { $nor: [{ student: userId, isPaid: false }] } : {};
+  if (coupon.usageLimit > 0) {
+    const totalUsed = await countCouponClaims(coupon._id, null, otherCheckouts);
+    if (totalUsed >= coupon.usageLimit) {
+      return { valid: false, reason: "This coupon has reached its usage limit" };
+    }
+  }
+
+  if (userId) {
+    if (coupon.perUserLimit > 0) {
+      const usedByUser = await countCouponClaims(coupon._id, userId, otherCheckouts);
+      if (usedByUser >= coupon.perUserLimit) {
+        return { valid: false, reason: "You have already used this coupon" };
+      }
+    }
+
+    if (coupon.firstPurchaseOnly) {
+      const hasPurchased = await Order.exists({ student: userId, isPaid: true });
+      if (hasPurchased) {
+        return { valid: false, reason: "This coupon is only valid on your first purchase" };
+      }
+    }
+  }
+
+  const discountAmount = computeDiscount(coupon, price);
+  const finalAmount = round2(price - discountAmount);
+  if (finalAmount < MIN_CHARGE_AMOUNT) {
+    return { valid: false, reason: `Discounted price must be at least ₹${MIN_CHARGE_AMOUNT}` };
+  }
+
+  return {
+    valid: true,
+    coupon,
+    code: coupon.code,
+    originalAmount: price,
+    discountAmount,
+    finalAmount,
+  };
+};
+
+/* =====================================================
+    VALIDATE COUPON (Checkout page)
+=====================================================*/
+export const validateCoupon = async (req, res) => {
+  try {
+    const { code, courseId } = req.body || {};
+
+    if (!isValidObjectId(courseId)) {
+      return res.status(400).json({ message: "Valid courseId is required" });
+    }
+
+    const course = await Course.findById(courseId).select("title price");
+    if (!course) {
+      return res.status(404).json({ message: "Course not found" });
+    }
+
+    const result = await evaluateCoupon({ code, course, userId: req.userId });
+    if (!result.valid) {
+      return res.status(400).json({ valid: false, message: result.reason });
+    }
+
+    return res.status(200).json({
+      valid: true,
+      code: result.code,
+      description: result.coupon.description,
+      discountType: result.coupon.discountType,
+      discountValue: result.coupon.discountValue,
+      originalAmount: result.originalAmount,
+      discountAmount: result.discountAmount,
+      finalAmount: result.finalAmount,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to validate coupon",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    ADMIN CRUD
+=====================================================*/
+export const listCoupons = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query?.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query?.limit) || 20));
+    const search = String(req.query?.search || "").trim();
+    const active = String(req.query?.active || "").trim();
+
+    const filter = {};
+    if (search) {
+      filter.code = { $regex: normalizeCouponCode(search).replace(/[^A-Z0-9_-]/g, ""), $options: "i" };
+    }
+    if (active === "true" || active === "false") {
+      filter.isActive = active === "true";
+    }
+
+    const [totalRecords, coupons] = await Promise.all([
+      Coupon.countDocuments(filter),
+      Coupon.find(filter)
+        .populate("courses", "title price")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const usageCounts = await Promise.all(coupons.map((coupon) => countCouponUsage(coupon._id)));
+
+    return res.status(200).json({
+      coupons: coupons.map((coupon, index) => ({ ...coupon, usedCount: usageCounts[index] })),
+      pagination: {
+        page,
+        totalPages: Math.max(1, Math.ceil(totalRecords / limit)),
+        totalRecords,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to fetch coupons",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const getCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.params;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+
+    const coupon = await Coupon.findById(couponId).populate("courses", "title price").lean();
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    const usedCount = await countCouponUsage(coupon._id);
+    return res.status(200).json({ coupon: { ...coupon, usedCount } });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to fetch coupon",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const createCoupon = async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = normalizeCouponInput(req.body || {});
+    } catch (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
+
+    const existing = await Coupon.exists({ code: payload.code });
+    if (existing) {
+      return res.status(409).json({ message: "A coupon with this code already exists" });
+    }
+
+    const coupon = await Coupon.create({
+      ...payload,
+      createdBy: req.userId || null,
+      updatedBy: req.userId || null,
+    });
+
+    return res.status(201).json({ message: "Coupon created successfully", coupon });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to create coupon",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const updateCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.params;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    let payload;
+    try {
+      payload = normalizeCouponInput(req.body || {}, coupon);
+    } catch (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
+
+    if (payload.code !== coupon.code) {
+      const clash = await Coupon.exists({ code: payload.code, _id: { $ne: coupon._id } });
+      if (clash) {
+        return res.status(409).json({ message: "A coupon with this code already exists" });
+      }
+    }
+
+    coupon.set({ ...payload, updatedBy: req.userId || null });
+    await coupon.save();
+
+    return res.status(200).json({ message: "Coupon updated successfully", coupon });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to update coupon",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const deleteCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.params;
+    if (!isValidObjectId(couponId)) {
+      return res.status(400).json({ message: "Invalid coupon id" });
+    }
+
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    // Coupons referenced by orders stay visible on receipts, so only deactivate them.
+    const isReferenced = await Order.exists({ coupon: coupon._id });
+    if (isReferenced) {
+      coupon.isActive = false;
+      coupon.updatedBy = req.userId || null;
+      await coupon.save();
+      return res.status(200).json({
+        message: "Coupon is referenced by orders and was deactivated instead of deleted",
+        deactivated: true,
+      });
+    }
+
+    await coupon.deleteOne();
+    return res.status(200).json({ message: "Coupon deleted successfully", deactivated: false });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to delete coupon",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,7 +1,230 @@
-import uploadOnCloudinary from "../configs/cloudinary.js";
+import uploadOnCloudinary, { getLastCloudinaryError, uploadVideoOnCloudinary } from "../configs/cloudinary.js";
 import Course from "../models/courseModel.js";
-import Lecture from "../models/lectureModel.js";
+import Lecture, { LECTURE_TYPES } from "../models/lectureModel.js";
 import User from "../models/userModel.js";
+import Progress from "../models/progress.js";
+import {
+  anonymousReleaseContext,
+  applyLectureLock,
+  evaluateReleaseRule,
+  getLectureAvailability,
+  parseReleaseRule,
+} from "../configs/contentRelease.js";
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const canManageCourse = (course, req) =>
+  req.userRole === "admin" || idOf(course.creator) === String(req.userId);
+
+// Same members, any order, no duplicates
+const isPermutationOf = (currentIds, requestedIds) => {
+  if (!Array.isArray(requestedIds) || requestedIds.length !== currentIds.length) return false;
+  const requested = new Set(requestedIds.map(String));
+  return requested.size === currentIds.length && currentIds.every((id) => requested.has(id));
+};
+
+/**
+ * Rewrite `course.lectures` in curriculum order: section lectures first (in section
+ * order), then lectures not assigned to any section.
+ * @param {Document} course
+ * @param {string[]} [unsectionedOrder] - Explicit order for unsectioned lectures
+ */
+const syncLectureOrder = (course, unsectionedOrder) => {
+  const sectioned = course.sections.flatMap((section) => section.lectures.map(idOf));
+  const inSection = new Set(sectioned);
+  const unsectioned = (unsectionedOrder || course.lectures.map(idOf)).filter((id) => !inSection.has(id));
+  course.lectures = [...sectioned, ...unsectioned];
+};
+
+/**
+ * Nested curriculum view of a course whose `lectures` are populated.
+ * Lectures missing from `course.lectures` (deleted) are dropped.
+ * With a release context, sections also report whether they are unlocked.
+ */
+const buildCurriculum = (course, releaseContext = null) => {
+  const lectureById = new Map((course.lectures || []).map((lecture) => [idOf(lecture), lecture]));
+  const sectioned = new Set();
+
+  const sections = (course.sections || []).map((section, index) => {
+    const lectures = section.lectures
+      .map((lectureId) => lectureById.get(idOf(lectureId)))
+      .filter(Boolean);
+    lectures.forEach((lecture) => sectioned.add(idOf(lecture)));
+    return {
+      _id: section._id,
+      title: section.title,
+      description: section.description,
+      order: index + 1,
+      release: section.release,
+      ...(releaseContext && {
+        availability: releaseContext.bypass
+          ? { available: true, unlockAt: null, prerequisiteLecture: null, reason: "" }
+          : evaluateReleaseRule(section.release, releaseContext),
+      }),
+      lectureCount: lectures.length,
+      lectures,
+    };
+  });
+
+  return {
+    sections,
+    unsectionedLectures: (course.lectures || []).filter((lecture) => !sectioned.has(idOf(lecture))),
+    totalLectures: lectureById.size,
+  };
+};
+
+/**
+ * Drip-feed context for one student: when they enrolled and which lectures they completed.
+ * Course managers bypass every release rule.
+ * @param {Document|Object} course - needs lectures, enrollments, enrolledStudents, createdAt
+ */
+export const loadReleaseContext = async (course, userId, { bypass = false } = {}) => {
+  const context = anonymousReleaseContext(course);
+  if (bypass) return { ...context, bypass: true };
+  if (!userId) return context;
+
+  const enrollment = (course.enrollments || []).find((item) => idOf(item.student) === String(userId));
+  const isEnrolled = (course.enrolledStudents || []).some((id) => idOf(id) === String(userId));
+  // Enrollments made before dates were recorded count from the course's creation
+  context.enrolledAt = enrollment?.enrolledAt || (isEnrolled ? course.createdAt : null);
+
+  const progress = await Progress.findOne({ userId, courseId: course._id }).select("watchedLectures").lean();
+  context.completedLectureIds = new Set(progress?.watchedLectures || []);
+  return context;
+};
+
+// Plain course object whose populated lectures carry availability, locked content removed
+const lockCourseLectures = (course, context) => {
+  const plain = typeof course?.toObject === "function" ? course.toObject() : { ...course };
+  plain.lectures = (plain.lectures || []).map((lecture) =>
+    lecture && typeof lecture === "object" && lecture.lectureTitle !== undefined
+      ? applyLectureLock(plain, lecture, context)
+      : lecture
+  );
+  return plain;
+};
+
+const findManageableCourse = async (req, res) => {
+  const course = await Course.findById(req.params.courseId);
+  if (!course) {
+    res.status(404).json({ message: "Course Not Found" });
+    return null;
+  }
+  if (!canManageCourse(course, req)) {
+    res.status(403).json({ message: "Only the course creator or an admin can edit its curriculum" });
+    return null;
+  }
+  return course;
+};
+
+const sendCurriculum = async (res, course, statusCode = 200, extra = {}) => {
+  await course.populate("lectures", "lectureTitle lectureType videoUrl isPreviewFree");
+  return res.status(statusCode).json({ ...extra, curriculum: buildCurriculum(course) });
+};
+
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate quiz input from editLecture. Multipart requests send it as a JSON string.
+ * @returns {{ value?: Object, error?: string }}
+ */
+const parseQuizInput = (input) => {
+  let quiz = input;
+  if (typeof quiz === "string") {
+    try {
+      quiz = JSON.parse(quiz);
+    } catch {
+      return { error: "quiz must be valid JSON" };
+    }
+  }
+  if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    return { error: "quiz.questions must contain at least one question" };
+  }
+
+  const questions = [];
+  for (const [index, item] of quiz.questions.entries()) {
+    const label = `Question ${index + 1}`;
+    const question = String(item?.question || "").trim();
+    const options = Array.isArray(item?.options) ? item.options.map((option) => String(option).trim()) : [];
+    const correctOptions = [...new Set((Array.isArray(item?.correctOptions) ? item.correctOptions : [item?.correctOptions]).map(Number))];
+    const points = item?.points === undefined ? 1 : Number(item.points);
+
+    if (!question) return { error: `${label}: text is required` };
+    if (options.length < 2 || options.some((option) => !option)) {
+      return { error: `${label}: at least two non-empty options are required` };
+    }
+    if (!correctOptions.length || correctOptions.some((value) => !Number.isInteger(value) || value < 0 || value >= options.length)) {
+      return { error: `${label}: correctOptions must be indexes into options` };
+    }
+    if (!Number.isFinite(points) || points < 0) return { error: `${label}: points must be zero or more` };
+
+    questions.push({ question, options, correctOptions, points, explanation: String(item?.explanation || "").trim() });
+  }
+
+  const passingScore = quiz.passingScore === undefined ? 60 : Number(quiz.passingScore);
+  const maxAttempts = quiz.maxAttempts === undefined ? 0 : Number(quiz.maxAttempts);
+  if (!Number.isFinite(passingScore) || passingScore < 0 || passingScore > 100) {
+    return { error: "quiz.passingScore must be between 0 and 100" };
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 0) {
+    return { error: "quiz.maxAttempts must be a non-negative integer (0 = unlimited)" };
+  }
+
+  return { value: { questions, passingScore, maxAttempts } };
+};
+
+/**
+ * A lecture prerequisite must be another lecture of the same course and must not
+ * lead back to the lecture through other prerequisites (which would never unlock).
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateLecturePrerequisite = async (lectureId, prerequisiteId) => {
+  if (String(lectureId) === String(prerequisiteId)) return "A lecture cannot be its own prerequisite";
+
+  const course = await Course.findOne({ lectures: lectureId }).select("lectures");
+  if (!course || !course.lectures.some((id) => idOf(id) === String(prerequisiteId))) {
+    return "Prerequisite lecture must belong to the same course";
+  }
+
+  const lectures = await Lecture.find({ _id: { $in: course.lectures } }).select("release").lean();
+  const prerequisiteOf = new Map(
+    lectures
+      .filter((item) => item.release?.type === "after_lecture" && item.release.prerequisiteLecture)
+      .map((item) => [idOf(item), idOf(item.release.prerequisiteLecture)])
+  );
+  const seen = new Set();
+  for (let current = String(prerequisiteId); current && !seen.has(current); current = prerequisiteOf.get(current)) {
+    if (current === String(lectureId)) return "Prerequisite chain would loop back to this lecture";
+    seen.add(current);
+  }
+  return null;
+};
+
+// `select` widens the lecture projection (e.g. quiz answers, which only managers may see)
+const findManageableLecture = async (req, res, { select } = {}) => {
+  const { lectureId } = req.params;
+  const [lecture, course] = await Promise.all([
+    Lecture.findById(lectureId).select(select),
+    Course.findOne({ lectures: lectureId }).select("creator"),
+  ]);
+  if (!lecture || !course) {
+    res.status(404).json({ message: "Lecture Not Found" });
+    return null;
+  }
+  if (!canManageCourse(course, req)) {
+    res.status(403).json({ message: "Only the course creator or an admin can edit this lecture" });
+    return null;
+  }
+  return lecture;
+};
 
 
 /* ============================= Create Course ============================= */
@@ -45,7 +268,7 @@ export const getAllCourse = async (req, res) => {
       .populate("creator", "name email photoUrl")
       .lean();
     console.log(`[GetAllCourses] Found ${courses.length} courses`);
-    return res.status(200).json(courses || []);
+    return res.status(200).json((courses || []).map((course) => lockCourseLectures(course, anonymousReleaseContext(course))));
 
   } catch (error) {
     console.error("[GetAllCourses] Error:", error);
@@ -64,7 +287,7 @@ export const getPublishedCourses = async (req, res) => {
     console.log("[GetPublishedCourses] Fetching published courses...");
     const courses = await Course.find({ isPublished: true }).populate("lectures reviews");
     console.log(`[GetPublishedCourses] Found ${courses.length} published courses`);
-    return res.status(200).json(courses || []);
+    return res.status(200).json((courses || []).map((course) => lockCourseLectures(course, anonymousReleaseContext(course))));
 
   } catch (error) {
     console.error("[GetPublishedCourses] Error:", error);
@@ -87,7 +310,7 @@ export const getCreatorCourses = async (req, res) => {
     }
     
     const courses = await Course.find({ creator: userId })
-      .populate("lectures", "lectureTitle videoUrl isPreviewFree")
+      .populate("lectures", "lectureTitle lectureType videoUrl isPreviewFree")
       .populate("reviews", "rating comment")
       .populate("enrolledStudents", "name email photoUrl class subject")
       .lean(); // Use lean() for better performance in production
@@ -156,7 +379,8 @@ export const getCourseById = async (req, res) => {
     }
 
     console.log(`[GetCourseById] Course found: ${course.title}, Lectures: ${course.lectures?.length || 0}`);
-    return res.status(200).json(course);
+    const releaseContext = await loadReleaseContext(course, req.userId, { bypass: canManageCourse(course, req) });
+    return res.status(200).json(lockCourseLectures(course, releaseContext));
 
   } catch (error) {
     console.error("[GetCourseById] Error:", error);
@@ -200,17 +424,28 @@ export const removeCourse = async (req, res) => {
 /* ============================= Create Lecture ============================= */
 export const createLecture = async (req, res) => {
   try {
-    const { lectureTitle } = req.body;
+    const { lectureTitle, sectionId } = req.body;
     const { courseId } = req.params;
 
     if (!lectureTitle) return res.status(400).json({ message: "Lecture Title Required" });
 
-    const lecture = await Lecture.create({ lectureTitle });
     const course = await Course.findById(courseId);
+    if (!course) return res.status(404).json({ message: "Course Not Found" });
+
+    const section = sectionId ? course.sections.id(sectionId) : null;
+    if (sectionId && !section) {
+      return res.status(404).json({ message: "Section Not Found" });
+    }
+
+    const lecture = await Lecture.create({ lectureTitle });
 
     course.lectures.push(lecture._id);
-    await course.populate("lectures");
+    if (section) {
+      section.lectures.push(lecture._id);
+      syncLectureOrder(course);
+    }
     await course.save();
+    await course.populate("lectures");
 
     return res.status(201).json({ lecture, course });
 
@@ -229,12 +464,18 @@ export const getCourseLecture = async (req, res) => {
       return res.status(400).json({ message: "Course ID is required" });
     }
 
-    const course = await Course.findById(courseId).populate("lectures");
+    const course = await Course.findById(courseId);
 
     if (!course) {
       return res.status(404).json({ message: "Course Not Found" });
     }
 
+    // Quiz answers are only returned to the people who write them
+    await course.populate({
+      path: "lectures",
+      select: canManageCourse(course, req) ? "+quiz.questions.correctOptions" : undefined,
+    });
+
     // Log lecture data for debugging
     console.log(`Found course: ${course.title}, Lectures count: ${course.lectures?.length || 0}`);
     if (course.lectures && course.lectures.length > 0) {
@@ -243,7 +484,11 @@ export const getCourseLecture = async (req, res) => {
       });
     }
 
-    return res.status(200).json(course);
+    // Locked lectures keep their title and unlock date but lose their content
+    const releaseContext = await loadReleaseContext(course, req.userId, { bypass: canManageCourse(course, req) });
+    const lockedCourse = lockCourseLectures(course, releaseContext);
+
+    return res.status(200).json({ ...lockedCourse, curriculum: buildCurriculum(lockedCourse, releaseContext) });
 
   } catch (error) {
     console.error("Get Course Lecture Error:", error);
@@ -252,28 +497,126 @@ export const getCourseLecture = async (req, res) => {
 };
 
 
+/* ============================= Get Single Lecture ============================= */
+// Refuses locked lectures with their unlock date instead of returning content.
+export const getLecture = async (req, res) => {
+  try {
+    const { courseId, lectureId } = req.params;
+
+    const course = await Course.findById(courseId);
+    if (!course) return res.status(404).json({ message: "Course Not Found" });
+    if (!course.lectures.some((id) => idOf(id) === lectureId)) {
+      return res.status(404).json({ message: "Lecture Not Found in this course" });
+    }
+
+    const isManager = canManageCourse(course, req);
+    const lecture = await Lecture.findById(lectureId).select(isManager ? "+quiz.questions.correctOptions" : undefined);
+    if (!lecture) return res.status(404).json({ message: "Lecture Not Found" });
+
+    const releaseContext = await loadReleaseContext(course, req.userId, { bypass: isManager });
+    const availability = getLectureAvailability(course, lecture, releaseContext);
+    if (!availability.available) {
+      return res.status(403).json({
+        message: "This lecture is locked",
+        code: "CONTENT_LOCKED",
+        lectureId,
+        ...availability,
+      });
+    }
+
+    return res.status(200).json({ ...lecture.toObject(), isLocked: false, availability });
+
+  } catch (error) {
+    console.error("[GetLecture] Error:", error);
+    return res.status(500).json({ message: `Fetching Lecture Error: ${error.message || error}` });
+  }
+};
+
+
 /* ============================= Edit Lecture ============================= */
 export const editLecture = async (req, res) => {
   try {
     const { lectureId } = req.params;
-    const { lectureTitle, isPreviewFree } = req.body;
+    const { lectureTitle, isPreviewFree, lectureType, description, articleContent, externalUrl, quiz, release, durationSeconds } = req.body;
 
-    const lecture = await Lecture.findById(lectureId);
-    if (!lecture) return res.status(404).json({ message: "Lecture Not Found" });
+    const lecture = await findManageableLecture(req, res, { select: "+quiz.questions.correctOptions" });
+    if (!lecture) return;
 
-    if (req.file) {
-      const videoUrl = await uploadOnCloudinary(req.file.path);
-      if (videoUrl) {
-        lecture.videoUrl = videoUrl;
+    if (lectureType !== undefined) {
+      if (!LECTURE_TYPES.includes(lectureType)) {
+        return res.status(400).json({ message: `lectureType must be one of: ${LECTURE_TYPES.join(", ")}` });
+      }
+      lecture.lectureType = lectureType;
+    }
+
+    if (externalUrl !== undefined && externalUrl !== "") {
+      if (!isHttpUrl(externalUrl)) {
+        return res.status(400).json({ message: "externalUrl must be an http(s) URL" });
+      }
+      lecture.externalUrl = externalUrl;
+    }
+
+    if (durationSeconds !== undefined && durationSeconds !== "") {
+      const seconds = Number(durationSeconds);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        return res.status(400).json({ message: "durationSeconds must be zero or more" });
+      }
+      lecture.durationSeconds = seconds;
+    }
+
+    if (quiz !== undefined) {
+      const parsed = parseQuizInput(quiz);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      lecture.quiz = parsed.value;
+    }
+
+    if (release !== undefined) {
+      const parsed = parseReleaseRule(release);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      if (parsed.value.type === "after_lecture") {
+        const error = await validateLecturePrerequisite(lectureId, parsed.value.prerequisiteLecture);
+        if (error) return res.status(400).json({ message: error });
+      }
+      lecture.release = parsed.value;
+    }
+
+    // upload.fields(): "videoUrl" for video lectures, "document" for PDF lectures
+    const videoFile = req.files?.videoUrl?.[0] || req.file;
+    const documentFile = req.files?.document?.[0];
+    if (videoFile) {
+      const video = await uploadVideoOnCloudinary(videoFile.path);
+      if (video) {
+        lecture.videoUrl = video.url;
+        // An explicit durationSeconds in the same request wins over the probed one
+        if (video.durationSeconds && (durationSeconds === undefined || durationSeconds === "")) {
+          lecture.durationSeconds = video.durationSeconds;
+        }
+      }
+    }
+    if (documentFile) {
+      const documentUrl = await uploadOnCloudinary(documentFile.path);
+      if (!documentUrl) {
+        return res.status(400).json({ message: "Document upload failed", error: getLastCloudinaryError() });
       }
+      lecture.documentUrl = documentUrl;
     }
+
     if (lectureTitle) lecture.lectureTitle = lectureTitle;
+    if (description !== undefined) lecture.description = String(description);
+    if (articleContent !== undefined) lecture.articleContent = String(articleContent);
 
     // Handle isPreviewFree - convert string to boolean if needed
     if (isPreviewFree !== undefined) {
       lecture.isPreviewFree = isPreviewFree === true || isPreviewFree === "true";
     }
-    
+
+    if (lecture.lectureType === "link" && !lecture.externalUrl) {
+      return res.status(400).json({ message: "Link lectures need an externalUrl" });
+    }
+    if (lecture.lectureType === "quiz" && !lecture.quiz?.questions?.length) {
+      return res.status(400).json({ message: "Quiz lectures need at least one question" });
+    }
+
     await lecture.save();
 
     return res.status(200).json(lecture);
@@ -285,13 +628,75 @@ export const editLecture = async (req, res) => {
 };
 
 
+/* ============================= Lecture Attachments ============================= */
+// Upload a file (field "file") or register an external URL as a downloadable resource.
+export const addLectureAttachment = async (req, res) => {
+  try {
+    const lecture = await findManageableLecture(req, res);
+    if (!lecture) return;
+
+    let url = String(req.body?.url || "").trim();
+    if (req.file) {
+      url = await uploadOnCloudinary(req.file.path);
+      if (!url) {
+        return res.status(400).json({ message: "Attachment upload failed", error: getLastCloudinaryError() });
+      }
+    } else if (!isHttpUrl(url)) {
+      return res.status(400).json({ message: "Provide a file or an http(s) url" });
+    }
+
+    const name = String(req.body?.name || req.file?.originalname || "").trim();
+    if (!name) return res.status(400).json({ message: "Attachment name required" });
+
+    lecture.attachments.push({
+      name,
+      url,
+      fileType: req.file?.mimetype || String(req.body?.fileType || ""),
+      size: req.file?.size || 0,
+    });
+    await lecture.save();
+
+    return res.status(201).json({
+      attachment: lecture.attachments[lecture.attachments.length - 1],
+      attachments: lecture.attachments,
+    });
+
+  } catch (error) {
+    console.error("[AddLectureAttachment] Error:", error);
+    return res.status(500).json({ message: `Attachment Error: ${error.message || error}` });
+  }
+};
+
+export const removeLectureAttachment = async (req, res) => {
+  try {
+    const lecture = await findManageableLecture(req, res);
+    if (!lecture) return;
+
+    const attachment = lecture.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment Not Found" });
+
+    attachment.deleteOne();
+    await lecture.save();
+
+    return res.status(200).json({ message: "Attachment Removed", attachments: lecture.attachments });
+
+  } catch (error) {
+    console.error("[RemoveLectureAttachment] Error:", error);
+    return res.status(500).json({ message: `Attachment Delete Error: ${error.message || error}` });
+  }
+};
+
+
 /* ============================= Remove Lecture ============================= */
 export const removeLecture = async (req, res) => {
   try {
     const { lectureId } = req.params;
 
     await Lecture.findByIdAndDelete(lectureId);
-    await Course.updateOne({ lectures: lectureId }, { $pull: { lectures: lectureId } });
+    await Course.updateOne(
+      { lectures: lectureId },
+      { $pull: { lectures: lectureId, "sections.$[].lectures": lectureId } }
+    );
 
     return res.status(200).json({ message: "Lecture Removed" });
 
@@ -301,6 +706,203 @@ export const removeLecture = async (req, res) => {
 };
 
 
+/* ============================= Create Section ============================= */
+export const createSection = async (req, res) => {
+  try {
+    const title = String(req.body?.title || "").trim();
+    const description = String(req.body?.description || "").trim();
+    if (!title) return res.status(400).json({ message: "Section Title Required" });
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    course.sections.push({ title, description });
+    await course.save();
+
+    const section = course.sections[course.sections.length - 1];
+    return sendCurriculum(res, course, 201, { section });
+
+  } catch (error) {
+    console.error("[CreateSection] Error:", error);
+    return res.status(500).json({ message: `Create Section Error: ${error.message || error}` });
+  }
+};
+
+
+/* ============================= Edit Section ============================= */
+export const editSection = async (req, res) => {
+  try {
+    const { sectionId } = req.params;
+    const { title, description, release } = req.body || {};
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    const section = course.sections.id(sectionId);
+    if (!section) return res.status(404).json({ message: "Section Not Found" });
+
+    if (release !== undefined) {
+      const parsed = parseReleaseRule(release);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      if (parsed.value.type === "after_lecture") {
+        const prerequisite = parsed.value.prerequisiteLecture;
+        if (!course.lectures.some((id) => idOf(id) === prerequisite)) {
+          return res.status(400).json({ message: "Prerequisite lecture must belong to the same course" });
+        }
+        if (section.lectures.some((id) => idOf(id) === prerequisite)) {
+          return res.status(400).json({ message: "A section cannot depend on one of its own lectures" });
+        }
+      }
+      section.release = parsed.value;
+    }
+
+    if (title !== undefined) {
+      const nextTitle = String(title).trim();
+      if (!nextTitle) return res.status(400).json({ message: "Section Title Required" });
+      section.title = nextTitle;
+    }
+    if (description !== undefined) section.description = String(description).trim();
+
+    await course.save();
+    return sendCurriculum(res, course, 200, { section });
+
+  } catch (error) {
+    console.error("[EditSection] Error:", error);
+    return res.status(500).json({ message: `Section Update Error: ${error.message || error}` });
+  }
+};
+
+
+/* ============================= Remove Section ============================= */
+// Lectures of a removed section are kept and become unsectioned.
+export const removeSection = async (req, res) => {
+  try {
+    const { sectionId } = req.params;
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    const section = course.sections.id(sectionId);
+    if (!section) return res.status(404).json({ message: "Section Not Found" });
+
+    section.deleteOne();
+    syncLectureOrder(course);
+    await course.save();
+
+    return sendCurriculum(res, course, 200, { message: "Section Removed" });
+
+  } catch (error) {
+    console.error("[RemoveSection] Error:", error);
+    return res.status(500).json({ message: `Section Delete Error: ${error.message || error}` });
+  }
+};
+
+
+/* ============================= Reorder Sections ============================= */
+export const reorderSections = async (req, res) => {
+  try {
+    const { sectionIds } = req.body || {};
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    const currentIds = course.sections.map(idOf);
+    if (!isPermutationOf(currentIds, sectionIds)) {
+      return res.status(400).json({ message: "sectionIds must list every section of the course exactly once" });
+    }
+
+    course.sections = sectionIds.map((id) => course.sections.id(id));
+    syncLectureOrder(course);
+    await course.save();
+
+    return sendCurriculum(res, course);
+
+  } catch (error) {
+    console.error("[ReorderSections] Error:", error);
+    return res.status(500).json({ message: `Reorder Sections Error: ${error.message || error}` });
+  }
+};
+
+
+/* ========================= Reorder Section Lectures ========================= */
+export const reorderSectionLectures = async (req, res) => {
+  try {
+    const { sectionId } = req.params;
+    const { lectureIds } = req.body || {};
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    const section = course.sections.id(sectionId);
+    if (!section) return res.status(404).json({ message: "Section Not Found" });
+
+    if (!isPermutationOf(section.lectures.map(idOf), lectureIds)) {
+      return res.status(400).json({ message: "lectureIds must list every lecture of the section exactly once" });
+    }
+
+    section.lectures = lectureIds;
+    syncLectureOrder(course);
+    await course.save();
+
+    return sendCurriculum(res, course);
+
+  } catch (error) {
+    console.error("[ReorderSectionLectures] Error:", error);
+    return res.status(500).json({ message: `Reorder Lectures Error: ${error.message || error}` });
+  }
+};
+
+
+/* ============================= Move Lecture ============================= */
+// Move a lecture into a section (or out of all sections with sectionId: null)
+// at an optional zero-based position; defaults to the end.
+export const moveLecture = async (req, res) => {
+  try {
+    const { lectureId } = req.params;
+    const { sectionId = null, position } = req.body || {};
+
+    const course = await findManageableCourse(req, res);
+    if (!course) return;
+
+    if (!course.lectures.some((id) => idOf(id) === lectureId)) {
+      return res.status(404).json({ message: "Lecture Not Found in this course" });
+    }
+
+    const target = sectionId ? course.sections.id(sectionId) : null;
+    if (sectionId && !target) return res.status(404).json({ message: "Section Not Found" });
+
+    if (position !== undefined && (!Number.isInteger(Number(position)) || Number(position) < 0)) {
+      return res.status(400).json({ message: "position must be a non-negative integer" });
+    }
+
+    course.sections.forEach((section) => {
+      section.lectures = section.lectures.filter((id) => idOf(id) !== lectureId);
+    });
+
+    const inSection = new Set(course.sections.flatMap((section) => section.lectures.map(idOf)));
+    const destination = target
+      ? target.lectures.map(idOf)
+      : course.lectures.map(idOf).filter((id) => id !== lectureId && !inSection.has(id));
+    const index = position === undefined ? destination.length : Math.min(Number(position), destination.length);
+    destination.splice(index, 0, lectureId);
+
+    if (target) {
+      target.lectures = destination;
+      syncLectureOrder(course);
+    } else {
+      syncLectureOrder(course, destination);
+    }
+    await course.save();
+
+    return sendCurriculum(res, course);
+
+  } catch (error) {
+    console.error("[MoveLecture] Error:", error);
+    return res.status(500).json({ message: `Move Lecture Error: ${error.message || error}` });
+  }
+};
+
+
 /* ============================= Enroll Course ============================= */
 /* ============================= Enroll Course ============================= */
 export const enrollCourse = async (req, res) => {
@@ -372,6 +974,7 @@ export const enrollCourse = async (req, res) => {
       if (fixes.length) {
         await Promise.all(fixes);
       }
+      await Course.recordEnrollment(course._id, user._id);
 
       return res.status(200).json({ 
         message: "You are already enrolled in this course",
@@ -389,6 +992,7 @@ export const enrollCourse = async (req, res) => {
         { _id: userId },
         { $addToSet: { enrolledCourses: course._id } }
       ),
+      Course.recordEnrollment(course._id, user._id),
     ]);
 
     return res.status(200).json({ 
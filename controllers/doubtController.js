@@ -1,6 +1,7 @@
 import Doubt from "../models/doubtModel.js";
 import User from "../models/userModel.js";
 import Course from "../models/courseModel.js";
+import { getRolePermissions, hasPermission, roleHasPermission } from "../configs/permissions.js";
 
 // Create doubt (student)
 export const createDoubt = async (req, res) => {
@@ -12,9 +13,7 @@ export const createDoubt = async (req, res) => {
     }
 
     const user = await User.findById(req.userId);
-    if (!user || user.role !== "student") {
-      return res.status(403).json({ message: "Only students can create doubts" });
-    }
+    if (!user) return res.status(404).json({ message: "User not found" });
 
     // Auto-assign to course educator if courseId provided
     let assignedTo = null;
@@ -75,23 +74,21 @@ export const getMyDoubts = async (req, res) => {
   }
 };
 
-// Get doubts assigned to me (educator/admin)
+// Get doubts assigned to me (doubts.answer)
 export const getAssignedDoubts = async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
-
     const { status, priority } = req.query;
     const filter = {};
 
-    if (user.role === "admin") {
-      // Admin can see all doubts or doubts assigned to admin
+    if (await hasPermission(req, "doubts.manage")) {
+      // Managers see the admin queue and unassigned doubts
       filter.$or = [
         { assignedToRole: "admin" },
         { assignedTo: null }, // Unassigned doubts
+        { assignedTo: req.userId },
       ];
-    } else if (user.role === "educator") {
-      // Educator sees doubts assigned to them or from their courses
+    } else {
+      // Answerers see doubts assigned to them or from their courses
       const myCourses = await Course.find({ creator: req.userId });
       const courseIds = myCourses.map((c) => c._id);
 
@@ -99,8 +96,6 @@ export const getAssignedDoubts = async (req, res) => {
         { assignedTo: req.userId },
         { courseId: { $in: courseIds } },
       ];
-    } else {
-      return res.status(403).json({ message: "Access denied" });
     }
 
     if (status) filter.status = status;
@@ -118,14 +113,9 @@ export const getAssignedDoubts = async (req, res) => {
   }
 };
 
-// Get all doubts (admin only)
+// Get all doubts (doubts.manage)
 export const getAllDoubts = async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const { status, priority, category } = req.query;
     const filter = {};
 
@@ -162,11 +152,10 @@ export const getDoubtById = async (req, res) => {
     }
 
     // Check access
-    const user = await User.findById(req.userId);
     const hasAccess =
       doubt.studentId._id.toString() === req.userId.toString() ||
       doubt.assignedTo?._id?.toString() === req.userId.toString() ||
-      user.role === "admin";
+      (await hasPermission(req, "doubts.manage"));
 
     if (!hasAccess) {
       return res.status(403).json({ message: "Access denied" });
@@ -197,10 +186,11 @@ export const addResponse = async (req, res) => {
     if (!user) return res.status(404).json({ message: "User not found" });
 
     // Check access
+    const isOwner = doubt.studentId.toString() === req.userId.toString();
     const hasAccess =
-      doubt.studentId.toString() === req.userId.toString() ||
+      isOwner ||
       doubt.assignedTo?.toString() === req.userId.toString() ||
-      user.role === "admin";
+      (await hasPermission(req, "doubts.manage"));
 
     if (!hasAccess) {
       return res.status(403).json({ message: "Access denied" });
@@ -213,8 +203,12 @@ export const addResponse = async (req, res) => {
       role: user.role,
     });
 
-    // Update status if educator/admin responds
-    if ((user.role === "educator" || user.role === "admin") && doubt.status === "pending") {
+    // Update status when staff responds
+    if (
+      !isOwner &&
+      doubt.status === "pending" &&
+      ((await hasPermission(req, "doubts.answer")) || (await hasPermission(req, "doubts.manage")))
+    ) {
       doubt.status = "in-progress";
     }
 
@@ -251,14 +245,11 @@ export const updateDoubtStatus = async (req, res) => {
       return res.status(404).json({ message: "Doubt not found" });
     }
 
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    // Check access (only assigned educator/admin or admin can update)
+    // Check access (assignee, doubt managers, or answerers for the educator queue)
     const hasAccess =
       doubt.assignedTo?.toString() === req.userId.toString() ||
-      user.role === "admin" ||
-      (user.role === "educator" && doubt.assignedToRole === "educator");
+      (await hasPermission(req, "doubts.manage")) ||
+      (doubt.assignedToRole === "educator" && (await hasPermission(req, "doubts.answer")));
 
     if (!hasAccess) {
       return res.status(403).json({ message: "Access denied" });
@@ -289,17 +280,12 @@ export const updateDoubtStatus = async (req, res) => {
   }
 };
 
-// Assign doubt to educator/admin
+// Assign doubt to educator/admin (doubts.manage)
 export const assignDoubt = async (req, res) => {
   try {
     const { doubtId } = req.params;
     const { assignedTo, assignedToRole } = req.body;
 
-    const user = await User.findById(req.userId);
-    if (user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const doubt = await Doubt.findById(doubtId);
     if (!doubt) {
       return res.status(404).json({ message: "Doubt not found" });
@@ -311,12 +297,21 @@ export const assignDoubt = async (req, res) => {
         return res.status(404).json({ message: "Assignee not found" });
       }
 
+      const assigneePermissions = await getRolePermissions(assignee.role);
+      if (
+        !roleHasPermission(assigneePermissions, "doubts.answer") &&
+        !roleHasPermission(assigneePermissions, "doubts.manage")
+      ) {
+        return res.status(400).json({ message: "Assignee's role cannot answer doubts" });
+      }
+
       if (assignedToRole && !["educator", "admin"].includes(assignedToRole)) {
         return res.status(400).json({ message: "Invalid assignedToRole" });
       }
 
+      // assignedToRole is the queue (educator or admin), not the assignee's role key
       doubt.assignedTo = assignedTo;
-      doubt.assignedToRole = assignedToRole || assignee.role;
+      doubt.assignedToRole = assignedToRole || (assignee.role === "admin" ? "admin" : "educator");
     } else {
       doubt.assignedTo = null;
       doubt.assignedToRole = "admin";
@@ -338,7 +333,7 @@ export const assignDoubt = async (req, res) => {
   }
 };
 
-// Delete doubt (student can delete their own, admin can delete any)
+// Delete doubt (student can delete their own, doubts.manage can delete any)
 export const deleteDoubt = async (req, res) => {
   try {
     const { doubtId } = req.params;
@@ -348,9 +343,9 @@ export const deleteDoubt = async (req, res) => {
       return res.status(404).json({ message: "Doubt not found" });
     }
 
-    const user = await User.findById(req.userId);
     const hasAccess =
-      doubt.studentId.toString() === req.userId.toString() || user.role === "admin";
+      doubt.studentId.toString() === req.userId.toString() ||
+      (await hasPermission(req, "doubts.manage"));
 
     if (!hasAccess) {
       return res.status(403).json({ message: "Access denied" });
@@ -1,23 +1,15 @@
-import crypto from "crypto";
 import mongoose from "mongoose";
-import Razorpay from "razorpay";
 import PDFDocument from "pdfkit";
 import FeeRecord from "../models/feeRecordModel.js";
 import FeePaymentOrder from "../models/feePaymentOrderModel.js";
 import User from "../models/userModel.js";
 import Course from "../models/courseModel.js";
+import { issueFeePaymentInvoice, issueInvoiceQuietly } from "./invoiceController.js";
+import { getPaymentProvider } from "../configs/paymentGateway.js";
 
 const ALLOWED_STATUSES = new Set(["pending", "partial", "paid", "overdue"]);
 const ALLOWED_PAYMENT_MODES = new Set(["cash", "upi", "card", "bank-transfer", "online", "other"]);
 
-const razorpayInstance =
-  process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET
-    ? new Razorpay({
-        key_id: process.env.RAZORPAY_KEY_ID,
-        key_secret: process.env.RAZORPAY_KEY_SECRET,
-      })
-    : null;
-
 const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
 
 const parsePositiveNumber = (value, fallback = 0) => {
@@ -118,6 +110,13 @@ const applyPaymentToRecord = (record, { amount, paymentMode, referenceId, note,
   record.status = computeStatus(record);
 };
 
+// Issue the GST invoice for the installment that was just pushed onto the record.
+const issueLatestInstallmentInvoice = (record) => {
+  const latest = record.installments[record.installments.length - 1];
+  if (!latest?._id) return Promise.resolve(null);
+  return issueInvoiceQuietly(() => issueFeePaymentInvoice(record._id, latest._id));
+};
+
 const ensureStudentEnrollment = async (studentId, courseId) => {
   if (!courseId || !isValidObjectId(courseId)) {
     return { grantedNow: false, alreadyGranted: false };
@@ -157,6 +156,111 @@ const ensureStudentEnrollment = async (studentId, courseId) => {
   return { grantedNow: true, alreadyGranted: false };
 };
 
+// Payment orders a confirmed payment may still settle (a failed attempt can be followed by a successful one)
+const SETTLEABLE_PAYMENT_ORDER_STATUSES = ["created", "failed"];
+
+// Post the payment to the fee record and close a payment order this caller has claimed
+// ("processing"). On error the claim is handed back as `releaseStatus` so a retry can settle it.
+const postClaimedFeePayment = async (paymentOrder, record, { paymentId, signature, recordedBy } = {}, releaseStatus) => {
+  try {
+    const normalized = normalizeRecord(record);
+    paymentOrder.razorpayPaymentId = String(paymentId || paymentOrder.razorpayPaymentId || "");
+    if (signature) {
+      paymentOrder.razorpaySignature = signature;
+    }
+
+    if (paymentOrder.amount - normalized.dueAmount > 0.001) {
+      paymentOrder.status = "failed";
+      paymentOrder.failureReason = "Paid amount exceeds current due amount";
+      paymentOrder.processingAt = undefined;
+      await paymentOrder.save();
+      return { posted: false, reason: paymentOrder.failureReason };
+    }
+
+    applyPaymentToRecord(record, {
+      amount: paymentOrder.amount,
+      paymentMode: "online",
+      referenceId: paymentOrder.razorpayPaymentId,
+      note: `Online payment via ${paymentOrder.paymentProvider || "razorpay"}`,
+      recordedBy: recordedBy || paymentOrder.studentId,
+      razorpayOrderId: paymentOrder.razorpayOrderId,
+      razorpayPaymentId: paymentOrder.razorpayPaymentId,
+    });
+    record.updatedBy = recordedBy || paymentOrder.studentId;
+    await record.save();
+  } catch (error) {
+    await FeePaymentOrder.updateOne(
+      { _id: paymentOrder._id, status: "processing" },
+      { $set: { status: releaseStatus }, $unset: { processingAt: 1 } }
+    );
+    throw error;
+  }
+
+  paymentOrder.status = "paid";
+  paymentOrder.failureReason = "";
+  paymentOrder.processingAt = undefined;
+  await paymentOrder.save();
+  await issueLatestInstallmentInvoice(record);
+  return { posted: true, reason: "" };
+};
+
+// Post a gateway-confirmed online payment to its fee record and close the payment order.
+// Used by the client verify callback, the payment webhook and reconciliation. The order is
+// claimed ("processing") before the ledger is touched, so concurrent callers post it once;
+// the losers get `alreadySettled: true`.
+export const settleFeePaymentOrder = async (paymentOrder, record, { paymentId, signature, recordedBy } = {}) => {
+  const previousStatus = paymentOrder.status;
+  const processingAt = new Date();
+  const claimed = await FeePaymentOrder.findOneAndUpdate(
+    { _id: paymentOrder._id, status: { $in: SETTLEABLE_PAYMENT_ORDER_STATUSES } },
+    { $set: { status: "processing", processingAt } },
+    { new: true }
+  ).select("status");
+  if (!claimed) {
+    return { posted: false, alreadySettled: true, reason: "Payment order is already settled" };
+  }
+  paymentOrder.status = "processing";
+  paymentOrder.processingAt = processingAt;
+
+  return postClaimedFeePayment(paymentOrder, record, { paymentId, signature, recordedBy }, previousStatus);
+};
+
+// Finish a payment order left in "processing" since before `stuckBefore` (the settling
+// process died mid-way). The claim is taken over first so two sweeper runs cannot both
+// recover it, and a payment that already reached the ledger is not posted again.
+export const recoverStuckFeePaymentOrder = async (paymentOrder, record, { paymentId, stuckBefore } = {}) => {
+  const processingAt = new Date();
+  const claimed = await FeePaymentOrder.findOneAndUpdate(
+    {
+      _id: paymentOrder._id,
+      status: "processing",
+      $or: [{ processingAt: { $lte: stuckBefore } }, { processingAt: null }],
+    },
+    { $set: { processingAt } },
+    { new: true }
+  ).select("status");
+  if (!claimed) {
+    return { posted: false, alreadySettled: true, reason: "Payment order is no longer stuck" };
+  }
+  paymentOrder.processingAt = processingAt;
+
+  const postedInstallment = (record.installments || []).find(
+    (item) => item.razorpayOrderId && item.razorpayOrderId === paymentOrder.razorpayOrderId
+  );
+  if (postedInstallment) {
+    paymentOrder.status = "paid";
+    paymentOrder.failureReason = "";
+    paymentOrder.processingAt = undefined;
+    if (paymentId && !paymentOrder.razorpayPaymentId) paymentOrder.razorpayPaymentId = paymentId;
+    await paymentOrder.save();
+    await issueInvoiceQuietly(() => issueFeePaymentInvoice(record._id, postedInstallment._id));
+    return { posted: false, recovered: true, reason: "Payment was already posted to the fee record" };
+  }
+
+  const result = await postClaimedFeePayment(paymentOrder, record, { paymentId }, "created");
+  return { ...result, recovered: result.posted };
+};
+
 export const getAdminFeeRecords = async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query?.page) || 1);
@@ -341,6 +445,7 @@ export const createFeePlan = async (req, res) => {
         });
         record.updatedBy = req.userId || null;
         await record.save();
+        await issueLatestInstallmentInvoice(record);
         remainingInitialPaid = round2(remainingInitialPaid - payNow);
       }
     }
@@ -399,6 +504,7 @@ export const addFeePaymentByAdmin = async (req, res) => {
     });
     record.updatedBy = req.userId || null;
     await record.save();
+    await issueLatestInstallmentInvoice(record);
 
     return res.status(200).json({
       message: "Payment recorded successfully",
@@ -436,7 +542,8 @@ export const createOnlineFeeOrder = async (req, res) => {
     const { recordId } = req.params;
     const paymentAmount = parsePositiveNumber(req.body?.amount, 0);
 
-    if (!razorpayInstance) {
+    const provider = getPaymentProvider();
+    if (!provider.isConfigured) {
       return res.status(503).json({
         message: "Online payment is not configured",
       });
@@ -464,7 +571,7 @@ export const createOnlineFeeOrder = async (req, res) => {
       return res.status(400).json({ message: "Amount cannot exceed due amount" });
     }
 
-    const razorpayOrder = await razorpayInstance.orders.create({
+    const gatewayOrder = await provider.createOrder({
       amount: Math.round(amountToPay * 100),
       currency: "INR",
       receipt: `fee-${record._id.toString().slice(-8)}-${Date.now()}`,
@@ -474,15 +581,18 @@ export const createOnlineFeeOrder = async (req, res) => {
       feeRecordId: record._id,
       studentId: req.userId,
       amount: amountToPay,
-      currency: razorpayOrder.currency || "INR",
-      razorpayOrderId: razorpayOrder.id,
+      currency: gatewayOrder.currency || "INR",
+      paymentProvider: provider.name,
+      razorpayOrderId: gatewayOrder.id,
       status: "created",
     });
 
     return res.status(201).json({
-      id: razorpayOrder.id,
-      amount: razorpayOrder.amount,
-      currency: razorpayOrder.currency || "INR",
+      id: gatewayOrder.id,
+      amount: gatewayOrder.amount,
+      currency: gatewayOrder.currency || "INR",
+      provider: provider.name,
+      key: provider.publicKey,
     });
   } catch (error) {
     return res.status(500).json({
@@ -521,50 +631,43 @@ export const verifyOnlineFeePayment = async (req, res) => {
     if (!paymentOrder) {
       return res.status(404).json({ message: "Payment order not found" });
     }
-    if (paymentOrder.status === "paid") {
+    if (!SETTLEABLE_PAYMENT_ORDER_STATUSES.includes(paymentOrder.status)) {
       return res.status(200).json({ message: "Payment already verified" });
     }
 
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET || "")
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest("hex");
+    const isSignatureValid = getPaymentProvider(paymentOrder.paymentProvider).verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
 
-    if (expectedSignature !== razorpay_signature) {
-      paymentOrder.status = "failed";
-      paymentOrder.failureReason = "Invalid payment signature";
-      paymentOrder.razorpayPaymentId = razorpay_payment_id;
-      paymentOrder.razorpaySignature = razorpay_signature;
-      await paymentOrder.save();
+    if (!isSignatureValid) {
+      // Never overwrite an order that another path has settled meanwhile
+      await FeePaymentOrder.updateOne(
+        { _id: paymentOrder._id, status: { $in: SETTLEABLE_PAYMENT_ORDER_STATUSES } },
+        {
+          $set: {
+            status: "failed",
+            failureReason: "Invalid payment signature",
+            razorpayPaymentId: razorpay_payment_id,
+            razorpaySignature: razorpay_signature,
+          },
+        }
+      );
       return res.status(400).json({ message: "Payment signature verification failed" });
     }
 
-    const normalized = normalizeRecord(record);
-    if (paymentOrder.amount - normalized.dueAmount > 0.001) {
-      paymentOrder.status = "failed";
-      paymentOrder.failureReason = "Paid amount exceeds current due amount";
-      paymentOrder.razorpayPaymentId = razorpay_payment_id;
-      paymentOrder.razorpaySignature = razorpay_signature;
-      await paymentOrder.save();
-      return res.status(400).json({ message: "Payment amount exceeds due amount" });
-    }
-
-    applyPaymentToRecord(record, {
-      amount: paymentOrder.amount,
-      paymentMode: "online",
-      referenceId: razorpay_payment_id,
-      note: "Online payment via Razorpay",
+    const settled = await settleFeePaymentOrder(paymentOrder, record, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
       recordedBy: req.userId,
-      razorpayOrderId: razorpay_order_id,
-      razorpayPaymentId: razorpay_payment_id,
     });
-    record.updatedBy = req.userId;
-
-    paymentOrder.status = "paid";
-    paymentOrder.razorpayPaymentId = razorpay_payment_id;
-    paymentOrder.razorpaySignature = razorpay_signature;
-
-    await Promise.all([record.save(), paymentOrder.save()]);
+    if (settled.alreadySettled) {
+      return res.status(200).json({ message: "Payment already verified" });
+    }
+    if (!settled.posted) {
+      return res.status(400).json({ message: "Payment amount exceeds due amount" });
+    }
 
     return res.status(200).json({
       message: "Fee payment verified successfully",
@@ -1,6 +1,14 @@
 import Grade from "../models/gradeModel.js";
 import Course from "../models/courseModel.js";
 import User from "../models/userModel.js";
+import { hasPermission } from "../configs/permissions.js";
+
+// Course creators work with their own courses; courses.access_all opens every course
+const canAccessCourse = async (req, course) =>
+  course.creator?.toString() === req.userId.toString() || hasPermission(req, "courses.access_all");
+
+const canEditGrade = async (req, grade) =>
+  grade.educatorId?.toString() === req.userId.toString() || hasPermission(req, "courses.access_all");
 
 // Create/Upload grade (educator only)
 export const createGrade = async (req, res) => {
@@ -24,18 +32,14 @@ export const createGrade = async (req, res) => {
       });
     }
 
-    const educator = await User.findById(req.userId);
-    if (!educator) return res.status(404).json({ message: "User not found" });
-
-    if (educator.role !== "educator" && educator.role !== "admin") {
-      return res.status(403).json({ message: "Only educators can upload grades" });
+    if (isPublished && !(await hasPermission(req, "grades.publish"))) {
+      return res.status(403).json({ message: "You do not have permission to publish grades" });
     }
 
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ message: "Course not found" });
 
-    // Verify educator owns the course (unless admin)
-    if (educator.role === "educator" && course.creator.toString() !== req.userId.toString()) {
+    if (!(await canAccessCourse(req, course))) {
       return res.status(403).json({ message: "You can only upload grades for your own courses" });
     }
 
@@ -94,14 +98,10 @@ export const getCourseGrades = async (req, res) => {
   try {
     const { courseId } = req.params;
 
-    const educator = await User.findById(req.userId);
-    if (!educator) return res.status(404).json({ message: "User not found" });
-
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ message: "Course not found" });
 
-    // Verify educator owns the course (unless admin)
-    if (educator.role === "educator" && course.creator.toString() !== req.userId.toString()) {
+    if (!(await canAccessCourse(req, course))) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
@@ -138,14 +138,10 @@ export const getStudentGrades = async (req, res) => {
   try {
     const { courseId, studentId } = req.params;
 
-    const educator = await User.findById(req.userId);
-    if (!educator) return res.status(404).json({ message: "User not found" });
-
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ message: "Course not found" });
 
-    // Verify educator owns the course (unless admin)
-    if (educator.role === "educator" && course.creator.toString() !== req.userId.toString()) {
+    if (!(await canAccessCourse(req, course))) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
@@ -169,11 +165,18 @@ export const updateGrade = async (req, res) => {
     const grade = await Grade.findById(gradeId);
     if (!grade) return res.status(404).json({ message: "Grade not found" });
 
-    const educator = await User.findById(req.userId);
-    if (educator.role !== "admin" && grade.educatorId.toString() !== req.userId.toString()) {
+    if (!(await canEditGrade(req, grade))) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
+    if (
+      updateData.isPublished !== undefined &&
+      Boolean(updateData.isPublished) !== Boolean(grade.isPublished) &&
+      !(await hasPermission(req, "grades.publish"))
+    ) {
+      return res.status(403).json({ message: "You do not have permission to publish grades" });
+    }
+
     // Recalculate percentage and grade if marks are updated
     if (updateData.marksObtained !== undefined || updateData.totalMarks !== undefined) {
       const marksObtained = updateData.marksObtained !== undefined 
@@ -214,8 +217,7 @@ export const deleteGrade = async (req, res) => {
     const grade = await Grade.findById(gradeId);
     if (!grade) return res.status(404).json({ message: "Grade not found" });
 
-    const educator = await User.findById(req.userId);
-    if (educator.role !== "admin" && grade.educatorId.toString() !== req.userId.toString()) {
+    if (!(await canEditGrade(req, grade))) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
@@ -236,17 +238,10 @@ export const bulkUploadGrades = async (req, res) => {
       return res.status(400).json({ message: "Course ID and grades array are required" });
     }
 
-    const educator = await User.findById(req.userId);
-    if (!educator) return res.status(404).json({ message: "User not found" });
-
-    if (educator.role !== "educator" && educator.role !== "admin") {
-      return res.status(403).json({ message: "Only educators can upload grades" });
-    }
-
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ message: "Course not found" });
 
-    if (educator.role === "educator" && course.creator.toString() !== req.userId.toString()) {
+    if (!(await canAccessCourse(req, course))) {
       return res.status(403).json({ message: "You can only upload grades for your own courses" });
     }
 
@@ -321,13 +316,10 @@ export const getGradeStatistics = async (req, res) => {
   try {
     const { courseId } = req.params;
 
-    const educator = await User.findById(req.userId);
-    if (!educator) return res.status(404).json({ message: "User not found" });
-
     const course = await Course.findById(courseId);
     if (!course) return res.status(404).json({ message: "Course not found" });
 
-    if (educator.role === "educator" && course.creator.toString() !== req.userId.toString()) {
+    if (!(await canAccessCourse(req, course))) {
       return res.status(403).json({ message: "Not authorized" });
     }
 
@@ -0,0 +1,526 @@
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import Invoice from "../models/invoiceModel.js";
+import Counter from "../models/counterModel.js";
+import Order from "../models/orderModel.js";
+import FeeRecord from "../models/feeRecordModel.js";
+import User from "../models/userModel.js";
+import {
+  computeGstSplit,
+  getFinancialYear,
+  getGstRate,
+  getInvoicePrefix,
+  getSacCode,
+  getSellerDetails,
+  getStateName,
+  isValidGstin,
+  normalizeGstin,
+  normalizeStateCode,
+} from "../configs/gst.js";
+
+const MAX_REGISTER_DAYS = 366;
+
+const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+const formatMoney = (value) => `Rs ${Number(value || 0).toFixed(2)}`;
+
+const buildBuyer = (user) => {
+  const billing = user?.billingDetails || {};
+  const gstin = isValidGstin(billing.gstin) ? normalizeGstin(billing.gstin) : "";
+  const stateCode = normalizeStateCode(billing.stateCode) || (gstin ? gstin.slice(0, 2) : "");
+
+  return {
+    name: String(billing.legalName || user?.name || "").trim(),
+    email: String(user?.email || "").trim(),
+    address: String(billing.address || "").trim(),
+    gstin,
+    stateCode,
+    stateName: getStateName(stateCode),
+  };
+};
+
+const voidInvoiceNumber = async ({ invoiceNumber, fy, sequence, invoiceDate, seller, sourceType, sourceKey }) => {
+  try {
+    await Invoice.create({
+      invoiceNumber,
+      financialYear: fy.label,
+      sequence,
+      invoiceDate,
+      status: "void",
+      sourceType: "void",
+      sourceKey: invoiceNumber,
+      seller,
+      buyer: {},
+      description: `Cancelled: number not used (${sourceType} ${sourceKey})`,
+      sacCode: getSacCode(),
+      placeOfSupply: seller.stateCode,
+      supplyType: "intra-state",
+      gstRate: 0,
+      taxableValue: 0,
+      totalTax: 0,
+      totalAmount: 0,
+    });
+  } catch (error) {
+    console.error(`[Invoice] Failed to void unused invoice number ${invoiceNumber}:`, error?.message || error);
+  }
+};
+
+const createInvoice = async ({ sourceType, sourceKey, invoiceDate, student, amount, description, extra = {} }) => {
+  const existing = await Invoice.findOne({ sourceType, sourceKey });
+  if (existing) return existing;
+
+  const seller = getSellerDetails();
+  const buyer = buildBuyer(student);
+  const rate = getGstRate();
+  const placeOfSupply = buyer.stateCode || seller.stateCode;
+  const split = computeGstSplit(amount, {
+    rate,
+    sellerStateCode: seller.stateCode,
+    placeOfSupply,
+  });
+
+  const fy = getFinancialYear(invoiceDate);
+  const counterKey = `invoice:${fy.label}`;
+  const sequence = await Counter.next(counterKey);
+  const invoiceNumber = `${getInvoicePrefix()}/${fy.short}/${String(sequence).padStart(6, "0")}`;
+
+  try {
+    return await Invoice.create({
+      invoiceNumber,
+      financialYear: fy.label,
+      sequence,
+      invoiceDate,
+      sourceType,
+      sourceKey,
+      student: student._id,
+      seller,
+      buyer,
+      description,
+      sacCode: getSacCode(),
+      placeOfSupply,
+      gstRate: rate,
+      ...split,
+      ...extra,
+    });
+  } catch (error) {
+    // The number was drawn but not used; record it as void so the register has no gap
+    // (reusing it later would put a lower number on a later invoice)
+    if (!error?.keyPattern?.invoiceNumber) {
+      await voidInvoiceNumber({ invoiceNumber, fy, sequence, invoiceDate, seller, sourceType, sourceKey });
+    }
+    // Another request issued this invoice first
+    if (error?.code === 11000) {
+      const raced = await Invoice.findOne({ sourceType, sourceKey });
+      if (raced) return raced;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue (or fetch the already issued) tax invoice for a paid course order.
+ * @param {string|Object} orderOrId - Order id or document
+ * @returns {Promise<Document|null>} Invoice, or null when the order is not paid
+ */
+export const issueCourseOrderInvoice = async (orderOrId) => {
+  const orderId = orderOrId?._id || orderOrId;
+  const order = await Order.findById(orderId).populate("course", "title").lean();
+  if (!order || !order.isPaid) return null;
+
+  const existing = await Invoice.findOne({ sourceType: "course_order", sourceKey: order._id.toString() });
+  if (existing) return existing;
+
+  const student = await User.findById(order.student).select("name email billingDetails").lean();
+  if (!student) return null;
+
+  return createInvoice({
+    sourceType: "course_order",
+    sourceKey: order._id.toString(),
+    invoiceDate: order.paidAt || order.createdAt,
+    student,
+    amount: order.amount,
+    description: `Online course: ${order.course?.title || "Course"}`,
+    extra: {
+      order: order._id,
+      discountAmount: Number(order.discountAmount || 0),
+      couponCode: order.couponCode || "",
+      currency: order.currency || "INR",
+      paymentReference: order.razorpay_payment_id || order.razorpay_order_id || "",
+      paymentMode: "online",
+    },
+  });
+};
+
+/**
+ * Issue (or fetch the already issued) tax invoice for one fee installment payment.
+ * @param {string} recordId - FeeRecord id
+ * @param {string} paymentId - Installment entry id inside the record
+ */
+export const issueFeePaymentInvoice = async (recordId, paymentId) => {
+  const sourceKey = `${recordId}:${paymentId}`;
+  const existing = await Invoice.findOne({ sourceType: "fee_payment", sourceKey });
+  if (existing) return existing;
+
+  const record = await FeeRecord.findById(recordId).populate("courseId", "title").lean();
+  if (!record) return null;
+
+  const payment = (record.installments || []).find((item) => item._id?.toString() === String(paymentId));
+  if (!payment || !(Number(payment.amount) > 0)) return null;
+
+  const student = await User.findById(record.studentId).select("name email billingDetails").lean();
+  if (!student) return null;
+
+  const installmentLabel = `Installment ${record.installmentNumber || 1}/${record.totalInstallments || 1}`;
+  const courseLabel = record.courseId?.title ? ` - ${record.courseId.title}` : "";
+
+  return createInvoice({
+    sourceType: "fee_payment",
+    sourceKey,
+    invoiceDate: payment.paidAt || new Date(),
+    student,
+    amount: payment.amount,
+    description: `${record.title || "Coaching Fee"}${courseLabel} (${installmentLabel})`,
+    extra: {
+      feeRecord: record._id,
+      currency: record.currency || "INR",
+      paymentReference: payment.razorpayPaymentId || payment.referenceId || "",
+      paymentMode: payment.paymentMode || "",
+    },
+  });
+};
+
+// Invoices are also issued lazily on first download, so a failure here must never break a payment.
+export const issueInvoiceQuietly = (issue) =>
+  issue().catch((error) => {
+    console.error("[Invoice] Failed to issue invoice:", error?.message || error);
+    return null;
+  });
+
+const renderInvoicePdf = (invoice, res) => {
+  const doc = new PDFDocument({
+    layout: "portrait",
+    size: "A4",
+    margin: 48,
+  });
+
+  const fileName = invoice.invoiceNumber.replace(/\//g, "-");
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename=Invoice-${fileName}.pdf`);
+  doc.pipe(res);
+
+  const { seller, buyer } = invoice;
+
+  doc.fontSize(20).font("Helvetica-Bold").fillColor("#000").text(seller.name || "Learnify", 48, 48);
+  doc.fontSize(9).font("Helvetica").fillColor("#333");
+  if (seller.address) doc.text(seller.address, 48, doc.y + 2, { width: 280 });
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, 48, doc.y + 2);
+  if (seller.stateCode) doc.text(`State: ${seller.stateName} (${seller.stateCode})`, 48, doc.y + 2);
+
+  doc.fontSize(16).font("Helvetica-Bold").fillColor("#000").text("TAX INVOICE", 330, 48, { width: 217, align: "right" });
+  doc.fontSize(10).font("Helvetica");
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, 330, 74, { width: 217, align: "right" });
+  doc.text(`Invoice Date: ${new Date(invoice.invoiceDate).toLocaleDateString("en-IN")}`, 330, 88, { width: 217, align: "right" });
+  doc.text(`Financial Year: ${invoice.financialYear}`, 330, 102, { width: 217, align: "right" });
+
+  doc.moveTo(48, 140).lineTo(547, 140).stroke("#999");
+
+  let y = 152;
+  doc.fontSize(11).font("Helvetica-Bold").text("Bill To", 48, y);
+  y += 16;
+  doc.fontSize(10).font("Helvetica");
+  doc.text(buyer.name || "-", 48, y);
+  y += 14;
+  if (buyer.email) {
+    doc.text(buyer.email, 48, y);
+    y += 14;
+  }
+  if (buyer.address) {
+    doc.text(buyer.address, 48, y, { width: 300 });
+    y = doc.y + 2;
+  }
+  if (buyer.gstin) {
+    doc.text(`GSTIN: ${buyer.gstin}`, 48, y);
+    y += 14;
+  }
+
+  const placeOfSupplyName = getStateName(invoice.placeOfSupply);
+  doc.text(
+    `Place of Supply: ${placeOfSupplyName ? `${placeOfSupplyName} (${invoice.placeOfSupply})` : invoice.placeOfSupply || "-"}`,
+    330,
+    168,
+    { width: 217, align: "right" }
+  );
+  doc.text(`Supply Type: ${invoice.supplyType}`, 330, 182, { width: 217, align: "right" });
+
+  y = Math.max(y, 200) + 16;
+
+  /* ---------- LINE ITEM ---------- */
+  doc.rect(48, y, 499, 20).fill("#f0f0f0");
+  doc.fillColor("#000").font("Helvetica-Bold").fontSize(10);
+  doc.text("Description", 54, y + 6, { width: 260 });
+  doc.text("SAC", 320, y + 6, { width: 60 });
+  doc.text("Taxable Value", 400, y + 6, { width: 140, align: "right" });
+  y += 26;
+
+  doc.font("Helvetica").fontSize(10);
+  doc.text(invoice.description, 54, y, { width: 260 });
+  doc.text(invoice.sacCode, 320, y, { width: 60 });
+  doc.text(formatMoney(invoice.taxableValue), 400, y, { width: 140, align: "right" });
+  y = Math.max(doc.y, y + 14) + 12;
+
+  doc.moveTo(48, y).lineTo(547, y).stroke("#ccc");
+  y += 10;
+
+  const writeTotal = (label, value, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 10);
+    doc.text(label, 300, y, { width: 140 });
+    doc.text(value, 400, y, { width: 140, align: "right" });
+    y += bold ? 20 : 16;
+  };
+
+  if (invoice.couponCode && invoice.discountAmount > 0) {
+    writeTotal(`Discount (${invoice.couponCode})`, `- ${formatMoney(invoice.discountAmount)}`);
+  }
+  writeTotal("Taxable Value", formatMoney(invoice.taxableValue));
+  if (invoice.supplyType === "inter-state") {
+    writeTotal(`IGST @ ${invoice.igstRate}%`, formatMoney(invoice.igst));
+  } else {
+    writeTotal(`CGST @ ${invoice.cgstRate}%`, formatMoney(invoice.cgst));
+    writeTotal(`SGST @ ${invoice.sgstRate}%`, formatMoney(invoice.sgst));
+  }
+  writeTotal("Total Tax", formatMoney(invoice.totalTax));
+  y += 4;
+  doc.moveTo(300, y).lineTo(547, y).stroke("#000");
+  y += 8;
+  writeTotal("Invoice Total", formatMoney(invoice.totalAmount), true);
+
+  y += 12;
+  doc.font("Helvetica").fontSize(9).fillColor("#333");
+  if (invoice.paymentReference) {
+    doc.text(`Payment Reference: ${invoice.paymentReference}`, 48, y);
+    y += 13;
+  }
+  if (invoice.paymentMode) {
+    doc.text(`Payment Mode: ${String(invoice.paymentMode).toUpperCase()}`, 48, y);
+    y += 13;
+  }
+  doc.text("Amounts are inclusive of GST.", 48, y);
+
+  doc.fontSize(9).fillColor("#666").text(
+    "This is a computer-generated tax invoice and does not require a physical signature.",
+    48,
+    760,
+    { width: 499, align: "center" }
+  );
+
+  doc.end();
+};
+
+const canAccessInvoice = async (userId, ownerId) => {
+  if (ownerId?.toString() === userId?.toString()) return true;
+  const requester = await User.findById(userId).select("role");
+  return requester?.role === "admin" || requester?.role === "educator";
+};
+
+/* =====================================================
+    COURSE ORDER INVOICE PDF (Authenticated)
+=====================================================*/
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!isValidObjectId(orderId)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(orderId).select("student isPaid").lean();
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (!(await canAccessInvoice(req.userId, order.student))) {
+      return res.status(403).json({ message: "You don't have permission to access this invoice" });
+    }
+    if (!order.isPaid) {
+      return res.status(400).json({ message: "Invoice can only be generated for successful payments" });
+    }
+
+    const invoice = await issueCourseOrderInvoice(order._id);
+    if (!invoice) {
+      return res.status(404).json({ message: "Invoice could not be issued for this order" });
+    }
+
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error("[Invoice] Order invoice error:", error);
+    return res.status(500).json({
+      message: "Failed to generate invoice",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    FEE PAYMENT INVOICE PDF (Authenticated)
+=====================================================*/
+export const getFeePaymentInvoice = async (req, res) => {
+  try {
+    const { recordId, paymentId } = req.params;
+    if (!isValidObjectId(recordId) || !isValidObjectId(paymentId)) {
+      return res.status(400).json({ message: "Invalid record/payment id" });
+    }
+
+    const record = await FeeRecord.findById(recordId).select("studentId").lean();
+    if (!record) {
+      return res.status(404).json({ message: "Fee record not found" });
+    }
+    if (!(await canAccessInvoice(req.userId, record.studentId))) {
+      return res.status(403).json({ message: "You are not allowed to access this invoice" });
+    }
+
+    const invoice = await issueFeePaymentInvoice(recordId, paymentId);
+    if (!invoice) {
+      return res.status(404).json({ message: "Payment entry not found" });
+    }
+
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error("[Invoice] Fee invoice error:", error);
+    return res.status(500).json({
+      message: "Failed to generate invoice",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    BUYER BILLING DETAILS (Authenticated)
+=====================================================*/
+export const updateBillingDetails = async (req, res) => {
+  try {
+    const { legalName, gstin, address, stateCode } = req.body || {};
+
+    const normalizedGstin = normalizeGstin(gstin);
+    if (normalizedGstin && !isValidGstin(normalizedGstin)) {
+      return res.status(400).json({ message: "Invalid GSTIN format" });
+    }
+
+    const normalizedStateCode = normalizeStateCode(stateCode);
+    if (stateCode && !normalizedStateCode) {
+      return res.status(400).json({ message: "Invalid GST state code" });
+    }
+    if (normalizedGstin && normalizedStateCode && normalizedGstin.slice(0, 2) !== normalizedStateCode) {
+      return res.status(400).json({ message: "State code does not match the GSTIN" });
+    }
+
+    const billingDetails = {
+      legalName: String(legalName || "").trim().slice(0, 200),
+      gstin: normalizedGstin,
+      address: String(address || "").trim().slice(0, 500),
+      stateCode: normalizedStateCode || (normalizedGstin ? normalizedGstin.slice(0, 2) : ""),
+    };
+
+    await User.updateOne({ _id: req.userId }, { $set: { billingDetails } });
+
+    return res.status(200).json({
+      message: "Billing details updated. They apply to invoices issued from now on.",
+      billingDetails,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: "Failed to update billing details",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+const escapeCsv = (value) => {
+  let text = String(value ?? "");
+  // Spreadsheets run cells starting with these as formulas; a leading quote keeps them text
+  // (plain numbers such as "-12.50" are left alone)
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/* =====================================================
+    INVOICE REGISTER CSV (Admin)
+=====================================================*/
+export const exportInvoiceRegister = async (req, res) => {
+  try {
+    const from = req.query?.from ? new Date(req.query.from) : null;
+    const to = req.query?.to ? new Date(req.query.to) : null;
+
+    if (!from || !to || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ message: "Valid from and to dates are required" });
+    }
+    // Treat a bare date as the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to))) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    if (to < from) {
+      return res.status(400).json({ message: "to must be on or after from" });
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_REGISTER_DAYS) {
+      return res.status(400).json({ message: `Date range cannot exceed ${MAX_REGISTER_DAYS} days` });
+    }
+
+    const invoices = await Invoice.find({ invoiceDate: { $gte: from, $lte: to } })
+      .sort({ financialYear: 1, sequence: 1 })
+      .lean();
+
+    const header = [
+      "Invoice No",
+      "Invoice Date",
+      "Financial Year",
+      "Source",
+      "Status",
+      "Buyer Name",
+      "Buyer Email",
+      "Buyer GSTIN",
+      "Place of Supply",
+      "Supply Type",
+      "SAC",
+      "Description",
+      "Taxable Value",
+      "CGST",
+      "SGST",
+      "IGST",
+      "Total Tax",
+      "Invoice Total",
+      "Payment Reference",
+    ];
+
+    const rows = invoices.map((invoice) => [
+      invoice.invoiceNumber,
+      new Date(invoice.invoiceDate).toISOString().slice(0, 10),
+      invoice.financialYear,
+      invoice.sourceType,
+      invoice.status || "issued",
+      invoice.buyer?.name,
+      invoice.buyer?.email,
+      invoice.buyer?.gstin,
+      invoice.placeOfSupply,
+      invoice.supplyType,
+      invoice.sacCode,
+      invoice.description,
+      Number(invoice.taxableValue).toFixed(2),
+      Number(invoice.cgst).toFixed(2),
+      Number(invoice.sgst).toFixed(2),
+      Number(invoice.igst).toFixed(2),
+      Number(invoice.totalTax).toFixed(2),
+      Number(invoice.totalAmount).toFixed(2),
+      invoice.paymentReference,
+    ]);
+
+    const csv = [header, ...rows].map((row) => row.map(escapeCsv).join(",")).join("\r\n");
+    const fileName = `invoice-register-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}`);
+    return res.status(200).send(csv);
+  } catch (error) {
+    console.error("[Invoice] Register export error:", error);
+    return res.status(500).json({
+      message: "Failed to export invoice register",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
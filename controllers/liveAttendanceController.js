@@ -0,0 +1,294 @@
+import mongoose from "mongoose";
+import LiveClass from "../models/liveClassModel.js";
+import LiveAttendance from "../models/liveAttendanceModel.js";
+import Attendance from "../models/attendanceModel.js";
+import Course from "../models/courseModel.js";
+import { receiveLiveKitWebhook } from "../configs/livekit.js";
+import { hasPermission } from "../configs/permissions.js";
+
+/* =====================================================
+    THRESHOLDS
+=====================================================*/
+
+// Minutes attended needed for "present" and for "late"; fewer than the late threshold is "absent".
+// LIVE_ATTENDANCE_PRESENT_MINUTES / LIVE_ATTENDANCE_LATE_MINUTES, else 75% / 25% of the class duration.
+export const getAttendanceThresholds = (liveClass) => {
+  const duration = Number(liveClass.duration) || 60;
+  const presentMinutes = Number(process.env.LIVE_ATTENDANCE_PRESENT_MINUTES) || Math.ceil(duration * 0.75);
+  const lateMinutes = Number(process.env.LIVE_ATTENDANCE_LATE_MINUTES) || Math.ceil(duration * 0.25);
+  return { presentMinutes, lateMinutes: Math.min(lateMinutes, presentMinutes) };
+};
+
+const classifyAttendance = (minutes, { presentMinutes, lateMinutes }) => {
+  if (minutes >= presentMinutes) return "present";
+  if (minutes > 0 && minutes >= lateMinutes) return "late";
+  return "absent";
+};
+
+// Overlapping intervals (reconnects, several tabs) are counted once; open ones end at `until`
+const countAttendedMinutes = (intervals, until) => {
+  const spans = intervals
+    .map((interval) => [new Date(interval.joinedAt).getTime(), new Date(interval.leftAt || until).getTime()])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let totalMs = 0;
+  let current = null;
+  for (const [start, end] of spans) {
+    if (!current || start > current[1]) {
+      if (current) totalMs += current[1] - current[0];
+      current = [start, end];
+    } else {
+      current[1] = Math.max(current[1], end);
+    }
+  }
+  if (current) totalMs += current[1] - current[0];
+  return Math.round(totalMs / 60000);
+};
+
+// LiveKit timestamps are int64 seconds (bigint); fall back to now when missing
+const toDate = (seconds) => (seconds && Number(seconds) > 0 ? new Date(Number(seconds) * 1000) : new Date());
+
+/* =====================================================
+    LEGACY JOIN FIELDS
+=====================================================*/
+
+// Keep LiveClass.enrolledStudents[].joinedAt/leftAt in step for screens that still read them
+const syncEnrolledStudent = async (liveClass, userId, fields) => {
+  if (liveClass.educatorId.toString() === String(userId)) return;
+  const set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`enrolledStudents.$.${key}`, value]));
+  const updated = await LiveClass.updateOne({ _id: liveClass._id, "enrolledStudents.studentId": userId }, { $set: set });
+  if (!updated.matchedCount && fields.joinedAt) {
+    await LiveClass.updateOne(
+      { _id: liveClass._id, "enrolledStudents.studentId": { $ne: userId } },
+      { $push: { enrolledStudents: { studentId: userId, joinedAt: fields.joinedAt } } }
+    );
+  }
+};
+
+/* =====================================================
+    EVENT HANDLERS
+=====================================================*/
+
+// Interval per LiveKit participant sid; the $ne guard makes redeliveries no-ops
+const pushInterval = async (liveClass, userId, interval) => {
+  try {
+    const result = await LiveAttendance.updateOne(
+      { liveClassId: liveClass._id, userId, "intervals.participantSid": { $ne: interval.participantSid } },
+      { $push: { intervals: interval } },
+      { upsert: true }
+    );
+    return Boolean(result.upsertedCount || result.modifiedCount);
+  } catch (error) {
+    // The document exists and already holds this sid, so the upsert tried to insert a duplicate
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+const handleParticipantJoined = async (liveClass, event) => {
+  const { identity, sid } = event.participant || {};
+  if (!mongoose.isValidObjectId(identity) || !sid) {
+    return { status: "ignored", result: `Participant ${identity || "(unknown)"} is not a platform user` };
+  }
+
+  const joinedAt = toDate(event.participant.joinedAt || event.createdAt);
+  const added = await pushInterval(liveClass, identity, { participantSid: sid, joinedAt });
+  await syncEnrolledStudent(liveClass, identity, { joinedAt, leftAt: null });
+  return { status: "processed", result: added ? `Join of ${identity} recorded` : `Join ${sid} already recorded` };
+};
+
+const handleParticipantLeft = async (liveClass, event) => {
+  const { identity, sid } = event.participant || {};
+  if (!mongoose.isValidObjectId(identity) || !sid) {
+    return { status: "ignored", result: `Participant ${identity || "(unknown)"} is not a platform user` };
+  }
+
+  const leftAt = toDate(event.createdAt);
+  const closed = await LiveAttendance.updateOne(
+    { liveClassId: liveClass._id, userId: identity },
+    { $set: { "intervals.$[open].leftAt": leftAt } },
+    { arrayFilters: [{ "open.participantSid": sid, "open.leftAt": null }] }
+  );
+  if (!closed.modifiedCount && event.participant.joinedAt) {
+    // Join webhook lost or still in flight: record the whole interval from the participant info
+    await pushInterval(liveClass, identity, { participantSid: sid, joinedAt: toDate(event.participant.joinedAt), leftAt });
+  }
+  await syncEnrolledStudent(liveClass, identity, { leftAt });
+  return { status: "processed", result: `Leave of ${identity} recorded` };
+};
+
+const handleRoomStarted = async (liveClass, event) => {
+  const startedAt = toDate(event.room?.creationTime || event.createdAt);
+  await LiveClass.updateOne(
+    { _id: liveClass._id },
+    { $set: { roomStartedAt: liveClass.roomStartedAt || startedAt, roomFinishedAt: null } }
+  );
+  return { status: "processed", result: "Room start recorded" };
+};
+
+/**
+ * Close open intervals, total the minutes per participant and write (or rewrite) the course
+ * Attendance for the class. Safe to run again: a restarted room is re-counted from all intervals.
+ */
+export const finalizeLiveClassAttendance = async (liveClass, endedAt = new Date()) => {
+  // LiveKit does not always send participant_left when a room is closed
+  await LiveAttendance.updateMany(
+    { liveClassId: liveClass._id, "intervals.leftAt": null },
+    { $set: { "intervals.$[open].leftAt": endedAt } },
+    { arrayFilters: [{ "open.leftAt": null }] }
+  );
+
+  const thresholds = getAttendanceThresholds(liveClass);
+  const participations = await LiveAttendance.find({ liveClassId: liveClass._id });
+  const minutesByUser = new Map();
+  for (const participation of participations) {
+    participation.totalMinutes = countAttendedMinutes(participation.intervals, endedAt);
+    participation.status = classifyAttendance(participation.totalMinutes, thresholds);
+    await participation.save();
+    minutesByUser.set(participation.userId.toString(), participation.totalMinutes);
+  }
+
+  let attendance = null;
+  let records = [];
+  if (liveClass.courseId) {
+    const course = await Course.findById(liveClass.courseId).select("enrolledStudents");
+    records = (course?.enrolledStudents || []).map((studentId) => {
+      const minutesAttended = minutesByUser.get(studentId.toString()) || 0;
+      return { studentId, status: classifyAttendance(minutesAttended, thresholds), minutesAttended };
+    });
+
+    // One generated Attendance per live class; reruns replace its records
+    attendance = await Attendance.findOneAndUpdate(
+      { liveClassId: liveClass._id },
+      {
+        $set: { records },
+        $setOnInsert: {
+          courseId: liveClass.courseId,
+          educatorId: liveClass.educatorId,
+          date: liveClass.scheduledDate,
+          liveClassId: liveClass._id,
+          source: "livekit",
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  const fresh = await LiveClass.findById(liveClass._id);
+  fresh.roomFinishedAt = endedAt;
+  if (attendance) fresh.attendanceId = attendance._id;
+  for (const entry of fresh.enrolledStudents || []) {
+    const status = records.find((record) => record.studentId.toString() === entry.studentId?.toString())?.status;
+    entry.attendance = status === "present" || status === "late";
+    if (entry.joinedAt && !entry.leftAt) entry.leftAt = endedAt;
+  }
+  await fresh.save();
+
+  return { attendance, participants: participations.length, thresholds };
+};
+
+const handleRoomFinished = async (liveClass, event) => {
+  const { attendance, participants } = await finalizeLiveClassAttendance(liveClass, toDate(event.createdAt));
+  return {
+    status: "processed",
+    result: attendance
+      ? `Attendance ${attendance._id} written for ${attendance.records.length} students (${participants} participants)`
+      : `General session closed with ${participants} participants; no course attendance`,
+  };
+};
+
+const EVENT_HANDLERS = {
+  room_started: handleRoomStarted,
+  room_finished: handleRoomFinished,
+  participant_joined: handleParticipantJoined,
+  participant_left: handleParticipantLeft,
+  participant_connection_aborted: handleParticipantLeft,
+};
+
+/* =====================================================
+    WEBHOOK RECEIVER
+=====================================================*/
+
+// POST /api/liveclass/webhook/livekit
+export const handleLiveKitWebhook = async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+  if (!rawBody?.length) {
+    return res.status(400).json({ message: "Webhook body is required" });
+  }
+
+  let event;
+  try {
+    event = await receiveLiveKitWebhook(rawBody.toString("utf8"), req.get("authorization"));
+  } catch (error) {
+    console.warn(`[LiveKitWebhook] Rejected webhook: ${error.message}`);
+    return res.status(401).json({ message: "Invalid webhook signature" });
+  }
+
+  const handler = EVENT_HANDLERS[event.event];
+  if (!handler) {
+    return res.status(200).json({ message: "Event ignored", event: event.event });
+  }
+
+  try {
+    const liveClass = event.room?.name ? await LiveClass.findOne({ liveKitRoomName: event.room.name }) : null;
+    if (!liveClass) {
+      return res.status(200).json({ message: "Event ignored", event: event.event, result: `No live class for room ${event.room?.name || "(none)"}` });
+    }
+
+    const outcome = await handler(liveClass, event);
+    console.log(`[LiveKitWebhook] ${event.event} for live class ${liveClass._id}: ${outcome.result}`);
+    return res.status(200).json({ message: "Webhook processed", event: event.event, ...outcome });
+  } catch (error) {
+    console.error(`[LiveKitWebhook] Failed to process ${event.event} (${event.id}):`, error);
+    // Non-2xx makes LiveKit retry the delivery
+    return res.status(500).json({
+      message: "Webhook processing failed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    REPORT
+=====================================================*/
+
+// GET /api/liveclass/:liveClassId/attendance - join/leave intervals and minutes per participant
+export const getLiveClassAttendance = async (req, res) => {
+  try {
+    const { liveClassId } = req.params;
+    if (!mongoose.isValidObjectId(liveClassId)) {
+      return res.status(400).json({ message: "Invalid live class ID" });
+    }
+
+    const liveClass = await LiveClass.findById(liveClassId).select("title educatorId courseId duration scheduledDate roomStartedAt roomFinishedAt attendanceId");
+    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
+
+    const isCreator = liveClass.educatorId.toString() === req.userId.toString();
+    if (!isCreator && !(await hasPermission(req, "courses.access_all"))) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const participants = await LiveAttendance.find({ liveClassId })
+      .populate("userId", "name email role")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const until = liveClass.roomFinishedAt || new Date();
+    return res.status(200).json({
+      liveClass,
+      thresholds: getAttendanceThresholds(liveClass),
+      participants: participants.map((participant) => ({
+        ...participant,
+        // Running total while the class is still in progress
+        totalMinutes: liveClass.roomFinishedAt ? participant.totalMinutes : countAttendedMinutes(participant.intervals, until),
+      })),
+    });
+  } catch (error) {
+    console.error("[LiveAttendance] Report error:", error);
+    return res.status(500).json({
+      message: "Failed to load live class attendance",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,7 +1,9 @@
 import LiveClass from "../models/liveClassModel.js";
+import LiveClassSeries from "../models/liveClassSeriesModel.js";
 import Course from "../models/courseModel.js";
 import User from "../models/userModel.js";
 import { generateLiveKitToken, getLiveKitURL } from "../configs/livekit.js";
+import { findScheduleConflicts } from "../configs/scheduleConflicts.js";
 
 const PORTAL_PLATFORM_TYPES = new Set(["portal", "other"]);
 const EXTERNAL_PLATFORM_TYPES = new Set(["zoom", "google-meet"]);
@@ -43,23 +45,136 @@ export const testLiveKitCredentials = async (req, res) => {
   }
 };
 
+const EMPTY_OFFLINE_DETAILS = {
+  centerName: "",
+  classroom: "",
+  address: "",
+  landmark: "",
+  notes: "",
+};
+
+/**
+ * Delivery, platform and venue fields of a live class (or series) from a request body.
+ * @returns {{ value?: Object, error?: string }}
+ */
+export const normalizeLiveClassFields = (body) => {
+  const {
+    deliveryMode,
+    platformType,
+    meetingLink,
+    meetingId,
+    meetingPassword,
+    offlineDetails,
+    duration,
+    maxParticipants,
+  } = body;
+
+  const normalizedDeliveryMode =
+    deliveryMode === "offline"
+      ? "offline"
+      : deliveryMode === "hybrid"
+        ? "hybrid"
+        : "online";
+  const normalizedPlatformType =
+    normalizedDeliveryMode === "offline"
+      ? "offline"
+      : platformType || "portal";
+  const isExternalPlatform = EXTERNAL_PLATFORM_TYPES.has(normalizedPlatformType);
+
+  // Validate platform-specific requirements
+  if (isExternalPlatform && !meetingLink) {
+    return { error: "Meeting link is required for Zoom/Google Meet classes" };
+  }
+
+  return {
+    value: {
+      deliveryMode: normalizedDeliveryMode,
+      platformType: normalizedPlatformType,
+      meetingLink: isExternalPlatform ? meetingLink || "" : "",
+      meetingId: isExternalPlatform ? meetingId || "" : "",
+      meetingPassword: isExternalPlatform ? meetingPassword || "" : "",
+      offlineDetails:
+        normalizedDeliveryMode === "offline" || normalizedDeliveryMode === "hybrid"
+          ? {
+              centerName: offlineDetails?.centerName || "",
+              classroom: offlineDetails?.classroom || "",
+              address: offlineDetails?.address || "",
+              landmark: offlineDetails?.landmark || "",
+              notes: offlineDetails?.notes || "",
+            }
+          : { ...EMPTY_OFFLINE_DETAILS },
+      duration: duration || 60,
+      maxParticipants: maxParticipants || 100,
+    },
+  };
+};
+
+/**
+ * Check that the user may schedule classes for courseId ("", "null", "NA" mean a general session).
+ * @returns {Promise<{ courseId?: string|null, status?: number, message?: string }>}
+ */
+export const resolveLiveClassCourse = async (user, courseId) => {
+  // Only educators and admins can create live classes
+  if (user.role !== "educator" && user.role !== "admin") {
+    console.log(`[CreateLiveClass] Access denied - User role: ${user.role}, User ID: ${user._id}`);
+    return {
+      status: 403,
+      message: "Only educators and admins can create live classes. Please contact your administrator if you need access.",
+    };
+  }
+
+  const normalizedCourseId =
+    typeof courseId === "string" ? courseId.trim() : courseId;
+  const hasCourseId =
+    !!normalizedCourseId &&
+    normalizedCourseId !== "null" &&
+    normalizedCourseId !== "undefined" &&
+    normalizedCourseId !== "NA" &&
+    normalizedCourseId !== "na";
+
+  if (hasCourseId) {
+    const course = await Course.findById(normalizedCourseId);
+    if (!course) return { status: 404, message: "Course not found" };
+
+    // Verify educator owns the course (unless admin)
+    if (user.role === "educator" && course.creator.toString() !== user._id.toString()) {
+      return { status: 403, message: "You can only create live classes for your own courses" };
+    }
+  }
+
+  return { courseId: hasCourseId ? normalizedCourseId : null };
+};
+
+/**
+ * Block scheduling when findScheduleConflicts reports overlaps, unless an admin explicitly
+ * passes overrideConflicts: true.
+ * @returns {Promise<{ status?: number, body?: Object }>}
+ */
+export const guardScheduleConflicts = async (user, overrideConflicts, plan) => {
+  const conflicts = await findScheduleConflicts(plan);
+  if (!conflicts.length) return {};
+
+  const canOverride = user.role === "admin";
+  if (canOverride && (overrideConflicts === true || overrideConflicts === "true")) {
+    console.log(`[ScheduleConflicts] Admin ${user._id} overrode ${conflicts.length} conflict(s): ${[...new Set(conflicts.map((conflict) => conflict.type))].join(", ")}`);
+    return {};
+  }
+
+  return {
+    status: 409,
+    body: {
+      message: "This schedule overlaps with other live classes",
+      code: "SCHEDULE_CONFLICT",
+      conflicts,
+      canOverride,
+    },
+  };
+};
+
 // Create live class (educator only)
 export const createLiveClass = async (req, res) => {
   try {
-    const {
-      title,
-      description,
-      courseId,
-      deliveryMode,
-      platformType,
-      meetingLink,
-      meetingId,
-      meetingPassword,
-      offlineDetails,
-      scheduledDate,
-      duration,
-      maxParticipants,
-    } = req.body;
+    const { title, description, courseId, scheduledDate } = req.body;
 
     if (!title || !scheduledDate) {
       return res.status(400).json({
@@ -67,88 +182,40 @@ export const createLiveClass = async (req, res) => {
       });
     }
 
-    const normalizedDeliveryMode =
-      deliveryMode === "offline"
-        ? "offline"
-        : deliveryMode === "hybrid"
-          ? "hybrid"
-          : "online";
-    const normalizedPlatformType =
-      normalizedDeliveryMode === "offline"
-        ? "offline"
-        : platformType || "portal";
-    const isExternalPlatform = EXTERNAL_PLATFORM_TYPES.has(normalizedPlatformType);
-
-    // Validate platform-specific requirements
-    if (isExternalPlatform) {
-      if (!meetingLink) {
-        return res.status(400).json({
-          message: "Meeting link is required for Zoom/Google Meet classes",
-        });
-      }
+    const fields = normalizeLiveClassFields(req.body);
+    if (fields.error) {
+      return res.status(400).json({ message: fields.error });
     }
 
     const user = await User.findById(req.userId);
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    // Only educators and admins can create live classes
-    if (user.role !== "educator" && user.role !== "admin") {
-      console.log(`[CreateLiveClass] Access denied - User role: ${user.role}, User ID: ${req.userId}`);
-      return res.status(403).json({ 
-        message: "Only educators and admins can create live classes. Please contact your administrator if you need access." 
-      });
+    const course = await resolveLiveClassCourse(user, courseId);
+    if (course.status) {
+      return res.status(course.status).json({ message: course.message });
     }
     
     console.log(`[CreateLiveClass] User authorized - Role: ${user.role}, Name: ${user.name}`);
 
-    const normalizedCourseId =
-      typeof courseId === "string" ? courseId.trim() : courseId;
-    const hasCourseId =
-      !!normalizedCourseId &&
-      normalizedCourseId !== "null" &&
-      normalizedCourseId !== "undefined" &&
-      normalizedCourseId !== "NA" &&
-      normalizedCourseId !== "na";
-
-    if (hasCourseId) {
-      const course = await Course.findById(normalizedCourseId);
-      if (!course) return res.status(404).json({ message: "Course not found" });
-
-      // Verify educator owns the course (unless admin)
-      if (user.role === "educator" && course.creator.toString() !== req.userId.toString()) {
-        return res.status(403).json({ message: "You can only create live classes for your own courses" });
-      }
+    const conflicts = await guardScheduleConflicts(user, req.body.overrideConflicts, {
+      slots: [{ scheduledDate: new Date(scheduledDate) }],
+      duration: fields.value.duration,
+      educatorId: req.userId,
+      courseId: course.courseId,
+      deliveryMode: fields.value.deliveryMode,
+      offlineDetails: fields.value.offlineDetails,
+    });
+    if (conflicts.status) {
+      return res.status(conflicts.status).json(conflicts.body);
     }
 
     const liveClass = await LiveClass.create({
       title,
       description,
-      courseId: hasCourseId ? normalizedCourseId : null,
+      courseId: course.courseId,
       educatorId: req.userId,
-      deliveryMode: normalizedDeliveryMode,
-      platformType: normalizedPlatformType,
-      meetingLink: isExternalPlatform ? meetingLink || "" : "",
-      meetingId: isExternalPlatform ? meetingId || "" : "",
-      meetingPassword: isExternalPlatform ? meetingPassword || "" : "",
-      offlineDetails:
-        normalizedDeliveryMode === "offline" || normalizedDeliveryMode === "hybrid"
-          ? {
-              centerName: offlineDetails?.centerName || "",
-              classroom: offlineDetails?.classroom || "",
-              address: offlineDetails?.address || "",
-              landmark: offlineDetails?.landmark || "",
-              notes: offlineDetails?.notes || "",
-            }
-          : {
-              centerName: "",
-              classroom: "",
-              address: "",
-              landmark: "",
-              notes: "",
-            },
+      ...fields.value,
       scheduledDate: new Date(scheduledDate),
-      duration: duration || 60,
-      maxParticipants: maxParticipants || 100,
       status: "scheduled",
     });
 
@@ -425,11 +492,13 @@ export const updateLiveClassStatus = async (req, res) => {
   }
 };
 
-// Update live class (educator)
+// Update live class (educator). For a series session this changes only this occurrence;
+// PATCH /:liveClassId/series changes it and all future ones.
 export const updateLiveClass = async (req, res) => {
   try {
     const { liveClassId } = req.params;
-    const updateData = req.body;
+    // Series membership is managed by the series endpoints
+    const { seriesId, occurrenceDate, isSeriesException, overrideConflicts, ...updateData } = req.body;
 
     const liveClass = await LiveClass.findById(liveClassId);
     if (!liveClass) return res.status(404).json({ message: "Live class not found" });
@@ -444,6 +513,24 @@ export const updateLiveClass = async (req, res) => {
     }
 
     Object.assign(liveClass, updateData);
+    if (liveClass.seriesId) liveClass.isSeriesException = true;
+
+    const reschedules = liveClass.isModified(["scheduledDate", "duration", "educatorId", "courseId", "deliveryMode", "offlineDetails"]);
+    if (reschedules && ["scheduled", "live"].includes(liveClass.status)) {
+      const conflicts = await guardScheduleConflicts(user, overrideConflicts, {
+        slots: [{ scheduledDate: liveClass.scheduledDate }],
+        duration: liveClass.duration,
+        educatorId: liveClass.educatorId,
+        courseId: liveClass.courseId,
+        deliveryMode: liveClass.deliveryMode,
+        offlineDetails: liveClass.offlineDetails,
+        excludeIds: [liveClass._id],
+      });
+      if (conflicts.status) {
+        return res.status(conflicts.status).json(conflicts.body);
+      }
+    }
+
     await liveClass.save();
 
     return res.status(200).json(liveClass);
@@ -467,6 +554,14 @@ export const deleteLiveClass = async (req, res) => {
 
     await liveClass.deleteOne();
 
+    // Keep a deleted series session from coming back when future occurrences are regenerated
+    if (liveClass.seriesId && liveClass.occurrenceDate) {
+      await LiveClassSeries.updateOne(
+        { _id: liveClass.seriesId },
+        { $addToSet: { "recurrence.skipDates": liveClass.occurrenceDate } }
+      );
+    }
+
     return res.status(200).json({ message: "Live class deleted successfully" });
   } catch (error) {
     return res.status(500).json({ message: `Delete live class failed: ${error.message}` });
@@ -491,176 +586,6 @@ export const getLiveClassById = async (req, res) => {
   }
 };
 
-// WebRTC Signaling - Store for offers/answers/ICE candidates
-// Structure: Map<liveClassId, { offers: [], answers: [], iceCandidates: [], lastActivity: Date }>
-const webrtcSignaling = new Map();
-
-// Cleanup old signaling data (older than 1 hour)
-setInterval(() => {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  for (const [liveClassId, data] of webrtcSignaling.entries()) {
-    if (data.lastActivity && new Date(data.lastActivity) < oneHourAgo) {
-      webrtcSignaling.delete(liveClassId);
-      console.log(`Cleaned up signaling data for live class ${liveClassId}`);
-    }
-  }
-}, 30 * 60 * 1000); // Run every 30 minutes
-
-// Handle WebRTC offer (educator creates offer)
-export const handleOffer = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-    const { offer } = req.body;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    const user = await User.findById(req.userId);
-    if (user.role !== "educator" && user.role !== "admin") {
-      return res.status(403).json({ message: "Only educators can create offers" });
-    }
-
-    if (liveClass.educatorId.toString() !== req.userId.toString() && user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized" });
-    }
-
-    // Store offer
-    if (!webrtcSignaling.has(liveClassId)) {
-      webrtcSignaling.set(liveClassId, { offers: [], answers: [], iceCandidates: [], lastActivity: new Date() });
-    }
-    const signaling = webrtcSignaling.get(liveClassId);
-    // Keep only the latest offer
-    signaling.offers = [{ offer, userId: req.userId, timestamp: new Date() }];
-    signaling.lastActivity = new Date();
-
-    return res.status(200).json({ message: "Offer stored" });
-  } catch (error) {
-    return res.status(500).json({ message: `Handle offer failed: ${error.message}` });
-  }
-};
-
-// Get WebRTC offer (student gets offer)
-export const getOffer = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    const signaling = webrtcSignaling.get(liveClassId);
-    if (!signaling || signaling.offers.length === 0) {
-      return res.status(200).json({ offer: null });
-    }
-
-    // Get the latest offer
-    const latestOffer = signaling.offers[signaling.offers.length - 1];
-    return res.status(200).json({ offer: latestOffer.offer });
-  } catch (error) {
-    return res.status(500).json({ message: `Get offer failed: ${error.message}` });
-  }
-};
-
-// Handle WebRTC answer (student creates answer)
-export const handleAnswer = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-    const { answer } = req.body;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    if (!webrtcSignaling.has(liveClassId)) {
-      webrtcSignaling.set(liveClassId, { offers: [], answers: [], iceCandidates: [], lastActivity: new Date() });
-    }
-    const signaling = webrtcSignaling.get(liveClassId);
-    // Keep only the latest answer from this user
-    signaling.answers = signaling.answers.filter(a => a.userId.toString() !== req.userId.toString());
-    signaling.answers.push({ answer, userId: req.userId, timestamp: new Date() });
-    signaling.lastActivity = new Date();
-
-    return res.status(200).json({ message: "Answer stored" });
-  } catch (error) {
-    return res.status(500).json({ message: `Handle answer failed: ${error.message}` });
-  }
-};
-
-// Get WebRTC answer (educator gets answer)
-export const getAnswer = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    const user = await User.findById(req.userId);
-    if (liveClass.educatorId.toString() !== req.userId.toString() && user.role !== "admin") {
-      return res.status(403).json({ message: "Not authorized" });
-    }
-
-    const signaling = webrtcSignaling.get(liveClassId);
-    if (!signaling || signaling.answers.length === 0) {
-      return res.status(200).json({ answer: null });
-    }
-
-    // Get the latest answer
-    const latestAnswer = signaling.answers[signaling.answers.length - 1];
-    return res.status(200).json({ answer: latestAnswer.answer });
-  } catch (error) {
-    return res.status(500).json({ message: `Get answer failed: ${error.message}` });
-  }
-};
-
-// Handle ICE candidate
-export const handleIceCandidate = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-    const { candidate } = req.body;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    if (!webrtcSignaling.has(liveClassId)) {
-      webrtcSignaling.set(liveClassId, { offers: [], answers: [], iceCandidates: [], lastActivity: new Date() });
-    }
-    const signaling = webrtcSignaling.get(liveClassId);
-    // Limit ICE candidates to last 50 per user to prevent memory issues
-    const userCandidates = signaling.iceCandidates.filter(c => c.userId.toString() === req.userId.toString());
-    if (userCandidates.length >= 50) {
-      signaling.iceCandidates = signaling.iceCandidates.filter(c => c.userId.toString() !== req.userId.toString());
-    }
-    signaling.iceCandidates.push({ candidate, userId: req.userId, timestamp: new Date() });
-    signaling.lastActivity = new Date();
-
-    return res.status(200).json({ message: "ICE candidate stored" });
-  } catch (error) {
-    return res.status(500).json({ message: `Handle ICE candidate failed: ${error.message}` });
-  }
-};
-
-// Get ICE candidates
-export const getIceCandidates = async (req, res) => {
-  try {
-    const { liveClassId } = req.params;
-
-    const liveClass = await LiveClass.findById(liveClassId);
-    if (!liveClass) return res.status(404).json({ message: "Live class not found" });
-
-    const signaling = webrtcSignaling.get(liveClassId);
-    if (!signaling) {
-      return res.status(200).json({ candidates: [] });
-    }
-
-    // Return candidates from other users
-    const otherCandidates = signaling.iceCandidates.filter(
-      (c) => c.userId.toString() !== req.userId.toString()
-    );
-
-    return res.status(200).json({ candidates: otherCandidates.map((c) => c.candidate) });
-  } catch (error) {
-    return res.status(500).json({ message: `Get ICE candidates failed: ${error.message}` });
-  }
-};
-
 // Leave live class
 export const leaveLiveClass = async (req, res) => {
   try {
@@ -0,0 +1,463 @@
+import mongoose from "mongoose";
+import LiveClass from "../models/liveClassModel.js";
+import LiveClassSeries from "../models/liveClassSeriesModel.js";
+import Course from "../models/courseModel.js";
+import User from "../models/userModel.js";
+import { hasPermission } from "../configs/permissions.js";
+import {
+  DEFAULT_TIMEZONE,
+  MAX_OCCURRENCES,
+  WEEKDAY_NAMES,
+  addDays,
+  generateOccurrences,
+  isValidDateKey,
+  parseRecurrence,
+  startOfWeek,
+  toDateKey,
+  toTimeOfDay,
+  zonedTimeToDate,
+} from "../configs/recurrence.js";
+import { guardScheduleConflicts, normalizeLiveClassFields, resolveLiveClassCourse } from "./liveClassController.js";
+
+// Fields every session of a series shares; copied onto the generated LiveClass documents
+const SERIES_FIELDS = [
+  "title",
+  "description",
+  "courseId",
+  "educatorId",
+  "deliveryMode",
+  "platformType",
+  "meetingLink",
+  "meetingId",
+  "meetingPassword",
+  "offlineDetails",
+  "duration",
+  "maxParticipants",
+];
+
+const seriesFieldsOf = (series) => {
+  const plain = typeof series.toObject === "function" ? series.toObject() : series;
+  return Object.fromEntries(SERIES_FIELDS.map((field) => [field, plain[field]]));
+};
+
+const canManageSeries = (user, series) =>
+  user.role === "admin" || series.educatorId.toString() === user._id.toString();
+
+/* =====================================================
+    OCCURRENCES
+=====================================================*/
+
+/**
+ * Bring the sessions of a series from `fromDate` on in line with its rule and fields.
+ * Sessions are matched by occurrenceDate and updated in place, so their ids survive edits.
+ * Cancelled, live and completed sessions are left as they are; scheduled sessions on dates
+ * the rule no longer produces are removed.
+ */
+const syncOccurrences = async (series, { fromDate, sourceSeriesId = series._id }) => {
+  const planned = generateOccurrences(series.recurrence, { fromDate });
+  const existing = await LiveClass.find({ seriesId: sourceSeriesId, occurrenceDate: { $gte: fromDate } });
+  const byDate = new Map(existing.map((occurrence) => [occurrence.occurrenceDate, occurrence]));
+  const fields = seriesFieldsOf(series);
+
+  const toCreate = [];
+  let updated = 0;
+  for (const { occurrenceDate, scheduledDate } of planned) {
+    const current = byDate.get(occurrenceDate);
+    byDate.delete(occurrenceDate);
+    if (!current) {
+      toCreate.push({ ...fields, seriesId: series._id, occurrenceDate, scheduledDate, status: "scheduled" });
+      continue;
+    }
+    current.seriesId = series._id;
+    if (current.status === "scheduled") {
+      // Series-wide edits replace earlier "this occurrence" changes
+      Object.assign(current, fields, { scheduledDate, isSeriesException: false });
+      updated += 1;
+    }
+    await current.save();
+  }
+
+  if (toCreate.length) await LiveClass.insertMany(toCreate);
+
+  const dropped = [...byDate.values()].filter((occurrence) => occurrence.status === "scheduled").map((occurrence) => occurrence._id);
+  if (dropped.length) await LiveClass.deleteMany({ _id: { $in: dropped } });
+
+  return { created: toCreate.length, updated, removed: dropped.length };
+};
+
+const loadOccurrences = (seriesId) =>
+  LiveClass.find({ seriesId })
+    .select("title scheduledDate occurrenceDate duration status isSeriesException deliveryMode platformType offlineDetails")
+    .sort({ scheduledDate: 1 })
+    .lean();
+
+/* =====================================================
+    SERIES
+=====================================================*/
+
+// POST /api/liveclass/series - create a recurring class and generate its sessions
+export const createLiveClassSeries = async (req, res) => {
+  try {
+    const { title, description, courseId, recurrence } = req.body;
+    if (!title) {
+      return res.status(400).json({ message: "Title is required" });
+    }
+
+    const rule = parseRecurrence(recurrence);
+    if (rule.error) return res.status(400).json({ message: rule.error });
+
+    const fields = normalizeLiveClassFields(req.body);
+    if (fields.error) return res.status(400).json({ message: fields.error });
+
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const course = await resolveLiveClassCourse(user, courseId);
+    if (course.status) return res.status(course.status).json({ message: course.message });
+
+    // Sessions are only generated from today on, even when the series starts earlier
+    const today = toDateKey(new Date(), rule.value.timezone);
+    const fromDate = rule.value.startDate > today ? rule.value.startDate : today;
+    const planned = generateOccurrences(rule.value, { fromDate });
+    if (!planned.length) {
+      return res.status(400).json({ message: "The recurrence produces no upcoming sessions" });
+    }
+    if (planned.length > MAX_OCCURRENCES) {
+      return res.status(400).json({ message: `A series can have at most ${MAX_OCCURRENCES} sessions` });
+    }
+
+    const conflicts = await guardScheduleConflicts(user, req.body.overrideConflicts, {
+      slots: planned,
+      duration: fields.value.duration,
+      educatorId: req.userId,
+      courseId: course.courseId,
+      deliveryMode: fields.value.deliveryMode,
+      offlineDetails: fields.value.offlineDetails,
+    });
+    if (conflicts.status) return res.status(conflicts.status).json(conflicts.body);
+
+    const series = await LiveClassSeries.create({
+      title,
+      description,
+      courseId: course.courseId,
+      educatorId: req.userId,
+      ...fields.value,
+      recurrence: rule.value,
+    });
+    const result = await syncOccurrences(series, { fromDate });
+
+    console.log(`[LiveClassSeries] Series ${series._id} created with ${result.created} sessions by ${req.userId}`);
+    return res.status(201).json({ series, occurrences: await loadOccurrences(series._id) });
+  } catch (error) {
+    console.error("[LiveClassSeries] Create error:", error);
+    return res.status(500).json({
+      message: "Failed to create live class series",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// GET /api/liveclass/series/:seriesId
+export const getLiveClassSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    if (!mongoose.isValidObjectId(seriesId)) {
+      return res.status(400).json({ message: "Invalid series ID" });
+    }
+
+    const series = await LiveClassSeries.findById(seriesId)
+      .populate("courseId", "title thumbnail")
+      .populate("educatorId", "name email photoUrl");
+    if (!series) return res.status(404).json({ message: "Series not found" });
+
+    return res.status(200).json({ series, occurrences: await loadOccurrences(series._id) });
+  } catch (error) {
+    console.error("[LiveClassSeries] Fetch error:", error);
+    return res.status(500).json({
+      message: "Failed to load live class series",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Load a series session and its series for an "all future occurrences" change
+const loadSeriesOccurrence = async (req) => {
+  const { liveClassId } = req.params;
+  if (!mongoose.isValidObjectId(liveClassId)) return { status: 400, message: "Invalid live class ID" };
+
+  const liveClass = await LiveClass.findById(liveClassId);
+  if (!liveClass) return { status: 404, message: "Live class not found" };
+  if (!liveClass.seriesId || !liveClass.occurrenceDate) {
+    return { status: 400, message: "This live class is not part of a series" };
+  }
+  if (liveClass.status !== "scheduled") {
+    return { status: 400, message: "Only scheduled sessions can start a change to future occurrences" };
+  }
+
+  const [series, user] = await Promise.all([LiveClassSeries.findById(liveClass.seriesId), User.findById(req.userId)]);
+  if (!series) return { status: 404, message: "Series not found" };
+  if (!user || !canManageSeries(user, series)) return { status: 403, message: "Not authorized" };
+
+  return { liveClass, series, user };
+};
+
+// PATCH /api/liveclass/:liveClassId/series - edit this and all future occurrences
+export const updateFutureOccurrences = async (req, res) => {
+  try {
+    const loaded = await loadSeriesOccurrence(req);
+    if (loaded.status) return res.status(loaded.status).json({ message: loaded.message });
+    const { liveClass, series } = loaded;
+    const fromDate = liveClass.occurrenceDate;
+
+    const current = seriesFieldsOf(series);
+    const fields = normalizeLiveClassFields({
+      ...current,
+      ...req.body,
+      offlineDetails: { ...current.offlineDetails, ...(req.body.offlineDetails || {}) },
+    });
+    if (fields.error) return res.status(400).json({ message: fields.error });
+
+    // Sessions held before the edited one keep the old rule, so the series is split there
+    const hasEarlier = await LiveClass.exists({ seriesId: series._id, occurrenceDate: { $lt: fromDate } });
+    const rule = parseRecurrence(
+      { ...(req.body.recurrence || {}), startDate: hasEarlier ? fromDate : series.recurrence.startDate },
+      series.toObject().recurrence
+    );
+    if (rule.error) return res.status(400).json({ message: rule.error });
+    const planned = generateOccurrences(rule.value, { fromDate });
+    if (planned.length > MAX_OCCURRENCES) {
+      return res.status(400).json({ message: `A series can have at most ${MAX_OCCURRENCES} sessions` });
+    }
+
+    // The series' own sessions are being replaced, so they never conflict with the new plan
+    const conflicts = await guardScheduleConflicts(loaded.user, req.body.overrideConflicts, {
+      slots: planned,
+      duration: fields.value.duration,
+      educatorId: series.educatorId,
+      courseId: series.courseId,
+      deliveryMode: fields.value.deliveryMode,
+      offlineDetails: fields.value.offlineDetails,
+      excludeSeriesId: series._id,
+    });
+    if (conflicts.status) return res.status(conflicts.status).json(conflicts.body);
+
+    const changes = {
+      title: req.body.title || current.title,
+      description: req.body.description !== undefined ? req.body.description : current.description,
+      ...fields.value,
+      recurrence: rule.value,
+    };
+
+    let target = series;
+    if (hasEarlier) {
+      series.recurrence.endDate = addDays(fromDate, -1);
+      await series.save();
+      target = new LiveClassSeries({ ...current, ...changes, splitFromSeriesId: series._id });
+    } else {
+      Object.assign(series, changes);
+    }
+    await target.save();
+
+    const result = await syncOccurrences(target, { fromDate, sourceSeriesId: series._id });
+    console.log(
+      `[LiveClassSeries] Future occurrences of ${series._id} from ${fromDate} edited` +
+        `${hasEarlier ? ` (split into ${target._id})` : ""}: ${result.created} created, ${result.updated} updated, ${result.removed} removed`
+    );
+
+    return res.status(200).json({
+      message: "Future occurrences updated",
+      series: target,
+      splitFromSeriesId: hasEarlier ? series._id : null,
+      ...result,
+      occurrences: await loadOccurrences(target._id),
+    });
+  } catch (error) {
+    console.error("[LiveClassSeries] Update future occurrences error:", error);
+    return res.status(500).json({
+      message: "Failed to update future occurrences",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// POST /api/liveclass/:liveClassId/series/cancel - cancel this and all future occurrences
+export const cancelFutureOccurrences = async (req, res) => {
+  try {
+    const loaded = await loadSeriesOccurrence(req);
+    if (loaded.status) return res.status(loaded.status).json({ message: loaded.message });
+    const { liveClass, series } = loaded;
+    const fromDate = liveClass.occurrenceDate;
+
+    // Cancelled sessions stay, so students see why the class is gone
+    const cancelled = await LiveClass.updateMany(
+      { seriesId: series._id, occurrenceDate: { $gte: fromDate }, status: "scheduled" },
+      { $set: { status: "cancelled" } }
+    );
+
+    const hasEarlier = await LiveClass.exists({ seriesId: series._id, occurrenceDate: { $lt: fromDate } });
+    if (hasEarlier) {
+      series.recurrence.endDate = addDays(fromDate, -1);
+    } else {
+      series.status = "cancelled";
+    }
+    await series.save();
+
+    console.log(`[LiveClassSeries] ${cancelled.modifiedCount} sessions of ${series._id} cancelled from ${fromDate}`);
+    return res.status(200).json({
+      message: "Future occurrences cancelled",
+      cancelled: cancelled.modifiedCount,
+      series,
+    });
+  } catch (error) {
+    console.error("[LiveClassSeries] Cancel future occurrences error:", error);
+    return res.status(500).json({
+      message: "Failed to cancel future occurrences",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* =====================================================
+    TIMETABLE
+=====================================================*/
+
+const TIMETABLE_CLASS_FIELDS =
+  "title courseId educatorId scheduledDate duration status deliveryMode platformType offlineDetails seriesId occurrenceDate isSeriesException";
+
+/**
+ * Week (Monday to Sunday) of sessions plus the recurring slots active in it.
+ * `filter` selects by courseId and applies to both sessions and series.
+ */
+const buildTimetable = async (filter, weekStart, timeZone) => {
+  const weekEnd = addDays(weekStart, 6);
+  const from = zonedTimeToDate(weekStart, "00:00", timeZone);
+  const to = zonedTimeToDate(addDays(weekStart, 7), "00:00", timeZone);
+
+  const [sessions, series] = await Promise.all([
+    LiveClass.find({ ...filter, scheduledDate: { $gte: from, $lt: to } })
+      .select(TIMETABLE_CLASS_FIELDS)
+      .populate("courseId", "title")
+      .populate("educatorId", "name photoUrl")
+      .sort({ scheduledDate: 1 })
+      .lean(),
+    LiveClassSeries.find({
+      ...filter,
+      status: "active",
+      "recurrence.startDate": { $lte: weekEnd },
+      "recurrence.endDate": { $gte: weekStart },
+    })
+      .select("title courseId educatorId duration deliveryMode platformType offlineDetails recurrence")
+      .populate("courseId", "title")
+      .populate("educatorId", "name photoUrl")
+      .lean(),
+  ]);
+
+  const days = Array.from({ length: 7 }, (_, index) => {
+    const date = addDays(weekStart, index);
+    return { date, weekday: WEEKDAY_NAMES[(index + 1) % 7], sessions: [] };
+  });
+  for (const session of sessions) {
+    const day = days.find((entry) => entry.date === toDateKey(session.scheduledDate, timeZone));
+    if (!day) continue;
+    day.sessions.push({
+      ...session,
+      startTime: toTimeOfDay(session.scheduledDate, timeZone),
+      endTime: toTimeOfDay(new Date(session.scheduledDate).getTime() + (session.duration || 60) * 60 * 1000, timeZone),
+    });
+  }
+
+  return {
+    weekStart,
+    weekEnd,
+    timezone: timeZone,
+    days,
+    // Recurring slots behind the week; one-off classes only appear under days
+    series: series.map((entry) => ({
+      _id: entry._id,
+      title: entry.title,
+      courseId: entry.courseId,
+      educatorId: entry.educatorId,
+      duration: entry.duration,
+      deliveryMode: entry.deliveryMode,
+      platformType: entry.platformType,
+      offlineDetails: entry.offlineDetails,
+      daysOfWeek: entry.recurrence.daysOfWeek.map((day) => WEEKDAY_NAMES[day]),
+      startTime: entry.recurrence.startTime,
+      interval: entry.recurrence.interval,
+      startDate: entry.recurrence.startDate,
+      endDate: entry.recurrence.endDate,
+      skipDates: entry.recurrence.skipDates.filter((date) => date >= weekStart && date <= weekEnd),
+    })),
+  };
+};
+
+// ?week=YYYY-MM-DD (any day of the week), default this week
+const resolveWeekStart = (week, timeZone) => {
+  if (week === undefined || week === "") return { weekStart: startOfWeek(toDateKey(new Date(), timeZone)) };
+  if (!isValidDateKey(week)) return { error: "week must be a YYYY-MM-DD date" };
+  return { weekStart: startOfWeek(String(week)) };
+};
+
+// GET /api/liveclass/timetable/course/:courseId?week=YYYY-MM-DD
+export const getCourseTimetable = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.isValidObjectId(courseId)) {
+      return res.status(400).json({ message: "Invalid course ID" });
+    }
+
+    const { weekStart, error } = resolveWeekStart(req.query.week, DEFAULT_TIMEZONE);
+    if (error) return res.status(400).json({ message: error });
+
+    const course = await Course.findById(courseId).select("title creator enrolledStudents");
+    if (!course) return res.status(404).json({ message: "Course not found" });
+
+    const isCreator = course.creator?.toString() === req.userId.toString();
+    const isEnrolled = (course.enrolledStudents || []).some((id) => id.toString() === req.userId.toString());
+    if (!isCreator && !isEnrolled && !(await hasPermission(req, "courses.access_all"))) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const timetable = await buildTimetable({ courseId: course._id }, weekStart, DEFAULT_TIMEZONE);
+    return res.status(200).json({ course: { _id: course._id, title: course.title }, ...timetable });
+  } catch (error) {
+    console.error("[Timetable] Course timetable error:", error);
+    return res.status(500).json({
+      message: "Failed to load timetable",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// GET /api/liveclass/timetable/my, GET /api/liveclass/timetable/student/:studentId
+// Enrolled courses plus general sessions
+export const getStudentTimetable = async (req, res) => {
+  try {
+    const studentId = req.params.studentId || req.userId.toString();
+    if (!mongoose.isValidObjectId(studentId)) {
+      return res.status(400).json({ message: "Invalid student ID" });
+    }
+    if (studentId !== req.userId.toString() && !(await hasPermission(req, "courses.access_all"))) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const { weekStart, error } = resolveWeekStart(req.query.week, DEFAULT_TIMEZONE);
+    if (error) return res.status(400).json({ message: error });
+
+    const student = await User.findById(studentId).select("name enrolledCourses");
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    const timetable = await buildTimetable(
+      { $or: [{ courseId: { $in: student.enrolledCourses || [] } }, { courseId: null }] },
+      weekStart,
+      DEFAULT_TIMEZONE
+    );
+    return res.status(200).json({ student: { _id: student._id, name: student.name }, ...timetable });
+  } catch (error) {
+    console.error("[Timetable] Student timetable error:", error);
+    return res.status(500).json({
+      message: "Failed to load timetable",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,8 +1,38 @@
 import Notification from "../models/notificationModel.js";
 import User from "../models/userModel.js";
 import Course from "../models/courseModel.js";
+import { hasPermission } from "../configs/permissions.js";
+
+/**
+ * Target-audience conditions ($or) for the notifications a user receives; null means all.
+ * `canManageAll` is only called for roles other than student and educator.
+ */
+export const getNotificationAudience = async (user, canManageAll) => {
+  if (user.role === "student") {
+    const enrolledCourses = user.enrolledCourses || [];
+    console.log(`[Notifications] Student enrolled in ${enrolledCourses.length} courses`);
+    return [
+      { targetAudience: "all" },
+      { targetAudience: "students" },
+      { targetAudience: "course", courseId: { $in: enrolledCourses } },
+    ];
+  }
+  if (user.role === "educator") {
+    const myCourses = await Course.find({ creator: user._id }).select("_id");
+    const courseIds = myCourses.map(c => c._id);
+    console.log(`[Notifications] Educator created ${courseIds.length} courses`);
+    return [
+      { targetAudience: "all" },
+      { targetAudience: "educators" },
+      { targetAudience: "course", courseId: { $in: courseIds } },
+    ];
+  }
+  if (await canManageAll()) return null;
+  // Other staff roles get general announcements and their own
+  return [{ targetAudience: "all" }, { createdBy: user._id }];
+};
 
-// Create notification (educator/admin only)
+// Create notification (notifications.send)
 export const createNotification = async (req, res) => {
   try {
     const { title, message, type, courseId, targetAudience, eventDate } = req.body;
@@ -10,16 +40,8 @@ export const createNotification = async (req, res) => {
       return res.status(400).json({ message: "Title and message are required" });
     }
 
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    // Only educators and admins can create notifications
-    if (user.role !== "educator" && user.role !== "admin") {
-      return res.status(403).json({ message: "Only educators and admins can create notifications" });
-    }
-
-    // If courseId provided, verify educator owns it (unless admin)
-    if (courseId && user.role === "educator") {
+    // If courseId provided, verify the sender owns it (unless they can access every course)
+    if (courseId && !(await hasPermission(req, "courses.access_all"))) {
       const course = await Course.findById(courseId);
       if (!course) return res.status(404).json({ message: "Course not found" });
       if (course.creator.toString() !== req.userId.toString()) {
@@ -57,26 +79,12 @@ export const getMyNotifications = async (req, res) => {
     let filter = { isActive: true };
 
     // Filter by target audience
-    if (user.role === "student") {
-      const enrolledCourses = user.enrolledCourses || [];
-      console.log(`[GetMyNotifications] Student enrolled in ${enrolledCourses.length} courses`);
-      filter.$or = [
-        { targetAudience: "all" },
-        { targetAudience: "students" },
-        { targetAudience: "course", courseId: { $in: enrolledCourses } },
-      ];
-    } else if (user.role === "educator") {
-      const myCourses = await Course.find({ creator: req.userId }).select("_id");
-      const courseIds = myCourses.map(c => c._id);
-      console.log(`[GetMyNotifications] Educator created ${courseIds.length} courses`);
-      filter.$or = [
-        { targetAudience: "all" },
-        { targetAudience: "educators" },
-        { targetAudience: "course", courseId: { $in: courseIds } },
-      ];
-    } else if (user.role === "admin") {
-      // Admin sees all active notifications
-      console.log(`[GetMyNotifications] Admin - fetching all notifications`);
+    const audience = await getNotificationAudience(user, () => hasPermission(req, "notifications.manage_all"));
+    if (audience) {
+      filter.$or = audience;
+    } else {
+      // Admins (and roles managing all announcements) see all active notifications
+      console.log(`[GetMyNotifications] ${user.role} - fetching all notifications`);
     }
 
     const notifications = await Notification.find(filter)
@@ -124,20 +132,16 @@ export const markAsRead = async (req, res) => {
 // Get all notifications (admin/educator - for management)
 export const getAllNotifications = async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
-
     let filter = {};
 
-    // Educators see their own notifications
-    if (user.role === "educator") {
+    // Senders see their own notifications; notifications.manage_all sees all
+    if (!(await hasPermission(req, "notifications.manage_all"))) {
       const myCourses = await Course.find({ creator: req.userId }).select("_id");
       const courseIds = myCourses.map((c) => c._id);
       filter = {
         $or: [{ createdBy: req.userId }, { courseId: { $in: courseIds } }],
       };
     }
-    // Admins see all
 
     const notifications = await Notification.find(filter)
       .populate("createdBy", "name email role")
@@ -150,15 +154,17 @@ export const getAllNotifications = async (req, res) => {
   }
 };
 
-// Delete notification (creator/admin only)
+// Delete notification (creator or notifications.manage_all)
 export const deleteNotification = async (req, res) => {
   try {
     const { notificationId } = req.params;
     const notification = await Notification.findById(notificationId);
     if (!notification) return res.status(404).json({ message: "Notification not found" });
 
-    const user = await User.findById(req.userId);
-    if (user.role !== "admin" && notification.createdBy.toString() !== req.userId.toString()) {
+    if (
+      notification.createdBy.toString() !== req.userId.toString() &&
+      !(await hasPermission(req, "notifications.manage_all"))
+    ) {
       return res.status(403).json({ message: "Not allowed" });
     }
 
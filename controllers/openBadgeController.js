@@ -0,0 +1,248 @@
+import Certificate from "../models/certificateModel.js";
+import Course from "../models/courseModel.js";
+import User from "../models/userModel.js";
+import { getCertificateOrganisationName } from "../configs/certificatePdf.js";
+import {
+  OPEN_BADGES_CONTEXT,
+  getBadgeSigningKeys,
+  hashBadgeRecipient,
+  signBadgeAssertion,
+} from "../configs/openBadges.js";
+import { findCertificateByPublicId, getCertificateCriteriaFor, getCertificateStatus } from "./certificateController.js";
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+
+// Badge documents must be fetchable at their `id`; API_PUBLIC_URL overrides the request host
+export const getBadgeBaseUrl = (req) => {
+  const origin = String(process.env.API_PUBLIC_URL || "").replace(/\/$/, "") || `${req.protocol}://${req.get("host")}`;
+  return `${origin}/api/cert/badges`;
+};
+
+export const getAssertionUrl = (req, certificateId) => `${getBadgeBaseUrl(req)}/assertions/${certificateId}`;
+
+const sendJsonLd = (res, status, body) => res.status(status).type("application/ld+json").json(body);
+
+const sendBadgeError = (res, error, message) =>
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+
+/* ===== DOCUMENT BUILDERS ===== */
+
+const buildIssuerProfile = (base) => ({
+  "@context": OPEN_BADGES_CONTEXT,
+  type: "Issuer",
+  id: `${base}/issuer`,
+  name: getCertificateOrganisationName(),
+  url: getFrontendUrl(),
+  email: process.env.CERT_ORG_EMAIL || process.env.ORG_EMAIL || process.env.SMTP_USER || "support@learnifyedu.store",
+  publicKey: `${base}/issuer/key`,
+  revocationList: `${base}/revocations`,
+});
+
+const describeCriteria = (course) => {
+  const criteria = getCertificateCriteriaFor(course);
+  const parts = [`Complete at least ${criteria.minCompletion}% of "${course.title}"`];
+  if (criteria.requireAllAssignments) parts.push("submit every assignment");
+  if (criteria.minGradeAverage !== null && criteria.minGradeAverage !== undefined) {
+    parts.push(`average at least ${criteria.minGradeAverage}% across published grades`);
+  }
+  if (criteria.minAttendancePercent !== null && criteria.minAttendancePercent !== undefined) {
+    parts.push(`attend at least ${criteria.minAttendancePercent}% of live sessions`);
+  }
+  return `${parts.join(", ")}.`;
+};
+
+const buildBadgeClass = (course, base) => ({
+  "@context": OPEN_BADGES_CONTEXT,
+  type: "BadgeClass",
+  id: `${base}/classes/${course._id}`,
+  name: `${course.title} - Certificate of Completion`,
+  description: course.subTitle || course.description || `Awarded for completing ${course.title}`,
+  image: course.thumbnail || `${base}/classes/${course._id}/image`,
+  criteria: { narrative: describeCriteria(course) },
+  issuer: `${base}/issuer`,
+});
+
+/**
+ * Assertion for a certificate. Revoked and superseded certificates carry `revoked: true`.
+ * @param {Object} certificate - needs certificateId, courseId, issuedOn, status fields
+ * @param {string} recipientEmail
+ * @param {string} base - badge base URL
+ * @param {Object} [options] - { signed: use SignedBadge verification instead of HostedBadge }
+ */
+const buildAssertion = (certificate, recipientEmail, base, { signed = false } = {}) => {
+  const status = getCertificateStatus(certificate);
+  const assertion = {
+    "@context": OPEN_BADGES_CONTEXT,
+    type: "Assertion",
+    id: `${base}/assertions/${certificate.certificateId}`,
+    recipient: {
+      type: "email",
+      hashed: true,
+      salt: String(certificate._id),
+      identity: hashBadgeRecipient(recipientEmail, String(certificate._id)),
+    },
+    badge: `${base}/classes/${idOf(certificate.courseId)}`,
+    issuedOn: new Date(certificate.issuedOn || certificate.createdAt).toISOString(),
+    verification: signed ? { type: "SignedBadge", creator: `${base}/issuer/key` } : { type: "HostedBadge" },
+    evidence: [{
+      id: `${getFrontendUrl()}/certificate/verify/${certificate.certificateId}`,
+      narrative: `Certificate ${certificate.certificateId} can be checked on the ${getCertificateOrganisationName()} verification page.`,
+    }],
+  };
+
+  if (status === "revoked") {
+    assertion.revoked = true;
+    assertion.revocationReason = certificate.revocationReason || "Certificate revoked";
+  } else if (status === "superseded") {
+    assertion.revoked = true;
+    assertion.revocationReason = `Superseded by certificate ${certificate.supersededBy}`;
+  }
+  return assertion;
+};
+
+/* ===== PUBLIC JSON-LD ENDPOINTS ===== */
+
+export const getBadgeIssuer = (req, res) => sendJsonLd(res, 200, buildIssuerProfile(getBadgeBaseUrl(req)));
+
+export const getBadgeIssuerKey = (req, res) => {
+  const base = getBadgeBaseUrl(req);
+  return sendJsonLd(res, 200, {
+    "@context": OPEN_BADGES_CONTEXT,
+    type: "CryptographicKey",
+    id: `${base}/issuer/key`,
+    owner: `${base}/issuer`,
+    publicKeyPem: getBadgeSigningKeys().publicKeyPem,
+  });
+};
+
+export const getBadgeRevocationList = async (req, res) => {
+  try {
+    const base = getBadgeBaseUrl(req);
+    const certificates = await Certificate.find({ isActive: false })
+      .select("certificateId status isActive revocationReason supersededBy")
+      .lean();
+
+    return sendJsonLd(res, 200, {
+      "@context": OPEN_BADGES_CONTEXT,
+      type: "RevocationList",
+      id: `${base}/revocations`,
+      issuer: `${base}/issuer`,
+      revokedAssertions: certificates.map((certificate) => {
+        const { revocationReason } = buildAssertion(certificate, "", base);
+        return { id: `${base}/assertions/${certificate.certificateId}`, revocationReason };
+      }),
+    });
+  } catch (error) {
+    console.error("[OpenBadges] Revocation list error:", error);
+    return sendBadgeError(res, error, "Failed to build revocation list");
+  }
+};
+
+export const getBadgeClass = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId)
+      .select("title subTitle description thumbnail certificateCriteria")
+      .lean();
+    if (!course) return res.status(404).json({ message: "Badge class not found" });
+    return sendJsonLd(res, 200, buildBadgeClass(course, getBadgeBaseUrl(req)));
+  } catch (error) {
+    console.error("[OpenBadges] Badge class error:", error);
+    return sendBadgeError(res, error, "Failed to build badge class");
+  }
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&'"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[char]);
+
+// Fallback badge image for courses without a thumbnail
+export const getBadgeClassImage = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("title").lean();
+    if (!course) return res.status(404).json({ message: "Badge class not found" });
+
+    const initials = course.title.split(/\s+/).filter(Boolean).slice(0, 2).map((word) => word[0].toUpperCase()).join("");
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">` +
+      `<circle cx="200" cy="200" r="190" fill="#2D4FA3"/><circle cx="200" cy="200" r="165" fill="none" stroke="#FFFFFF" stroke-width="6"/>` +
+      `<text x="200" y="230" font-family="Helvetica, Arial, sans-serif" font-size="110" font-weight="bold" fill="#FFFFFF" text-anchor="middle">${escapeXml(initials)}</text>` +
+      `</svg>`;
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    return res.status(200).type("image/svg+xml").send(svg);
+  } catch (error) {
+    console.error("[OpenBadges] Badge image error:", error);
+    return sendBadgeError(res, error, "Failed to render badge image");
+  }
+};
+
+// Hosted assertion. Revoked ones answer 410 Gone with revoked: true, as the spec allows.
+export const getBadgeAssertion = async (req, res) => {
+  try {
+    const certificate = await findCertificateByPublicId(req.params.certificateId).lean();
+    if (!certificate) return res.status(404).json({ message: "Assertion not found" });
+
+    const user = await User.findById(certificate.userId).select("email").lean();
+    const assertion = buildAssertion(certificate, user?.email, getBadgeBaseUrl(req));
+    return sendJsonLd(res, assertion.revoked ? 410 : 200, assertion);
+  } catch (error) {
+    console.error("[OpenBadges] Assertion error:", error);
+    return sendBadgeError(res, error, "Failed to build assertion");
+  }
+};
+
+/* ===== EXPORT (certificate owner / admin) ===== */
+
+// GET /api/cert/badges/export/:certificateId - hosted + signed assertion and a LinkedIn add-to-profile link
+export const exportOpenBadge = async (req, res) => {
+  try {
+    const certificate = await findCertificateByPublicId(req.params.certificateId)
+      .populate("courseId", "title")
+      .lean();
+    if (!certificate) return res.status(404).json({ message: "Certificate not found" });
+    if (idOf(certificate.userId) !== String(req.userId) && req.userRole !== "admin") {
+      return res.status(403).json({ message: "You can only export your own certificates" });
+    }
+
+    const status = getCertificateStatus(certificate);
+    if (status !== "active") {
+      return res.status(409).json({
+        message: `Certificate is ${status} and cannot be exported`,
+        status,
+        ...(certificate.supersededBy && { supersededBy: certificate.supersededBy }),
+      });
+    }
+
+    const user = await User.findById(certificate.userId).select("email").lean();
+    const base = getBadgeBaseUrl(req);
+    const assertion = buildAssertion(certificate, user?.email, base);
+    const signedAssertion = signBadgeAssertion(buildAssertion(certificate, user?.email, base, { signed: true }));
+
+    const issuedOn = new Date(certificate.issuedOn || certificate.createdAt);
+    const linkedInParams = new URLSearchParams({
+      startTask: "CERTIFICATION_NAME",
+      name: certificate.courseTitle || certificate.courseId?.title || "Certificate of Completion",
+      organizationName: getCertificateOrganisationName(),
+      issueYear: String(issuedOn.getFullYear()),
+      issueMonth: String(issuedOn.getMonth() + 1),
+      certUrl: `${getFrontendUrl()}/certificate/verify/${certificate.certificateId}`,
+      certId: certificate.certificateId,
+    });
+
+    return res.status(200).json({
+      certificateId: certificate.certificateId,
+      assertionUrl: assertion.id,
+      badgeClassUrl: assertion.badge,
+      issuerUrl: `${base}/issuer`,
+      assertion,
+      signedAssertion,
+      signingKeyPersistent: getBadgeSigningKeys().persistent,
+      linkedInUrl: `https://www.linkedin.com/profile/add?${linkedInParams}`,
+    });
+  } catch (error) {
+    console.error("[OpenBadges] Export error:", error);
+    return sendBadgeError(res, error, "Failed to export certificate as a badge");
+  }
+};
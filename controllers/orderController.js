@@ -1,19 +1,25 @@
 import Course from "../models/courseModel.js";
-import razorpay from 'razorpay'
 import User from "../models/userModel.js";
 import Order from "../models/orderModel.js";
+import Certificate from "../models/certificateModel.js";
+import {
+  confirmCouponReservation,
+  evaluateCoupon,
+  getCouponReservationExpiry,
+  releaseCouponReservations,
+} from "./couponController.js";
+import { issueCourseOrderInvoice, issueInvoiceQuietly } from "./invoiceController.js";
+import { revokeCertificateRecord } from "./certificateController.js";
+import { getPaymentProvider, isSandboxEnabled } from "../configs/paymentGateway.js";
 import dotenv from "dotenv"
 dotenv.config()
-const razorpayInstance = new razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
-})
 
 export const createOrder = async (req, res) => {
   try {
-    const { courseId, userId } = req.body;
-    if (!courseId || !userId) {
-      return res.status(400).json({ message: "courseId and userId are required" });
+    const { courseId, couponCode } = req.body;
+    const userId = req.userId;
+    if (!courseId) {
+      return res.status(400).json({ message: "courseId is required" });
     }
 
     const course = await Course.findById(courseId);
@@ -27,28 +33,60 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    const options = {
-      amount: Math.round(coursePrice * 100), // in paisa
+    let pricing = { coupon: null, code: undefined, discountAmount: 0, finalAmount: coursePrice };
+    if (String(couponCode || "").trim()) {
+      const couponResult = await evaluateCoupon({ code: couponCode, course, userId });
+      if (!couponResult.valid) {
+        return res.status(400).json({ message: couponResult.reason, code: "INVALID_COUPON" });
+      }
+      pricing = couponResult;
+      await releaseCouponReservations(userId, pricing.coupon._id);
+    }
+
+    const provider = getPaymentProvider();
+    const gatewayOrder = await provider.createOrder({
+      amount: Math.round(pricing.finalAmount * 100), // in paisa
       currency: 'INR',
       receipt: `${courseId}-${Date.now()}`,
-    };
-
-    const razorpayOrder = await razorpayInstance.orders.create(options);
+      ...(pricing.code ? { notes: { couponCode: pricing.code } } : {}),
+    });
     
     // Create order record in database
     const order = await Order.create({
       course: courseId,
       student: userId,
-      razorpay_order_id: razorpayOrder.id,
-      amount: coursePrice,
+      paymentProvider: provider.name,
+      razorpay_order_id: gatewayOrder.id,
+      amount: pricing.finalAmount,
+      originalAmount: coursePrice,
+      coupon: pricing.coupon?._id,
+      couponCode: pricing.code,
+      couponReservedUntil: pricing.coupon ? getCouponReservationExpiry() : undefined,
+      discountAmount: pricing.discountAmount,
       status: "pending"
     });
 
+    if (pricing.coupon) {
+      const reservation = await confirmCouponReservation(pricing.coupon, order);
+      if (!reservation.valid) {
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { status: "failed", failureReason: reservation.reason }, $unset: { couponReservedUntil: 1 } }
+        );
+        return res.status(400).json({ message: reservation.reason, code: "INVALID_COUPON" });
+      }
+    }
+
     console.log(`[Order] Created order: ${order._id} for user: ${userId}, course: ${courseId}`);
 
     return res.status(200).json({
-      ...razorpayOrder,
-      orderId: order._id
+      ...gatewayOrder.raw,
+      provider: provider.name,
+      key: provider.publicKey,
+      orderId: order._id,
+      originalAmount: coursePrice,
+      discountAmount: pricing.discountAmount,
+      couponCode: pricing.code || null
     });
   } catch (err) {
     console.error("[Order] Create order error:", err);
@@ -56,10 +94,165 @@ export const createOrder = async (req, res) => {
   }
 };
 
+const REFUND_STATUSES = ["partially_refunded", "refunded"];
+
+// Paid (or since refunded) orders are never completed again
+const isSettledOrder = (order) => Boolean(order.isPaid) || REFUND_STATUSES.includes(order.status);
+
+const alreadySettledResult = (order) =>
+  REFUND_STATUSES.includes(order.status)
+    ? { statusCode: 409, message: `This order has been ${order.status.replace("_", " ")}`, enrolled: false, alreadyEnrolled: false, alreadyProcessed: true }
+    : { statusCode: 200, message: "Payment already verified", enrolled: false, alreadyEnrolled: false, alreadyProcessed: true };
+
+/**
+ * Mark a gateway-confirmed order as paid and enroll its student.
+ * Shared by the browser callback (`verifyPayment`), the payment webhook and reconciliation,
+ * so both paths apply the same role, ownership and enrollment rules.
+ * @param {Document} order - Order document (course/student may be populated)
+ * @param {Object} payment - { paymentId, signature, userId, courseId }
+ * Orders that are already paid or refunded are left untouched (`alreadyProcessed: true`).
+ * @returns {Promise<{ statusCode: number, message: string, enrolled: boolean, alreadyEnrolled: boolean, alreadyProcessed?: boolean }>}
+ */
+export const completeCourseOrder = async (order, { paymentId, signature, userId, courseId } = {}) => {
+  const studentId = userId || order.student?._id || order.student;
+  const targetCourseId = courseId || order.course?._id || order.course;
+  const normalizedUserId = studentId?.toString?.() || String(studentId || "");
+
+  if (isSettledOrder(order)) return alreadySettledResult(order);
+
+  // Claim the order atomically so a replayed or concurrent verification cannot
+  // re-run enrollment or overwrite a refund recorded in the meantime
+  const paidAt = order.paidAt || new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false, status: { $nin: REFUND_STATUSES } },
+    {
+      $set: {
+        isPaid: true,
+        paidAt,
+        status: "success",
+        ...(paymentId ? { razorpay_payment_id: paymentId } : {}),
+        ...(signature ? { razorpay_signature: signature } : {}),
+      },
+    },
+    { new: true }
+  ).select("isPaid status");
+  if (!claimed) {
+    const current = await Order.findById(order._id).select("isPaid status");
+    return alreadySettledResult(current || order);
+  }
+
+  // Mirror the claim on the loaded document; saving it assigns the receipt ID
+  if (paymentId) order.razorpay_payment_id = paymentId;
+  if (signature) order.razorpay_signature = signature;
+  order.isPaid = true;
+  order.paidAt = paidAt;
+  order.status = "success";
+  await order.save();
+
+  // Update user and course enrollment
+  const user = await User.findById(studentId);
+  if (!user) {
+    return { statusCode: 404, message: "User not found", enrolled: false, alreadyEnrolled: false };
+  }
+
+  // Prevent educators and admins from enrolling via payment
+  if (user.role === "educator" || user.role === "admin") {
+    order.status = "failed";
+    order.failureReason = "Educators and admins cannot enroll in courses";
+    await order.save();
+    return {
+      statusCode: 403,
+      message: "Educators and admins cannot enroll in courses.",
+      enrolled: false,
+      alreadyEnrolled: false,
+    };
+  }
+
+  const course = await Course.findById(targetCourseId).populate("lectures");
+  if (!course) {
+    return { statusCode: 404, message: "Course not found", enrolled: false, alreadyEnrolled: false };
+  }
+
+  // Prevent enrolling in own course
+  const creatorId = course.creator?.toString?.();
+  if (creatorId && creatorId === normalizedUserId) {
+    order.status = "failed";
+    order.failureReason = "Cannot enroll in own course";
+    await order.save();
+    return {
+      statusCode: 403,
+      message: "You cannot enroll in your own course.",
+      enrolled: false,
+      alreadyEnrolled: false,
+    };
+  }
+
+  // Check if already enrolled
+  const isAlreadyEnrolledInCourse =
+    Array.isArray(course.enrolledStudents) &&
+    course.enrolledStudents.some((id) => id?.toString?.() === normalizedUserId);
+  const isAlreadyEnrolledInUser =
+    Array.isArray(user.enrolledCourses) &&
+    user.enrolledCourses.some((id) => id?.toString?.() === course._id.toString());
+  const isAlreadyEnrolled = isAlreadyEnrolledInCourse || isAlreadyEnrolledInUser;
+
+  if (isAlreadyEnrolled) {
+    const fixes = [];
+    if (!isAlreadyEnrolledInUser) {
+      fixes.push(
+        User.updateOne(
+          { _id: user._id },
+          { $addToSet: { enrolledCourses: course._id } }
+        )
+      );
+    }
+    if (!isAlreadyEnrolledInCourse) {
+      fixes.push(
+        Course.updateOne(
+          { _id: course._id },
+          { $addToSet: { enrolledStudents: user._id } }
+        )
+      );
+    }
+    if (fixes.length) {
+      await Promise.all(fixes);
+    }
+    await Course.recordEnrollment(course._id, user._id);
+    await issueInvoiceQuietly(() => issueCourseOrderInvoice(order._id));
+
+    return {
+      statusCode: 200,
+      message: "Payment verified. You are already enrolled in this course",
+      enrolled: true,
+      alreadyEnrolled: true,
+    };
+  }
+
+  // Add enrollment atomically on both documents.
+  await Promise.all([
+    User.updateOne(
+      { _id: user._id },
+      { $addToSet: { enrolledCourses: course._id } }
+    ),
+    Course.updateOne(
+      { _id: course._id },
+      { $addToSet: { enrolledStudents: user._id } }
+    ),
+    Course.recordEnrollment(course._id, user._id),
+  ]);
+  await issueInvoiceQuietly(() => issueCourseOrderInvoice(order._id));
+
+  return {
+    statusCode: 200,
+    message: "Payment verified and enrollment successful",
+    enrolled: true,
+    alreadyEnrolled: false,
+  };
+};
+
 export const verifyPayment = async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, courseId, userId } = req.body;
-    const normalizedUserId = userId?.toString?.() || String(userId || "");
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
     
     console.log(`[Order] Verifying payment for order: ${razorpay_order_id}`);
     
@@ -70,116 +263,319 @@ export const verifyPayment = async (req, res) => {
       console.error(`[Order] Order not found: ${razorpay_order_id}`);
       return res.status(404).json({ message: "Order not found" });
     }
+    if (String(order.student?._id || order.student) !== String(req.userId)) {
+      return res.status(403).json({ message: "You can only verify your own payment" });
+    }
+
+    // Replayed callbacks must not touch a paid or refunded order
+    if (isSettledOrder(order)) {
+      const settled = alreadySettledResult(order);
+      return res.status(settled.statusCode).json({
+        message: settled.message,
+        alreadyProcessed: true,
+        orderId: order._id,
+        receiptId: order.receiptId
+      });
+    }
+
+    const provider = getPaymentProvider(order.paymentProvider);
+    const isSignatureValid = provider.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
+    if (!isSignatureValid) {
+      // Only while it is still unpaid; the webhook may have settled it meanwhile
+      await Order.updateOne(
+        { _id: order._id, isPaid: false, status: { $in: ["pending", "failed"] } },
+        { $set: { status: "failed", failureReason: "Invalid payment signature" } }
+      );
+      return res.status(400).json({ message: "Payment verification failed (invalid signature)" });
+    }
 
-    // Fetch order info from Razorpay
-    const orderInfo = await razorpayInstance.orders.fetch(razorpay_order_id);
+    // Fetch order info from the gateway that created it
+    const orderInfo = await provider.fetchOrder(razorpay_order_id);
     
     if (orderInfo.status === 'paid') {
-      // Update order with payment details
-      order.razorpay_payment_id = razorpay_payment_id;
-      order.razorpay_signature = razorpay_signature;
-      order.isPaid = true;
-      order.paidAt = new Date();
-      order.status = "success";
-      await order.save();
-
-      // Update user and course enrollment
-      const user = await User.findById(userId);
-      if (!user) return res.status(404).json({ message: "User not found" });
-
-      // Prevent educators and admins from enrolling via payment
-      if (user.role === "educator" || user.role === "admin") {
-        order.status = "failed";
-        order.failureReason = "Educators and admins cannot enroll in courses";
-        await order.save();
-        return res.status(403).json({ 
-          message: "Educators and admins cannot enroll in courses." 
-        });
-      }
+      const result = await completeCourseOrder(order, {
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+      });
 
-      const course = await Course.findById(courseId).populate("lectures");
-      if (!course) return res.status(404).json({ message: "Course not found" });
-
-      // Prevent enrolling in own course
-      const creatorId = course.creator?.toString?.();
-      if (creatorId && creatorId === normalizedUserId) {
-        order.status = "failed";
-        order.failureReason = "Cannot enroll in own course";
-        await order.save();
-        return res.status(403).json({ 
-          message: "You cannot enroll in your own course." 
-        });
+      if (result.statusCode !== 200) {
+        return res.status(result.statusCode).json({ message: result.message });
       }
 
-      // Check if already enrolled
-      const isAlreadyEnrolledInCourse =
-        Array.isArray(course.enrolledStudents) &&
-        course.enrolledStudents.some((id) => id?.toString?.() === normalizedUserId);
-      const isAlreadyEnrolledInUser =
-        Array.isArray(user.enrolledCourses) &&
-        user.enrolledCourses.some((id) => id?.toString?.() === courseId?.toString?.());
-      const isAlreadyEnrolled = isAlreadyEnrolledInCourse || isAlreadyEnrolledInUser;
-
-      if (isAlreadyEnrolled) {
-        const fixes = [];
-        if (!isAlreadyEnrolledInUser) {
-          fixes.push(
-            User.updateOne(
-              { _id: userId },
-              { $addToSet: { enrolledCourses: course._id } }
-            )
-          );
-        }
-        if (!isAlreadyEnrolledInCourse) {
-          fixes.push(
-            Course.updateOne(
-              { _id: courseId },
-              { $addToSet: { enrolledStudents: user._id } }
-            )
-          );
-        }
-        if (fixes.length) {
-          await Promise.all(fixes);
-        }
-
-        return res.status(200).json({ 
-          message: "Payment verified. You are already enrolled in this course",
-          alreadyEnrolled: true,
-          orderId: order._id,
-          receiptId: order.receiptId
-        });
+      if (result.alreadyProcessed) {
+        return res.status(200).json({ message: result.message, alreadyProcessed: true, orderId: order._id });
       }
 
-      // Add enrollment atomically on both documents.
-      await Promise.all([
-        User.updateOne(
-          { _id: userId },
-          { $addToSet: { enrolledCourses: course._id } }
-        ),
-        Course.updateOne(
-          { _id: courseId },
-          { $addToSet: { enrolledStudents: user._id } }
-        ),
-      ]);
-
-      console.log(`[Order] Payment verified successfully. Order: ${order._id}, Receipt: ${order.receiptId}`);
+      if (!result.alreadyEnrolled) {
+        console.log(`[Order] Payment verified successfully. Order: ${order._id}, Receipt: ${order.receiptId}`);
+      }
 
       return res.status(200).json({ 
-        message: "Payment verified and enrollment successful",
-        alreadyEnrolled: false,
+        message: result.message,
+        alreadyEnrolled: result.alreadyEnrolled,
         orderId: order._id,
         receiptId: order.receiptId
       });
     } else {
-      // Mark order as failed
-      order.status = "failed";
-      order.failureReason = "Payment verification failed";
-      await order.save();
+      // Mark order as failed (only while it is still unpaid)
+      await Order.updateOne(
+        { _id: order._id, isPaid: false, status: { $in: ["pending", "failed"] } },
+        { $set: { status: "failed", failureReason: "Payment not captured by the gateway" } }
+      );
       
-      return res.status(400).json({ message: "Payment verification failed (invalid signature)" });
+      return res.status(400).json({ message: "Payment verification failed (payment not captured)" });
     }
   } catch (error) {
     console.error("[Order] Verify payment error:", error);
     return res.status(500).json({ message: "Internal server error during payment verification" });
   }
 };
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+
+const generateCreditNoteId = () => {
+  // Format: Learnify-CN-YYYYMMDD-XXXXXX
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomStr = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `Learnify-CN-${dateStr}-${randomStr}`;
+};
+
+const getRefundableAmount = (order) =>
+  Math.max(0, round2(Number(order.amount || 0) - Number(order.amountRefunded || 0)));
+
+/**
+ * Record a gateway refund on an order and recompute its refund status.
+ * The refund is pushed in one conditional update keyed on its refundId, so the admin
+ * flow and the `refund.processed` webhook never double count, even when they race.
+ * Refunds already present only get their status updated.
+ * @param {Document} order - Order document (only its _id and amount are read)
+ * @param {Object} refund - { refundId, amount, status, reason, initiatedBy, unenrolled }
+ * @returns {Promise<{ created: boolean, entry: Object | null, order: Object | null }>} `order` is the updated order
+ */
+export const applyRefundToOrder = async (order, { refundId, amount, status = "processed", reason = "", initiatedBy = null, unenrolled = false }) => {
+  const refundAmount = round2(amount);
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "refunds.refundId": { $ne: refundId } },
+    {
+      $push: {
+        refunds: {
+          refundId,
+          amount: refundAmount,
+          status,
+          reason: String(reason || "").trim(),
+          initiatedBy,
+          unenrolled: Boolean(unenrolled),
+          creditNoteId: generateCreditNoteId(),
+          processedAt: status === "processed" ? new Date() : undefined,
+        },
+      },
+      $inc: { amountRefunded: refundAmount },
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    // amountRefunded only grows, so a fully refunded order is never moved back
+    const fullyRefunded = getRefundableAmount(updated) <= 0.001;
+    await Order.updateOne(
+      fullyRefunded ? { _id: order._id } : { _id: order._id, status: { $ne: "refunded" } },
+      { $set: { status: fullyRefunded ? "refunded" : "partially_refunded" } }
+    );
+    updated.status = fullyRefunded || updated.status === "refunded" ? "refunded" : "partially_refunded";
+    return { created: true, entry: updated.refunds.find((item) => item.refundId === refundId), order: updated };
+  }
+
+  if (status === "processed") {
+    await Order.updateOne(
+      { _id: order._id, refunds: { $elemMatch: { refundId, status: { $ne: "processed" } } } },
+      { $set: { "refunds.$.status": "processed", "refunds.$.processedAt": new Date() } }
+    );
+  }
+  // The webhook got there first: keep the admin's reason and unenrollment on the entry
+  if (initiatedBy) {
+    await Order.updateOne(
+      { _id: order._id, "refunds.refundId": refundId },
+      {
+        $set: {
+          "refunds.$.initiatedBy": initiatedBy,
+          "refunds.$.reason": String(reason || "").trim(),
+          "refunds.$.unenrolled": Boolean(unenrolled),
+        },
+      }
+    );
+  }
+  const current = await Order.findById(order._id);
+  return { created: false, entry: current?.refunds.find((item) => item.refundId === refundId) || null, order: current };
+};
+
+/* =====================================================
+    REFUND COURSE ORDER (Admin)
+=====================================================*/
+export const refundOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reason, unenroll } = req.body || {};
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (!order.isPaid || !order.razorpay_payment_id) {
+      return res.status(400).json({ message: "Only paid orders can be refunded" });
+    }
+    if (!["success", "partially_refunded"].includes(order.status)) {
+      return res.status(400).json({ message: `Order is ${order.status} and cannot be refunded` });
+    }
+
+    const refundable = getRefundableAmount(order);
+    const refundAmount = amount === undefined || amount === null || amount === ""
+      ? refundable
+      : round2(amount);
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      return res.status(400).json({ message: "Refund amount must be greater than 0" });
+    }
+    if (refundAmount - refundable > 0.001) {
+      return res.status(400).json({
+        message: `Refund amount cannot exceed refundable balance of ₹${refundable.toFixed(2)}`
+      });
+    }
+
+    const refundReason = String(reason || "").trim();
+    if (!refundReason) {
+      return res.status(400).json({ message: "Refund reason is required" });
+    }
+
+    // The stored payment id came from the checkout callback; refund only the payment
+    // the gateway itself reports as captured for this order
+    const provider = getPaymentProvider(order.paymentProvider);
+    let capturedPayment;
+    try {
+      const payments = await provider.fetchOrderPayments(order.razorpay_order_id);
+      capturedPayment = payments.find((payment) => payment.status === "captured");
+    } catch (gatewayError) {
+      console.error("[Order] Gateway payment lookup error:", gatewayError);
+      return res.status(502).json({
+        message: "Could not confirm the payment with the gateway",
+        error: gatewayError.message
+      });
+    }
+    if (!capturedPayment) {
+      return res.status(409).json({ message: "The gateway has no captured payment for this order" });
+    }
+    if (capturedPayment.id !== order.razorpay_payment_id) {
+      console.warn(`[Order] Payment ${order.razorpay_payment_id} on order ${order._id} does not match captured payment ${capturedPayment.id}`);
+      return res.status(409).json({ message: "The payment on this order does not match the gateway; review it before refunding" });
+    }
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await provider.refund(capturedPayment.id, {
+        amount: Math.round(refundAmount * 100), // in paisa
+        notes: {
+          reason: refundReason.substring(0, 250),
+          orderId: order._id.toString(),
+        },
+      });
+    } catch (gatewayError) {
+      console.error("[Order] Gateway refund error:", gatewayError);
+      return res.status(502).json({
+        message: "Payment gateway rejected the refund",
+        error: gatewayError.message
+      });
+    }
+    if (gatewayRefund.status === "failed") {
+      return res.status(502).json({ message: "Payment gateway could not process the refund" });
+    }
+
+    const shouldUnenroll = Boolean(unenroll);
+    // The refund.processed webhook may already have recorded this refund
+    const { entry, order: refundedOrder } = await applyRefundToOrder(order, {
+      refundId: gatewayRefund.id,
+      amount: refundAmount,
+      status: gatewayRefund.status,
+      reason: refundReason,
+      initiatedBy: req.userId,
+      unenrolled: shouldUnenroll,
+    });
+
+    let certificatesDeactivated = 0;
+    if (shouldUnenroll) {
+      const [, , certificates] = await Promise.all([
+        User.updateOne({ _id: order.student }, { $pull: { enrolledCourses: order.course } }),
+        Course.updateOne(
+          { _id: order.course },
+          { $pull: { enrolledStudents: order.student, enrollments: { student: order.student } } }
+        ),
+        Certificate.find({ userId: order.student, courseId: order.course, isActive: true }),
+      ]);
+      for (const certificate of certificates) {
+        const revoked = await revokeCertificateRecord(certificate, {
+          reason: `the course was refunded (order ${order._id})`,
+          actor: req.userId,
+        });
+        if (revoked) certificatesDeactivated += 1;
+      }
+    }
+
+    console.log(`[Order] Refund ${gatewayRefund.id} of ₹${refundAmount} created for order ${order._id} by ${req.userId}`);
+
+    return res.status(200).json({
+      message: "Refund initiated successfully",
+      orderId: order._id,
+      orderStatus: refundedOrder?.status,
+      amountRefunded: refundedOrder?.amountRefunded,
+      refund: {
+        refundId: entry?.refundId,
+        amount: entry?.amount,
+        status: entry?.status,
+        reason: entry?.reason,
+        creditNoteId: entry?.creditNoteId,
+      },
+      unenrolled: shouldUnenroll,
+      certificatesDeactivated
+    });
+  } catch (error) {
+    console.error("[Order] Refund order error:", error);
+    return res.status(500).json({ message: "Internal server error during refund" });
+  }
+};
+
+/* ===== SANDBOX CHECKOUT (development only) ===== */
+
+// Stands in for the hosted checkout when PAYMENT_PROVIDER=sandbox. Works for any
+// sandbox order (course or fee); the returned fields go straight to the verify endpoints.
+// Only available with PAYMENT_SANDBOX_ENABLED=true.
+export const simulateSandboxPayment = async (req, res) => {
+  try {
+    if (!isSandboxEnabled()) {
+      return res.status(404).json({ message: "Not found" });
+    }
+
+    const { orderId, outcome } = req.body || {};
+    if (!orderId) {
+      return res.status(400).json({ message: "orderId is required" });
+    }
+    if (outcome && !["success", "failure"].includes(outcome)) {
+      return res.status(400).json({ message: "outcome must be success or failure" });
+    }
+
+    const result = getPaymentProvider("sandbox").simulatePayment(String(orderId), { outcome });
+    return res.status(200).json({
+      status: result.status,
+      razorpay_order_id: result.orderId,
+      razorpay_payment_id: result.paymentId,
+      razorpay_signature: result.signature,
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      message: error.statusCode === 404 ? error.message : "Sandbox payment failed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
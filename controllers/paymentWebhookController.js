@@ -0,0 +1,244 @@
+import Order from "../models/orderModel.js";
+import FeePaymentOrder from "../models/feePaymentOrderModel.js";
+import FeeRecord from "../models/feeRecordModel.js";
+import PaymentWebhookEvent from "../models/paymentWebhookEventModel.js";
+import { getPaymentProvider } from "../configs/paymentGateway.js";
+import { applyRefundToOrder, completeCourseOrder } from "./orderController.js";
+import { settleFeePaymentOrder } from "./feeController.js";
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+const fromPaise = (value) => round2(Number(value || 0) / 100);
+
+/* =====================================================
+    EVENT HANDLERS
+=====================================================*/
+
+// Events only act on orders created through the provider that sent them; otherwise a
+// webhook signed with one provider's secret could settle another provider's orders.
+const isFromProvider = (record, providerName) => (record.paymentProvider || "razorpay") === providerName;
+
+const providerMismatch = (label, record, providerName) => {
+  console.warn(`[PaymentWebhook] ${providerName} event for ${label} ${record._id} created via ${record.paymentProvider || "razorpay"} rejected`);
+  return { status: "ignored", result: `${label} ${record._id} belongs to provider ${record.paymentProvider || "razorpay"}` };
+};
+
+const handlePaymentSuccess = async ({ orderId, paymentId }, providerName) => {
+  if (!orderId) {
+    return { status: "ignored", result: "Payment is not linked to an order" };
+  }
+
+  const order = await Order.findOne({ razorpay_order_id: orderId });
+  if (order) {
+    if (!isFromProvider(order, providerName)) return providerMismatch("Order", order, providerName);
+    if (order.isPaid) {
+      return { status: "processed", result: `Order ${order._id} already paid (${order.status})` };
+    }
+
+    const outcome = await completeCourseOrder(order, { paymentId });
+    console.log(`[PaymentWebhook] Course order ${order._id}: ${outcome.message}`);
+    return { status: "processed", result: outcome.message };
+  }
+
+  const paymentOrder = await FeePaymentOrder.findOne({ razorpayOrderId: orderId });
+  if (paymentOrder) {
+    if (!isFromProvider(paymentOrder, providerName)) return providerMismatch("Fee payment order", paymentOrder, providerName);
+    // A "processing" claim left behind by a crash is recovered by reconciliation
+    if (["processing", "paid", "refunded"].includes(paymentOrder.status)) {
+      return { status: "processed", result: `Fee payment order ${paymentOrder._id} already ${paymentOrder.status}` };
+    }
+
+    const record = await FeeRecord.findById(paymentOrder.feeRecordId);
+    if (!record) {
+      throw new Error(`Fee record ${paymentOrder.feeRecordId} not found`);
+    }
+
+    const settled = await settleFeePaymentOrder(paymentOrder, record, { paymentId });
+    console.log(`[PaymentWebhook] Fee payment order ${paymentOrder._id}: ${settled.posted ? "posted" : settled.reason}`);
+    return {
+      status: "processed",
+      result: settled.posted ? "Fee payment posted" : settled.reason,
+    };
+  }
+
+  return { status: "ignored", result: `No local order for ${orderId}` };
+};
+
+const handlePaymentFailed = async ({ orderId, paymentId, reason }, providerName) => {
+  if (!orderId) {
+    return { status: "ignored", result: "Payment is not linked to an order" };
+  }
+
+  const failureReason = reason || "Payment failed at gateway";
+
+  const order = await Order.findOne({ razorpay_order_id: orderId });
+  if (order) {
+    if (!isFromProvider(order, providerName)) return providerMismatch("Order", order, providerName);
+    // A later attempt on the same order may still succeed, so never downgrade a paid order.
+    if (order.status !== "pending") {
+      return { status: "ignored", result: `Order ${order._id} is already ${order.status}` };
+    }
+    // Conditional, so a success processed since the lookup is not overwritten
+    const marked = await Order.updateOne(
+      { _id: order._id, status: "pending", isPaid: false },
+      { $set: { status: "failed", failureReason, ...(paymentId ? { razorpay_payment_id: paymentId } : {}) } }
+    );
+    if (!marked.modifiedCount) {
+      return { status: "ignored", result: `Order ${order._id} was settled concurrently` };
+    }
+    return { status: "processed", result: `Order ${order._id} marked failed` };
+  }
+
+  const paymentOrder = await FeePaymentOrder.findOne({ razorpayOrderId: orderId });
+  if (paymentOrder) {
+    if (!isFromProvider(paymentOrder, providerName)) return providerMismatch("Fee payment order", paymentOrder, providerName);
+    if (paymentOrder.status !== "created") {
+      return { status: "ignored", result: `Fee payment order ${paymentOrder._id} is already ${paymentOrder.status}` };
+    }
+    const marked = await FeePaymentOrder.updateOne(
+      { _id: paymentOrder._id, status: "created" },
+      { $set: { status: "failed", failureReason, ...(paymentId ? { razorpayPaymentId: paymentId } : {}) } }
+    );
+    if (!marked.modifiedCount) {
+      return { status: "ignored", result: `Fee payment order ${paymentOrder._id} was settled concurrently` };
+    }
+    return { status: "processed", result: `Fee payment order ${paymentOrder._id} marked failed` };
+  }
+
+  return { status: "ignored", result: `No local order for ${orderId}` };
+};
+
+const handleRefundProcessed = async ({ refundId, paymentId, amount, refundStatus }, providerName) => {
+  if (!refundId || !paymentId) {
+    return { status: "ignored", result: "Refund payload is incomplete" };
+  }
+
+  const order = await Order.findOne({ razorpay_payment_id: paymentId });
+  if (order) {
+    if (!isFromProvider(order, providerName)) return providerMismatch("Order", order, providerName);
+    // Refunds issued from the Razorpay dashboard arrive here first; admin-initiated ones only change status.
+    const { created } = await applyRefundToOrder(order, {
+      refundId,
+      amount,
+      status: refundStatus === "processed" || !refundStatus ? "processed" : "pending",
+      reason: "Refund processed by payment gateway",
+    });
+    return {
+      status: "processed",
+      result: created
+        ? `Refund ${refundId} recorded on order ${order._id}`
+        : `Refund ${refundId} marked processed on order ${order._id}`,
+    };
+  }
+
+  const paymentOrder = await FeePaymentOrder.findOne({ razorpayPaymentId: paymentId });
+  if (paymentOrder) {
+    if (!isFromProvider(paymentOrder, providerName)) return providerMismatch("Fee payment order", paymentOrder, providerName);
+    if (paymentOrder.razorpayRefundIds.includes(refundId)) {
+      return { status: "processed", result: `Refund ${refundId} already recorded` };
+    }
+
+    // The fee ledger is left untouched; admins adjust the installment manually after a refund.
+    paymentOrder.razorpayRefundIds.push(refundId);
+    paymentOrder.refundedAmount = round2(Number(paymentOrder.refundedAmount || 0) + amount);
+    if (paymentOrder.refundedAmount + 0.001 >= Number(paymentOrder.amount || 0)) {
+      paymentOrder.status = "refunded";
+    }
+    await paymentOrder.save();
+    return { status: "processed", result: `Refund ${refundId} recorded on fee payment order ${paymentOrder._id}` };
+  }
+
+  return { status: "ignored", result: `No local payment for ${paymentId}` };
+};
+
+// `type` and `data` are normalized by the provider's parseWebhook()
+const dispatchEvent = async (type, data = {}, providerName) => {
+  switch (type) {
+    case "payment.succeeded":
+      return handlePaymentSuccess({ orderId: data.orderId, paymentId: data.paymentId }, providerName);
+    case "payment.failed":
+      return handlePaymentFailed({
+        orderId: data.orderId,
+        paymentId: data.paymentId,
+        reason: data.failureReason,
+      }, providerName);
+    case "refund.processed":
+      return handleRefundProcessed({
+        refundId: data.refundId,
+        paymentId: data.paymentId,
+        amount: fromPaise(data.amount),
+        refundStatus: data.refundStatus,
+      }, providerName);
+    default:
+      return { status: "ignored", result: `Unhandled event ${type}` };
+  }
+};
+
+/* =====================================================
+    PAYMENT GATEWAY WEBHOOK (Public, signature-verified)
+    POST /api/payment/webhook            -> Razorpay
+    POST /api/payment/webhook/:provider  -> any registered provider
+=====================================================*/
+export const handlePaymentWebhook = async (req, res) => {
+  const providerName = String(req.params?.provider || "razorpay").toLowerCase();
+
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch (error) {
+    return res.status(404).json({ message: "Unknown payment provider" });
+  }
+
+  const parsed = provider.parseWebhook({ rawBody: req.rawBody, headers: req.headers, body: req.body || {} });
+  if (!parsed.valid) {
+    console.warn(`[PaymentWebhook] Rejected ${providerName} webhook with invalid signature`);
+    return res.status(400).json({ message: "Invalid webhook signature" });
+  }
+
+  const { eventId, event, type, entityId, data } = parsed;
+  if (!type) {
+    return res.status(200).json({ message: "Event ignored", event });
+  }
+
+  let eventLog;
+  try {
+    eventLog = await PaymentWebhookEvent.findOneAndUpdate(
+      { provider: provider.name, eventId },
+      {
+        $setOnInsert: { provider: provider.name, eventId, event, entityId },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Concurrent delivery of the same event lost the upsert race.
+    if (error?.code === 11000) {
+      return res.status(200).json({ message: "Event already received", duplicate: true });
+    }
+    throw error;
+  }
+
+  if (eventLog.status === "processed" || eventLog.status === "ignored") {
+    return res.status(200).json({ message: "Event already processed", duplicate: true });
+  }
+
+  try {
+    const outcome = await dispatchEvent(type, data, provider.name);
+    eventLog.status = outcome.status;
+    eventLog.result = outcome.result;
+    eventLog.processedAt = new Date();
+    await eventLog.save();
+
+    return res.status(200).json({ message: "Webhook processed", event, result: outcome.result });
+  } catch (error) {
+    console.error(`[PaymentWebhook] Failed to process ${event} (${eventId}):`, error);
+    eventLog.status = "failed";
+    eventLog.result = error.message || String(error);
+    await eventLog.save().catch(() => {});
+
+    // Non-2xx makes the gateway retry the delivery later.
+    return res.status(500).json({
+      message: "Webhook processing failed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
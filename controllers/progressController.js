@@ -1,58 +1,495 @@
 import Progress from "../models/progress.js";
+import Course from "../models/courseModel.js";
+import Lecture from "../models/lectureModel.js";
+import { loadReleaseContext } from "./courseController.js";
+import { getLectureAvailability } from "../configs/contentRelease.js";
 
-// update when user watches lecture
+// Events that complete a lecture of each type. Videos are completed only by
+// watch heartbeats and quizzes only by passing them through submitQuiz.
+export const COMPLETION_EVENTS = {
+    video: [],
+    article: ["read"],
+    pdf: ["viewed", "downloaded"],
+    link: ["opened"],
+    quiz: []
+};
+
+const idOf = (value) => value?._id?.toString?.() || value?.toString?.() || String(value || "");
+
+const courseHasLecture = (course, lectureId) =>
+    (course.lectures || []).some((id) => idOf(id) === String(lectureId));
+
+const COURSE_ACCESS_FIELDS = "lectures sections enrollments enrolledStudents creator createdAt";
+
+// Percentage of a video that must be watched before it counts as completed
+export const getVideoCompletionThreshold = () => {
+    const value = Number(process.env.VIDEO_COMPLETION_THRESHOLD);
+    return Number.isFinite(value) && value > 0 && value <= 100 ? value : 90;
+};
+
+/**
+ * Load course + lecture for a progress write by the signed-in user and run the
+ * enrollment and drip-lock checks. Sends the error response and returns null on failure.
+ */
+const loadLectureForProgress = async (req, res, { courseId, lectureId, lectureFields }) => {
+    const userId = req.userId;
+    const [course, lecture] = await Promise.all([
+        Course.findById(courseId).select(COURSE_ACCESS_FIELDS),
+        Lecture.findById(lectureId).select(lectureFields)
+    ]);
+    if(!course || !lecture || !courseHasLecture(course, lectureId)){
+        res.status(404).json({message:"Lecture not found in this course"});
+        return null;
+    }
+
+    const isEnrolled = course.enrolledStudents.some((id) => idOf(id) === String(userId));
+    const isManager = idOf(course.creator) === String(userId) || req.userRole === "admin";
+    if(!isEnrolled && !isManager){
+        res.status(403).json({message:"Enroll in the course to track progress"});
+        return null;
+    }
+
+    const locked = await checkLectureUnlocked(course, lecture, userId, isManager);
+    if(locked){
+        res.status(403).json(locked);
+        return null;
+    }
+    return { course, lecture };
+};
+
+const findOrCreateProgress = async (userId, courseId) =>
+    (await Progress.findOne({userId,courseId})) || new Progress({userId, courseId});
+
+// Drip-locked lectures cannot be progressed; returns the 403 body or null
+const checkLectureUnlocked = async (course, lecture, userId, bypass) => {
+    const context = await loadReleaseContext(course, userId, { bypass });
+    const availability = getLectureAvailability(course, lecture, context);
+    if (availability.available) return null;
+    return { message: "This lecture is locked", code: "CONTENT_LOCKED", ...availability };
+};
+
+const getLectureEntry = (progress, lecture) => {
+    let entry = progress.lectureProgress.find((item) => idOf(item.lectureId) === idOf(lecture));
+    if (!entry) {
+        progress.lectureProgress.push({ lectureId: lecture._id, lectureType: lecture.lectureType || "video" });
+        entry = progress.lectureProgress[progress.lectureProgress.length - 1];
+    }
+    return entry;
+};
+
+const markCompleted = (progress, entry, completedBy) => {
+    if (entry.status !== "completed") {
+        entry.status = "completed";
+        entry.completedBy = completedBy;
+        entry.completedAt = new Date();
+    }
+    const lectureId = idOf(entry.lectureId);
+    if (!progress.watchedLectures.includes(lectureId)) {
+        progress.watchedLectures.push(lectureId);
+    }
+};
+
+/**
+ * Completion percentage against the lectures the course has now, so deleted
+ * lectures stop counting and new ones lower the figure.
+ */
+export const computeCompletion = (progress, course) => {
+    const lectureIds = new Set((course.lectures || []).map(idOf));
+    if (!lectureIds.size) return 0;
+    const completed = new Set(progress.watchedLectures.filter((id) => lectureIds.has(id)));
+    return Math.round((completed.size / lectureIds.size) * 100);
+};
+
+// Strip quiz answers and watch ranges before sending progress back to clients
+const toProgressResponse = (progress) => ({
+    completion: progress?.completion || 0,
+    completedLectures: progress?.watchedLectures || [],
+    lectureProgress: (progress?.lectureProgress || []).map((entry) => ({
+        lectureId: entry.lectureId,
+        lectureType: entry.lectureType,
+        status: entry.status,
+        completedBy: entry.completedBy,
+        completedAt: entry.completedAt,
+        quizAttempts: entry.quizAttempts.length,
+        bestQuizPercent: entry.bestQuizPercent,
+        lastPosition: entry.lastPosition,
+        durationSeconds: entry.durationSeconds,
+        watchedSeconds: entry.watchedSeconds,
+        watchedPercent: entry.durationSeconds
+            ? Math.min(100, Math.round((entry.watchedSeconds / entry.durationSeconds) * 100))
+            : 0
+    })),
+    lastLectureId: progress?.lastLectureId || null,
+    lastAccessedAt: progress?.lastAccessedAt || null
+});
+
+// mark an article / pdf / link lecture completed for the signed-in user
 export const updateProgress = async(req,res)=>{
     try{
-        const {userId,courseId,lectureId,totalLectures} = req.body;
+        const {courseId,lectureId,event} = req.body;
+        const userId = req.userId;
 
-        let progress = await Progress.findOne({userId,courseId});
+        if(!courseId || !lectureId){
+            return res.status(400).json({message:"Missing fields"});
+        }
 
-        // new entry
-        if(!progress){
-            progress = new Progress({
-                userId, courseId,
-                watchedLectures:[lectureId]
-            });
-        } 
-        // push lecture only if not exists
-        else if(!progress.watchedLectures.includes(lectureId)){
-            progress.watchedLectures.push(lectureId);
-        } else {
-            // Already watched this lecture
-            progress.completion = Math.round((progress.watchedLectures.length / totalLectures)*100);
-            await progress.save();
-            return res.json({
-                success: true,
-                completion: progress.completion,
-                message: "Progress already recorded for this lecture",
-                alreadyWatched: true
-            });
+        const loaded = await loadLectureForProgress(req, res, {
+            courseId,
+            lectureId,
+            lectureFields: "lectureType release isPreviewFree"
+        });
+        if(!loaded) return;
+        const {course, lecture} = loaded;
+
+        const lectureType = lecture.lectureType || "video";
+        const allowedEvents = COMPLETION_EVENTS[lectureType] || [];
+        if(lectureType === "quiz"){
+            return res.status(400).json({message:"Quiz lectures are completed by passing the quiz"});
+        }
+        if(lectureType === "video"){
+            return res.status(400).json({message:"Video lectures are completed by watch heartbeats (POST /api/progress/heartbeat)"});
         }
+        // Clients that send no event mean the type's primary completion event
+        const completionEvent = event || allowedEvents[0];
 
-        progress.completion = Math.round((progress.watchedLectures.length / totalLectures)*100);
+        const progress = await findOrCreateProgress(userId, courseId);
+        const entry = getLectureEntry(progress, lecture);
+        const alreadyWatched = entry.status === "completed" || progress.watchedLectures.includes(String(lectureId));
+        const lectureCompleted = allowedEvents.includes(completionEvent);
+        if(lectureCompleted){
+            markCompleted(progress, entry, completionEvent);
+        }
+
+        progress.lastLectureId = lecture._id;
+        progress.lastAccessedAt = new Date();
+        progress.completion = computeCompletion(progress, course);
         await progress.save();
 
         res.json({
             success: true,
             completion: progress.completion,
-            message: "Progress updated successfully",
-            alreadyWatched: false
+            lectureCompleted: lectureCompleted || alreadyWatched,
+            message: alreadyWatched
+                ? "Progress already recorded for this lecture"
+                : lectureCompleted
+                    ? "Progress updated successfully"
+                    : `${lectureType} lectures are completed by: ${allowedEvents.join(", ")}`,
+            alreadyWatched
+        });
+
+    }catch(err){
+        console.error("[Progress] Update error:", err);
+        res.status(500).json({
+            message:"Update failed",
+            error: process.env.NODE_ENV === "development" ? err.message : undefined
+        });
+    }
+}
+
+/* ===== VIDEO WATCH HEARTBEATS ===== */
+
+// Fastest playback speed players offer, plus slack for network jitter
+const MAX_PLAYBACK_RATE = 2;
+const HEARTBEAT_SLACK_SECONDS = 5;
+// A longer gap than this starts a new viewing session (no credit across the gap)
+const HEARTBEAT_SESSION_GAP_MS = 5 * 60 * 1000;
+
+const mergeRanges = (ranges) => {
+    const sorted = ranges
+        .filter((range) => range.end > range.start)
+        .map((range) => ({ start: range.start, end: range.end }))
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+    for(const range of sorted){
+        const last = merged[merged.length - 1];
+        if(last && range.start <= last.end){
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Apply one heartbeat to a lecture entry. Playback between two heartbeats is
+ * credited only when it is no faster than the wall-clock time allows, so seeking
+ * ahead or replaying old requests does not count as watching.
+ */
+const applyHeartbeat = (entry, { position, durationSeconds, seeked, now }) => {
+    if(durationSeconds > 0 && !entry.durationSeconds){
+        entry.durationSeconds = durationSeconds;
+    }
+    const duration = entry.durationSeconds || durationSeconds || 0;
+    const current = duration > 0 ? Math.min(Math.max(position, 0), duration) : Math.max(position, 0);
+
+    const lastAt = entry.lastHeartbeatAt ? new Date(entry.lastHeartbeatAt).getTime() : 0;
+    const elapsedSeconds = (now.getTime() - lastAt) / 1000;
+    const advanced = current - (entry.lastPosition || 0);
+    let credited = 0;
+
+    if(!seeked && lastAt && now.getTime() - lastAt <= HEARTBEAT_SESSION_GAP_MS && advanced > 0 &&
+        advanced <= elapsedSeconds * MAX_PLAYBACK_RATE + HEARTBEAT_SLACK_SECONDS){
+        entry.watchedRanges = mergeRanges([...entry.watchedRanges, { start: entry.lastPosition, end: current }]);
+        credited = advanced;
+    }
+
+    entry.watchedSeconds = round1(entry.watchedRanges.reduce((sum, range) => sum + (range.end - range.start), 0));
+    entry.lastPosition = round1(current);
+    entry.lastHeartbeatAt = now;
+
+    return {
+        credited: round1(credited),
+        watchedPercent: duration > 0 ? Math.min(100, Math.round((entry.watchedSeconds / duration) * 100)) : 0
+    };
+};
+
+// body: { courseId, lectureId, position, duration?, seeked? } - send every 10-30s while playing.
+// `duration` only fills in the percentage for lectures without a stored durationSeconds.
+export const recordWatchHeartbeat = async(req,res)=>{
+    try{
+        const {courseId, lectureId, seeked} = req.body || {};
+        const position = Number(req.body?.position);
+        const reportedDuration = Number(req.body?.duration || 0);
+
+        if(!courseId || !lectureId || !Number.isFinite(position) || position < 0){
+            return res.status(400).json({message:"courseId, lectureId and a non-negative position are required"});
+        }
+
+        const loaded = await loadLectureForProgress(req, res, {
+            courseId,
+            lectureId,
+            lectureFields: "lectureType durationSeconds release isPreviewFree"
+        });
+        if(!loaded) return;
+        const {course, lecture} = loaded;
+
+        if((lecture.lectureType || "video") !== "video"){
+            return res.status(400).json({message:"Heartbeats are only accepted for video lectures"});
+        }
+
+        const progress = await findOrCreateProgress(req.userId, courseId);
+        const entry = getLectureEntry(progress, lecture);
+        const durationSeconds = Number(lecture.durationSeconds) > 0
+            ? Number(lecture.durationSeconds)
+            : Number.isFinite(reportedDuration) && reportedDuration > 0 ? reportedDuration : 0;
+        if(lecture.durationSeconds > 0){
+            entry.durationSeconds = lecture.durationSeconds;
+        }
+
+        const result = applyHeartbeat(entry, {
+            position,
+            durationSeconds,
+            seeked: seeked === true || seeked === "true",
+            now: new Date()
+        });
+
+        // A client-reported duration is only used for display: anyone can claim a short one,
+        // so completion needs the duration stored on the lecture
+        const threshold = getVideoCompletionThreshold();
+        const completionTracked = Number(lecture.durationSeconds) > 0;
+        if(completionTracked && result.watchedPercent >= threshold){
+            markCompleted(progress, entry, "watched");
+        }
+
+        progress.lastLectureId = lecture._id;
+        progress.lastAccessedAt = new Date();
+        progress.completion = computeCompletion(progress, course);
+        await progress.save();
+
+        res.json({
+            success: true,
+            lectureId,
+            position: entry.lastPosition,
+            watchedSeconds: entry.watchedSeconds,
+            watchedPercent: result.watchedPercent,
+            creditedSeconds: result.credited,
+            completionThreshold: threshold,
+            completionTracked,
+            lectureCompleted: entry.status === "completed",
+            completion: progress.completion
+        });
+
+    }catch(err){
+        console.error("[Progress] Heartbeat error:", err);
+        res.status(500).json({
+            message:"Heartbeat failed",
+            error: process.env.NODE_ENV === "development" ? err.message : undefined
+        });
+    }
+}
+
+// where to resume a course: last lecture opened and its saved playback position
+export const getResumePoint = async(req,res)=>{
+    try{
+        const {courseId} = req.params;
+
+        const [course, progress] = await Promise.all([
+            Course.findById(courseId).select("lectures"),
+            Progress.findOne({userId: req.userId, courseId})
+        ]);
+        if(!course){
+            return res.status(404).json({message:"Course not found"});
+        }
+
+        // Fall back to the first lecture not yet completed, then the first lecture
+        const lastLectureId = progress?.lastLectureId && courseHasLecture(course, progress.lastLectureId)
+            ? idOf(progress.lastLectureId)
+            : null;
+        const completed = new Set(progress?.watchedLectures || []);
+        const lectureId = lastLectureId ||
+            course.lectures.map(idOf).find((id) => !completed.has(id)) ||
+            (course.lectures[0] ? idOf(course.lectures[0]) : null);
+        const entry = progress?.lectureProgress.find((item) => idOf(item.lectureId) === lectureId);
+
+        res.json({
+            lectureId,
+            position: entry?.lastPosition || 0,
+            completion: progress?.completion || 0,
+            positions: (progress?.lectureProgress || [])
+                .filter((item) => item.lastPosition > 0)
+                .map((item) => ({ lectureId: item.lectureId, position: item.lastPosition }))
         });
 
     }catch(err){
-        res.status(500).json({err:"Update failed",details:err});
+        console.error("[Progress] Resume error:", err);
+        res.status(500).json({
+            message:"Fetch fail",
+            error: process.env.NODE_ENV === "development" ? err.message : undefined
+        });
     }
 }
 
-// get saved progress
+// get saved progress (own progress, or any student's for the course creator / admin)
 export const getProgress = async(req,res)=>{
     try{
         const {userId,courseId} = req.params;
 
+        if(String(userId) !== String(req.userId) && req.userRole !== "admin"){
+            const course = await Course.findById(courseId).select("creator");
+            if(!course || idOf(course.creator) !== String(req.userId)){
+                return res.status(403).json({message:"You can only view your own progress"});
+            }
+        }
+
         const record = await Progress.findOne({userId,courseId});
-        res.json({completion: record?.completion || 0});
+        res.json(toProgressResponse(record));
 
     }catch(err){
         res.status(500).json({message:"Fetch fail",err});
     }
 }
+
+/* ===== QUIZ LECTURES ===== */
+
+const normalizeAnswer = (answer) => {
+    const values = Array.isArray(answer) ? answer : answer === undefined || answer === null ? [] : [answer];
+    return [...new Set(values.map(Number).filter(Number.isInteger))].sort((a, b) => a - b);
+};
+
+const gradeQuiz = (questions, answers) => {
+    let score = 0;
+    let maxScore = 0;
+    const normalized = questions.map((_, index) => normalizeAnswer(answers[index]));
+
+    const results = questions.map((question, index) => {
+        const expected = [...(question.correctOptions || [])].sort((a, b) => a - b);
+        const selected = normalized[index];
+        const correct = expected.length > 0 &&
+            expected.length === selected.length &&
+            expected.every((value, i) => value === selected[i]);
+        const points = Number(question.points ?? 1);
+        maxScore += points;
+        if(correct) score += points;
+        return { questionId: question._id, correct, selected, correctOptions: expected, explanation: question.explanation };
+    });
+
+    const percent = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+    return { score, maxScore, percent, answers: normalized, results };
+};
+
+// submit answers for a quiz lecture; passing completes the lecture
+export const submitQuiz = async(req,res)=>{
+    try{
+        const {lectureId} = req.params;
+        const {courseId, answers} = req.body || {};
+        const userId = req.userId;
+
+        if(!courseId || !Array.isArray(answers)){
+            return res.status(400).json({message:"courseId and answers[] are required"});
+        }
+
+        const loaded = await loadLectureForProgress(req, res, {
+            courseId,
+            lectureId,
+            lectureFields: "+quiz.questions.correctOptions"
+        });
+        if(!loaded) return;
+        const {course, lecture} = loaded;
+
+        if(lecture.lectureType !== "quiz" || !lecture.quiz?.questions?.length){
+            return res.status(400).json({message:"This lecture has no quiz"});
+        }
+
+        const progress = await findOrCreateProgress(userId, courseId);
+        const entry = getLectureEntry(progress, lecture);
+
+        const maxAttempts = Number(lecture.quiz.maxAttempts || 0);
+        if(maxAttempts > 0 && entry.quizAttempts.length >= maxAttempts){
+            return res.status(403).json({
+                message:"No quiz attempts left",
+                attemptsUsed: entry.quizAttempts.length,
+                maxAttempts
+            });
+        }
+
+        const graded = gradeQuiz(lecture.quiz.questions, answers);
+        const passed = graded.percent >= Number(lecture.quiz.passingScore ?? 60);
+
+        entry.quizAttempts.push({
+            score: graded.score,
+            maxScore: graded.maxScore,
+            percent: graded.percent,
+            passed,
+            answers: graded.answers
+        });
+        entry.bestQuizPercent = Math.max(entry.bestQuizPercent || 0, graded.percent);
+        if(passed){
+            markCompleted(progress, entry, "quiz_passed");
+        }
+
+        progress.lastLectureId = lecture._id;
+        progress.lastAccessedAt = new Date();
+        progress.completion = computeCompletion(progress, course);
+        await progress.save();
+
+        const attemptsLeft = maxAttempts > 0 ? Math.max(0, maxAttempts - entry.quizAttempts.length) : null;
+        // Reveal answers once they can no longer be used for another attempt
+        const revealAnswers = passed || attemptsLeft === 0;
+
+        res.json({
+            success: true,
+            passed,
+            score: graded.score,
+            maxScore: graded.maxScore,
+            percent: graded.percent,
+            passingScore: lecture.quiz.passingScore,
+            attemptsUsed: entry.quizAttempts.length,
+            attemptsLeft,
+            lectureCompleted: entry.status === "completed",
+            completion: progress.completion,
+            results: graded.results.map(({ correctOptions, explanation, ...result }) =>
+                revealAnswers ? { ...result, correctOptions, explanation } : result
+            )
+        });
+
+    }catch(err){
+        console.error("[Progress] Quiz submit error:", err);
+        res.status(500).json({
+            message:"Quiz submission failed",
+            error: process.env.NODE_ENV === "development" ? err.message : undefined
+        });
+    }
+}
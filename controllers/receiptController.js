@@ -161,6 +161,27 @@ export const generateReceipt = async (req, res) => {
        .text("Payment Details:", 70, yPos);
     yPos += 25;
 
+    if (order.couponCode && Number(order.discountAmount) > 0) {
+      doc.fontSize(12)
+         .font("Helvetica-Bold")
+         .text("Course Price:", 70, yPos);
+      doc.font("Helvetica")
+         .text(`₹${Number(order.originalAmount ?? order.amount + order.discountAmount).toFixed(2)}`, 200, yPos);
+      yPos += 25;
+
+      doc.font("Helvetica-Bold")
+         .text("Coupon:", 70, yPos);
+      doc.font("Helvetica")
+         .text(order.couponCode, 200, yPos);
+      yPos += 25;
+
+      doc.font("Helvetica-Bold")
+         .text("Discount:", 70, yPos);
+      doc.font("Helvetica")
+         .text(`- ₹${Number(order.discountAmount).toFixed(2)}`, 200, yPos);
+      yPos += 25;
+    }
+
     doc.fontSize(12)
        .font("Helvetica-Bold")
        .text("Amount:", 70, yPos);
@@ -219,6 +240,133 @@ export const generateReceipt = async (req, res) => {
   }
 };
 
+/* =====================================================
+    GENERATE CREDIT NOTE PDF FOR A REFUND (Authenticated)
+=====================================================*/
+export const generateCreditNote = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params;
+    const userId = req.userId;
+
+    const order = await Order.findById(orderId)
+      .populate("student", "name email")
+      .populate("course", "title")
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isOwner = order.student._id.toString() === userId.toString();
+    if (!isOwner && user.role !== "admin" && user.role !== "educator") {
+      return res.status(403).json({ 
+        message: "You don't have permission to access this credit note" 
+      });
+    }
+
+    const refund = (order.refunds || []).find((item) => item.refundId === refundId);
+    if (!refund || !refund.creditNoteId) {
+      return res.status(404).json({ message: "Refund not found for this order" });
+    }
+    if (refund.status === "failed") {
+      return res.status(400).json({ message: "Credit note is not available for failed refunds" });
+    }
+
+    const doc = new PDFDocument({
+      layout: "portrait",
+      size: "A4",
+      margin: 50,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=CreditNote-${refund.creditNoteId}.pdf`);
+    doc.pipe(res);
+
+    /* ---------- HEADER ---------- */
+    doc.fontSize(24)
+       .font("Helvetica-Bold")
+       .fillColor("#000")
+       .text("Learnify", 50, 50, { align: "center" });
+
+    doc.fontSize(18)
+       .font("Helvetica-Bold")
+       .text("CREDIT NOTE", 50, 90, { align: "center" });
+
+    doc.rect(50, 120, 500, 600).lineWidth(2).stroke("#000");
+
+    let yPos = 140;
+    const writeRow = (label, value) => {
+      doc.fontSize(12)
+         .font("Helvetica-Bold")
+         .fillColor("#000")
+         .text(label, 70, yPos);
+      doc.font("Helvetica")
+         .text(String(value ?? ""), 220, yPos, { width: 310 });
+      yPos += 28;
+    };
+
+    writeRow("Credit Note No:", refund.creditNoteId);
+    writeRow("Date:", new Date(refund.processedAt || refund.createdAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }));
+    writeRow("Against Receipt:", order.receiptId || "-");
+    writeRow("Refund ID:", refund.refundId);
+    writeRow("Payment ID:", order.razorpay_payment_id || "-");
+    yPos += 12;
+
+    writeRow("Student Name:", order.student?.name || "N/A");
+    writeRow("Student Email:", order.student?.email || "N/A");
+    writeRow("Course Title:", order.course?.title || "N/A");
+    yPos += 12;
+
+    writeRow("Original Amount:", `₹${Number(order.amount || 0).toFixed(2)}`);
+    writeRow("Refund Amount:", `₹${Number(refund.amount || 0).toFixed(2)}`);
+    writeRow("Refund Status:", String(refund.status || "processed").toUpperCase());
+    writeRow("Reason:", refund.reason || "-");
+    if (refund.unenrolled) {
+      writeRow("Enrollment:", "Access to this course has been withdrawn");
+    }
+
+    /* ---------- TOTAL ---------- */
+    yPos += 12;
+    doc.moveTo(70, yPos)
+       .lineTo(530, yPos)
+       .lineWidth(2)
+       .stroke();
+    yPos += 20;
+
+    doc.fontSize(16)
+       .font("Helvetica-Bold")
+       .text("Amount Credited:", 70, yPos);
+    doc.text(`₹${Number(refund.amount || 0).toFixed(2)}`, 400, yPos, { align: "right" });
+
+    /* ---------- FOOTER ---------- */
+    doc.fontSize(10)
+       .font("Helvetica")
+       .fillColor("#666")
+       .text("This is a computer-generated credit note. No signature required.", 50, 680, { align: "center" });
+    doc.text("Learnify", 50, 700, { align: "center" });
+
+    doc.end();
+
+    console.log(`[Receipt] Credit note generated for order: ${orderId}, refund: ${refundId}`);
+
+  } catch (err) {
+    console.error("[Receipt] Credit note error:", err);
+    res.status(500).json({ 
+      message: "Failed to generate credit note", 
+      error: process.env.NODE_ENV === "development" ? err.message : "Internal server error" 
+    });
+  }
+};
+
 /* =====================================================
     GET USER'S RECEIPTS (Authenticated)
 =====================================================*/
@@ -247,7 +395,19 @@ export const getMyReceipts = async (req, res) => {
         currency: order.currency,
         paidAt: order.paidAt,
         status: order.status,
-        paymentId: order.razorpay_payment_id
+        paymentId: order.razorpay_payment_id,
+        originalAmount: order.originalAmount ?? order.amount,
+        couponCode: order.couponCode || null,
+        discountAmount: order.discountAmount || 0,
+        amountRefunded: order.amountRefunded || 0,
+        refunds: (order.refunds || []).map(refund => ({
+          refundId: refund.refundId,
+          amount: refund.amount,
+          status: refund.status,
+          reason: refund.reason,
+          creditNoteId: refund.creditNoteId,
+          processedAt: refund.processedAt
+        }))
       }))
     });
 
@@ -0,0 +1,431 @@
+import mongoose from "mongoose";
+import Order from "../models/orderModel.js";
+import FeePaymentOrder from "../models/feePaymentOrderModel.js";
+import FeeRecord from "../models/feeRecordModel.js";
+import { getPaymentProvider } from "../configs/paymentGateway.js";
+import { completeCourseOrder } from "./orderController.js";
+import { recoverStuckFeePaymentOrder, settleFeePaymentOrder } from "./feeController.js";
+
+const DEFAULT_STUCK_AFTER_MINUTES = 15;
+const DEFAULT_ABANDON_AFTER_HOURS = 24;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_RECORDS_PER_RUN = 200;
+
+const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
+const fromPaise = (value) => round2(Number(value || 0) / 100);
+
+// An injected provider (e.g. Razorpay over scripts/fakeRazorpayClient.js) overrides
+// the provider recorded on each order.
+const resolveProvider = (override, providerName) => {
+  const provider = override || getPaymentProvider(providerName);
+  if (!provider.isConfigured) {
+    throw new Error(`Payment provider ${provider.name} is not configured`);
+  }
+  return provider;
+};
+
+const fetchGatewayState = async (provider, gatewayOrderId) => {
+  const [gatewayOrder, payments] = await Promise.all([
+    provider.fetchOrder(gatewayOrderId),
+    provider.fetchOrderPayments(gatewayOrderId),
+  ]);
+  // A payment refunded in full moves from "captured" to "refunded" but was still collected
+  const captured = payments.find((item) => item.status === "captured" || item.status === "refunded") || null;
+
+  return {
+    orderStatus: gatewayOrder?.status || "unknown",
+    amountPaid: fromPaise(gatewayOrder?.amountPaid),
+    payments,
+    captured,
+    allFailed: payments.length > 0 && payments.every((item) => item.status === "failed"),
+  };
+};
+
+const toResult = (kind, record, gatewayOrderId, action, detail = "") => ({
+  kind,
+  id: record._id.toString(),
+  gatewayOrderId,
+  action,
+  detail,
+});
+
+/**
+ * Re-check stuck course orders (`pending`) and fee payment orders (`created`, or
+ * `processing` for longer than `stuckAfterMinutes`) against the gateway and move
+ * them to their real state.
+ * @param {Object} options
+ * @param {Object} [options.provider] - Payment provider to use for every record (defaults to each record's own)
+ * @param {number} [options.stuckAfterMinutes] - Ignore orders younger than this
+ * @param {number} [options.abandonAfterHours] - Mark never-paid orders failed after this
+ * @param {number} [options.lookbackDays] - Ignore orders older than this
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Object>} Run summary with per-record results
+ */
+export const reconcilePayments = async ({
+  provider,
+  stuckAfterMinutes = DEFAULT_STUCK_AFTER_MINUTES,
+  abandonAfterHours = DEFAULT_ABANDON_AFTER_HOURS,
+  lookbackDays = DEFAULT_LOOKBACK_DAYS,
+  dryRun = false,
+} = {}) => {
+  const now = Date.now();
+  const createdRange = {
+    $lte: new Date(now - stuckAfterMinutes * 60 * 1000),
+    $gte: new Date(now - lookbackDays * 24 * 60 * 60 * 1000),
+  };
+  const abandonBefore = now - abandonAfterHours * 60 * 60 * 1000;
+  const stuckBefore = new Date(now - stuckAfterMinutes * 60 * 1000);
+
+  const [orders, feeOrders, processingFeeOrders] = await Promise.all([
+    Order.find({ status: "pending", isPaid: false, createdAt: createdRange })
+      .sort({ createdAt: 1 })
+      .limit(MAX_RECORDS_PER_RUN),
+    FeePaymentOrder.find({ status: "created", createdAt: createdRange })
+      .sort({ createdAt: 1 })
+      .limit(MAX_RECORDS_PER_RUN),
+    // Claims left behind by a settle call that never finished
+    FeePaymentOrder.find({
+      status: "processing",
+      $or: [{ processingAt: { $lte: stuckBefore } }, { processingAt: null }],
+    })
+      .sort({ processingAt: 1 })
+      .limit(MAX_RECORDS_PER_RUN),
+  ]);
+
+  const results = [];
+
+  for (const order of orders) {
+    try {
+      const state = await fetchGatewayState(resolveProvider(provider, order.paymentProvider), order.razorpay_order_id);
+      if (state.orderStatus === "paid" || state.captured) {
+        if (!dryRun) {
+          const outcome = await completeCourseOrder(order, { paymentId: state.captured?.id });
+          results.push(toResult("course_order", order, order.razorpay_order_id, "completed", outcome.message));
+        } else {
+          results.push(toResult("course_order", order, order.razorpay_order_id, "would_complete"));
+        }
+      } else if (state.allFailed || order.createdAt.getTime() < abandonBefore) {
+        const reason = state.allFailed ? "All payment attempts failed" : "Checkout abandoned";
+        if (dryRun) {
+          results.push(toResult("course_order", order, order.razorpay_order_id, "would_fail", reason));
+        } else {
+          // A webhook or verify call may have settled the order since it was read
+          const marked = await Order.updateOne(
+            { _id: order._id, status: "pending", isPaid: false },
+            { $set: { status: "failed", failureReason: reason } }
+          );
+          results.push(
+            marked.modifiedCount
+              ? toResult("course_order", order, order.razorpay_order_id, "failed", reason)
+              : toResult("course_order", order, order.razorpay_order_id, "unchanged", "Settled concurrently")
+          );
+        }
+      } else {
+        results.push(toResult("course_order", order, order.razorpay_order_id, "unchanged", state.orderStatus));
+      }
+    } catch (error) {
+      results.push(toResult("course_order", order, order.razorpay_order_id, "error", error.message || String(error)));
+    }
+  }
+
+  for (const paymentOrder of feeOrders) {
+    try {
+      const state = await fetchGatewayState(
+        resolveProvider(provider, paymentOrder.paymentProvider),
+        paymentOrder.razorpayOrderId
+      );
+      if (state.orderStatus === "paid" || state.captured) {
+        if (!dryRun) {
+          const record = await FeeRecord.findById(paymentOrder.feeRecordId);
+          if (!record) {
+            throw new Error(`Fee record ${paymentOrder.feeRecordId} not found`);
+          }
+          const settled = await settleFeePaymentOrder(paymentOrder, record, { paymentId: state.captured?.id });
+          results.push(
+            toResult(
+              "fee_payment",
+              paymentOrder,
+              paymentOrder.razorpayOrderId,
+              settled.posted ? "completed" : settled.alreadySettled ? "unchanged" : "failed",
+              settled.reason
+            )
+          );
+        } else {
+          results.push(toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "would_complete"));
+        }
+      } else if (state.allFailed || paymentOrder.createdAt.getTime() < abandonBefore) {
+        const reason = state.allFailed ? "All payment attempts failed" : "Checkout abandoned";
+        if (dryRun) {
+          results.push(toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "would_fail", reason));
+        } else {
+          // "failed" orders can still be settled, so never mark one a webhook has already claimed
+          const marked = await FeePaymentOrder.updateOne(
+            { _id: paymentOrder._id, status: "created" },
+            { $set: { status: "failed", failureReason: reason } }
+          );
+          results.push(
+            marked.modifiedCount
+              ? toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "failed", reason)
+              : toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "unchanged", "Settled concurrently")
+          );
+        }
+      } else {
+        results.push(toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "unchanged", state.orderStatus));
+      }
+    } catch (error) {
+      results.push(
+        toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "error", error.message || String(error))
+      );
+    }
+  }
+
+  for (const paymentOrder of processingFeeOrders) {
+    try {
+      const state = await fetchGatewayState(
+        resolveProvider(provider, paymentOrder.paymentProvider),
+        paymentOrder.razorpayOrderId
+      );
+      const collected = state.orderStatus === "paid" || Boolean(state.captured);
+      if (dryRun) {
+        results.push(
+          toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, collected ? "would_complete" : "unchanged", "Stuck in processing")
+        );
+        continue;
+      }
+      if (!collected) {
+        // Hand the order back to the normal flow; the abandon rule above fails it later
+        await FeePaymentOrder.updateOne(
+          { _id: paymentOrder._id, status: "processing", processingAt: paymentOrder.processingAt ?? null },
+          { $set: { status: "created" }, $unset: { processingAt: 1 } }
+        );
+        results.push(toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "unchanged", "Released stuck processing claim"));
+        continue;
+      }
+
+      const record = await FeeRecord.findById(paymentOrder.feeRecordId);
+      if (!record) {
+        throw new Error(`Fee record ${paymentOrder.feeRecordId} not found`);
+      }
+      const recovered = await recoverStuckFeePaymentOrder(paymentOrder, record, {
+        paymentId: state.captured?.id,
+        stuckBefore,
+      });
+      results.push(
+        toResult(
+          "fee_payment",
+          paymentOrder,
+          paymentOrder.razorpayOrderId,
+          recovered.recovered ? "completed" : recovered.alreadySettled ? "unchanged" : "failed",
+          recovered.reason || "Recovered stuck processing claim"
+        )
+      );
+    } catch (error) {
+      results.push(
+        toResult("fee_payment", paymentOrder, paymentOrder.razorpayOrderId, "error", error.message || String(error))
+      );
+    }
+  }
+
+  const count = (action) => results.filter((item) => item.action === action).length;
+  return {
+    dryRun,
+    checked: results.length,
+    completed: count(dryRun ? "would_complete" : "completed"),
+    failed: count(dryRun ? "would_fail" : "failed"),
+    unchanged: count("unchanged"),
+    errors: count("error"),
+    results,
+  };
+};
+
+/**
+ * Compare local order/fee-payment records in a date range with the gateway
+ * and list every disagreement. Read-only.
+ * @param {Object} options - { provider, from, to }
+ * @returns {Promise<Object>} { checked, mismatches: [...] }
+ */
+export const buildReconciliationReport = async ({ provider, from, to }) => {
+  const createdAt = { $gte: from, $lte: to };
+
+  const [orders, feeOrders] = await Promise.all([
+    Order.find({ createdAt }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_RUN).lean(),
+    FeePaymentOrder.find({ createdAt }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_RUN).lean(),
+  ]);
+
+  const mismatches = [];
+  const compare = async ({ kind, record, providerName, gatewayOrderId, localPaid, localAmount, localRefunded, localStatus }) => {
+    let state;
+    try {
+      state = await fetchGatewayState(resolveProvider(provider, providerName), gatewayOrderId);
+    } catch (error) {
+      mismatches.push({
+        kind,
+        id: record._id.toString(),
+        gatewayOrderId,
+        type: "gateway_lookup_failed",
+        localStatus,
+        detail: error.message || String(error),
+      });
+      return;
+    }
+
+    const gatewayPaid = state.orderStatus === "paid" || Boolean(state.captured);
+    const base = { kind, id: record._id.toString(), gatewayOrderId, localStatus, gatewayStatus: state.orderStatus };
+
+    if (gatewayPaid && !localPaid) {
+      mismatches.push({ ...base, type: "captured_not_recorded", detail: "Gateway captured payment but local record is unpaid" });
+      return;
+    }
+    if (!gatewayPaid && localPaid) {
+      mismatches.push({ ...base, type: "recorded_not_captured", detail: "Local record is paid but gateway has no captured payment" });
+      return;
+    }
+    if (!gatewayPaid) return;
+
+    const gatewayAmount = state.captured ? fromPaise(state.captured.amount) : state.amountPaid;
+    if (Math.abs(gatewayAmount - localAmount) > 0.009) {
+      mismatches.push({
+        ...base,
+        type: "amount_mismatch",
+        detail: `Local ₹${localAmount.toFixed(2)} vs gateway ₹${gatewayAmount.toFixed(2)}`,
+      });
+    }
+
+    const gatewayRefunded = fromPaise(state.captured?.amountRefunded);
+    if (Math.abs(gatewayRefunded - localRefunded) > 0.009) {
+      mismatches.push({
+        ...base,
+        type: "refund_mismatch",
+        detail: `Local refunded ₹${localRefunded.toFixed(2)} vs gateway ₹${gatewayRefunded.toFixed(2)}`,
+      });
+    }
+  };
+
+  for (const order of orders) {
+    await compare({
+      kind: "course_order",
+      record: order,
+      providerName: order.paymentProvider,
+      gatewayOrderId: order.razorpay_order_id,
+      localPaid: Boolean(order.isPaid),
+      localAmount: round2(order.amount),
+      localRefunded: round2(order.amountRefunded),
+      localStatus: order.status,
+    });
+  }
+
+  for (const paymentOrder of feeOrders) {
+    await compare({
+      kind: "fee_payment",
+      record: paymentOrder,
+      providerName: paymentOrder.paymentProvider,
+      gatewayOrderId: paymentOrder.razorpayOrderId,
+      localPaid: paymentOrder.status === "paid" || paymentOrder.status === "refunded",
+      localAmount: round2(paymentOrder.amount),
+      localRefunded: round2(paymentOrder.refundedAmount),
+      localStatus: paymentOrder.status,
+    });
+  }
+
+  return {
+    from,
+    to,
+    checked: orders.length + feeOrders.length,
+    truncated: orders.length >= MAX_RECORDS_PER_RUN || feeOrders.length >= MAX_RECORDS_PER_RUN,
+    mismatchCount: mismatches.length,
+    mismatches,
+  };
+};
+
+/* =====================================================
+    SCHEDULED SWEEPER
+=====================================================*/
+let reconciliationTimer = null;
+let isReconciliationRunning = false;
+
+export const startPaymentReconciliationJob = ({ provider } = {}) => {
+  const intervalMinutes = Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES ?? 15);
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+    console.log("[Reconciliation] Scheduled sweeper disabled");
+    return null;
+  }
+  if (reconciliationTimer) {
+    return reconciliationTimer;
+  }
+
+  const tick = async () => {
+    if (isReconciliationRunning || mongoose.connection.readyState !== 1) return;
+    isReconciliationRunning = true;
+    try {
+      const summary = await reconcilePayments({ provider });
+      if (summary.completed || summary.failed || summary.errors) {
+        console.log(
+          `[Reconciliation] Checked ${summary.checked}: ${summary.completed} completed, ${summary.failed} failed, ${summary.errors} errors`
+        );
+      }
+    } catch (error) {
+      console.error("[Reconciliation] Sweeper run failed:", error?.message || error);
+    } finally {
+      isReconciliationRunning = false;
+    }
+  };
+
+  reconciliationTimer = setInterval(tick, intervalMinutes * 60 * 1000);
+  reconciliationTimer.unref?.();
+  console.log(`[Reconciliation] Sweeper scheduled every ${intervalMinutes} minutes`);
+  return reconciliationTimer;
+};
+
+export const stopPaymentReconciliationJob = () => {
+  if (reconciliationTimer) {
+    clearInterval(reconciliationTimer);
+    reconciliationTimer = null;
+  }
+};
+
+/* =====================================================
+    ADMIN ENDPOINTS
+=====================================================*/
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const to = req.query?.to ? new Date(req.query.to) : new Date();
+    const from = req.query?.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({ message: "Invalid from/to date range" });
+    }
+
+    const report = await buildReconciliationReport({ from, to });
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error("[Reconciliation] Report error:", error);
+    return res.status(500).json({
+      message: "Failed to build reconciliation report",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export const runReconciliationNow = async (req, res) => {
+  try {
+    if (isReconciliationRunning) {
+      return res.status(409).json({ message: "A reconciliation run is already in progress" });
+    }
+
+    isReconciliationRunning = true;
+    try {
+      const summary = await reconcilePayments({ dryRun: String(req.body?.dryRun) === "true" || req.body?.dryRun === true });
+      return res.status(200).json({ message: "Reconciliation completed", ...summary });
+    } finally {
+      isReconciliationRunning = false;
+    }
+  } catch (error) {
+    console.error("[Reconciliation] Manual run error:", error);
+    return res.status(500).json({
+      message: "Reconciliation run failed",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
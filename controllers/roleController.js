@@ -0,0 +1,172 @@
+import Role from "../models/roleModel.js";
+import User from "../models/userModel.js";
+import {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  clearPermissionCache,
+  ensureDefaultRoles,
+  isKnownPermission,
+} from "../configs/permissions.js";
+
+const sendRoleError = (res, error, message) =>
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+
+const toRoleKey = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+
+// Returns an error message, or null when every permission is in the catalog
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return "permissions must be an array of permission names";
+  const unknown = permissions.filter((permission) => !isKnownPermission(permission));
+  if (unknown.length) return `Unknown permissions: ${unknown.join(", ")}`;
+  if (permissions.includes(ALL_PERMISSIONS)) return "Only the admin role can hold every permission";
+  return null;
+};
+
+/* ===== CATALOG ===== */
+
+// GET /api/admin/permissions
+export const listPermissions = async (req, res) => {
+  const groups = {};
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    const group = name.split(".")[0];
+    (groups[group] ||= []).push({ name, description });
+  }
+  return res.status(200).json({ permissions: groups });
+};
+
+/* ===== ROLES ===== */
+
+// GET /api/admin/roles - every role with its permissions and how many users hold it
+export const listRoles = async (req, res) => {
+  try {
+    await ensureDefaultRoles();
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+
+    return res.status(200).json({
+      roles: roles.map((role) => ({
+        ...role,
+        userCount: counts.find((entry) => entry._id === role.key)?.count || 0,
+        editable: role.key !== "admin",
+      })),
+    });
+  } catch (error) {
+    console.error("[Roles] List error:", error);
+    return sendRoleError(res, error, "Failed to load roles");
+  }
+};
+
+// POST /api/admin/roles { name, key?, description?, permissions }
+export const createRole = async (req, res) => {
+  try {
+    const { name, description = "", permissions = [] } = req.body || {};
+    const key = toRoleKey(req.body?.key || name);
+    if (!String(name || "").trim() || key.length < 2) {
+      return res.status(400).json({ message: "Role name is required" });
+    }
+    if (!/^[a-z]/.test(key)) {
+      return res.status(400).json({ message: "Role key must start with a letter" });
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) return res.status(400).json({ message: permissionError });
+
+    if (SYSTEM_ROLES.includes(key) || (await Role.exists({ key }))) {
+      return res.status(409).json({ message: `A role with key "${key}" already exists` });
+    }
+
+    const role = await Role.create({
+      key,
+      name: String(name).trim(),
+      description: String(description).trim(),
+      permissions: [...new Set(permissions)],
+      createdBy: req.userId,
+      updatedBy: req.userId,
+    });
+    clearPermissionCache();
+
+    console.log(`[Roles] Role "${key}" created by admin ${req.userId}`);
+    return res.status(201).json({ message: "Role created", role });
+  } catch (error) {
+    console.error("[Roles] Create error:", error);
+    return sendRoleError(res, error, "Failed to create role");
+  }
+};
+
+// PATCH /api/admin/roles/:roleKey { name?, description?, permissions? }
+export const updateRole = async (req, res) => {
+  try {
+    const { roleKey } = req.params;
+    if (roleKey === "admin") {
+      return res.status(403).json({ message: "The admin role always has every permission and cannot be edited" });
+    }
+
+    await ensureDefaultRoles();
+    const role = await Role.findOne({ key: roleKey });
+    if (!role) return res.status(404).json({ message: "Role not found" });
+
+    const { name, description, permissions } = req.body || {};
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) return res.status(400).json({ message: permissionError });
+      role.permissions = [...new Set(permissions)];
+    }
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: "Role name cannot be empty" });
+      role.name = String(name).trim();
+    }
+    if (description !== undefined) role.description = String(description).trim();
+    role.updatedBy = req.userId;
+
+    await role.save();
+    clearPermissionCache();
+
+    console.log(`[Roles] Role "${roleKey}" updated by admin ${req.userId}`);
+    return res.status(200).json({ message: "Role updated", role });
+  } catch (error) {
+    console.error("[Roles] Update error:", error);
+    return sendRoleError(res, error, "Failed to update role");
+  }
+};
+
+// DELETE /api/admin/roles/:roleKey - custom roles only, and only once no user holds them
+export const deleteRole = async (req, res) => {
+  try {
+    const { roleKey } = req.params;
+    if (SYSTEM_ROLES.includes(roleKey)) {
+      return res.status(403).json({ message: "Built-in roles cannot be deleted" });
+    }
+
+    const role = await Role.findOne({ key: roleKey });
+    if (!role) return res.status(404).json({ message: "Role not found" });
+
+    const userCount = await User.countDocuments({ role: roleKey });
+    if (userCount > 0) {
+      return res.status(409).json({
+        message: "Move users to another role before deleting this one",
+        userCount,
+      });
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+
+    console.log(`[Roles] Role "${roleKey}" deleted by admin ${req.userId}`);
+    return res.status(200).json({ message: "Role deleted", key: roleKey });
+  } catch (error) {
+    console.error("[Roles] Delete error:", error);
+    return sendRoleError(res, error, "Failed to delete role");
+  }
+};
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import Session from "../models/sessionModel.js";
+import User from "../models/userModel.js";
+import { ACCESS_TOKEN_TTL_MINUTES } from "../configs/token.js";
+import {
+  REFRESH_TOKEN_COOKIE,
+  clearAuthCookies,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+  setAuthCookies,
+} from "../configs/authSession.js";
+
+const sendSessionError = (res, error, message) =>
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+
+const toSessionSummary = (session, currentSessionId) => ({
+  _id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  loginMethod: session.loginMethod,
+  ip: session.ip,
+  lastIp: session.lastIp,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+/* ===== REFRESH ===== */
+
+// POST /api/auth/refresh - refresh token from the cookie (browsers) or the body (mobile/API clients)
+export const refreshSession = async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_TOKEN_COOKIE] || req.body?.refreshToken;
+    if (!refreshToken) {
+      return res.status(401).json({ message: "Refresh token required. Please login.", code: "REFRESH_INVALID" });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: result.error, code: result.code });
+    }
+
+    const user = await User.findById(result.session.user).select("status");
+    if (!user || user.status !== "approved") {
+      await revokeSession(result.session._id, user ? `status_${user.status}` : "user_deleted");
+      clearAuthCookies(res);
+      return res.status(403).json({ message: "Account is not active. Please contact admin.", code: "SESSION_REVOKED" });
+    }
+
+    setAuthCookies(res, result);
+    return res.status(200).json({
+      authToken: result.accessToken,
+      // Absent when a parallel refresh already rotated the token; keep the newest one
+      ...(result.refreshToken ? { refreshToken: result.refreshToken } : {}),
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    });
+  } catch (error) {
+    console.error("[Session] Refresh error:", error);
+    return sendSessionError(res, error, "Failed to refresh session");
+  }
+};
+
+/* ===== MY SESSIONS ===== */
+
+// GET /api/auth/sessions
+export const listMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => toSessionSummary(session, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("[Session] List error:", error);
+    return sendSessionError(res, error, "Failed to load sessions");
+  }
+};
+
+// DELETE /api/auth/sessions/:sessionId
+export const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.userId }).select("revokedAt");
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    await revokeSession(session._id, "user_logout_remote");
+
+    const current = String(session._id) === String(req.sessionId);
+    if (current) clearAuthCookies(res);
+    console.log(`[Session] User ${req.userId} revoked session ${session._id}`);
+    return res.status(200).json({ message: "Session logged out", sessionId: session._id, current });
+  } catch (error) {
+    console.error("[Session] Revoke error:", error);
+    return sendSessionError(res, error, "Failed to log out session");
+  }
+};
+
+// POST /api/auth/sessions/revoke-all - "log out everywhere"; { keepCurrent: true } keeps this device signed in
+export const revokeAllMySessions = async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keepCurrent === true || req.body?.keepCurrent === "true";
+    const revoked = await revokeUserSessions(req.userId, "user_logout_all", {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined,
+    });
+
+    if (!keepCurrent) clearAuthCookies(res);
+    console.log(`[Session] User ${req.userId} logged out ${revoked} session(s)`);
+    return res.status(200).json({
+      message: keepCurrent ? "Logged out of all other devices" : "Logged out everywhere",
+      revoked,
+    });
+  } catch (error) {
+    console.error("[Session] Revoke all error:", error);
+    return sendSessionError(res, error, "Failed to log out sessions");
+  }
+};
@@ -0,0 +1,406 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import SecuritySetting from "../models/securitySettingModel.js";
+import Role from "../models/roleModel.js";
+import { SYSTEM_ROLES } from "../configs/permissions.js";
+import { revokeUserSessions } from "../configs/authSession.js";
+import { recordFailedLogin, releaseLoginAttempt, reserveLoginAttempt, sendAccountLocked } from "../configs/accountSecurity.js";
+import {
+  BACKUP_CODE_COUNT,
+  buildEnrollmentQr,
+  decryptSecret,
+  encryptSecret,
+  findBackupCode,
+  generateBackupCodes,
+  generateTotpSecret,
+  isTwoFactorRequiredFor,
+  verifyTotp,
+  verifyTwoFactorChallenge,
+} from "../configs/twoFactor.js";
+import { sendSessionResponse } from "./authController.js";
+import { canManageUser } from "./adminUserController.js";
+
+// An enrollment QR that is never confirmed stops being accepted after this long
+const PENDING_SECRET_TTL_MS = 15 * 60 * 1000;
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+const sendTwoFactorError = (res, error, message) =>
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+
+/**
+ * Check a TOTP or backup code against an enrolled user (loaded with SECRET_FIELDS) and
+ * consume it: the TOTP step is remembered and backup codes are marked used.
+ * @returns {Promise<"totp"|"backup_code"|null>}
+ */
+const consumeSecondFactor = async (user, code) => {
+  const value = String(code || "").trim();
+  if (!value || !user.twoFactor?.enabled) return null;
+
+  if (/^\d{6}$/.test(value.replace(/\s+/g, ""))) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), value, {
+      lastUsedStep: user.twoFactor.lastUsedStep || 0,
+    });
+    if (step === null) return null;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return "totp";
+  }
+
+  const index = findBackupCode(user.twoFactor.backupCodes, value);
+  if (index === -1) return null;
+  user.twoFactor.backupCodes[index].usedAt = new Date();
+  await user.save();
+  return "backup_code";
+};
+
+// Drop the secret and backup codes (user turned 2FA off, or an admin reset it)
+const clearTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.pendingCreatedAt": 1,
+        "twoFactor.backupCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.enabledAt": 1,
+      },
+    }
+  );
+
+const backupCodesRemaining = (user) =>
+  (user.twoFactor?.backupCodes || []).filter((record) => !record.usedAt).length;
+
+// Fresh pending secret + QR for the enrollment screen
+const startEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  user.twoFactor.pendingCreatedAt = new Date();
+  await user.save();
+  return buildEnrollmentQr(secret, user.email);
+};
+
+// Promote the pending secret once the first code checks out; returns { backupCodes } or { error, status }
+const confirmEnrollment = async (user, code) => {
+  const pendingAge = Date.now() - new Date(user.twoFactor?.pendingCreatedAt || 0).getTime();
+  const secret = pendingAge <= PENDING_SECRET_TTL_MS ? decryptSecret(user.twoFactor?.pendingSecret) : null;
+  if (!secret) return { error: "Enrollment expired. Start setup again.", status: 410 };
+
+  const step = verifyTotp(secret, code);
+  if (step === null) return { error: "Invalid code. Check your authenticator app and try again.", status: 400 };
+
+  const { codes, records } = generateBackupCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = encryptSecret(secret);
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.pendingCreatedAt = undefined;
+  user.twoFactor.backupCodes = records;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+  return { backupCodes: codes };
+};
+
+const loadChallengeUser = async (challengeToken, purpose) => {
+  const challenge = verifyTwoFactorChallenge(challengeToken);
+  if (!challenge || challenge.purpose !== purpose || !mongoose.isValidObjectId(challenge.userId)) {
+    return { error: "Verification expired. Please login again." };
+  }
+  const user = await User.findById(challenge.userId).select(SECRET_FIELDS);
+  if (!user || user.status !== "approved") {
+    return { error: "Account is not active. Please contact admin." };
+  }
+  return { user, method: challenge.method };
+};
+
+/* ===== LOGIN (challenge token from /login or /googlesignup) ===== */
+
+// POST /api/auth/2fa/verify { challengeToken, code } - code is a TOTP code or a backup code
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const { user, method, error } = await loadChallengeUser(challengeToken, "login");
+    if (error) return res.status(401).json({ message: error, code: "CHALLENGE_INVALID" });
+
+    // Wrong codes count toward the same per-account lockout as wrong passwords
+    const attempt = await reserveLoginAttempt(user, req, { reason: "two_factor" });
+    if (!attempt.allowed) return sendAccountLocked(res, attempt.lockedUntil);
+
+    let usedFactor;
+    try {
+      usedFactor = await consumeSecondFactor(user, code);
+    } catch (error) {
+      await releaseLoginAttempt(user._id);
+      throw error;
+    }
+    if (!usedFactor) {
+      console.log(`[2FA] Failed second factor for user: ${user._id}`);
+      const failure = await recordFailedLogin(user, req, { reason: "two_factor" });
+      if (failure.locked) return sendAccountLocked(res, failure.lockedUntil);
+      return res.status(400).json({ message: "Invalid verification code", attemptsRemaining: failure.attemptsRemaining });
+    }
+    await releaseLoginAttempt(user._id);
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    const remaining = backupCodesRemaining(user);
+    console.log(`[2FA] Login verified with ${usedFactor} for user: ${user._id}`);
+    return sendSessionResponse(req, res, user, {
+      method,
+      extra: usedFactor === "backup_code" ? { backupCodesRemaining: remaining } : {},
+    });
+  } catch (error) {
+    console.error("[2FA] Verify login error:", error);
+    return sendTwoFactorError(res, error, "Failed to verify code");
+  }
+};
+
+// POST /api/auth/2fa/setup { challengeToken } - enforced enrollment before the first login
+export const startRequiredEnrollment = async (req, res) => {
+  try {
+    const { user, error } = await loadChallengeUser(req.body?.challengeToken, "setup");
+    if (error) return res.status(401).json({ message: error, code: "CHALLENGE_INVALID" });
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled. Please login again." });
+    }
+
+    return res.status(200).json(await startEnrollment(user));
+  } catch (error) {
+    console.error("[2FA] Required setup error:", error);
+    return sendTwoFactorError(res, error, "Failed to start two-factor setup");
+  }
+};
+
+// POST /api/auth/2fa/setup/confirm { challengeToken, code } - enables 2FA and signs in
+export const confirmRequiredEnrollment = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const { user, method, error } = await loadChallengeUser(challengeToken, "setup");
+    if (error) return res.status(401).json({ message: error, code: "CHALLENGE_INVALID" });
+
+    const result = await confirmEnrollment(user, code);
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    console.log(`[2FA] Enabled during login for user: ${user._id}`);
+    return sendSessionResponse(req, res, user, { method, extra: { backupCodes: result.backupCodes } });
+  } catch (error) {
+    console.error("[2FA] Required setup confirm error:", error);
+    return sendTwoFactorError(res, error, "Failed to enable two-factor authentication");
+  }
+};
+
+/* ===== SIGNED-IN USER ===== */
+
+// GET /api/auth/2fa/status
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("role twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    return res.status(200).json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await isTwoFactorRequiredFor(user.role),
+      backupCodesRemaining: user.twoFactor?.enabled ? backupCodesRemaining(user) : 0,
+    });
+  } catch (error) {
+    console.error("[2FA] Status error:", error);
+    return sendTwoFactorError(res, error, "Failed to load two-factor status");
+  }
+};
+
+// POST /api/auth/2fa/enroll - QR code for the authenticator app
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    return res.status(200).json(await startEnrollment(user));
+  } catch (error) {
+    console.error("[2FA] Enroll error:", error);
+    return sendTwoFactorError(res, error, "Failed to start two-factor setup");
+  }
+};
+
+// POST /api/auth/2fa/enable { code } - first code from the app; other sessions are signed out
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const result = await confirmEnrollment(user, req.body?.code);
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    await revokeUserSessions(user._id, "two_factor_enabled", { exceptSessionId: req.sessionId });
+    console.log(`[2FA] Enabled for user: ${user._id}`);
+    return res.status(200).json({
+      message: "Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.",
+      backupCodes: result.backupCodes,
+    });
+  } catch (error) {
+    console.error("[2FA] Enable error:", error);
+    return sendTwoFactorError(res, error, "Failed to enable two-factor authentication");
+  }
+};
+
+// POST /api/auth/2fa/disable { code } - not allowed while the role requires 2FA
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (await isTwoFactorRequiredFor(user.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role and cannot be turned off" });
+    }
+    if (!(await consumeSecondFactor(user, req.body?.code))) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await clearTwoFactor(user._id);
+    console.log(`[2FA] Disabled by user: ${user._id}`);
+    return res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("[2FA] Disable error:", error);
+    return sendTwoFactorError(res, error, "Failed to disable two-factor authentication");
+  }
+};
+
+// POST /api/auth/2fa/backup-codes { code } - replaces every previous backup code
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!(await consumeSecondFactor(user, req.body?.code))) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, records } = generateBackupCodes();
+    user.twoFactor.backupCodes = records;
+    await user.save();
+    return res.status(200).json({
+      message: `Generated ${BACKUP_CODE_COUNT} new backup codes. Previous codes no longer work.`,
+      backupCodes: codes,
+    });
+  } catch (error) {
+    console.error("[2FA] Backup code error:", error);
+    return sendTwoFactorError(res, error, "Failed to generate backup codes");
+  }
+};
+
+/* ===== ADMIN ===== */
+
+// Built-in roles first, then custom roles
+const listRoleKeys = async () => {
+  const customRoles = await Role.find({ key: { $nin: SYSTEM_ROLES } }).select("key").sort({ key: 1 }).lean();
+  return [...SYSTEM_ROLES, ...customRoles.map((role) => role.key)];
+};
+
+// GET /api/admin/security/two-factor - enforcement per role with enrollment counts
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const [settings, roleKeys] = await Promise.all([SecuritySetting.getGlobal(), listRoleKeys()]);
+    const counts = await User.aggregate([
+      { $match: { role: { $in: roleKeys } } },
+      {
+        $group: {
+          _id: "$role",
+          total: { $sum: 1 },
+          enabled: { $sum: { $cond: [{ $eq: ["$twoFactor.enabled", true] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    return res.status(200).json({
+      requiredRoles: settings.twoFactorRequiredRoles || [],
+      roles: roleKeys.map((role) => {
+        const count = counts.find((entry) => entry._id === role);
+        return {
+          role,
+          required: (settings.twoFactorRequiredRoles || []).includes(role),
+          users: count?.total || 0,
+          enrolled: count?.enabled || 0,
+        };
+      }),
+      updatedAt: settings.updatedAt,
+      updatedBy: settings.updatedBy,
+    });
+  } catch (error) {
+    console.error("[2FA] Policy load error:", error);
+    return sendTwoFactorError(res, error, "Failed to load two-factor policy");
+  }
+};
+
+// PUT /api/admin/security/two-factor { requiredRoles: ["admin", "educator"] }
+export const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body || {};
+    const roleKeys = await listRoleKeys();
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((role) => !roleKeys.includes(role))) {
+      return res.status(400).json({ message: `requiredRoles must be a list of: ${roleKeys.join(", ")}` });
+    }
+
+    const settings = await SecuritySetting.getGlobal();
+    settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+    settings.updatedBy = req.userId;
+    await settings.save();
+
+    console.log(`[2FA] Required roles set to [${settings.twoFactorRequiredRoles.join(", ")}] by admin ${req.userId}`);
+    return res.status(200).json({
+      message: "Two-factor policy updated. Users without 2FA will be asked to set it up at their next login.",
+      requiredRoles: settings.twoFactorRequiredRoles,
+    });
+  } catch (error) {
+    console.error("[2FA] Policy update error:", error);
+    return sendTwoFactorError(res, error, "Failed to update two-factor policy");
+  }
+};
+
+// DELETE /api/admin/users/:userId/two-factor - lost device; the user re-enrolls at next login if required
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("name email role twoFactor.enabled");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!canManageUser(req, user)) {
+      return res.status(403).json({ message: "Only admins can change admin accounts" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "User does not have two-factor authentication enabled" });
+    }
+
+    await clearTwoFactor(user._id);
+    const revokedSessions = await revokeUserSessions(user._id, "two_factor_reset");
+
+    console.log(`[2FA] Reset for user ${user._id} by admin ${req.userId}`);
+    return res.status(200).json({
+      message: "Two-factor authentication reset",
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("[2FA] Admin reset error:", error);
+    return sendTwoFactorError(res, error, "Failed to reset two-factor authentication");
+  }
+};
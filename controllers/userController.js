@@ -4,23 +4,7 @@ import Course from "../models/courseModel.js";
 import Grade from "../models/gradeModel.js";
 import Attendance from "../models/attendanceModel.js";
 import { verifyToken as verifyJwtToken } from "../configs/token.js";
-
-const clearAuthCookie = (res) => {
-  const isProduction = process.env.NODE_ENV === "production";
-  const cookieOptions = {
-    httpOnly: true,
-    secure: isProduction,
-    sameSite: isProduction ? "None" : "Lax",
-    path: "/",
-  };
-
-  if (isProduction && process.env.COOKIE_DOMAIN) {
-    cookieOptions.domain = process.env.COOKIE_DOMAIN;
-  }
-
-  res.clearCookie("token", cookieOptions);
-  res.clearCookie("token", { path: "/" });
-};
+import { clearAuthCookies, findActiveSession } from "../configs/authSession.js";
 
 const setNoCacheHeaders = (res) => {
   res.set("Cache-Control", "no-store, no-cache, must-revalidate, private");
@@ -47,6 +31,10 @@ export const getCurrentUser = async (req, res) => {
 
       try {
         const decoded = verifyJwtToken(token);
+        if (!(await findActiveSession(decoded))) {
+          clearAuthCookies(res);
+          return res.status(200).json({ authenticated: false, user: null });
+        }
         userId = decoded?.userId;
       } catch {
         return res.status(200).json({ authenticated: false, user: null });
@@ -62,13 +50,13 @@ export const getCurrentUser = async (req, res) => {
 
     if (!user) {
       console.log(`[GetCurrentUser] User not found: ${userId}`);
-      clearAuthCookie(res);
+      clearAuthCookies(res);
       return res.status(200).json({ authenticated: false, user: null });
     }
 
     if (user.status !== "approved") {
       console.log(`[GetCurrentUser] User inactive (${user.status}): ${user.email}`);
-      clearAuthCookie(res);
+      clearAuthCookies(res);
       return res.status(200).json({ authenticated: false, user: null });
     }
 
@@ -3,6 +3,9 @@ import dotenv from "dotenv"
 import cookieParser from "cookie-parser"
 import cors from "cors"
 import connectDb from "./configs/db.js"
+import { startPaymentReconciliationJob } from "./controllers/reconciliationController.js"
+import { ensureDefaultRoles } from "./configs/permissions.js"
+import { attachSignalingServer } from "./configs/signalingServer.js"
 
 // Security Middlewares
 import {
@@ -47,6 +50,9 @@ import aiAssistantRoute from "./routes/aiAssistantRoute.js";
 import feedbackRoute from "./routes/feedbackRoute.js";
 import marketingRoute from "./routes/marketingRoute.js";
 import feeRoute from "./routes/feeRoute.js";
+import couponRoute from "./routes/couponRoute.js";
+import invoiceRoute from "./routes/invoiceRoute.js";
+import calendarRoute from "./routes/calendarRoute.js";
 
 dotenv.config({ path: "./.env" }); 
 
@@ -157,7 +163,15 @@ app.set('trust proxy', 1);
 app.use(securityHeaders);
 
 // Request Size Limits
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for endpoints that verify HMAC signatures (payment and LiveKit webhooks)
+  verify: (req, res, buf) => {
+    if (req.originalUrl?.startsWith('/api/payment/webhook') || req.originalUrl?.startsWith('/api/liveclass/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie Parser
@@ -260,6 +274,9 @@ app.use("/api/doubts", doubtRoute); // Doubts/Questions
 app.use("/api/feedback", feedbackRoute); // Feedback System
 app.use("/api/marketing", marketingRoute); // Marketing offers and demo booking
 app.use("/api/fee", feeRoute); // Offline/online fee records
+app.use("/api/coupons", couponRoute); // Checkout discount codes
+app.use("/api/invoices", invoiceRoute); // GST tax invoices
+app.use("/api/calendar", calendarRoute); // iCalendar subscription feeds
 
 // Test Route
 app.get("/", (req,res)=>{
@@ -303,7 +320,7 @@ app.use((err, req, res, next) => {
 });
 
 // DB + Server Start
-app.listen(port, async ()=>{
+const server = app.listen(port, async ()=>{
     console.log(`🔥 Server started on port ${port}`)
     console.log("🌍 Environment:", process.env.NODE_ENV || "development");
     console.log("📦 Node version:", process.version);
@@ -313,10 +330,13 @@ app.listen(port, async ()=>{
     console.log("   MONGODB_URL:", process.env.MONGODB_URL ? "✅ Set" : "❌ Missing (CRITICAL)");
     console.log("   JWT_SECRET:", process.env.JWT_SECRET ? "✅ Set" : "❌ Missing");
     console.log("   FRONTEND_URL:", process.env.FRONTEND_URL || "Not set");
+    console.log("   REDIS_URL:", process.env.REDIS_URL ? "✅ Set (shared signaling store)" : "Not set (single-instance signaling)");
     console.log("   PORT:", port);
     
     console.log("\n🔑 API Keys Status:");
     console.log("   GEMINI_API_KEY:", process.env.GEMINI_API_KEY ? "✅ Set" : "❌ Missing");
+    console.log("   PAYMENT_PROVIDER:", process.env.PAYMENT_PROVIDER || "Not set (razorpay; sandbox only with PAYMENT_SANDBOX_ENABLED=true)");
+    console.log("   RAZORPAY_WEBHOOK_SECRET:", process.env.RAZORPAY_WEBHOOK_SECRET ? "✅ Set" : "❌ Missing (payment webhooks will be rejected)");
     console.log("   ☁️  Cloudinary Config:", 
         (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) 
         ? "✅ Set" : "❌ Missing"
@@ -383,6 +403,14 @@ app.listen(port, async ()=>{
     console.log("\n🔌 Database Connection:");
     // Connect to database
     await connectDb();
+
+    // Stuck-payment sweeper (each run is skipped while the database is unavailable)
+    startPaymentReconciliationJob();
+
+    // Built-in roles (and the sample custom roles on a fresh database)
+    ensureDefaultRoles().catch((error) =>
+        console.error("⚠️  Could not seed default roles:", error.message)
+    );
     
     // Verify connection after a short delay
     setTimeout(async () => {
@@ -397,6 +425,11 @@ app.listen(port, async ()=>{
     }, 2000);
 })
 
+// WebRTC signaling for live classes shares the HTTP server (REDIS_URL enables multi-instance rooms)
+attachSignalingServer(server).catch((error) =>
+    console.error("⚠️  Could not start live-class signaling:", error.message)
+);
+
 process.on("uncaughtException", (err)=> {
   console.log("❗ Server Crash:", err);
   process.exit(1);
@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
 import User from "../models/userModel.js";
 import { verifyToken as verifyJwtToken } from "../configs/token.js";
+import { clearAuthCookies, findActiveSession } from "../configs/authSession.js";
+import { isAllowedBeforeVerification } from "../configs/emailVerification.js";
 
 const isDevelopment = process.env.NODE_ENV !== "production";
 const debugLog = (...args) => {
@@ -9,23 +11,6 @@ const debugLog = (...args) => {
   }
 };
 
-const clearAuthCookie = (res) => {
-  const isProduction = process.env.NODE_ENV === "production";
-  const cookieOptions = {
-    httpOnly: true,
-    secure: isProduction,
-    sameSite: isProduction ? "None" : "Lax",
-    path: "/",
-  };
-
-  if (isProduction && process.env.COOKIE_DOMAIN) {
-    cookieOptions.domain = process.env.COOKIE_DOMAIN;
-  }
-
-  res.clearCookie("token", cookieOptions);
-  res.clearCookie("token", { path: "/" });
-};
-
 const isAuth = async (req, res, next) => {
   try {
     // Check if JWT_SECRET is configured
@@ -87,7 +72,8 @@ const isAuth = async (req, res, next) => {
     } catch (jwtError) {
       debugLog(`[isAuth] Token verification failed:`, jwtError.message);
       if (jwtError.message === "Token has expired") {
-        return res.status(401).json({ message: "Token expired. Please login again." });
+        // Clients call POST /api/auth/refresh on TOKEN_EXPIRED
+        return res.status(401).json({ message: "Token expired. Please login again.", code: "TOKEN_EXPIRED" });
       }
       if (jwtError.message === "Invalid token") {
         return res.status(401).json({ message: "Invalid token. Please login again." });
@@ -100,14 +86,22 @@ const isAuth = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid token format" });
     }
 
-    const user = await User.findById(decodedToken.userId).select("_id role status");
+    // Tokens without a live session (logged out, revoked remotely, pre-session tokens) are rejected
+    const session = await findActiveSession(decodedToken);
+    if (!session) {
+      debugLog(`[isAuth] Session ${decodedToken.sid || "(none)"} is not active for user: ${decodedToken.userId}`);
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session has ended. Please login again.", code: "SESSION_REVOKED" });
+    }
+
+    const user = await User.findById(decodedToken.userId).select("_id role status emailVerified");
     if (!user) {
-      clearAuthCookie(res);
+      clearAuthCookies(res);
       return res.status(401).json({ message: "User not found. Please login again." });
     }
 
     if (user.status !== "approved") {
-      clearAuthCookie(res);
+      clearAuthCookies(res);
       return res.status(403).json({
         message:
           user.status === "pending"
@@ -115,9 +109,18 @@ const isAuth = async (req, res, next) => {
             : "Account rejected by admin",
       });
     }
+
+    // Unverified self-signups can only reach the routes needed to verify their address
+    if (user.emailVerified === false && !isAllowedBeforeVerification(req)) {
+      return res.status(403).json({
+        message: "Please verify your email address to continue.",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
   
     req.userId = decodedToken.userId;
     req.userRole = user.role;
+    req.sessionId = String(session._id);
     next();
   } catch (error) {
     console.error("[isAuth] Middleware error:", error);
@@ -0,0 +1,27 @@
+import { getRolePermissions, roleHasPermission } from "../configs/permissions.js";
+
+// Route guard: requirePermission("grades.publish") or requirePermission("fees.view", "fees.record_payment").
+// Every listed permission is required. Runs after isAuth, which sets req.userRole.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.userId) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    req.permissions = await getRolePermissions(req.userRole);
+    const missing = permissions.filter((permission) => !roleHasPermission(req.permissions, permission));
+    if (missing.length) {
+      return res.status(403).json({
+        message: "You do not have permission to perform this action",
+        missingPermissions: missing,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("requirePermission middleware error:", error);
+    return res.status(500).json({ message: `Permission check failed: ${error.message || error}` });
+  }
+};
+
+export default requirePermission;
@@ -128,8 +128,13 @@ export const apiLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limiting for health checks
-    return req.path === "/" || req.path === "/health";
+    // Skip rate limiting for health checks and gateway webhooks (retries arrive in bursts from few IPs)
+    return (
+      req.path === "/" ||
+      req.path === "/health" ||
+      req.path.startsWith("/payment/webhook") ||
+      req.path.startsWith("/liveclass/webhook")
+    );
   }
 });
 
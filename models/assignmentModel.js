@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import calendarSequencePlugin from "./calendarSequencePlugin.js";
 
 const assignmentSchema = new mongoose.Schema(
   {
@@ -14,6 +15,11 @@ const assignmentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Fields shown in calendar feeds
+assignmentSchema.plugin(calendarSequencePlugin, {
+  fields: ["title", "description", "courseId", "dueDate"],
+});
+
 const Assignment = mongoose.model("Assignment", assignmentSchema);
 export default Assignment;
 
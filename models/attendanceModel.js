@@ -4,12 +4,16 @@ const attendanceSchema = new mongoose.Schema(
   {
     courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
     lectureId: { type: mongoose.Schema.Types.ObjectId, ref: "Lecture" },
+    // Set when generated from a live class's LiveKit attendance
+    liveClassId: { type: mongoose.Schema.Types.ObjectId, ref: "LiveClass" },
+    source: { type: String, enum: ["manual", "livekit"], default: "manual" },
     educatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     date: { type: Date, required: true },
     records: [
       {
         studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
         status: { type: String, enum: ["present", "absent", "late"], default: "present" },
+        minutesAttended: { type: Number }, // Live-class attendance only
       },
     ],
   },
@@ -17,6 +21,7 @@ const attendanceSchema = new mongoose.Schema(
 );
 
 attendanceSchema.index({ courseId: 1, date: 1 });
+attendanceSchema.index({ liveClassId: 1 }, { unique: true, sparse: true });
 
 const Attendance = mongoose.model("Attendance", attendanceSchema);
 export default Attendance;
@@ -0,0 +1,34 @@
+// Adds `calendarSequence`, the iCalendar SEQUENCE of the document's feed event (see
+// configs/calendarFeed.js). It grows by one whenever one of `fields` - what the feed shows -
+// changes, through save() or an update query; other edits leave it alone.
+const OPERATORS_WITH_PATHS = ["$set", "$unset", "$inc", "$mul", "$min", "$max", "$push", "$pull", "$pullAll", "$addToSet", "$pop", "$rename", "$setOnInsert", "$currentDate"];
+
+const touchesFields = (update, fields) => {
+  const paths = Object.keys(update).filter((key) => !key.startsWith("$"));
+  for (const operator of OPERATORS_WITH_PATHS) {
+    if (update[operator]) paths.push(...Object.keys(update[operator]));
+  }
+  return paths.some((path) => fields.some((field) => path === field || path.startsWith(`${field}.`)));
+};
+
+const calendarSequencePlugin = (schema, { fields = [] } = {}) => {
+  schema.add({ calendarSequence: { type: Number, default: 0 } });
+
+  schema.pre("save", function (next) {
+    if (!this.isNew && fields.some((field) => this.isModified(field))) {
+      this.calendarSequence = (this.calendarSequence || 0) + 1;
+    }
+    next();
+  });
+
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function (next) {
+    const update = this.getUpdate();
+    // Aggregation-pipeline updates are left as they are
+    if (update && !Array.isArray(update) && touchesFields(update, fields)) {
+      this.setUpdate({ ...update, $inc: { ...(update.$inc || {}), calendarSequence: 1 } });
+    }
+    next();
+  });
+};
+
+export default calendarSequencePlugin;
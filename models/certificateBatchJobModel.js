@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const batchOutcomeSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  studentName: { type: String, default: "" },
+  certificateId: { type: String, default: "" },
+  // issued | existing | skipped | failed
+  outcome: { type: String, required: true },
+  reason: { type: String, default: "" },
+  emailed: { type: Boolean, default: false },
+  emailError: { type: String, default: "" }
+}, { _id: false });
+
+// Bulk certificate run for one course. The ZIP lives on local disk until expiresAt.
+const certificateBatchJobSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued"
+  },
+  sendEmail: { type: Boolean, default: false },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  outcomes: [batchOutcomeSchema],
+  zipPath: { type: String, select: false },
+  zipSize: { type: Number, default: 0 },
+  error: { type: String, default: "" },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+certificateBatchJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+certificateBatchJobSchema.index({ course: 1, createdAt: -1 });
+
+const CertificateBatchJob = mongoose.model("CertificateBatchJob", certificateBatchJobSchema);
+
+export default CertificateBatchJob;
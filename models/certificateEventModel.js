@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Append-only audit trail for certificates: one document per lifecycle event.
+const certificateEventSchema = new mongoose.Schema(
+  {
+    certificate: { type: mongoose.Schema.Types.ObjectId, ref: "Certificate", required: true },
+    certificateId: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["issued", "revoked", "reissued", "superseded"],
+      required: true,
+    },
+    reason: { type: String, default: "" },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Event specifics, e.g. { supersededBy } or the corrected fields of a reissue
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+certificateEventSchema.index({ certificateId: 1, createdAt: 1 });
+certificateEventSchema.index({ certificate: 1, createdAt: 1 });
+
+const rejectMutation = function (next) {
+  next(new Error("Certificate history is immutable and cannot be modified or deleted"));
+};
+
+certificateEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+certificateEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectMutation
+);
+
+const CertificateEvent = mongoose.model("CertificateEvent", certificateEventSchema);
+
+export default CertificateEvent;
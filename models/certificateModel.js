@@ -1,12 +1,20 @@
 import mongoose from "mongoose";
 
+// IDs are generated as "Learnify-YYYYMMDD-XXXXXX" but get retyped in any case, so they are
+// stored and looked up in this one form; lookups can then be exact matches on the unique index.
+export const normalizeCertificateId = (value) => {
+  const upper = String(value || "").trim().toUpperCase();
+  return upper.startsWith("LEARNIFY-") ? `Learnify-${upper.slice("LEARNIFY-".length)}` : upper;
+};
+
 const certificateSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
   certificateId: { 
     type: String, 
     unique: true, 
-    required: true
+    required: true,
+    set: normalizeCertificateId
     // Note: unique automatically creates an index, and we also create one below
     // To avoid duplicate warning, we'll remove the explicit index() call below
   },
@@ -14,7 +22,18 @@ const certificateSchema = new mongoose.Schema({
   verified: { type: Boolean, default: false },
   verifiedAt: { type: Date },
   verificationCount: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true }
+  // isActive mirrors status === "active" for existing queries
+  isActive: { type: Boolean, default: true },
+  status: { type: String, enum: ["active", "revoked", "superseded"], default: "active" },
+  // Names as printed, frozen at issue time; corrections go through a reissue
+  recipientName: { type: String, default: "" },
+  courseTitle: { type: String, default: "" },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revocationReason: { type: String, default: "" },
+  supersedes: { type: String, default: "" },
+  supersededBy: { type: String, default: "" },
+  supersededAt: { type: Date }
 }, {
   timestamps: true
 });
@@ -46,7 +65,12 @@ certificateSchema.pre("validate", async function(next) {
 
 // Indexes for efficient queries
 // Note: certificateId index is automatically created by unique: true above
-certificateSchema.index({ userId: 1, courseId: 1 });
+certificateSchema.index({ userId: 1, courseId: 1, createdAt: -1 });
+// At most one active certificate per student and course; concurrent issuers get E11000
+certificateSchema.index(
+  { userId: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
 certificateSchema.index({ isActive: 1 });
 
 export default mongoose.model("Certificate", certificateSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const hexColor = {
+  type: String,
+  trim: true,
+  match: [/^#[0-9a-fA-F]{6}$/, "Colours must be 6-digit hex values like #2D4FA3"],
+};
+
+const signatorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  title: { type: String, default: "", trim: true },
+  signatureImageUrl: { type: String, default: "" }
+}, { _id: false });
+
+// Admin-managed certificate layout. Text fields accept {{placeholders}}, see
+// CERTIFICATE_PLACEHOLDERS in configs/certificatePdf.js.
+const certificateTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  description: { type: String, default: "" },
+  orientation: { type: String, enum: ["landscape", "portrait"], default: "landscape" },
+  backgroundImageUrl: { type: String, default: "" },
+  showLogo: { type: Boolean, default: true },
+  palette: {
+    primary: { ...hexColor, default: "#2D4FA3" },
+    dark: { ...hexColor, default: "#1E293B" },
+    text: { ...hexColor, default: "#1F2937" },
+    muted: { ...hexColor, default: "#475569" },
+    border: { ...hexColor, default: "#2D4FA3" }
+  },
+  heading: { type: String, default: "CERTIFICATE OF COMPLETION" },
+  bodyText: {
+    type: String,
+    default: "This is to certify that\n{{studentName}}\nhas successfully completed the online course\n{{courseTitle}}\nTotal hours: {{totalHours}} | Grade: {{grade}}"
+  },
+  footerText: { type: String, default: "" },
+  signatories: {
+    type: [signatorySchema],
+    validate: [(value) => value.length <= 3, "A template can have at most 3 signatories"]
+  },
+  // Archived templates stay on courses that use them but cannot be newly selected
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+const CertificateTemplate = mongoose.model("CertificateTemplate", certificateTemplateSchema);
+
+export default CertificateTemplate;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Named monotonic sequences (e.g. invoice numbers per financial year).
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: 40,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Upper bound for percentage coupons (0 = no cap)
+    maxDiscountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    scope: {
+      type: String,
+      enum: ["global", "course"],
+      default: "global",
+    },
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+      },
+    ],
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    // 0 = unlimited
+    usageLimit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    firstPurchaseOnly: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ scope: 1, isActive: 1 });
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
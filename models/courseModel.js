@@ -1,4 +1,30 @@
 import mongoose from "mongoose"
+import releaseRuleSchema from "./releaseRuleSchema.js"
+
+// Sections (modules) group lectures into an ordered curriculum.
+// Array position is the display order for both sections and their lectures;
+// `Course.lectures` stays the flat list of every lecture, kept in curriculum order.
+const sectionSchema = new mongoose.Schema({
+    title:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    description:{
+        type:String,
+        trim:true,
+        default:""
+    },
+    lectures:[{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Lecture"
+    }],
+    // Applies to every lecture in the section, on top of each lecture's own rule
+    release:{
+        type:releaseRuleSchema,
+        default:()=>({})
+    }
+},{timestamps:true})
 
 const courseSchema = new mongoose.Schema({
     title:{
@@ -58,6 +84,19 @@ const courseSchema = new mongoose.Schema({
         type:mongoose.Schema.Types.ObjectId,
         ref:"Lecture"
     }],
+    sections:[sectionSchema],
+    // When each student enrolled; drives "N days after enrollment" release rules
+    enrollments:[{
+        student:{
+            type:mongoose.Schema.Types.ObjectId,
+            ref:"User"
+        },
+        enrolledAt:{
+            type:Date,
+            default:Date.now
+        },
+        _id:false
+    }],
     creator:{
          type:mongoose.Schema.Types.ObjectId,
         ref:"User"
@@ -66,12 +105,52 @@ const courseSchema = new mongoose.Schema({
      type:Boolean,
      default:false
     },
+    // What a student must achieve before a certificate is issued.
+    // null disables a numeric criterion.
+    certificateCriteria:{
+        minCompletion:{
+            type:Number,
+            default:100,
+            min:0,
+            max:100
+        },
+        requireAllAssignments:{
+            type:Boolean,
+            default:false
+        },
+        minGradeAverage:{
+            type:Number,
+            default:null,
+            min:0,
+            max:100
+        },
+        minAttendancePercent:{
+            type:Number,
+            default:null,
+            min:0,
+            max:100
+        }
+    },
+    // null prints the built-in certificate layout
+    certificateTemplate:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"CertificateTemplate",
+        default:null
+    },
     reviews: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Review'
         }],
 },{timestamps:true})
 
+// Record the enrollment date once; re-enrolling after a removal starts a new date
+courseSchema.statics.recordEnrollment = function(courseId, studentId, enrolledAt = new Date()){
+    return this.updateOne(
+        { _id: courseId, "enrollments.student": { $ne: studentId } },
+        { $push: { enrollments: { student: studentId, enrolledAt } } }
+    )
+}
+
 const Course = mongoose.model("Course",courseSchema)
 
 export default Course
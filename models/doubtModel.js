@@ -56,9 +56,9 @@ const doubtSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Responder's role key (built-in or custom)
         role: {
           type: String,
-          enum: ["educator", "admin", "student"],
           required: true,
         },
         createdAt: {
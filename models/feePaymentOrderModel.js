@@ -23,6 +23,12 @@ const feePaymentOrderSchema = new mongoose.Schema(
       type: String,
       default: "INR",
     },
+    // Gateway that created this order; the razorpay* fields hold that gateway's ids
+    paymentProvider: {
+      type: String,
+      default: "razorpay",
+      trim: true,
+    },
     razorpayOrderId: {
       type: String,
       required: true,
@@ -42,15 +48,29 @@ const feePaymentOrderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["created", "paid", "failed"],
+      // "processing" while a payment is being posted to the fee record (see settleFeePaymentOrder)
+      enum: ["created", "processing", "paid", "failed", "refunded"],
       default: "created",
       index: true,
     },
+    // When the current "processing" claim was taken; reconciliation recovers claims left behind
+    processingAt: {
+      type: Date,
+    },
     failureReason: {
       type: String,
       default: "",
       trim: true,
     },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    razorpayRefundIds: {
+      type: [String],
+      default: [],
+    },
   },
   { timestamps: true }
 );
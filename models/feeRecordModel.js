@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import calendarSequencePlugin from "./calendarSequencePlugin.js";
 
 const PAYMENT_MODES = ["cash", "upi", "card", "bank-transfer", "online", "other"];
 
@@ -153,6 +154,11 @@ const feeRecordSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Fields shown in calendar feeds
+feeRecordSchema.plugin(calendarSequencePlugin, {
+  fields: ["title", "courseId", "dueDate", "dueAmount", "currency", "installmentNumber", "totalInstallments"],
+});
+
 feeRecordSchema.index({ studentId: 1, dueDate: 1 });
 feeRecordSchema.index({ studentId: 1, status: 1 });
 
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, default: "", trim: true },
+    email: { type: String, default: "", trim: true },
+    address: { type: String, default: "", trim: true },
+    gstin: { type: String, default: "", trim: true },
+    stateCode: { type: String, default: "", trim: true },
+    stateName: { type: String, default: "", trim: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    invoiceDate: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    // "void" invoices only fill a number that was drawn but never used, so the register has no gaps
+    status: {
+      type: String,
+      enum: ["issued", "void"],
+      default: "issued",
+    },
+    sourceType: {
+      type: String,
+      enum: ["course_order", "fee_payment", "void"],
+      required: true,
+    },
+    // Order id, "<feeRecordId>:<installmentId>" for fee payments, or the invoice number for void ones
+    sourceKey: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    feeRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FeeRecord",
+      default: null,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return this.status !== "void";
+      },
+      index: true,
+    },
+    seller: {
+      type: partySchema,
+      required: true,
+    },
+    buyer: {
+      type: partySchema,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sacCode: {
+      type: String,
+      required: true,
+    },
+    placeOfSupply: {
+      type: String,
+      default: "",
+    },
+    supplyType: {
+      type: String,
+      enum: ["intra-state", "inter-state"],
+      required: true,
+    },
+    gstRate: { type: Number, required: true },
+    taxableValue: { type: Number, required: true },
+    cgstRate: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, required: true },
+    totalAmount: { type: Number, required: true },
+    discountAmount: { type: Number, default: 0 },
+    couponCode: { type: String, default: "" },
+    currency: { type: String, default: "INR" },
+    paymentReference: { type: String, default: "" },
+    paymentMode: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ sourceType: 1, sourceKey: 1 }, { unique: true });
+
+// Issued invoices are immutable; a reprint must match the original exactly.
+const rejectMutation = function (next) {
+  next(new Error("Invoices are immutable and cannot be modified or deleted"));
+};
+
+invoiceSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+invoiceSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectMutation
+);
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
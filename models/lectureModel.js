@@ -1,20 +1,118 @@
 import mongoose from "mongoose";
+import releaseRuleSchema from "./releaseRuleSchema.js";
+
+export const LECTURE_TYPES = ["video", "article", "pdf", "link", "quiz"];
+
+const attachmentSchema = new mongoose.Schema({
+    name:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    url:{
+        type:String,
+        required:true
+    },
+    fileType:{
+        type:String,
+        default:""
+    },
+    size:{
+        type:Number,
+        default:0
+    }
+},{timestamps:true})
+
+// Auto-graded question. A question is correct only when the selected options
+// match `correctOptions` exactly, so single and multiple choice share one shape.
+const quizQuestionSchema = new mongoose.Schema({
+    question:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    options:[{
+        type:String,
+        trim:true
+    }],
+    // Hidden from every query unless explicitly selected, so students never receive answers
+    correctOptions:{
+        type:[Number],
+        select:false
+    },
+    points:{
+        type:Number,
+        default:1,
+        min:0
+    },
+    explanation:{
+        type:String,
+        default:""
+    }
+})
 
 const lectureSchema = new mongoose.Schema({
     lectureTitle:{
         type:String,
         required:true
     },
+    lectureType:{
+        type:String,
+        enum:LECTURE_TYPES,
+        default:"video"
+    },
+    description:{
+        type:String,
+        default:""
+    },
     videoUrl:{
         type:String
     },
+    // Set from the Cloudinary upload (or by the educator); video completion is measured against it
+    durationSeconds:{
+        type:Number,
+        min:0
+    },
+    // article
+    articleContent:{
+        type:String,
+        default:""
+    },
+    // pdf
+    documentUrl:{
+        type:String
+    },
+    // link
+    externalUrl:{
+        type:String
+    },
+    quiz:{
+        questions:[quizQuestionSchema],
+        passingScore:{
+            type:Number,
+            default:60,
+            min:0,
+            max:100
+        },
+        // 0 = unlimited attempts
+        maxAttempts:{
+            type:Number,
+            default:0,
+            min:0
+        }
+    },
+    attachments:[attachmentSchema],
+    release:{
+        type:releaseRuleSchema,
+        default:()=>({})
+    },
     isPreviewFree:{
         type:Boolean
     },
-    
+
 },{timestamps:true})
 
 
 const Lecture = mongoose.model("Lecture" , lectureSchema)
 
-export default Lecture
\ No newline at end of file
+export default Lecture
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Join/leave intervals of one user in one live class, recorded from LiveKit webhooks.
+// A user can hold several intervals (reconnects, multiple tabs); minutes are counted once.
+const liveAttendanceSchema = new mongoose.Schema(
+  {
+    liveClassId: { type: mongoose.Schema.Types.ObjectId, ref: "LiveClass", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    intervals: [
+      {
+        // LiveKit participant sid; one per connection, so webhook retries do not add intervals
+        participantSid: { type: String, required: true },
+        joinedAt: { type: Date, required: true },
+        leftAt: { type: Date, default: null },
+      },
+    ],
+    // Set when the room finishes (overlapping intervals merged)
+    totalMinutes: { type: Number, default: 0 },
+    status: { type: String, enum: ["present", "late", "absent"] },
+  },
+  { timestamps: true }
+);
+
+liveAttendanceSchema.index({ liveClassId: 1, userId: 1 }, { unique: true });
+
+const LiveAttendance = mongoose.model("LiveAttendance", liveAttendanceSchema);
+export default LiveAttendance;
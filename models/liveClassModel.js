@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import calendarSequencePlugin from "./calendarSequencePlugin.js";
 
 const liveClassSchema = new mongoose.Schema(
   {
@@ -27,6 +28,10 @@ const liveClassSchema = new mongoose.Schema(
       landmark: { type: String, default: "" },
       notes: { type: String, default: "" },
     },
+    // Set for sessions generated from a recurring series (models/liveClassSeriesModel.js)
+    seriesId: { type: mongoose.Schema.Types.ObjectId, ref: "LiveClassSeries", default: null },
+    occurrenceDate: { type: String }, // "YYYY-MM-DD" in the series time zone
+    isSeriesException: { type: Boolean, default: false }, // Edited on its own ("this occurrence")
     liveKitRoomName: { type: String }, // LiveKit room name for portal platform
     scheduledDate: { type: Date, required: true },
     duration: { type: Number, default: 60 }, // Duration in minutes
@@ -44,15 +49,25 @@ const liveClassSchema = new mongoose.Schema(
         attendance: { type: Boolean, default: false },
       },
     ],
+    // Set from LiveKit webhooks (controllers/liveAttendanceController.js)
+    roomStartedAt: { type: Date },
+    roomFinishedAt: { type: Date },
+    attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: "Attendance" }, // Generated course attendance
     recordingUrl: { type: String }, // For storing recording after class
     notes: { type: String }, // Class notes or summary
   },
   { timestamps: true }
 );
 
+// Fields shown in calendar feeds
+liveClassSchema.plugin(calendarSequencePlugin, {
+  fields: ["title", "description", "courseId", "educatorId", "scheduledDate", "duration", "status", "deliveryMode", "meetingLink", "offlineDetails"],
+});
+
 liveClassSchema.index({ courseId: 1, scheduledDate: 1 });
 liveClassSchema.index({ educatorId: 1 });
 liveClassSchema.index({ status: 1 });
+liveClassSchema.index({ seriesId: 1, occurrenceDate: 1 });
 
 const LiveClass = mongoose.model("LiveClass", liveClassSchema);
 export default LiveClass;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// A recurring live class. The series holds the rule and the fields shared by its sessions;
+// each session is a regular LiveClass (seriesId + occurrenceDate) generated from the rule.
+// "All future occurrences" edits end the series before the edited session and continue in a
+// new series (splitFromSeriesId), so earlier sessions keep the rule they were held under.
+const liveClassSeriesSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String },
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course", default: null },
+    educatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    deliveryMode: {
+      type: String,
+      enum: ["online", "hybrid", "offline"],
+      default: "online",
+    },
+    platformType: {
+      type: String,
+      enum: ["portal", "other", "zoom", "google-meet", "offline"],
+      default: "portal",
+    },
+    meetingLink: { type: String, default: "" },
+    meetingId: { type: String },
+    meetingPassword: { type: String },
+    offlineDetails: {
+      centerName: { type: String, default: "" },
+      classroom: { type: String, default: "" },
+      address: { type: String, default: "" },
+      landmark: { type: String, default: "" },
+      notes: { type: String, default: "" },
+    },
+    duration: { type: Number, default: 60 }, // Minutes per session
+    maxParticipants: { type: Number, default: 100 },
+    recurrence: {
+      frequency: { type: String, enum: ["weekly"], default: "weekly" },
+      interval: { type: Number, default: 1 }, // Every N weeks
+      daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+      startTime: { type: String, required: true }, // "HH:mm" in timezone
+      startDate: { type: String, required: true }, // "YYYY-MM-DD"
+      endDate: { type: String, required: true }, // Last possible session date, inclusive
+      skipDates: [{ type: String }], // Holidays and other dates without a session
+      timezone: { type: String, default: "Asia/Kolkata" },
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    splitFromSeriesId: { type: mongoose.Schema.Types.ObjectId, ref: "LiveClassSeries", default: null },
+  },
+  { timestamps: true }
+);
+
+liveClassSeriesSchema.index({ courseId: 1, status: 1 });
+liveClassSeriesSchema.index({ educatorId: 1 });
+
+const LiveClassSeries = mongoose.model("LiveClassSeries", liveClassSeriesSchema);
+export default LiveClassSeries;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import calendarSequencePlugin from "./calendarSequencePlugin.js";
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -28,6 +29,11 @@ const notificationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Fields shown in calendar feeds
+notificationSchema.plugin(calendarSequencePlugin, {
+  fields: ["title", "message", "courseId", "eventDate", "isActive"],
+});
+
 notificationSchema.index({ courseId: 1, createdAt: -1 });
 notificationSchema.index({ createdBy: 1 });
 
@@ -12,6 +12,11 @@ const orderSchema = new mongoose.Schema(
       ref: "User",
       required: true
     },
+    // Gateway that created this order; the razorpay_* fields hold that gateway's ids
+    paymentProvider: {
+      type: String,
+      default: "razorpay"
+    },
     razorpay_order_id: {
       type: String,
       required: true
@@ -26,6 +31,25 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       required: true
     },
+    // Course price before any coupon; `amount` is what was actually charged
+    originalAmount: {
+      type: Number
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon"
+    },
+    couponCode: {
+      type: String
+    },
+    // While unpaid, the order holds one use of its coupon until this time (couponController.js)
+    couponReservedUntil: {
+      type: Date
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
     currency: {
       type: String,
       default: "INR"
@@ -43,12 +67,33 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "success", "failed"],
+      enum: ["pending", "success", "failed", "partially_refunded", "refunded"],
       default: "pending"
     },
     failureReason: {
       type: String
-    }
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    refunds: [
+      {
+        refundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        status: {
+          type: String,
+          enum: ["pending", "processed", "failed"],
+          default: "processed"
+        },
+        reason: { type: String, default: "" },
+        initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        unenrolled: { type: Boolean, default: false },
+        creditNoteId: { type: String },
+        createdAt: { type: Date, default: Date.now },
+        processedAt: { type: Date }
+      }
+    ]
   },
   { timestamps: true }
 );
@@ -86,6 +131,8 @@ orderSchema.index({ receiptId: 1 }, { unique: true, sparse: true });
 orderSchema.index({ student: 1, course: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ razorpay_order_id: 1 });
+orderSchema.index({ coupon: 1, isPaid: 1 });
+orderSchema.index({ razorpay_payment_id: 1 }, { sparse: true });
 
 const Order = mongoose.model("Order", orderSchema);
 export default Order;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One document per gateway webhook delivery, keyed by the provider's event id.
+// Lets the webhook receiver acknowledge replays without re-running side effects.
+const paymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      default: "razorpay",
+      trim: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    event: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    entityId: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+      index: true,
+    },
+    result: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentWebhookEvent = mongoose.model("PaymentWebhookEvent", paymentWebhookEventSchema);
+
+export default PaymentWebhookEvent;
@@ -1,10 +1,44 @@
 import mongoose from "mongoose";
 
+const quizAttemptSchema = new mongoose.Schema({
+  score: { type: Number, default: 0 },
+  maxScore: { type: Number, default: 0 },
+  percent: { type: Number, default: 0 },
+  passed: { type: Boolean, default: false },
+  answers: [[{ type: Number }]],
+  submittedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Per-lecture state; a lecture is completed by the rule for its type
+// (video watched, article read, pdf viewed, link opened, quiz passed).
+const lectureProgressSchema = new mongoose.Schema({
+  lectureId: { type: mongoose.Schema.Types.ObjectId, ref: "Lecture", required: true },
+  lectureType: { type: String, default: "video" },
+  status: { type: String, enum: ["in_progress", "completed"], default: "in_progress" },
+  completedBy: { type: String, default: "" },
+  completedAt: { type: Date },
+  quizAttempts: [quizAttemptSchema],
+  bestQuizPercent: { type: Number, default: 0 },
+  // Video watch tracking from heartbeats (seconds)
+  lastPosition: { type: Number, default: 0 },
+  durationSeconds: { type: Number, default: 0 },
+  watchedRanges: [{ start: Number, end: Number, _id: false }],
+  watchedSeconds: { type: Number, default: 0 },
+  lastHeartbeatAt: { type: Date }
+}, { _id: false });
+
 const progressSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  // Ids of completed lectures (kept for existing clients)
   watchedLectures: [{ type: String }],
-  completion: { type: Number, default: 0 }
+  lectureProgress: [lectureProgressSchema],
+  completion: { type: Number, default: 0 },
+  // Where the student left off, for "resume course"
+  lastLectureId: { type: mongoose.Schema.Types.ObjectId, ref: "Lecture" },
+  lastAccessedAt: { type: Date }
 });
 
+progressSchema.index({ userId: 1, courseId: 1 });
+
 export default mongoose.model("Progress", progressSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+export const RELEASE_TYPES = ["immediate", "date", "after_enrollment", "after_lecture"];
+
+// Drip-feed rule shared by lectures and course sections (not a model of its own).
+//   date             - unlocks at `releaseAt`
+//   after_enrollment - unlocks `daysAfterEnrollment` days after the student enrolled
+//   after_lecture    - unlocks once `prerequisiteLecture` is completed
+const releaseRuleSchema = new mongoose.Schema({
+    type:{
+        type:String,
+        enum:RELEASE_TYPES,
+        default:"immediate"
+    },
+    releaseAt:{
+        type:Date
+    },
+    daysAfterEnrollment:{
+        type:Number,
+        min:0
+    },
+    prerequisiteLecture:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Lecture"
+    }
+},{_id:false})
+
+export default releaseRuleSchema
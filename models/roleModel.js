@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// A named set of permissions (configs/permissions.js). User.role holds the role key.
+const roleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_]{1,39}$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    permissions: [{
+      type: String,
+      trim: true,
+    }],
+    // admin / educator / student: built into the platform, cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Platform-wide security policy, stored as a single document (key "global").
+const securitySettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "global",
+    },
+    // Role keys (built-in or custom) that must have 2FA enabled before they can sign in
+    twoFactorRequiredRoles: [{
+      type: String,
+      trim: true,
+    }],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+securitySettingSchema.statics.getGlobal = async function () {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SecuritySetting = mongoose.model("SecuritySetting", securitySettingSchema);
+
+export default SecuritySetting;
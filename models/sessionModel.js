@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One login on one device. Access tokens carry the session id (`sid`) so revoking the
+// session cuts them off; the refresh token secret is stored only as a hash.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true, select: false },
+  // Token replaced by the last rotation; still honoured for a few seconds (configs/authSession.js)
+  previousRefreshTokenHash: { type: String, default: "", select: false },
+  rotatedAt: { type: Date, default: null },
+  loginMethod: { type: String, enum: ["password", "google", "signup"], default: "password" },
+  device: { type: String, default: "Unknown device" },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastIp: { type: String, default: "" },
+  lastUsedAt: { type: Date, default: Date.now },
+  rotationCount: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: "" }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -19,10 +19,11 @@ const userSchema = new mongoose.Schema(
     description: {
       type: String
     },
+    // Role key: "admin", "educator", "student" or a custom role (models/roleModel.js)
     role: {
       type: String,
-      enum: ["educator", "student", "admin"],
-      required: true
+      required: true,
+      trim: true
     },
     class: {
       type: String,
@@ -59,6 +60,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Password self-signups start unverified; every other account (and any created before
+    // verification existed) counts as verified
+    emailVerified: {
+      type: Boolean,
+      default: true
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
+    // Verification email throttling (configs/emailVerification.js)
+    emailVerification: {
+      lastSentAt: { type: Date },
+      sendCount: { type: Number, default: 0 },
+      windowStartedAt: { type: Date }
+    },
     photoUrl: {
       type: String,
       default: ""
@@ -77,6 +93,19 @@ const userSchema = new mongoose.Schema(
       type:Boolean,
       default:false
     },
+    // Guesses against the current OTP, counted before each check; the OTP is discarded once the limit is hit
+    resetOtpAttempts:{
+      type:Number,
+      default:0
+    },
+    // Per-account OTP send limit (configs/accountSecurity.js)
+    otpRequestCount:{
+      type:Number,
+      default:0
+    },
+    otpWindowStartedAt:{
+      type:Date
+    },
     lastActiveAt: {
       type: Date
     },
@@ -86,6 +115,47 @@ const userSchema = new mongoose.Schema(
     totalActiveMinutes: {
       type: Number,
       default: 0
+    },
+    // Per-account brute-force protection and new-device alerts (configs/accountSecurity.js)
+    loginSecurity: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailedAt: { type: Date },
+      // Consecutive lockouts; each one doubles the lock duration until a successful login
+      lockoutCount: { type: Number, default: 0 },
+      lockedUntil: { type: Date, default: null },
+      knownDevices: {
+        type: [{ device: String, network: String, firstSeenAt: Date, lastSeenAt: Date }],
+        select: false
+      }
+    },
+    // TOTP two-factor authentication (configs/twoFactor.js). Secrets are encrypted and never selected by default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Secret awaiting its first code during enrollment
+      pendingSecret: { type: String, select: false },
+      pendingCreatedAt: { type: Date },
+      // Hashed one-time codes; usedAt is set once redeemed
+      backupCodes: {
+        type: [{ hash: String, usedAt: { type: Date, default: null } }],
+        select: false
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: { type: Number, default: 0, select: false },
+      enabledAt: { type: Date }
+    },
+    // Secret iCalendar subscription URL (configs/calendarFeed.js); only the secret's hash is kept
+    calendarFeed: {
+      secretHash: { type: String, select: false },
+      createdAt: { type: Date },
+      lastAccessedAt: { type: Date }
+    },
+    // Optional buyer details printed on GST tax invoices
+    billingDetails: {
+      legalName: { type: String, default: "" },
+      gstin: { type: String, default: "" },
+      address: { type: String, default: "" },
+      stateCode: { type: String, default: "" }
     }
     
   },
@@ -1,14 +1,19 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
 import isAdmin from "../middlewares/isAdmin.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   createUserByAdmin,
   listUsers,
   updateUserStatus,
   updateUserPassword,
   deleteUserByAdmin,
+  unlockUserAccount,
+  updateUserRole,
 } from "../controllers/adminUserController.js";
 import { getPortalStats, getActivities, getProblems } from "../controllers/adminPortalController.js";
+import { getTwoFactorPolicy, resetUserTwoFactor, updateTwoFactorPolicy } from "../controllers/twoFactorController.js";
+import { createRole, deleteRole, listPermissions, listRoles, updateRole } from "../controllers/roleController.js";
 
 const router = express.Router();
 
@@ -16,14 +21,28 @@ const router = express.Router();
 console.log("[AdminRoute] Admin routes being registered");
 
 // User management routes - Apply middlewares directly (not as array)
-router.get("/users", isAuth, isAdmin, listUsers);
-router.post("/users", isAuth, isAdmin, createUserByAdmin);
-router.patch("/users/:userId/status", isAuth, isAdmin, updateUserStatus);
-router.patch("/users/:userId/password", isAuth, isAdmin, updateUserPassword);
-router.delete("/users/:userId", isAuth, isAdmin, deleteUserByAdmin);
+router.get("/users", isAuth, requirePermission("users.manage"), listUsers);
+router.post("/users", isAuth, requirePermission("users.manage"), createUserByAdmin);
+router.patch("/users/:userId/status", isAuth, requirePermission("users.manage"), updateUserStatus);
+router.patch("/users/:userId/role", isAuth, requirePermission("users.manage", "roles.manage"), updateUserRole);
+router.patch("/users/:userId/password", isAuth, requirePermission("users.manage"), updateUserPassword);
+router.delete("/users/:userId", isAuth, requirePermission("users.manage"), deleteUserByAdmin);
+router.patch("/users/:userId/unlock", isAuth, requirePermission("users.manage"), unlockUserAccount);
+router.delete("/users/:userId/two-factor", isAuth, requirePermission("users.manage"), resetUserTwoFactor);
+
+// Security policy
+router.get("/security/two-factor", isAuth, requirePermission("security.manage"), getTwoFactorPolicy);
+router.put("/security/two-factor", isAuth, requirePermission("security.manage"), updateTwoFactorPolicy);
+
+// Roles and permissions
+router.get("/permissions", isAuth, requirePermission("roles.manage"), listPermissions);
+router.get("/roles", isAuth, requirePermission("roles.manage"), listRoles);
+router.post("/roles", isAuth, requirePermission("roles.manage"), createRole);
+router.patch("/roles/:roleKey", isAuth, requirePermission("roles.manage"), updateRole);
+router.delete("/roles/:roleKey", isAuth, requirePermission("roles.manage"), deleteRole);
 
 // Portal management routes - Apply middlewares directly to each route
-router.get("/portal/stats", isAuth, isAdmin, async (req, res) => {
+router.get("/portal/stats", isAuth, requirePermission("portal.view"), async (req, res) => {
   try {
     console.log("[AdminRoute] GET /portal/stats route hit");
     console.log("[AdminRoute] User ID:", req.userId);
@@ -38,7 +57,7 @@ router.get("/portal/stats", isAuth, isAdmin, async (req, res) => {
   }
 });
 
-router.get("/portal/activities", isAuth, isAdmin, async (req, res) => {
+router.get("/portal/activities", isAuth, requirePermission("portal.view"), async (req, res) => {
   try {
     console.log("[AdminRoute] GET /portal/activities route hit");
     console.log("[AdminRoute] User ID:", req.userId);
@@ -51,7 +70,7 @@ router.get("/portal/activities", isAuth, isAdmin, async (req, res) => {
   }
 });
 
-router.get("/portal/problems", isAuth, isAdmin, async (req, res) => {
+router.get("/portal/problems", isAuth, requirePermission("portal.view"), async (req, res) => {
   try {
     console.log("[AdminRoute] GET /portal/problems route hit");
     console.log("[AdminRoute] User ID:", req.userId);
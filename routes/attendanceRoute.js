@@ -1,6 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
-import isAdmin from "../middlewares/isAdmin.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   markAttendance,
   listCourseAttendance,
@@ -20,7 +20,7 @@ router.get("/course/:courseId", isAuth, listCourseAttendance);
 router.post("/", isAuth, markAttendance);
 
 // Admin view all
-router.get("/all", isAuth, isAdmin, listAllAttendance);
+router.get("/all", isAuth, requirePermission("attendance.view_all"), listAllAttendance);
 
 export default router;
 
@@ -1,5 +1,17 @@
 import express from "express"
-import {googleSignup, login, logOut, resetPassword, sendOtp, signUp, verifyOtp } from "../controllers/authController.js"
+import {googleSignup, login, logOut, resendVerificationEmail, resetPassword, sendOtp, signUp, verifyEmail, verifyOtp } from "../controllers/authController.js"
+import { listMySessions, refreshSession, revokeAllMySessions, revokeMySession } from "../controllers/sessionController.js"
+import {
+  confirmRequiredEnrollment,
+  disableTwoFactor,
+  enableTwoFactor,
+  enrollTwoFactor,
+  getTwoFactorStatus,
+  regenerateBackupCodes,
+  startRequiredEnrollment,
+  verifyTwoFactorLogin
+} from "../controllers/twoFactorController.js"
+import isAuth from "../middlewares/isAuth.js"
 import { authLimiter, passwordResetLimiter } from "../middlewares/security.js"
 import { 
   validateSignup, 
@@ -23,5 +35,25 @@ authRouter.post("/sendotp", passwordResetLimiter, sendOtp)
 authRouter.post("/verifyotp", passwordResetLimiter, verifyOtp)
 authRouter.post("/resetpassword", passwordResetLimiter, resetPassword)
 
+// Email verification for password signups
+authRouter.post("/verify-email", authLimiter, verifyEmail)
+authRouter.post("/verify-email/resend", passwordResetLimiter, resendVerificationEmail)
+
+// Sessions: refresh-token rotation and remote logout
+authRouter.post("/refresh", authLimiter, refreshSession)
+authRouter.get("/sessions", isAuth, listMySessions)
+authRouter.post("/sessions/revoke-all", isAuth, revokeAllMySessions)
+authRouter.delete("/sessions/:sessionId", isAuth, revokeMySession)
+
+// Two-factor authentication: second step of login (challenge token) and self-service setup
+authRouter.post("/2fa/verify", authLimiter, verifyTwoFactorLogin)
+authRouter.post("/2fa/setup", authLimiter, startRequiredEnrollment)
+authRouter.post("/2fa/setup/confirm", authLimiter, confirmRequiredEnrollment)
+authRouter.get("/2fa/status", isAuth, getTwoFactorStatus)
+authRouter.post("/2fa/enroll", isAuth, enrollTwoFactor)
+authRouter.post("/2fa/enable", isAuth, authLimiter, enableTwoFactor)
+authRouter.post("/2fa/disable", isAuth, authLimiter, disableTwoFactor)
+authRouter.post("/2fa/backup-codes", isAuth, authLimiter, regenerateBackupCodes)
+
 
 export default authRouter
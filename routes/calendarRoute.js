@@ -0,0 +1,19 @@
+import express from "express";
+import isAuth from "../middlewares/isAuth.js";
+import {
+  getCalendarFeed,
+  getCalendarFeedStatus,
+  regenerateCalendarFeed,
+  revokeCalendarFeed,
+} from "../controllers/calendarController.js";
+
+const calendarRoute = express.Router();
+
+// Secret subscription URL (no login; calendar apps fetch it directly)
+calendarRoute.get("/feed/:token.ics", getCalendarFeed);
+
+calendarRoute.get("/feed", isAuth, getCalendarFeedStatus);
+calendarRoute.post("/feed", isAuth, regenerateCalendarFeed);
+calendarRoute.delete("/feed", isAuth, revokeCalendarFeed);
+
+export default calendarRoute;
@@ -0,0 +1,26 @@
+import express from "express";
+import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
+import { paymentLimiter } from "../middlewares/security.js";
+import {
+  createCoupon,
+  deleteCoupon,
+  getCoupon,
+  listCoupons,
+  updateCoupon,
+  validateCoupon,
+} from "../controllers/couponController.js";
+
+const couponRoute = express.Router();
+
+// Checkout page
+couponRoute.post("/validate", isAuth, paymentLimiter, validateCoupon);
+
+// Admin management
+couponRoute.get("/admin", isAuth, requirePermission("coupons.manage"), listCoupons);
+couponRoute.post("/admin", isAuth, requirePermission("coupons.manage"), createCoupon);
+couponRoute.get("/admin/:couponId", isAuth, requirePermission("coupons.manage"), getCoupon);
+couponRoute.patch("/admin/:couponId", isAuth, requirePermission("coupons.manage"), updateCoupon);
+couponRoute.delete("/admin/:couponId", isAuth, requirePermission("coupons.manage"), deleteCoupon);
+
+export default couponRoute;
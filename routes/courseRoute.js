@@ -14,9 +14,19 @@ import {
   removeLecture, 
   getAllCourse,
   enrollCourse,
-  getCourseStudents        // <<--- IMPORT ADDED
+  getCourseStudents,       // <<--- IMPORT ADDED
+  createSection,
+  editSection,
+  removeSection,
+  reorderSections,
+  reorderSectionLectures,
+  moveLecture,
+  addLectureAttachment,
+  removeLectureAttachment,
+  getLecture
 } from "../controllers/courseController.js";
 import upload from "../middlewares/multer.js";
+import { validateMongoId } from "../middlewares/inputValidation.js";
 
 let courseRouter = express.Router();
 
@@ -50,12 +60,33 @@ courseRouter.post("/createlecture/:courseId", isAuth, createLecture);
 // Get Lectures
 courseRouter.get("/getcourselecture/:courseId", isAuth, getCourseLecture);
 
+// Single Lecture (403 with the unlock date while drip-locked)
+courseRouter.get("/getlecture/:courseId/:lectureId", isAuth, validateMongoId("courseId"), validateMongoId("lectureId"), getLecture);
+
 // Edit Lecture
-courseRouter.post("/editlecture/:lectureId", isAuth, upload.single("videoUrl"), editLecture);
+// multipart: "videoUrl" (video lectures) or "document" (PDF lectures); quiz as a JSON string
+courseRouter.post(
+  "/editlecture/:lectureId",
+  isAuth,
+  upload.fields([{ name: "videoUrl", maxCount: 1 }, { name: "document", maxCount: 1 }]),
+  editLecture
+);
+
+// Lecture attachments (downloadable resources)
+courseRouter.post("/lectureattachment/:lectureId", isAuth, validateMongoId("lectureId"), upload.single("file"), addLectureAttachment);
+courseRouter.delete("/lectureattachment/:lectureId/:attachmentId", isAuth, validateMongoId("lectureId"), validateMongoId("attachmentId"), removeLectureAttachment);
 
 // Remove Lecture
 courseRouter.delete("/removelecture/:lectureId", isAuth, removeLecture);
 
+// Sections (modules) and curriculum ordering - course creator or admin
+courseRouter.post("/createsection/:courseId", isAuth, validateMongoId("courseId"), createSection);
+courseRouter.post("/editsection/:courseId/:sectionId", isAuth, validateMongoId("courseId"), validateMongoId("sectionId"), editSection);
+courseRouter.delete("/removesection/:courseId/:sectionId", isAuth, validateMongoId("courseId"), validateMongoId("sectionId"), removeSection);
+courseRouter.put("/reordersections/:courseId", isAuth, validateMongoId("courseId"), reorderSections);
+courseRouter.put("/reorderlectures/:courseId/:sectionId", isAuth, validateMongoId("courseId"), validateMongoId("sectionId"), reorderSectionLectures);
+courseRouter.put("/movelecture/:courseId/:lectureId", isAuth, validateMongoId("courseId"), validateMongoId("lectureId"), moveLecture);
+
 // Get Creator Profile (Instructor Info)
 courseRouter.post("/getcreator", isAuth, getCreatorById);
 
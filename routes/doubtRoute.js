@@ -1,5 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   createDoubt,
   getMyDoubts,
@@ -15,16 +16,16 @@ import {
 const router = express.Router();
 
 // Create doubt (student)
-router.post("/", isAuth, createDoubt);
+router.post("/", isAuth, requirePermission("doubts.ask"), createDoubt);
 
 // Get my doubts (student)
 router.get("/my", isAuth, getMyDoubts);
 
 // Get doubts assigned to me (educator/admin)
-router.get("/assigned", isAuth, getAssignedDoubts);
+router.get("/assigned", isAuth, requirePermission("doubts.answer"), getAssignedDoubts);
 
-// Get all doubts (admin only)
-router.get("/all", isAuth, getAllDoubts);
+// Get all doubts
+router.get("/all", isAuth, requirePermission("doubts.manage"), getAllDoubts);
 
 // Get single doubt
 router.get("/:doubtId", isAuth, getDoubtById);
@@ -35,8 +36,8 @@ router.post("/:doubtId/response", isAuth, addResponse);
 // Update doubt status
 router.patch("/:doubtId/status", isAuth, updateDoubtStatus);
 
-// Assign doubt (admin only)
-router.patch("/:doubtId/assign", isAuth, assignDoubt);
+// Assign doubt
+router.patch("/:doubtId/assign", isAuth, requirePermission("doubts.manage"), assignDoubt);
 
 // Delete doubt
 router.delete("/:doubtId", isAuth, deleteDoubt);
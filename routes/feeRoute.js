@@ -1,6 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
-import isAdmin from "../middlewares/isAdmin.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   addFeePaymentByAdmin,
   createFeePlan,
@@ -13,9 +13,9 @@ import {
 
 const feeRoute = express.Router();
 
-feeRoute.get("/admin", isAuth, isAdmin, getAdminFeeRecords);
-feeRoute.post("/admin", isAuth, isAdmin, createFeePlan);
-feeRoute.post("/admin/:recordId/pay", isAuth, isAdmin, addFeePaymentByAdmin);
+feeRoute.get("/admin", isAuth, requirePermission("fees.view"), getAdminFeeRecords);
+feeRoute.post("/admin", isAuth, requirePermission("fees.create_plan"), createFeePlan);
+feeRoute.post("/admin/:recordId/pay", isAuth, requirePermission("fees.record_payment"), addFeePaymentByAdmin);
 
 feeRoute.get("/my", isAuth, getMyFeeRecords);
 feeRoute.post("/:recordId/create-online-order", isAuth, createOnlineFeeOrder);
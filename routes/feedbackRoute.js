@@ -1,6 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
-import isAdmin from "../middlewares/isAdmin.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   createFeedback,
   getAllFeedback,
@@ -19,10 +19,10 @@ router.get("/my", isAuth, getMyFeedback); // Get student's own feedback
 router.get("/teachers", isAuth, getTeachersList); // Get teachers list
 
 // Admin routes
-router.get("/all", isAuth, isAdmin, getAllFeedback); // Get all feedback
-router.get("/stats", isAuth, isAdmin, getFeedbackStats); // Get statistics
-router.get("/report", isAuth, isAdmin, generateFeedbackReport); // Generate PDF report
-router.patch("/:feedbackId/status", isAuth, isAdmin, updateFeedbackStatus); // Update feedback status
+router.get("/all", isAuth, requirePermission("feedback.view_all"), getAllFeedback); // Get all feedback
+router.get("/stats", isAuth, requirePermission("feedback.view_all"), getFeedbackStats); // Get statistics
+router.get("/report", isAuth, requirePermission("feedback.view_all"), generateFeedbackReport); // Generate PDF report
+router.patch("/:feedbackId/status", isAuth, requirePermission("feedback.manage"), updateFeedbackStatus); // Update feedback status
 
 export default router;
 
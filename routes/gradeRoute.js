@@ -1,5 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   createGrade,
   getCourseGrades,
@@ -17,25 +18,25 @@ const router = express.Router();
 router.get("/my", isAuth, getMyGrades);
 
 // Get grade statistics for a course
-router.get("/course/:courseId/statistics", isAuth, getGradeStatistics);
+router.get("/course/:courseId/statistics", isAuth, requirePermission("grades.view"), getGradeStatistics);
 
 // Get all grades for a course (educator)
-router.get("/course/:courseId", isAuth, getCourseGrades);
+router.get("/course/:courseId", isAuth, requirePermission("grades.view"), getCourseGrades);
 
 // Get grades for a specific student in a course (educator)
-router.get("/course/:courseId/student/:studentId", isAuth, getStudentGrades);
+router.get("/course/:courseId/student/:studentId", isAuth, requirePermission("grades.view"), getStudentGrades);
 
 // Create grade (educator)
-router.post("/", isAuth, createGrade);
+router.post("/", isAuth, requirePermission("grades.manage"), createGrade);
 
 // Bulk upload grades (educator)
-router.post("/bulk", isAuth, bulkUploadGrades);
+router.post("/bulk", isAuth, requirePermission("grades.manage"), bulkUploadGrades);
 
 // Update grade (educator)
-router.patch("/:gradeId", isAuth, updateGrade);
+router.patch("/:gradeId", isAuth, requirePermission("grades.manage"), updateGrade);
 
 // Delete grade (educator)
-router.delete("/:gradeId", isAuth, deleteGrade);
+router.delete("/:gradeId", isAuth, requirePermission("grades.manage"), deleteGrade);
 
 export default router;
 
@@ -0,0 +1,19 @@
+import express from "express";
+import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
+import {
+  exportInvoiceRegister,
+  getFeePaymentInvoice,
+  getOrderInvoice,
+  updateBillingDetails,
+} from "../controllers/invoiceController.js";
+
+const invoiceRoute = express.Router();
+
+invoiceRoute.get("/order/:orderId", isAuth, getOrderInvoice);
+invoiceRoute.get("/fee/:recordId/:paymentId", isAuth, getFeePaymentInvoice);
+invoiceRoute.put("/billing-details", isAuth, updateBillingDetails);
+
+invoiceRoute.get("/admin/register", isAuth, requirePermission("invoices.export"), exportInvoiceRegister);
+
+export default invoiceRoute;
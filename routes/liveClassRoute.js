@@ -10,19 +10,25 @@ import {
   updateLiveClass,
   deleteLiveClass,
   getLiveClassById,
-  handleOffer,
-  getOffer,
-  handleAnswer,
-  getAnswer,
-  handleIceCandidate,
-  getIceCandidates,
   leaveLiveClass,
   getLiveKitToken,
   testLiveKitCredentials,
 } from "../controllers/liveClassController.js";
+import { getLiveClassAttendance, handleLiveKitWebhook } from "../controllers/liveAttendanceController.js";
+import {
+  createLiveClassSeries,
+  getLiveClassSeries,
+  updateFutureOccurrences,
+  cancelFutureOccurrences,
+  getCourseTimetable,
+  getStudentTimetable,
+} from "../controllers/liveClassSeriesController.js";
 
 const router = express.Router();
 
+// LiveKit webhooks (signed by LiveKit, no user auth); LiveKit posts application/webhook+json
+router.post("/webhook/livekit", express.raw({ type: "application/webhook+json", limit: "1mb" }), handleLiveKitWebhook);
+
 // Get live classes for a course
 router.get("/course/:courseId", isAuth, getCourseLiveClasses);
 
@@ -32,6 +38,15 @@ router.get("/my", isAuth, getMyLiveClasses);
 // Get educator's live classes
 router.get("/educator", isAuth, getEducatorLiveClasses);
 
+// Weekly timetables (?week=YYYY-MM-DD)
+router.get("/timetable/course/:courseId", isAuth, getCourseTimetable);
+router.get("/timetable/my", isAuth, getStudentTimetable);
+router.get("/timetable/student/:studentId", isAuth, getStudentTimetable);
+
+// Recurring series
+router.post("/series", isAuth, createLiveClassSeries);
+router.get("/series/:seriesId", isAuth, getLiveClassSeries);
+
 // Get single live class
 router.get("/:liveClassId", isAuth, getLiveClassById);
 
@@ -47,27 +62,17 @@ router.patch("/:liveClassId/status", isAuth, updateLiveClassStatus);
 // Update live class
 router.patch("/:liveClassId", isAuth, updateLiveClass);
 
+// Edit or cancel this and all future occurrences of a series
+router.patch("/:liveClassId/series", isAuth, updateFutureOccurrences);
+router.post("/:liveClassId/series/cancel", isAuth, cancelFutureOccurrences);
+
 // Delete live class
 router.delete("/:liveClassId", isAuth, deleteLiveClass);
 
-// WebRTC Signaling endpoints
-// Create/Store offer (educator)
-router.post("/:liveClassId/offer", isAuth, handleOffer);
-
-// Get offer (student)
-router.get("/:liveClassId/offer", isAuth, getOffer);
-
-// Create/Store answer (student)
-router.post("/:liveClassId/answer", isAuth, handleAnswer);
-
-// Get answer (educator)
-router.get("/:liveClassId/answer", isAuth, getAnswer);
-
-// Store ICE candidate
-router.post("/:liveClassId/ice-candidate", isAuth, handleIceCandidate);
+// WebRTC signaling runs over WebSocket at /api/liveclass/signaling (configs/signalingServer.js)
 
-// Get ICE candidates
-router.get("/:liveClassId/ice-candidates", isAuth, getIceCandidates);
+// Join/leave intervals and minutes attended (from LiveKit webhooks)
+router.get("/:liveClassId/attendance", isAuth, getLiveClassAttendance);
 
 // Leave live class
 router.post("/:liveClassId/leave", isAuth, leaveLiveClass);
@@ -1,7 +1,7 @@
 import express from "express";
 import upload from "../middlewares/multer.js";
 import isAuth from "../middlewares/isAuth.js";
-import isAdmin from "../middlewares/isAdmin.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   getMarketingContent,
   getAdminMarketingContent,
@@ -23,16 +23,16 @@ const marketingRoute = express.Router();
 marketingRoute.get("/public", getMarketingContent);
 marketingRoute.post("/demo-booking", createDemoBooking);
 
-marketingRoute.get("/admin/content", isAuth, isAdmin, getAdminMarketingContent);
-marketingRoute.put("/admin/content", isAuth, isAdmin, upload.single("offerImage"), updateMarketingContent);
-marketingRoute.post("/admin/gallery", isAuth, isAdmin, upload.single("image"), addGalleryItem);
-marketingRoute.patch("/admin/gallery/:itemId", isAuth, isAdmin, updateGalleryItem);
-marketingRoute.delete("/admin/gallery/:itemId", isAuth, isAdmin, deleteGalleryItem);
-marketingRoute.post("/admin/team", isAuth, isAdmin, upload.single("image"), addTeamMember);
-marketingRoute.patch("/admin/team/:memberId", isAuth, isAdmin, upload.single("image"), updateTeamMember);
-marketingRoute.delete("/admin/team/:memberId", isAuth, isAdmin, deleteTeamMember);
-marketingRoute.patch("/admin/about-project", isAuth, isAdmin, updateAboutProject);
-marketingRoute.get("/admin/demo-bookings", isAuth, isAdmin, getDemoBookings);
-marketingRoute.patch("/admin/demo-bookings/:bookingId/status", isAuth, isAdmin, updateDemoBookingStatus);
+marketingRoute.get("/admin/content", isAuth, requirePermission("marketing.edit"), getAdminMarketingContent);
+marketingRoute.put("/admin/content", isAuth, requirePermission("marketing.edit"), upload.single("offerImage"), updateMarketingContent);
+marketingRoute.post("/admin/gallery", isAuth, requirePermission("marketing.edit"), upload.single("image"), addGalleryItem);
+marketingRoute.patch("/admin/gallery/:itemId", isAuth, requirePermission("marketing.edit"), updateGalleryItem);
+marketingRoute.delete("/admin/gallery/:itemId", isAuth, requirePermission("marketing.edit"), deleteGalleryItem);
+marketingRoute.post("/admin/team", isAuth, requirePermission("marketing.edit"), upload.single("image"), addTeamMember);
+marketingRoute.patch("/admin/team/:memberId", isAuth, requirePermission("marketing.edit"), upload.single("image"), updateTeamMember);
+marketingRoute.delete("/admin/team/:memberId", isAuth, requirePermission("marketing.edit"), deleteTeamMember);
+marketingRoute.patch("/admin/about-project", isAuth, requirePermission("marketing.edit"), updateAboutProject);
+marketingRoute.get("/admin/demo-bookings", isAuth, requirePermission("marketing.demo_bookings"), getDemoBookings);
+marketingRoute.patch("/admin/demo-bookings/:bookingId/status", isAuth, requirePermission("marketing.demo_bookings"), updateDemoBookingStatus);
 
 export default marketingRoute;
@@ -1,5 +1,6 @@
 import express from "express";
 import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import {
   createNotification,
   getMyNotifications,
@@ -14,16 +15,16 @@ const router = express.Router();
 router.get("/my", isAuth, getMyNotifications);
 
 // Get all notifications (for management - educator/admin)
-router.get("/all", isAuth, getAllNotifications);
+router.get("/all", isAuth, requirePermission("notifications.send"), getAllNotifications);
 
 // Create notification (educator/admin)
-router.post("/", isAuth, createNotification);
+router.post("/", isAuth, requirePermission("notifications.send"), createNotification);
 
 // Mark as read
 router.post("/:notificationId/read", isAuth, markAsRead);
 
 // Delete notification
-router.delete("/:notificationId", isAuth, deleteNotification);
+router.delete("/:notificationId", isAuth, requirePermission("notifications.send"), deleteNotification);
 
 export default router;
 
@@ -1,18 +1,37 @@
 import express from "express"
-import { createOrder, verifyPayment } from "../controllers/orderController.js";
-import { generateReceipt, getMyReceipts } from "../controllers/receiptController.js";
+import { createOrder, verifyPayment, refundOrder, simulateSandboxPayment } from "../controllers/orderController.js";
+import { generateReceipt, generateCreditNote, getMyReceipts } from "../controllers/receiptController.js";
+import { handlePaymentWebhook } from "../controllers/paymentWebhookController.js";
+import { getReconciliationReport, runReconciliationNow } from "../controllers/reconciliationController.js";
 import isAuth from "../middlewares/isAuth.js";
+import requirePermission from "../middlewares/requirePermission.js";
 import { paymentLimiter } from "../middlewares/security.js";
 import { validatePayment, validatePaymentVerification, validateMongoId } from "../middlewares/inputValidation.js";
 
 
 let paymentRouter = express.Router()
 
-// Apply rate limiting (validation temporarily disabled for debugging)
-paymentRouter.post("/create-order", paymentLimiter, createOrder);
-paymentRouter.post("/verify-payment", paymentLimiter, verifyPayment);
+// Checkout for the signed-in student (validation temporarily disabled for debugging)
+paymentRouter.post("/create-order", isAuth, paymentLimiter, createOrder);
+paymentRouter.post("/verify-payment", isAuth, paymentLimiter, verifyPayment);
 paymentRouter.get("/receipt/generate/:orderId", isAuth, paymentLimiter, generateReceipt);
 paymentRouter.get("/receipt/my-receipts", isAuth, paymentLimiter, getMyReceipts);
+paymentRouter.get("/receipt/credit-note/:orderId/:refundId", isAuth, paymentLimiter, generateCreditNote);
+
+// Admin refunds (full or partial, optionally revoking course access)
+paymentRouter.post("/admin/orders/:orderId/refund", isAuth, requirePermission("payments.refund"), validateMongoId("orderId"), refundOrder);
+
+// Admin reconciliation against gateway records
+paymentRouter.get("/admin/reconciliation", isAuth, requirePermission("payments.reconcile"), getReconciliationReport);
+paymentRouter.post("/admin/reconciliation/run", isAuth, requirePermission("payments.reconcile"), runReconciliationNow);
+
+// Local sandbox checkout (only with PAYMENT_SANDBOX_ENABLED=true)
+paymentRouter.post("/sandbox/pay", isAuth, paymentLimiter, simulateSandboxPayment);
+
+// Gateway server-to-server callbacks (authenticated by the provider's signature, not by user session).
+// Bare /webhook stays Razorpay for existing dashboard configurations.
+paymentRouter.post("/webhook", handlePaymentWebhook);
+paymentRouter.post("/webhook/:provider", handlePaymentWebhook);
 
 
 export default paymentRouter
\ No newline at end of file
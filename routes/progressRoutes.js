@@ -1,43 +1,34 @@
 import express from "express";
-import Progress from "../models/progress.js";
+import isAuth from "../middlewares/isAuth.js";
+import {
+  getProgress,
+  getResumePoint,
+  recordWatchHeartbeat,
+  submitQuiz,
+  updateProgress,
+} from "../controllers/progressController.js";
 
 const router = express.Router();
 
-// ---- UPDATE PROGRESS ----
-router.post("/update", async (req, res) => {
-  const { userId, courseId, lectureId, totalLectures } = req.body;
+// ---- UPDATE PROGRESS (article / pdf / link) ----
+// body: { courseId, lectureId, event? } - event: read | viewed | downloaded | opened
+router.post("/update", isAuth, updateProgress);
 
-  if(!userId || !courseId || !lectureId){
-    return res.status(400).json({message:"Missing fields"});
-  }
 
-  let progress = await Progress.findOne({ userId, courseId });
+// ---- VIDEO WATCH HEARTBEATS ----
+// body: { courseId, lectureId, position, duration?, seeked? }
+router.post("/heartbeat", isAuth, recordWatchHeartbeat);
 
-  if (!progress) {
-    progress = new Progress({
-      userId,
-      courseId,
-      watchedLectures: [lectureId],
-      completion: Math.round((1 / totalLectures) * 100)
-    });
-  } else {
-    if (!progress.watchedLectures.includes(lectureId)) {
-      progress.watchedLectures.push(lectureId);
-      progress.completion = Math.round((progress.watchedLectures.length / totalLectures) * 100);
-    }
-  }
 
-  await progress.save();
-  res.json({ completion: progress.completion });
-});
+// ---- RESUME POSITION ----
+router.get("/resume/:courseId", isAuth, getResumePoint);
 
 
 // ---- GET PROGRESS ----
-router.get("/get/:userId/:courseId", async (req, res) => {
-  const { userId, courseId } = req.params;
-  const data = await Progress.findOne({ userId, courseId });
+router.get("/get/:userId/:courseId", isAuth, getProgress);
 
-  res.json(data ? {completion:data.completion} : {completion:0});
-});
+
+// ---- QUIZ LECTURES ----
+router.post("/quiz/:lectureId/submit", isAuth, submitQuiz);
 
 export default router;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config({ path: "./.env" });
+
+// Usage:
+//   node scripts/backfillLectureDurations.js [--dry-run]
+// Fills durationSeconds for video lectures uploaded before it was stored, by asking
+// Cloudinary for the duration of each lecture's video.
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+const run = async () => {
+  const { default: connectDb } = await import("../configs/db.js");
+  const { default: Lecture } = await import("../models/lectureModel.js");
+  const { getCloudinaryVideoDuration, getLastCloudinaryError } = await import("../configs/cloudinary.js");
+
+  await connectDb();
+  if (mongoose.connection.readyState !== 1) {
+    console.error("❌ Database not connected");
+    process.exit(1);
+  }
+
+  const lectures = await Lecture.find({
+    videoUrl: { $nin: [null, ""] },
+    $or: [{ durationSeconds: { $exists: false } }, { durationSeconds: null }, { durationSeconds: 0 }],
+  })
+    .select("_id lectureTitle videoUrl")
+    .lean();
+
+  const summary = { scanned: lectures.length, updated: 0, failed: [] };
+  for (const lecture of lectures) {
+    const durationSeconds = await getCloudinaryVideoDuration(lecture.videoUrl);
+    if (!durationSeconds) {
+      summary.failed.push({ lectureId: String(lecture._id), error: getLastCloudinaryError() || "No duration reported" });
+      continue;
+    }
+    if (!dryRun) {
+      // Only fill lectures that still have no duration, in case an educator set one meanwhile
+      await Lecture.updateOne(
+        { _id: lecture._id, $or: [{ durationSeconds: { $exists: false } }, { durationSeconds: null }, { durationSeconds: 0 }] },
+        { $set: { durationSeconds } }
+      );
+    }
+    summary.updated += 1;
+    console.log(`${dryRun ? "🧪" : "✅"} ${lecture.lectureTitle}: ${durationSeconds}s`);
+  }
+
+  console.log(JSON.stringify(summary, null, 2));
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error("❌ Backfill failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// In-memory stand-in for the parts of the Razorpay SDK used by payment reconciliation.
+// Seed it with gateway state, wrap it with createRazorpayProvider({ client }) and pass
+// the provider to reconcilePayments().
+//
+// const client = createFakeRazorpayClient({
+//   orders: { order_ABC: { status: "paid", amount: 49900, amount_paid: 49900 } },
+//   payments: { order_ABC: [{ id: "pay_1", status: "captured", amount: 49900 }] },
+// });
+
+const notFound = (id) => {
+  const error = new Error(`The id provided does not exist: ${id}`);
+  error.statusCode = 400;
+  error.error = { code: "BAD_REQUEST_ERROR", description: error.message };
+  return error;
+};
+
+export const createFakeRazorpayClient = ({ orders = {}, payments = {} } = {}) => {
+  const orderStore = new Map(Object.entries(orders));
+  const paymentStore = new Map(Object.entries(payments));
+
+  return {
+    orders: {
+      fetch: async (orderId) => {
+        const order = orderStore.get(orderId);
+        if (!order) throw notFound(orderId);
+        return { id: orderId, entity: "order", currency: "INR", amount_paid: 0, ...order };
+      },
+      fetchPayments: async (orderId) => {
+        if (!orderStore.has(orderId)) throw notFound(orderId);
+        const items = (paymentStore.get(orderId) || []).map((payment) => ({
+          entity: "payment",
+          order_id: orderId,
+          amount_refunded: 0,
+          ...payment,
+        }));
+        return { entity: "collection", count: items.length, items };
+      },
+    },
+    // Test helpers
+    setOrder: (orderId, order) => orderStore.set(orderId, order),
+    setPayments: (orderId, items) => paymentStore.set(orderId, items),
+  };
+};
+
+export default createFakeRazorpayClient;
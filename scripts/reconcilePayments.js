@@ -0,0 +1,57 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config({ path: "./.env" });
+
+// Usage:
+//   node scripts/reconcilePayments.js [--dry-run] [--report] [--fake fixtures.json]
+// With --fake, gateway state is read from a JSON file ({ orders, payments })
+// instead of calling Razorpay.
+const args = process.argv.slice(2);
+const hasFlag = (name) => args.includes(name);
+const fakeIndex = args.indexOf("--fake");
+const fixturesPath = fakeIndex >= 0 ? args[fakeIndex + 1] : "";
+
+const run = async () => {
+  const { default: connectDb } = await import("../configs/db.js");
+  const { reconcilePayments, buildReconciliationReport } = await import(
+    "../controllers/reconciliationController.js"
+  );
+
+  let provider;
+  if (fixturesPath) {
+    const { createFakeRazorpayClient } = await import("./fakeRazorpayClient.js");
+    const { createRazorpayProvider } = await import("../configs/paymentProviders/razorpayProvider.js");
+    provider = createRazorpayProvider({
+      client: createFakeRazorpayClient(JSON.parse(fs.readFileSync(fixturesPath, "utf8"))),
+      keyId: "fake",
+      keySecret: "fake",
+    });
+    console.log(`🧪 Using fake Razorpay client from ${fixturesPath}`);
+  }
+
+  await connectDb();
+  if (mongoose.connection.readyState !== 1) {
+    console.error("❌ Database not connected");
+    process.exit(1);
+  }
+
+  if (hasFlag("--report")) {
+    const to = new Date();
+    const from = new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const report = await buildReconciliationReport({ provider, from, to });
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const summary = await reconcilePayments({ provider, dryRun: hasFlag("--dry-run") });
+    console.log(JSON.stringify(summary, null, 2));
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error("❌ Reconciliation failed:", error);
+  process.exit(1);
+});